@@ -1,9 +1,11 @@
 /* 
- * SWF File Parser - v2.2
+ * SWF File Parser - v2.4
  * Parses SWF file signature, header, and basic information
  * Supports FWS (uncompressed), CWS (ZLIB), and ZWS (LZMA) formats
  * Used by index.html for initial file analysis before tag parsing
  * FIXED: Ensured parseSWFSignature is properly exposed globally
+ * ADDED: ZWS header analysis through the bundled synchronous LZMADecoder
+ * ADDED: window.swfHeaderInfo (stage size, frame rate, frame count) for the renderer timeline
  */
 
 function parseRECT(data, offset) {
@@ -30,6 +32,7 @@ function parseRECT(data, offset) {
 
 function parseSWFSignature(arrayBuffer) {
   const output = [];
+  window.swfHeaderInfo = null;
   
   if (arrayBuffer.byteLength < 8) {
     output.push("Error: File is too small to be a valid SWF file");
@@ -173,9 +176,18 @@ function parseSWFSignature(arrayBuffer) {
         return output.join('\n');
       }
     } else if (signature === 'ZWS') {
-      // LZMA compressed - note that full decompression is async
-      output.push(`LZMA Decompression: Available (will be processed during tag parsing)`);
-      return output.join('\n');
+      // LZMA compressed - decompress synchronously with the bundled decoder
+      try {
+        if (typeof LZMADecoder !== 'undefined') {
+          headerData = LZMADecoder.decompressSWF(bytes);
+          headerOffset = 0; // Reset offset for decompressed data
+        } else {
+          throw new Error("LZMA decoder not available");
+        }
+      } catch (lzmaError) {
+        output.push(`LZMA Decompression: Failed (${lzmaError.message})`);
+        return output.join('\n');
+      }
     }
     
     if (headerData) {
@@ -205,6 +217,15 @@ function parseSWFSignature(arrayBuffer) {
         output.push(`Frame Rate: ${frameRate} fps`);
         output.push(`Frame Count: ${frameCount} frames`);
         
+        // Playback timing for the renderer timeline
+        window.swfHeaderInfo = {
+          version: version,
+          stageWidth: stageWidth,
+          stageHeight: stageHeight,
+          frameRate: frameRate,
+          frameCount: frameCount
+        };
+        
         if (frameRate > 0) {
           const duration = frameCount / frameRate;
           const minutes = Math.floor(duration / 60);
@@ -0,0 +1,621 @@
+/*
+ * SWF Document Model - v1.3
+ * Headless entry point: SWFDocument.parse(arrayBuffer) returns a structured document
+ * - header (signature, version, compression, stage RECT, frame rate, frame count)
+ * - tag list with offsets into the uncompressed stream
+ * - dictionary of character definitions keyed by character ID
+ * - frames (tag indices split at ShowFrame, with frame labels)
+ * Never touches the DOM or the window.* display/filter globals used by TagParse.js,
+ * so it can run in workers, Node scripts and batch tools
+ * The existing per-category parsers (ControlParsers, ShapeParsers, etc.) plug in unchanged
+ * Tags can be replaced, inserted or removed and the result re-emitted with SWFWriter
+ * ADDED: readSpriteTags for the control tags nested in a DefineSprite
+ * ADDED: getBitmapRGBA for decoded DefineBitsLossless/DefineBitsLossless2 pixels
+ * ADDED: getBitmapImage for the JPEG/PNG/GIF streams of DefineBits, DefineBitsJPEG2 and DefineBitsJPEG3
+ */
+class SWFDocument {
+  constructor() {
+    this.header = null;
+    this.tags = [];
+    this.dictionary = new Map();
+    this.frames = [];
+    this.errors = [];
+
+    // Original file bytes and the uncompressed bytes following the 8-byte file header
+    this.source = null;
+    this.body = null;
+    this.trailingData = new Uint8Array(0);
+
+    this.parsers = SWFDocument.createParsers();
+  }
+
+  // ==================== PUBLIC API ====================
+
+  static parse(arrayBuffer, options = {}) {
+    const swfDocument = new SWFDocument();
+    swfDocument.load(arrayBuffer, options);
+    return swfDocument;
+  }
+
+  load(arrayBuffer, options = {}) {
+    const parseContent = options.parseContent !== false;
+    const maxTags = options.maxTags || 100000;
+
+    const decompressed = SWFDocument.decompress(arrayBuffer);
+    this.source = new Uint8Array(arrayBuffer);
+    this.body = decompressed.body;
+    this.header = this.parseHeader(decompressed);
+
+    this.parseTags(this.header.tagsOffset, parseContent, maxTags);
+    this.buildFrames();
+
+    return this;
+  }
+
+  getTag(index) {
+    return this.tags[index] || null;
+  }
+
+  getCharacter(characterId) {
+    return this.dictionary.get(characterId) || null;
+  }
+
+  // { characterId, width, height, rgba } (straight RGBA, rows top to bottom) for a decoded bitmap
+  // character, or null when the character is not a bitmap or its pixels could not be decoded
+  getBitmapRGBA(characterId) {
+    const tag = this.getCharacter(characterId);
+    if (!tag || (tag.type !== 20 && tag.type !== 36)) {
+      return null;
+    }
+
+    const parsed = tag.parsed || this.parseTagContent(tag.type, this.getTagContent(tag), 0, tag.length);
+    const data = parsed && parsed.data;
+    if (!data || !data.rgba) {
+      return null;
+    }
+    return { characterId: characterId, width: data.width, height: data.height, rgba: data.rgba };
+  }
+
+  // { characterId, width, height, mimeType, imageData, alphaData } for a JPEG-family bitmap, or null
+  getBitmapImage(characterId) {
+    const tag = this.getCharacter(characterId);
+    if (!tag || (tag.type !== 6 && tag.type !== 21 && tag.type !== 35)) {
+      return null;
+    }
+
+    // DefineBits parsed on demand still needs the file's JPEGTables
+    if (!tag.parsed && tag.type === 6 && this.parsers.bitmap && !this.parsers.bitmap.jpegTables) {
+      const tablesTag = this.getTagsByType(8)[0];
+      if (tablesTag) {
+        this.parseTagContent(8, this.getTagContent(tablesTag), 0, tablesTag.length);
+      }
+    }
+
+    const parsed = tag.parsed || this.parseTagContent(tag.type, this.getTagContent(tag), 0, tag.length);
+    const data = parsed && parsed.data;
+    if (!data || !data.imageData) {
+      return null;
+    }
+    return {
+      characterId: characterId,
+      width: data.width,
+      height: data.height,
+      mimeType: data.mimeType,
+      imageData: data.imageData,
+      alphaData: data.alphaData || null
+    };
+  }
+
+  getTagsByType(tagType) {
+    return this.tags.filter(tag => tag.type === tagType);
+  }
+
+  getTagsByCategory(category) {
+    return this.tags.filter(tag => tag.category === category);
+  }
+
+  getFrame(frameIndex) {
+    return this.frames[frameIndex] || null;
+  }
+
+  getFrameTags(frameIndex) {
+    const frame = this.frames[frameIndex];
+    return frame ? frame.tags.map(index => this.tags[index]) : [];
+  }
+
+  getTagContent(tag) {
+    // Raw content bytes of a tag (without its record header)
+    if (tag.content) {
+      return tag.content;
+    }
+    return this.body.subarray(tag.contentOffset - 8, tag.contentOffset - 8 + tag.length);
+  }
+
+  // Plain-object form for JSON output (Maps and typed arrays do not serialise)
+  toJSON() {
+    return {
+      header: this.header,
+      tags: this.tags,
+      dictionary: Object.fromEntries(Array.from(this.dictionary.entries()).map(([id, tag]) => [id, tag.index])),
+      frames: this.frames,
+      errors: this.errors
+    };
+  }
+
+  // ==================== EDITING ====================
+
+  // Replace a tag's content bytes (e.g. from SWFWriter.encodeTag) and re-parse it
+  setTagContent(index, content) {
+    const tag = this.tags[index];
+    if (!tag) {
+      throw new Error(`No tag at index ${index}`);
+    }
+
+    this.detachContent();
+    tag.content = content;
+    tag.length = content.length;
+    tag.parsed = this.parseTagContent(tag.type, content, 0, content.length);
+    this.reindex();
+
+    return tag;
+  }
+
+  insertTag(index, tagType, content) {
+    if (index < 0 || index > this.tags.length) {
+      throw new Error(`Cannot insert tag at index ${index}`);
+    }
+
+    this.detachContent();
+    const tag = {
+      index: index,
+      type: tagType,
+      name: SWFDocument.getTagName(tagType),
+      category: SWFDocument.getTagCategory(tagType),
+      offset: 0,
+      headerSize: null,
+      contentOffset: 0,
+      length: content.length,
+      characterId: null,
+      parsed: this.parseTagContent(tagType, content, 0, content.length),
+      content: content
+    };
+
+    this.tags.splice(index, 0, tag);
+    this.reindex();
+
+    return tag;
+  }
+
+  removeTag(index) {
+    if (!this.tags[index]) {
+      throw new Error(`No tag at index ${index}`);
+    }
+
+    this.detachContent();
+    const removed = this.tags.splice(index, 1)[0];
+    this.reindex();
+
+    return removed;
+  }
+
+  // Offsets change after an edit, so every tag keeps a view of its own bytes from here on
+  detachContent() {
+    for (const tag of this.tags) {
+      if (!tag.content) {
+        tag.content = this.getTagContent(tag);
+      }
+    }
+  }
+
+  // Recompute indices, offsets, the dictionary and frames after an edit
+  reindex() {
+    let offset = this.header.tagsOffset;
+    this.dictionary.clear();
+
+    this.tags.forEach((tag, index) => {
+      const content = this.getTagContent(tag);
+
+      tag.index = index;
+      tag.headerSize = SWFDocument.getRecordHeaderSize(tag.type, content.length, tag.headerSize);
+      tag.offset = offset;
+      tag.contentOffset = offset + tag.headerSize;
+      tag.length = content.length;
+      tag.characterId = null;
+
+      if (SWFDocument.isDefinitionTag(tag.type) && content.length >= 2) {
+        tag.characterId = content[0] | (content[1] << 8);
+        this.dictionary.set(tag.characterId, tag);
+      }
+
+      offset = tag.contentOffset + tag.length;
+    });
+
+    this.frames = [];
+    this.buildFrames();
+  }
+
+  // ==================== DECOMPRESSION ====================
+
+  static decompress(arrayBuffer) {
+    if (!arrayBuffer || arrayBuffer.byteLength < 8) {
+      throw new Error("File is too small to be a valid SWF file");
+    }
+
+    const bytes = new Uint8Array(arrayBuffer);
+    const signature = String.fromCharCode(bytes[0], bytes[1], bytes[2]);
+    const version = bytes[3];
+    const fileLength = new DataView(bytes.buffer, bytes.byteOffset, 8).getUint32(4, true);
+
+    let body;
+
+    switch (signature) {
+      case 'FWS':
+        body = bytes.subarray(8);
+        break;
+
+      case 'CWS':
+        if (typeof pako === 'undefined') {
+          throw new Error("ZLIB decompression requires the pako library");
+        }
+        body = pako.inflate(bytes.subarray(8));
+        break;
+
+      case 'ZWS':
+        if (typeof LZMADecoder === 'undefined') {
+          throw new Error("LZMA decompression requires LZMADecoder");
+        }
+        body = LZMADecoder.decompressSWF(bytes);
+        break;
+
+      default:
+        throw new Error(`Unknown SWF signature '${signature}'`);
+    }
+
+    return {
+      signature: signature,
+      version: version,
+      fileLength: fileLength,
+      body: body
+    };
+  }
+
+  // ==================== HEADER PARSING ====================
+
+  parseHeader(decompressed) {
+    const body = decompressed.body;
+    const reader = new BitReader(body, 0);
+    const dataTypes = new SWFDataTypes();
+
+    const frameSize = dataTypes.parseRECT(reader);
+    reader.align();
+
+    const frameRateOffset = reader.byteOffset;
+    if (frameRateOffset + 4 > body.length) {
+      throw new Error("SWF header is truncated");
+    }
+
+    // Frame rate is 8.8 fixed point, frame count is UI16
+    const frameRate = (body[frameRateOffset] | (body[frameRateOffset + 1] << 8)) / 256;
+    const frameCount = body[frameRateOffset + 2] | (body[frameRateOffset + 3] << 8);
+
+    const compressionNames = { FWS: "none", CWS: "zlib", ZWS: "lzma" };
+
+    return {
+      signature: decompressed.signature,
+      version: decompressed.version,
+      compression: compressionNames[decompressed.signature],
+      fileLength: decompressed.fileLength,
+      uncompressedLength: body.length + 8,
+      frameSize: frameSize,
+      width: (frameSize.xMax - frameSize.xMin) / 20,
+      height: (frameSize.yMax - frameSize.yMin) / 20,
+      frameRate: frameRate,
+      frameCount: frameCount,
+      // Offsets below are relative to the uncompressed stream including the 8-byte file header
+      tagsOffset: 8 + frameRateOffset + 4
+    };
+  }
+
+  // ==================== TAG PARSING ====================
+
+  parseTags(tagsOffset, parseContent, maxTags) {
+    const body = this.body;
+    let offset = tagsOffset - 8;
+    let index = 0;
+
+    while (offset < body.length && index < maxTags) {
+      const tagHeader = SWFDocument.parseTagHeader(body, offset);
+
+      if (!tagHeader) {
+        this.errors.push(`Truncated tag header at offset ${offset + 8}`);
+        this.trailingData = body.subarray(offset);
+        break;
+      }
+
+      const contentOffset = offset + tagHeader.headerSize;
+      const tag = {
+        index: index,
+        type: tagHeader.type,
+        name: SWFDocument.getTagName(tagHeader.type),
+        category: SWFDocument.getTagCategory(tagHeader.type),
+        offset: offset + 8,
+        headerSize: tagHeader.headerSize,
+        contentOffset: contentOffset + 8,
+        length: tagHeader.length,
+        characterId: null,
+        parsed: null
+      };
+
+      if (contentOffset + tagHeader.length > body.length) {
+        tag.error = `Tag extends past end of data (${contentOffset + tagHeader.length - body.length} bytes missing)`;
+        this.errors.push(`Tag ${index} (${tag.name}): ${tag.error}`);
+      }
+
+      if (SWFDocument.isDefinitionTag(tagHeader.type) && tagHeader.length >= 2 && !tag.error) {
+        tag.characterId = body[contentOffset] | (body[contentOffset + 1] << 8);
+        this.dictionary.set(tag.characterId, tag);
+      }
+
+      if (parseContent && !tag.error) {
+        tag.parsed = this.parseTagContent(tagHeader.type, body, contentOffset, tagHeader.length);
+
+        if (tag.parsed && tag.parsed.error) {
+          this.errors.push(`Tag ${index} (${tag.name}): ${tag.parsed.error}`);
+        }
+      }
+
+      this.tags.push(tag);
+
+      if (tagHeader.type === 0 || tag.error) {
+        // Keep any padding after the End tag so the writer can reproduce the file exactly
+        if (!tag.error) {
+          this.trailingData = body.subarray(contentOffset + tagHeader.length);
+        }
+        break;
+      }
+
+      offset = contentOffset + tagHeader.length;
+      index++;
+    }
+
+    if (index >= maxTags) {
+      this.errors.push(`Maximum tag limit reached (${maxTags} tags)`);
+    }
+  }
+
+  parseTagContent(tagType, data, contentOffset, length) {
+    const parser = this.parsers[SWFDocument.getTagCategory(tagType)];
+
+    if (!parser) {
+      return null;
+    }
+
+    try {
+      return parser.parseTag(tagType, data, contentOffset, length);
+    } catch (error) {
+      return {
+        tagType: SWFDocument.getTagName(tagType),
+        description: "Tag content could not be parsed",
+        error: `Parse error: ${error.message}`,
+        data: {}
+      };
+    }
+  }
+
+  // ==================== FRAME BUILDING ====================
+
+  buildFrames() {
+    let frame = this.createFrame(0);
+
+    for (const tag of this.tags) {
+      if (tag.type === 0) {
+        break;
+      }
+
+      frame.tags.push(tag.index);
+
+      if (tag.type === 43 && tag.parsed && tag.parsed.data && tag.parsed.data.name !== undefined) {
+        frame.label = tag.parsed.data.name;
+      }
+
+      if (tag.type === 1) {
+        this.frames.push(frame);
+        frame = this.createFrame(this.frames.length);
+      }
+    }
+
+    // Tags after the last ShowFrame still belong to a (never shown) trailing frame
+    if (frame.tags.length > 0) {
+      this.frames.push(frame);
+    }
+  }
+
+  createFrame(index) {
+    return {
+      index: index,
+      label: null,
+      tags: []
+    };
+  }
+
+  // ==================== PARSER REGISTRY ====================
+
+  static createParsers() {
+    const parsers = {};
+
+    if (typeof ControlParsers !== 'undefined') {
+      parsers.control = new ControlParsers();
+    }
+    if (typeof DisplayParsers !== 'undefined') {
+      parsers.display = new DisplayParsers();
+    }
+    if (typeof AssetParsers !== 'undefined') {
+      // ActionScript tags are routed through AssetParsers, as in TagParse.js
+      parsers.asset = new AssetParsers();
+      parsers.actionscript = parsers.asset;
+    }
+    if (typeof ShapeParsers !== 'undefined') {
+      parsers.shape = new ShapeParsers();
+    }
+    if (typeof SpriteParsers !== 'undefined') {
+      parsers.sprite = new SpriteParsers();
+    }
+    if (typeof FontParsers !== 'undefined') {
+      parsers.font = new FontParsers();
+    }
+    if (typeof TextParsers !== 'undefined') {
+      parsers.text = new TextParsers();
+    }
+    if (typeof BitmapParsers !== 'undefined') {
+      parsers.bitmap = new BitmapParsers();
+    }
+    if (typeof SoundParsers !== 'undefined') {
+      parsers.sound = new SoundParsers();
+    }
+    if (typeof ButtonParsers !== 'undefined') {
+      parsers.button = new ButtonParsers();
+    }
+    if (typeof VideoParsers !== 'undefined') {
+      parsers.video = new VideoParsers();
+    }
+    if (typeof MorphParsers !== 'undefined') {
+      parsers.morph = new MorphParsers();
+    }
+    if (typeof ScalingParsers !== 'undefined') {
+      parsers.scaling = new ScalingParsers();
+    }
+
+    return parsers;
+  }
+
+  // ==================== TAG HELPERS ====================
+
+  static parseTagHeader(data, offset) {
+    if (offset + 2 > data.length) {
+      return null;
+    }
+
+    const tagAndLength = data[offset] | (data[offset + 1] << 8);
+    const type = (tagAndLength >> 6) & 0x3FF;
+    const shortLength = tagAndLength & 0x3F;
+
+    if (shortLength !== 0x3F) {
+      return { type: type, length: shortLength, headerSize: 2 };
+    }
+
+    if (offset + 6 > data.length) {
+      return null;
+    }
+
+    const length = (data[offset + 2] |
+                   (data[offset + 3] << 8) |
+                   (data[offset + 4] << 16) |
+                   (data[offset + 5] << 24)) >>> 0;
+
+    return { type: type, length: length, headerSize: 6 };
+  }
+
+  // Control tags of a DefineSprite body (SpriteId and FrameCount come first), up to the End tag
+  static readSpriteTags(content) {
+    const entries = [];
+    let offset = 4;
+
+    while (offset < content.length) {
+      const header = SWFDocument.parseTagHeader(content, offset);
+      if (!header || offset + header.headerSize + header.length > content.length) {
+        break;
+      }
+
+      const start = offset + header.headerSize;
+      entries.push({ type: header.type, offset: offset, content: content.subarray(start, start + header.length) });
+
+      if (header.type === 0) {
+        break;
+      }
+      offset = start + header.length;
+    }
+
+    return entries;
+  }
+
+  // Short headers hold lengths up to 62; bitmap tags always use the long form
+  static getRecordHeaderSize(tagType, length, previousHeaderSize = null) {
+    if (previousHeaderSize === 6 || length >= 0x3F || [6, 20, 21, 35, 36].includes(tagType)) {
+      return 6;
+    }
+    return 2;
+  }
+
+  static getTagCategory(tagType) {
+    switch (tagType) {
+      case 0: case 1: case 9: case 24: case 43: case 69: case 77: case 86:
+        return 'control';
+      case 4: case 5: case 26: case 28: case 70:
+        return 'display';
+      case 56: case 57: case 71: case 76:
+        return 'asset';
+      case 12: case 59: case 82:
+        return 'actionscript';
+      case 2: case 22: case 32: case 83:
+        return 'shape';
+      case 39:
+        return 'sprite';
+      case 10: case 13: case 48: case 62: case 73: case 75: case 88: case 90:
+        return 'font';
+      case 11: case 33: case 37:
+        return 'text';
+      case 6: case 8: case 20: case 21: case 35: case 36:
+        return 'bitmap';
+      case 14: case 15: case 17: case 18: case 19: case 45:
+        return 'sound';
+      case 7: case 23: case 34:
+        return 'button';
+      case 60: case 61:
+        return 'video';
+      case 46: case 84:
+        return 'morph';
+      case 78:
+        return 'scaling';
+      default:
+        return null;
+    }
+  }
+
+  // Tags whose first UI16 is the ID of the character they define
+  static isDefinitionTag(tagType) {
+    return [2, 6, 7, 10, 11, 14, 20, 21, 22, 32, 33, 34, 35, 36, 37, 39, 46, 48, 60, 75, 83, 84, 87, 90].includes(tagType);
+  }
+
+  static getTagName(tagType) {
+    const tagNames = {
+      0: "End", 1: "ShowFrame", 2: "DefineShape", 4: "PlaceObject", 5: "RemoveObject",
+      6: "DefineBits", 7: "DefineButton", 8: "JPEGTables", 9: "SetBackgroundColor",
+      10: "DefineFont", 11: "DefineText", 12: "DoAction", 13: "DefineFontInfo",
+      14: "DefineSound", 15: "StartSound", 17: "DefineButtonSound", 18: "SoundStreamHead",
+      19: "SoundStreamBlock", 20: "DefineBitsLossless", 21: "DefineBitsJPEG2",
+      22: "DefineShape2", 23: "DefineButtonCxform", 24: "Protect", 25: "PathsArePostScript",
+      26: "PlaceObject2", 28: "RemoveObject2", 32: "DefineShape3", 33: "DefineText2",
+      34: "DefineButton2", 35: "DefineBitsJPEG3", 36: "DefineBitsLossless2",
+      37: "DefineEditText", 39: "DefineSprite", 43: "FrameLabel", 45: "SoundStreamHead2",
+      46: "DefineMorphShape", 48: "DefineFont2", 56: "ExportAssets", 57: "ImportAssets",
+      58: "EnableDebugger", 59: "DoInitAction", 60: "DefineVideoStream", 61: "VideoFrame",
+      62: "DefineFontInfo2", 64: "EnableDebugger2", 65: "ScriptLimits", 66: "SetTabIndex",
+      69: "FileAttributes", 70: "PlaceObject3", 71: "ImportAssets2", 73: "DefineFontAlignZones",
+      74: "CSMTextSettings", 75: "DefineFont3", 76: "SymbolClass", 77: "Metadata",
+      78: "DefineScalingGrid", 82: "DoABC", 83: "DefineShape4", 84: "DefineMorphShape2",
+      86: "DefineSceneAndFrameLabelData", 87: "DefineBinaryData", 88: "DefineFontName",
+      90: "DefineFont4"
+    };
+
+    return tagNames[tagType] || "Unknown";
+  }
+}
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.SWFDocument = SWFDocument;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SWFDocument;
+}
@@ -0,0 +1,258 @@
+/*
+ * SWF Writer - v1.0
+ * Serializes an SWFDocument back into a SWF file in FWS, CWS or ZWS form
+ * - Header RECT, frame rate and frame count are re-encoded with SWFDataTypes writers
+ * - Unmodified tags are re-emitted from their original bytes (including long/short header form),
+ *   so an unedited document round-trips byte-exact
+ * - When the uncompressed stream is unchanged and the compression matches, the original
+ *   compressed bytes are returned as-is (re-compressing would not reproduce them exactly)
+ * - encodeTag() rebuilds tag content from parsed data for the tags patching tools edit most
+ *   (PlaceObject/2, RemoveObject/2, SetBackgroundColor, FrameLabel, ShowFrame, End),
+ *   plus helpers for swapping bitmaps (DefineBitsJPEG2, DefineBitsLossless2)
+ * Usage:
+ *   const swf = SWFDocument.parse(buffer);
+ *   swf.setTagContent(index, new SWFWriter().encodeTag(43, { name: "intro" }));
+ *   const bytes = SWFWriter.write(swf, { signature: 'CWS' });
+ */
+class SWFWriter {
+  constructor() {
+    this.dataTypes = new SWFDataTypes();
+  }
+
+  // ==================== PUBLIC API ====================
+
+  static write(swfDocument, options = {}) {
+    const writer = new SWFWriter();
+    return writer.writeDocument(swfDocument, options);
+  }
+
+  writeDocument(swfDocument, options = {}) {
+    const signature = options.signature || swfDocument.header.signature;
+    const body = this.writeBody(swfDocument);
+
+    if (options.preserveSource !== false && swfDocument.source &&
+        signature === swfDocument.header.signature && this.bytesEqual(body, swfDocument.body)) {
+      return swfDocument.source.slice();
+    }
+
+    return this.wrap(signature, swfDocument.header.version, body);
+  }
+
+  // Uncompressed bytes following the 8-byte file header
+  writeBody(swfDocument) {
+    const writer = new BitWriter(swfDocument.body ? swfDocument.body.length + 64 : 1024);
+
+    this.writeHeaderFields(writer, swfDocument.header);
+
+    for (const tag of swfDocument.tags) {
+      const content = swfDocument.getTagContent(tag);
+      this.writeTagRecord(writer, tag.type, content, tag.headerSize === 6);
+    }
+
+    if (swfDocument.trailingData && swfDocument.trailingData.length > 0) {
+      writer.writeBytes(swfDocument.trailingData);
+    }
+
+    return writer.toUint8Array();
+  }
+
+  wrap(signature, version, body) {
+    switch (signature) {
+      case 'FWS': {
+        const output = new Uint8Array(8 + body.length);
+        this.writeFileHeader(output, 'FWS', version, body.length + 8);
+        output.set(body, 8);
+        return output;
+      }
+
+      case 'CWS': {
+        if (typeof pako === 'undefined' || !pako.deflate) {
+          throw new Error("ZLIB compression requires the pako library");
+        }
+        const compressed = pako.deflate(body);
+        const output = new Uint8Array(8 + compressed.length);
+        this.writeFileHeader(output, 'CWS', version, body.length + 8);
+        output.set(compressed, 8);
+        return output;
+      }
+
+      case 'ZWS':
+        if (typeof LZMAEncoder === 'undefined') {
+          throw new Error("LZMA compression requires LZMAEncoder");
+        }
+        return LZMAEncoder.compressSWF(version, body);
+
+      default:
+        throw new Error(`Unknown SWF signature '${signature}'`);
+    }
+  }
+
+  // ==================== RECORD ENCODING ====================
+
+  writeFileHeader(output, signature, version, fileLength) {
+    output[0] = signature.charCodeAt(0);
+    output[1] = signature.charCodeAt(1);
+    output[2] = signature.charCodeAt(2);
+    output[3] = version;
+    new DataView(output.buffer, output.byteOffset, 8).setUint32(4, fileLength, true);
+  }
+
+  writeHeaderFields(writer, header) {
+    this.dataTypes.writeRECT(writer, header.frameSize);
+    this.dataTypes.writeUI16(writer, Math.round(header.frameRate * 256) & 0xFFFF);
+    this.dataTypes.writeUI16(writer, header.frameCount);
+  }
+
+  writeTagRecord(writer, tagType, content, forceLong = false) {
+    if (tagType < 0 || tagType > 0x3FF) {
+      throw new Error(`Invalid tag type ${tagType}`);
+    }
+
+    if (forceLong || content.length >= 0x3F) {
+      this.dataTypes.writeUI16(writer, (tagType << 6) | 0x3F);
+      this.dataTypes.writeUI32(writer, content.length);
+    } else {
+      this.dataTypes.writeUI16(writer, (tagType << 6) | content.length);
+    }
+
+    writer.writeBytes(content);
+  }
+
+  encodeTagRecord(tagType, content, forceLong = false) {
+    const writer = new BitWriter(content.length + 6);
+    this.writeTagRecord(writer, tagType, content, forceLong);
+    return writer.toUint8Array();
+  }
+
+  bytesEqual(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return false;
+    }
+
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // ==================== TAG ENCODERS ====================
+
+  // Rebuilds tag content from the data object produced by the parsers
+  encodeTag(tagType, data) {
+    const writer = new BitWriter();
+
+    switch (tagType) {
+      case 0:
+      case 1:
+        break;
+      case 4:
+        this.encodePlaceObject(writer, data);
+        break;
+      case 5:
+        this.dataTypes.writeUI16(writer, data.characterId);
+        this.dataTypes.writeUI16(writer, data.depth);
+        break;
+      case 9:
+        this.dataTypes.writeRGB(writer, data.color);
+        break;
+      case 26:
+        this.encodePlaceObject2(writer, data);
+        break;
+      case 28:
+        this.dataTypes.writeUI16(writer, data.depth);
+        break;
+      case 43:
+        this.dataTypes.writeString(writer, data.name);
+        if (data.namedAnchor) {
+          this.dataTypes.writeUI8(writer, 1);
+        }
+        break;
+      default:
+        throw new Error(`No encoder for tag type ${tagType}`);
+    }
+
+    return writer.toUint8Array();
+  }
+
+  encodePlaceObject(writer, data) {
+    this.dataTypes.writeUI16(writer, data.characterId);
+    this.dataTypes.writeUI16(writer, data.depth);
+    this.dataTypes.writeMATRIX(writer, data.matrix);
+
+    if (data.colorTransform) {
+      this.dataTypes.writeCXFORM(writer, data.colorTransform);
+    }
+  }
+
+  encodePlaceObject2(writer, data) {
+    if (data.flags && data.flags.hasClipActions) {
+      throw new Error("PlaceObject2 clip actions cannot be re-encoded from parsed data");
+    }
+
+    const hasMove = data.isMove !== undefined ? data.isMove : !!(data.flags && data.flags.hasMove);
+    let flags = 0;
+    if (data.clipDepth !== null && data.clipDepth !== undefined) flags |= 0x40;
+    if (data.name !== null && data.name !== undefined) flags |= 0x20;
+    if (data.ratio !== null && data.ratio !== undefined) flags |= 0x10;
+    if (data.colorTransform) flags |= 0x08;
+    if (data.matrix) flags |= 0x04;
+    if (data.characterId !== null && data.characterId !== undefined) flags |= 0x02;
+    if (hasMove) flags |= 0x01;
+
+    this.dataTypes.writeUI8(writer, flags);
+    this.dataTypes.writeUI16(writer, data.depth);
+
+    if (flags & 0x02) this.dataTypes.writeUI16(writer, data.characterId);
+    if (flags & 0x04) this.dataTypes.writeMATRIX(writer, data.matrix);
+    if (flags & 0x08) this.dataTypes.writeCXFORMA(writer, data.colorTransform);
+    if (flags & 0x10) this.dataTypes.writeUI16(writer, data.ratio);
+    if (flags & 0x20) this.dataTypes.writeString(writer, data.name);
+    if (flags & 0x40) this.dataTypes.writeUI16(writer, data.clipDepth);
+  }
+
+  // JPEG, PNG or GIF bytes for a DefineBitsJPEG2 tag (content only)
+  encodeDefineBitsJPEG2(characterId, imageBytes) {
+    const writer = new BitWriter(imageBytes.length + 2);
+    this.dataTypes.writeUI16(writer, characterId);
+    writer.writeBytes(imageBytes);
+    return writer.toUint8Array();
+  }
+
+  // Straight (non-premultiplied) RGBA pixels for a DefineBitsLossless2 tag (content only)
+  encodeDefineBitsLossless2(characterId, width, height, rgba) {
+    if (typeof pako === 'undefined' || !pako.deflate) {
+      throw new Error("ZLIB compression requires the pako library");
+    }
+
+    // Format 5 stores premultiplied ARGB
+    const argb = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      const alpha = rgba[i * 4 + 3];
+      argb[i * 4] = alpha;
+      argb[i * 4 + 1] = Math.round(rgba[i * 4] * alpha / 255);
+      argb[i * 4 + 2] = Math.round(rgba[i * 4 + 1] * alpha / 255);
+      argb[i * 4 + 3] = Math.round(rgba[i * 4 + 2] * alpha / 255);
+    }
+
+    const compressed = pako.deflate(argb);
+    const writer = new BitWriter(compressed.length + 7);
+    this.dataTypes.writeUI16(writer, characterId);
+    this.dataTypes.writeUI8(writer, 5);
+    this.dataTypes.writeUI16(writer, width);
+    this.dataTypes.writeUI16(writer, height);
+    writer.writeBytes(compressed);
+    return writer.toUint8Array();
+  }
+}
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.SWFWriter = SWFWriter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SWFWriter;
+}
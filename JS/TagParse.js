@@ -1,5 +1,5 @@
 /* 
- * SWF Tag Parser - v3.5
+ * SWF Tag Parser - v4.1
  * Supports:
  * - Tag header parsing (type and length)
  * - Short and long format tag headers
@@ -30,6 +30,12 @@
  * - FIXED: Complete canBeParsed variable definition for proper tag type checking
  * - FIXED: Removed dependency between filter button and translation - translation now happens automatically
  * - FIXED: Display list and shape definition linking for proper WebGL rendering
+ * - FIXED: ZWS files now decompress synchronously with the bundled LZMADecoder (no CDN, works offline)
+ * - ADDED: ShowFrame markers stored with the translated data for the renderer timeline
+ * - ADDED: DefineSprite timelines translated and stored for nested sprite playback
+ * - ADDED: Parsed morph shape definitions stored for the renderers and SVG export
+ * - ADDED: Decoded lossless bitmaps stored for the renderers (getBitmapRGBA)
+ * - ADDED: JPEG/PNG/GIF bitmap streams (with JPEG3 alpha) stored for the renderers to decode
  */
 
 // Global variables for tag filtering
@@ -269,73 +275,22 @@ function parseSWFTags(arrayBuffer) {
         break;
         
       case 'ZWS':
-        // Verify LZMA library is loaded
-        if (typeof LZMA === 'undefined') {
-          output.push("Error: LZMA library is not loaded.");
+        // Verify the bundled LZMA decoder is loaded
+        if (typeof LZMADecoder === 'undefined') {
+          output.push("Error: LZMA decoder is not loaded.");
           return output.join('\n');
         }
         
-        if (!LZMA.decompress) {
-          output.push("Error: LZMA library loaded but decompress method not found.");
-          return output.join('\n');
-        }
-        
-        // Extract the uncompressed length (bytes 8-12, little endian)
-        const dataView = new DataView(arrayBuffer);
-        const uncompressedLength = dataView.getUint32(8, true);
+        // Decompress synchronously (handles the ZWS compressed length + 5-byte props layout)
+        const decompressedDataZWS = LZMADecoder.decompressSWF(bytes);
         
-        // Prepare the LZMA data
-        const lzmaData = new Uint8Array(5 + 8 + (arrayBuffer.byteLength - 17));
-        lzmaData.set(bytes.slice(12, 17), 0);
-        
-        // Set uncompressed size (8 bytes, little endian)
-        for (let i = 0; i < 8; i++) {
-          if (i < 4) {
-            lzmaData[5 + i] = (uncompressedLength >> (i * 8)) & 0xFF;
-          } else {
-            lzmaData[5 + i] = 0;
-          }
-        }
-        
-        lzmaData.set(bytes.slice(17), 13);
-        
-        output.push("Starting LZMA decompression for tag parsing...");
-        
-        // Use async LZMA decompression
-        LZMA.decompress(lzmaData, function(result, error) {
-          if (error) {
-            const errorMessage = `LZMA decompression failed: ${error}`;
-            output.push(errorMessage);
-            document.getElementById('terminalOutput').textContent = output.join('\n');
-            return;
-          }
-          
-          const decompressedData = new Uint8Array(result);
-          
-          try {
-            // Calculate tag offset from decompressed data
-            const rectZWS = parseRECT(decompressedData, 0);
-            const nbitsZWS = (decompressedData[0] >> 3) & 0x1F;
-            const rectBitsZWS = 5 + (4 * nbitsZWS);
-            const rectBytesZWS = Math.ceil(rectBitsZWS / 8);
-            const tagOffsetZWS = rectBytesZWS + 4;
-            tagData = decompressedData.slice(tagOffsetZWS);
-            
-            output.push("LZMA decompression successful.");
-            
-            const tagResults = parseTagData(tagData);
-            output.push(...tagResults);
-            
-          } catch (rectError) {
-            output.push(`Error parsing LZMA decompressed data: ${rectError.message}`);
-          }
-          
-          // Update terminal with complete output
-          document.getElementById('terminalOutput').textContent = output.join('\n');
-        });
-        
-        output.push("LZMA decompression started. Please wait...");
-        return output.join('\n');
+        // Calculate tag offset from decompressed data
+        const nbitsZWS = (decompressedDataZWS[0] >> 3) & 0x1F;
+        const rectBitsZWS = 5 + (4 * nbitsZWS);
+        const rectBytesZWS = Math.ceil(rectBitsZWS / 8);
+        const tagOffsetZWS = rectBytesZWS + 4;
+        tagData = decompressedDataZWS.slice(tagOffsetZWS);
+        break;
         
       default:
         output.push(`Unknown SWF format: ${signature}`);
@@ -586,6 +541,64 @@ function parseTagData(tagData) {
                   }
                 }
               }
+            } else if (displayTranslator && isSpriteTag && parsedContent.data) {
+              translationResult = displayTranslator.translateSpriteData(parsedContent);
+              if (translationResult && translationResult.success) {
+                translatedTags++;
+                
+                // Store the sprite timeline so placed sprites can play their own frames
+                if (typeof window.storeTranslatedData === 'function') {
+                  window.storeTranslatedData({
+                    ...translationResult,
+                    tagIndex: tagIndex,
+                    tagType: parsedContent.tagType
+                  });
+                  
+                  if (window.showContentParsing) {
+                    output.push("Sprite timeline translated and stored for rendering");
+                  }
+                }
+              }
+            } else if (isMorphTag && parsedContent.data && parsedContent.data.characterId !== undefined) {
+              // Morph shapes have no translator: renderers interpolate the parsed start/end data
+              if (typeof window.storeTranslatedData === 'function') {
+                window.storeTranslatedData({
+                  success: true,
+                  isMorphShapeDefinition: true,
+                  morphShape: parsedContent.data,
+                  tagIndex: tagIndex,
+                  tagType: parsedContent.tagType
+                });
+                
+                if (window.showContentParsing) {
+                  output.push("Morph shape stored for rendering");
+                }
+              }
+            } else if (isBitmapTag && parsedContent.data && (parsedContent.data.rgba || parsedContent.data.imageData)) {
+              // Lossless pixels are already renderer-ready (straight RGBA); JPEG/PNG/GIF streams are
+              // decoded by the renderer
+              if (typeof window.storeTranslatedData === 'function') {
+                window.storeTranslatedData({
+                  success: true,
+                  isBitmapDefinition: true,
+                  characterId: parsedContent.data.characterId,
+                  bitmap: {
+                    width: parsedContent.data.width,
+                    height: parsedContent.data.height,
+                    rgba: parsedContent.data.rgba || null,
+                    hasAlpha: parsedContent.data.hasAlpha,
+                    mimeType: parsedContent.data.mimeType || null,
+                    imageData: parsedContent.data.imageData || null,
+                    alphaData: parsedContent.data.alphaData || null
+                  },
+                  tagIndex: tagIndex,
+                  tagType: parsedContent.tagType
+                });
+                
+                if (window.showContentParsing) {
+                  output.push(parsedContent.data.rgba ? "Bitmap pixels stored for rendering" : `Bitmap ${parsedContent.data.mimeType} stream stored for rendering`);
+                }
+              }
             }
           } catch (translationError) {
             // Only show translation errors in content parsing mode
@@ -599,6 +612,16 @@ function parseTagData(tagData) {
       }
     }
     
+    // ShowFrame markers let the renderer timeline split the display commands into frames
+    if (tagHeader.type === 1 && typeof window.storeTranslatedData === 'function') {
+      window.storeTranslatedData({
+        success: true,
+        tagIndex: tagIndex,
+        tagType: "ShowFrame",
+        isFrameBoundary: true
+      });
+    }
+    
     if (window.showContentParsing) {
       // CONTENT PARSING MODE - Only show tags that can be parsed
       if (canBeParsed && tagHeader.length >= 0) {
@@ -678,6 +701,9 @@ function parseTagData(tagData) {
                 for (const [key, value] of Object.entries(data)) {
                   if (value === null || value === undefined) {
                     output.push(`${indent}${key}: null`);
+                  } else if (ArrayBuffer.isView(value)) {
+                    // Byte buffers (e.g. decoded bitmap pixels) are summarised, not listed
+                    output.push(`${indent}${key}: [${value.length} bytes]`);
                   } else if (typeof value === 'object' && !Array.isArray(value)) {
                     output.push(`${indent}${key}:`);
                     formatContentDataSafe(value, indent + "  ", depth + 1, visited);
@@ -0,0 +1,727 @@
+#!/usr/bin/env node
+/*
+ * Flash-JS Command Line Interface - v1.8
+ * Batch SWF inspection without a browser:
+ *   node JS/cli/flashjs.js inspect file.swf [more.swf ...] [options]
+ *   node JS/cli/flashjs.js decompile file.swf [more.swf ...] [--out=dir]
+ *   node JS/cli/flashjs.js cfg file.swf [more.swf ...] [--format=dot|json] [--out=dir]
+ *   node JS/cli/flashjs.js run file.swf [more.swf ...] [--frames=<n>] [--format=text|json]
+ *   node JS/cli/flashjs.js svg file.swf [more.swf ...] [--frames=<n>] [--out=dir]
+ * Options:
+ *   --mode=important|all|content|unparsed|errors   (same modes as the index.html buttons)
+ *   --category=shape|display|control|...           (tag category filter, content/errors modes)
+ *   --tag=<type>                                   (single tag type filter, content/errors modes)
+ *   --format=text|json  (or --json)                (json prints one object per file per line)
+ *   --format=dot|json                              (cfg: Graphviz DOT, the default, or JSON graphs)
+ *   --out=<dir>                                    (decompile/cfg/svg: write files instead of printing)
+ *   --frames=<n>                                   (run/svg: frames to play or export, default: the movie's frame count)
+ * Loads the same browser scripts as index.html into one Node context and reuses
+ * parseSWFSignature, parseSWFTags and the window.* filter flags they read
+ * ZLIB is provided by Node's zlib module, so the pako CDN script is not needed,
+ * and ZWS files use the bundled LZMADecoder
+ * ADDED: decompile command (AS3Decompiler over every DoABC tag)
+ * ADDED: decompile also writes AS1/AS2 frame, init, button and clip scripts (AS2Decompiler)
+ * ADDED: cfg command (AVM1ControlFlowGraph for every DoAction/DoInitAction, sprites included)
+ * ADDED: run command (AVM1Interpreter plays the timeline headless and prints trace output)
+ * ADDED: run executes DoABC code with AVM2Interpreter (SymbolClass document class on the root)
+ * ADDED: svg command (SVGExporter: every shape, morph shapes at start/middle/end, every frame)
+ * FIXED: JSON output summarises decoded bitmap pixels instead of listing every byte
+ * FIXED: JSON output summarises JPEG/PNG/GIF image streams and alpha planes the same way
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const JS_ROOT = path.resolve(__dirname, '..');
+
+// Same order as the <script> tags in index.html
+const SCRIPT_FILES = [
+  'compression/LZMADecoder.js',
+  'compression/LZMAEncoder.js',
+  'parsers/DataTypes.js',
+  'parsers/AVM2Disassembler.js',
+  'parsers/AVM1ControlFlowGraph.js',
+  'parsers/AS3Parsers.js',
+  'parsers/ControlParsers.js',
+  'parsers/DisplayParsers.js',
+  'parsers/AssetParsers.js',
+  'parsers/ShapeParsers.js',
+  'parsers/SpriteParsers.js',
+  'parsers/FontParsers.js',
+  'parsers/TextParsers.js',
+  'parsers/BitmapParsers.js',
+  'parsers/SoundParsers.js',
+  'parsers/ButtonParsers.js',
+  'parsers/VideoParsers.js',
+  'parsers/MorphParsers.js',
+  'parsers/ScalingParsers.js',
+  'translators/ShapeParserTranslator.js',
+  'translators/DisplayParserTranslator.js',
+  'renderer/SWFTimeline.js',
+  'renderer/ShapePathBuilder.js',
+  'renderer/SVGExporter.js',
+  'decompilers/AS3Decompiler.js',
+  'decompilers/AS2Decompiler.js',
+  'player/AVM1Object.js',
+  'player/MovieClip.js',
+  'player/AVM1Interpreter.js',
+  'player/AVM2Object.js',
+  'player/AVM2Interpreter.js',
+  'TagParse.js',
+  'SWFDocument.js',
+  'SWFWriter.js',
+  'Parse.js'
+];
+
+const MODES = ['important', 'all', 'content', 'unparsed', 'errors'];
+const CATEGORIES = ['control', 'display', 'asset', 'actionscript', 'shape', 'sprite', 'font', 'text', 'bitmap', 'sound', 'button', 'video', 'morph', 'scaling'];
+
+// ==================== ENVIRONMENT SETUP ====================
+
+function loadFlashJS() {
+  // The browser scripts export through window.*, so window is the Node global
+  global.window = global;
+
+  if (typeof global.pako === 'undefined') {
+    global.pako = {
+      inflate: (data) => new Uint8Array(zlib.inflateSync(data)),
+      deflate: (data) => new Uint8Array(zlib.deflateSync(data))
+    };
+  }
+
+  for (const file of SCRIPT_FILES) {
+    const filename = path.join(JS_ROOT, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+  }
+}
+
+function applyMode(options) {
+  window.showAllTags = options.mode === 'all';
+  window.showContentParsing = options.mode === 'content';
+  window.showUnparsedOnly = options.mode === 'unparsed';
+  window.showErrorsOnly = options.mode === 'errors';
+
+  if (options.tag !== null) {
+    window.tagTypeFilter = { type: 'specific', tagType: options.tag };
+  } else if (options.category !== null) {
+    window.tagTypeFilter = { type: 'category', category: options.category };
+  } else {
+    window.tagTypeFilter = null;
+  }
+}
+
+// ==================== ARGUMENT PARSING ====================
+
+function parseArguments(argv) {
+  const options = {
+    command: null,
+    files: [],
+    mode: 'important',
+    category: null,
+    tag: null,
+    format: 'text',
+    out: null,
+    frames: null,
+    help: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--json') {
+      options.format = 'json';
+    } else if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      const key = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+      const value = separator === -1 ? '' : arg.slice(separator + 1);
+
+      switch (key) {
+        case 'mode':
+          if (!MODES.includes(value)) {
+            throw new Error(`Unknown mode '${value}' (expected ${MODES.join('|')})`);
+          }
+          options.mode = value;
+          break;
+        case 'category':
+          if (!CATEGORIES.includes(value)) {
+            throw new Error(`Unknown category '${value}' (expected ${CATEGORIES.join('|')})`);
+          }
+          options.category = value;
+          break;
+        case 'tag':
+          options.tag = parseInt(value, 10);
+          if (isNaN(options.tag)) {
+            throw new Error(`Invalid tag type '${value}'`);
+          }
+          break;
+        case 'format':
+          if (value !== 'text' && value !== 'json' && value !== 'dot') {
+            throw new Error(`Unknown format '${value}' (expected text|json|dot)`);
+          }
+          options.format = value;
+          break;
+        case 'out':
+          if (value === '') {
+            throw new Error("--out needs a directory");
+          }
+          options.out = value;
+          break;
+        case 'frames':
+          options.frames = parseInt(value, 10);
+          if (isNaN(options.frames) || options.frames < 1) {
+            throw new Error(`Invalid frame count '${value}'`);
+          }
+          break;
+        default:
+          throw new Error(`Unknown option '--${key}'`);
+      }
+    } else if (options.command === null) {
+      options.command = arg;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function printUsage() {
+  process.stdout.write([
+    "Usage: flashjs inspect <file.swf> [more.swf ...] [options]",
+    "       flashjs decompile <file.swf> [more.swf ...] [--out=<dir>]",
+    "       flashjs cfg <file.swf> [more.swf ...] [--format=dot|json] [--out=<dir>]",
+    "       flashjs run <file.swf> [more.swf ...] [--frames=<n>] [--format=text|json]",
+    "       flashjs svg <file.swf> [more.swf ...] [--frames=<n>] [--out=<dir>]",
+    "",
+    "Options:",
+    `  --mode=<${MODES.join('|')}>   Tag display mode (default: important)`,
+    "  --category=<name>     Only show tags of one category (content and errors modes)",
+    "  --tag=<type>          Only show one tag type (content and errors modes)",
+    "  --format=text|json    Output format (default: text); --json is a shortcut",
+    "                        cfg: dot (default) or json",
+    "  --out=<dir>           decompile: write one .as file per class or script under <dir>",
+    "                        cfg: write one .dot/.json file per action block under <dir>",
+    "                        svg: write one .svg file per shape, morph frame and frame under <dir>",
+    "  --frames=<n>          run: number of frames to play (default: the movie's frame count)",
+    "                        svg: number of frames to export (default: the movie's frame count)",
+    "",
+    `Categories: ${CATEGORIES.join(', ')}`,
+    ""
+  ].join('\n'));
+}
+
+// ==================== INSPECTION ====================
+
+function readSWF(file) {
+  const buffer = fs.readFileSync(file);
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+function inspectAsText(file, arrayBuffer) {
+  const parsedInfo = parseSWFSignature(arrayBuffer);
+  const tagInfo = parseSWFTags(arrayBuffer);
+  return parsedInfo + '\n\n' + tagInfo;
+}
+
+function inspectAsJSON(file, arrayBuffer, options) {
+  const swfDocument = SWFDocument.parse(arrayBuffer, { parseContent: options.mode === 'content' || options.mode === 'errors' });
+  const tags = [];
+  let filteredOut = 0;
+
+  for (const tag of swfDocument.tags) {
+    const isUnknown = tag.name === "Unknown";
+    const canBeParsed = tag.category !== null;
+    const shouldDisplay = options.mode === 'all' || importantTags.has(tag.type) || isUnknown;
+
+    if (!shouldDisplayTagByFilter(tag.type)) {
+      filteredOut++;
+      continue;
+    }
+
+    const entry = {
+      index: tag.index,
+      type: tag.type,
+      name: tag.name,
+      category: tag.category,
+      offset: tag.offset,
+      length: tag.length
+    };
+
+    if (tag.characterId !== null) {
+      entry.characterId = tag.characterId;
+    }
+
+    switch (options.mode) {
+      case 'content':
+        if (canBeParsed && tag.parsed) {
+          entry.description = tag.parsed.description;
+          if (tag.parsed.error) {
+            entry.error = tag.parsed.error;
+          }
+          entry.content = tag.parsed.data;
+          tags.push(entry);
+        }
+        break;
+
+      case 'errors':
+        if (canBeParsed && tag.parsed && (tag.parsed.error || hasNestedError(tag.parsed.data))) {
+          entry.description = tag.parsed.description;
+          entry.error = tag.parsed.error || null;
+          entry.content = tag.parsed.data;
+          tags.push(entry);
+        }
+        break;
+
+      case 'unparsed':
+        if (!canBeParsed && shouldDisplay) {
+          entry.status = isUnknown ? "unknown" : "needs_parser";
+          tags.push(entry);
+        }
+        break;
+
+      default:
+        if (shouldDisplay) {
+          tags.push(entry);
+        }
+    }
+  }
+
+  return {
+    file: file,
+    mode: options.mode,
+    filter: window.tagTypeFilter,
+    header: swfDocument.header,
+    frames: swfDocument.frames.length,
+    characters: swfDocument.dictionary.size,
+    totalTags: swfDocument.tags.length,
+    filteredOut: filteredOut,
+    tags: tags,
+    errors: swfDocument.errors
+  };
+}
+
+function hasNestedError(data, depth = 0) {
+  if (depth > 10 || typeof data !== 'object' || data === null) {
+    return false;
+  }
+
+  if (data.error || data.parseError) {
+    return true;
+  }
+
+  return Object.values(data).some(value => hasNestedError(value, depth + 1));
+}
+
+// Typed arrays and Maps inside parsed data are written as plain arrays and objects
+function jsonReplacer(key, value) {
+  // Decoded bitmap pixels (BitmapParsers rgba) would be megabytes of numbers
+  if (value instanceof Uint8ClampedArray) {
+    return `<${value.length / 4} RGBA pixels>`;
+  }
+  // ... and so would the JPEG/PNG/GIF streams and JPEG3 alpha planes
+  if ((key === 'imageData' || key === 'alphaData') && ArrayBuffer.isView(value)) {
+    return `<${value.length} bytes>`;
+  }
+  if (ArrayBuffer.isView(value)) {
+    return Array.from(value);
+  }
+  if (value instanceof Map) {
+    return Object.fromEntries(value);
+  }
+  return value;
+}
+
+// ==================== DECOMPILATION ====================
+
+function decompileSWF(arrayBuffer) {
+  const swfDocument = SWFDocument.parse(arrayBuffer, { parseContent: true });
+  const files = [];
+
+  for (const tag of swfDocument.getTagsByType(82)) {
+    const data = tag.parsed && tag.parsed.data;
+    if (!data || !data.abcFile) {
+      throw new Error(`DoABC tag ${tag.index} could not be parsed${tag.parsed && tag.parsed.error ? `: ${tag.parsed.error}` : ''}`);
+    }
+    files.push(...new AS3Decompiler(data.abcFile).decompileAll());
+  }
+
+  files.push(...new AS2Decompiler().decompileDocument(swfDocument));
+  return files;
+}
+
+function writeOutputFiles(files, outputDirectory) {
+  for (const file of files) {
+    const target = path.join(outputDirectory, file.fileName);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.source + '\n');
+  }
+}
+
+function runDecompile(options) {
+  let failures = 0;
+
+  for (const file of options.files) {
+    try {
+      const files = decompileSWF(readSWF(file));
+
+      if (options.out !== null) {
+        writeOutputFiles(files, options.out);
+        process.stdout.write(`${file}: ${files.length} file(s) written to ${options.out}\n`);
+      } else {
+        for (const decompiled of files) {
+          process.stdout.write(`// ==> ${decompiled.fileName} <==\n${decompiled.source}\n\n`);
+        }
+      }
+    } catch (error) {
+      failures++;
+      process.stderr.write(`flashjs: ${file}: ${error.message}\n`);
+    }
+  }
+
+  return failures > 0 ? 2 : 0;
+}
+
+// ==================== CONTROL FLOW GRAPHS ====================
+
+// Every DoAction/DoInitAction action list, including the ones inside DefineSprite timelines
+function collectActionBlocks(swfDocument) {
+  const blocks = [];
+  const actionParser = new AssetParsers();
+  const tags = swfDocument.tags.map(tag => ({ type: tag.type, content: swfDocument.getTagContent(tag) }));
+
+  const walk = (entries, prefix) => {
+    let frame = 1;
+
+    for (const entry of entries) {
+      const content = entry.content;
+
+      if (entry.type === 1) {
+        frame++;
+      } else if (entry.type === 12) {
+        blocks.push({
+          name: `${prefix}frame_${frame}/DoAction`,
+          actions: actionParser.parseActionScript(new BitReader(content, 0), content.length)
+        });
+      } else if (entry.type === 59 && content.length > 2) {
+        const spriteId = content[0] | (content[1] << 8);
+        blocks.push({
+          name: `${prefix}DoInitAction_${spriteId}`,
+          actions: actionParser.parseActionScript(new BitReader(content, 2), content.length - 2)
+        });
+      } else if (entry.type === 39 && content.length > 4) {
+        const spriteId = content[0] | (content[1] << 8);
+        walk(SWFDocument.readSpriteTags(content), `${prefix}DefineSprite_${spriteId}/`);
+      }
+    }
+  };
+
+  walk(tags, "");
+  return blocks;
+}
+
+function runControlFlow(options) {
+  const builder = new AVM1ControlFlowGraph();
+  const extension = options.format === 'json' ? 'json' : 'dot';
+  let failures = 0;
+
+  for (const file of options.files) {
+    try {
+      const swfDocument = SWFDocument.parse(readSWF(file));
+      const blocks = collectActionBlocks(swfDocument);
+
+      for (const block of blocks) {
+        const graph = builder.build(block.actions, block.name);
+        const output = extension === 'json' ? builder.toJSON(graph, block.actions) : builder.toDOT(graph, block.actions);
+
+        if (options.out !== null) {
+          const target = path.join(options.out, `${block.name}.${extension}`);
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.writeFileSync(target, output + '\n');
+        } else {
+          process.stdout.write(`${output}\n\n`);
+        }
+      }
+
+      if (options.out !== null) {
+        process.stdout.write(`${file}: ${blocks.length} graph(s) written to ${options.out}\n`);
+      }
+    } catch (error) {
+      failures++;
+      process.stderr.write(`flashjs: ${file}: ${error.message}\n`);
+    }
+  }
+
+  return failures > 0 ? 2 : 0;
+}
+
+// ==================== PLAYBACK ====================
+
+// Plays a movie headless with the AVM1 interpreter (and the AVM2 interpreter for DoABC code):
+// trace output, host calls and final state
+function playSWF(arrayBuffer, frames) {
+  const events = [];
+  const onTrace = message => events.push({ type: 'trace', message: message });
+  const interpreter = new AVM1Interpreter({
+    onTrace: onTrace,
+    onGetURL: request => events.push(Object.assign({ type: 'getURL' }, request)),
+    onFSCommand: (command, args) => events.push({ type: 'fscommand', command: command, args: args })
+  });
+
+  const swfDocument = SWFDocument.parse(arrayBuffer);
+  interpreter.loadDocument(swfDocument);
+
+  let avm2 = null;
+  if (swfDocument.tags.some(tag => tag.type === 82 || tag.type === 72)) {
+    avm2 = new AVM2Interpreter({ onTrace: onTrace });
+    avm2.loadDocument(swfDocument, interpreter);
+  }
+  const frameCount = frames || swfDocument.header.frameCount || 1;
+
+  interpreter.runFrames(frameCount);
+
+  return {
+    frames: frameCount,
+    events: events,
+    errors: avm2 ? interpreter.errors.concat(avm2.errors) : interpreter.errors,
+    clips: interpreter.getAllClips().map(clip => ({
+      target: clip.getTargetPath(),
+      currentFrame: clip.currentFrame,
+      totalFrames: clip.totalFrames,
+      playing: clip.playing
+    }))
+  };
+}
+
+function formatPlayback(result) {
+  const lines = [];
+
+  for (const event of result.events) {
+    if (event.type === 'trace') {
+      lines.push(event.message);
+    } else if (event.type === 'getURL') {
+      lines.push(`[getURL] ${event.url}${event.target ? ` (${event.target})` : ''}`);
+    } else {
+      lines.push(`[fscommand] ${event.command} ${event.args}`);
+    }
+  }
+
+  result.errors.forEach(error => lines.push(`[error] ${error}`));
+  lines.push(`-- ${result.frames} frame(s) played`);
+  result.clips.forEach(clip => {
+    lines.push(`${clip.target}: frame ${clip.currentFrame}/${clip.totalFrames}${clip.playing ? '' : ' (stopped)'}`);
+  });
+
+  return lines.join('\n');
+}
+
+function runPlayback(options) {
+  if (options.format === 'dot') {
+    process.stderr.write("flashjs: --format=dot is only available for cfg\n");
+    return 1;
+  }
+
+  let failures = 0;
+
+  options.files.forEach((file, index) => {
+    try {
+      const result = playSWF(readSWF(file), options.frames);
+
+      if (options.format === 'json') {
+        process.stdout.write(JSON.stringify(Object.assign({ file: file }, result)) + '\n');
+      } else {
+        if (options.files.length > 1) {
+          process.stdout.write(`${index > 0 ? '\n' : ''}==> ${file} <==\n`);
+        }
+        process.stdout.write(formatPlayback(result) + '\n');
+      }
+    } catch (error) {
+      failures++;
+      process.stderr.write(`flashjs: ${file}: ${error.message}\n`);
+    }
+  });
+
+  return failures > 0 ? 2 : 0;
+}
+
+// ==================== SVG EXPORT ====================
+
+// Runs the browser pipeline (parseSWFTags -> translators -> window.storeTranslatedData) and keeps
+// the records it stores, in tag order
+function collectTranslatedData(arrayBuffer) {
+  const records = [];
+  const previousStore = window.storeTranslatedData;
+  window.storeTranslatedData = record => records.push(record);
+
+  try {
+    parseSWFSignature(arrayBuffer);
+    parseSWFTags(arrayBuffer);
+  } finally {
+    window.storeTranslatedData = previousStore;
+  }
+  return records;
+}
+
+function exportSVG(arrayBuffer, frames) {
+  const records = collectTranslatedData(arrayBuffer);
+  const header = window.swfHeaderInfo;
+  const timeline = new SWFTimeline();
+  const shapes = new Map();
+  const morphShapes = new Map();
+
+  for (const record of records) {
+    if (record.isShapeDefinition && record.translatedShape) {
+      shapes.set(record.translatedShape.shapeId, record.translatedShape);
+    } else if (record.isMorphShapeDefinition) {
+      morphShapes.set(record.morphShape.characterId, record.morphShape);
+    }
+    timeline.addTranslatedData(record);
+  }
+  timeline.setHeader(header);
+
+  const background = SWFDocument.parse(arrayBuffer).getTagsByType(9)[0];
+  const exporter = new SVGExporter();
+  const files = [];
+
+  for (const [shapeId, shape] of shapes) {
+    files.push({ fileName: `shapes/shape_${shapeId}.svg`, source: exporter.exportShape(shape) });
+  }
+  for (const [characterId, morphShape] of morphShapes) {
+    for (const ratio of [0, 0.5, 1]) {
+      files.push({
+        fileName: `morphs/morph_${characterId}_${Math.round(ratio * 100)}.svg`,
+        source: exporter.exportMorphShape(morphShape, ratio)
+      });
+    }
+  }
+
+  const frameCount = frames || Math.max(1, timeline.totalFrames);
+  const frameOptions = {
+    width: header ? header.stageWidth : 550,
+    height: header ? header.stageHeight : 400,
+    backgroundColor: background && background.parsed && background.parsed.data ? background.parsed.data.color : null,
+    shapes: shapes,
+    morphShapes: morphShapes,
+    timeline: timeline
+  };
+
+  timeline.seek(1);
+  for (let frame = 1; frame <= frameCount; frame++) {
+    if (frame > 1) {
+      timeline.step();
+    }
+    files.push({ fileName: `frames/frame_${frame}.svg`, source: exporter.exportFrame(timeline.getDisplayList(), frameOptions) });
+  }
+
+  return files;
+}
+
+function runSVGExport(options) {
+  let failures = 0;
+
+  for (const file of options.files) {
+    try {
+      const files = exportSVG(readSWF(file), options.frames);
+
+      if (options.out !== null) {
+        writeOutputFiles(files, options.out);
+        process.stdout.write(`${file}: ${files.length} file(s) written to ${options.out}\n`);
+      } else {
+        for (const exported of files) {
+          process.stdout.write(`<!-- ==> ${exported.fileName} <== -->\n${exported.source}\n\n`);
+        }
+      }
+    } catch (error) {
+      failures++;
+      process.stderr.write(`flashjs: ${file}: ${error.message}\n`);
+    }
+  }
+
+  return failures > 0 ? 2 : 0;
+}
+
+// ==================== MAIN ====================
+
+function main(argv) {
+  let options;
+
+  try {
+    options = parseArguments(argv);
+  } catch (error) {
+    process.stderr.write(`flashjs: ${error.message}\n`);
+    return 1;
+  }
+
+  if (options.help || options.command === null) {
+    printUsage();
+    return options.help ? 0 : 1;
+  }
+
+  if (!['inspect', 'decompile', 'cfg', 'run', 'svg'].includes(options.command)) {
+    process.stderr.write(`flashjs: unknown command '${options.command}'\n`);
+    return 1;
+  }
+
+  if (options.files.length === 0) {
+    process.stderr.write("flashjs: no input files\n");
+    return 1;
+  }
+
+  loadFlashJS();
+
+  if (options.command === 'decompile') {
+    return runDecompile(options);
+  }
+
+  if (options.command === 'cfg') {
+    return runControlFlow(options);
+  }
+
+  if (options.command === 'run') {
+    return runPlayback(options);
+  }
+
+  if (options.command === 'svg') {
+    return runSVGExport(options);
+  }
+
+  if (options.format === 'dot') {
+    process.stderr.write("flashjs: --format=dot is only available for cfg\n");
+    return 1;
+  }
+
+  applyMode(options);
+
+  let failures = 0;
+
+  options.files.forEach((file, index) => {
+    try {
+      const arrayBuffer = readSWF(file);
+
+      if (options.format === 'json') {
+        process.stdout.write(JSON.stringify(inspectAsJSON(file, arrayBuffer, options), jsonReplacer) + '\n');
+      } else {
+        if (options.files.length > 1) {
+          process.stdout.write(`${index > 0 ? '\n' : ''}==> ${file} <==\n`);
+        }
+        process.stdout.write(inspectAsText(file, arrayBuffer) + '\n');
+      }
+    } catch (error) {
+      failures++;
+      if (options.format === 'json') {
+        process.stdout.write(JSON.stringify({ file: file, error: error.message }) + '\n');
+      } else {
+        process.stderr.write(`flashjs: ${file}: ${error.message}\n`);
+      }
+    }
+  });
+
+  return failures > 0 ? 2 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, loadFlashJS, parseArguments };
@@ -0,0 +1,352 @@
+/*
+ * LZMA Decoder - v1.0
+ * Self-contained, synchronous LZMA decoder used for ZWS (LZMA compressed) SWF files
+ * Replaces the async LZMA-JS CDN script so header analysis and tag parsing work offline
+ * ZWS layout: "ZWS" + version (UI8) + uncompressed file length (UI32, includes the 8-byte header)
+ *             + compressed length (UI32, excludes props) + LZMA props (5 bytes) + LZMA data
+ * Decoding follows the reference LZMA specification (range coder, literal/match/rep states)
+ */
+class LZMADecoder {
+  constructor() {
+    this.kNumStates = 12;
+    this.kNumPosBitsMax = 4;
+    this.kNumLenToPosStates = 4;
+    this.kNumAlignBits = 4;
+    this.kStartPosModelIndex = 4;
+    this.kEndPosModelIndex = 14;
+    this.kNumFullDistances = 1 << (this.kEndPosModelIndex >> 1);
+    this.kMatchMinLen = 2;
+  }
+
+  // ==================== SWF ENTRY POINT ====================
+
+  // Returns the uncompressed bytes that follow the 8-byte file header (RECT onwards)
+  static decompressSWF(bytes) {
+    if (bytes.length < 17) {
+      throw new Error("ZWS file is too small to contain an LZMA header");
+    }
+
+    const signature = String.fromCharCode(bytes[0], bytes[1], bytes[2]);
+    if (signature !== 'ZWS') {
+      throw new Error(`Not a ZWS file (signature '${signature}')`);
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const fileLength = view.getUint32(4, true);
+    const compressedLength = view.getUint32(8, true);
+
+    if (fileLength < 8) {
+      throw new Error(`Invalid uncompressed length ${fileLength} in ZWS header`);
+    }
+
+    // Some writers leave the compressed length at 0 or too large - fall back to the real size
+    const availableLength = bytes.length - 17;
+    const dataLength = compressedLength > 0 && compressedLength <= availableLength ? compressedLength : availableLength;
+
+    const decoder = new LZMADecoder();
+    return decoder.decode(bytes.subarray(12, 17), bytes.subarray(17, 17 + dataLength), fileLength - 8);
+  }
+
+  // ==================== DECODER ====================
+
+  decode(properties, input, outputSize) {
+    this.parseProperties(properties);
+    this.initProbabilities();
+    this.initRangeDecoder(input);
+
+    const output = new Uint8Array(outputSize);
+    const pbMask = (1 << this.pb) - 1;
+
+    let position = 0;
+    let state = 0;
+    let rep0 = 0, rep1 = 0, rep2 = 0, rep3 = 0;
+
+    while (position < outputSize) {
+      const posState = position & pbMask;
+
+      if (this.decodeBit(this.isMatch, (state << this.kNumPosBitsMax) + posState) === 0) {
+        output[position] = this.decodeLiteral(output, position, state, rep0);
+        position++;
+        state = state < 4 ? 0 : (state < 10 ? state - 3 : state - 6);
+        continue;
+      }
+
+      let length;
+
+      if (this.decodeBit(this.isRep, state) !== 0) {
+        if (position === 0) {
+          throw new Error("LZMA data error: repeat match at start of stream");
+        }
+
+        if (this.decodeBit(this.isRepG0, state) === 0) {
+          if (this.decodeBit(this.isRep0Long, (state << this.kNumPosBitsMax) + posState) === 0) {
+            // Short rep: a single byte from distance rep0
+            state = state < 7 ? 9 : 11;
+            output[position] = output[position - rep0 - 1];
+            position++;
+            continue;
+          }
+        } else {
+          let distance;
+
+          if (this.decodeBit(this.isRepG1, state) === 0) {
+            distance = rep1;
+          } else {
+            if (this.decodeBit(this.isRepG2, state) === 0) {
+              distance = rep2;
+            } else {
+              distance = rep3;
+              rep3 = rep2;
+            }
+            rep2 = rep1;
+          }
+
+          rep1 = rep0;
+          rep0 = distance;
+        }
+
+        length = this.decodeLength(this.repLenDecoder, posState);
+        state = state < 7 ? 8 : 11;
+      } else {
+        rep3 = rep2;
+        rep2 = rep1;
+        rep1 = rep0;
+
+        length = this.decodeLength(this.lenDecoder, posState);
+        state = state < 7 ? 7 : 10;
+        rep0 = this.decodeDistance(length);
+
+        if (rep0 === 0xFFFFFFFF) {
+          // End marker before the declared size - the stream is shorter than the header claims
+          throw new Error(`LZMA data error: end marker after ${position} of ${outputSize} bytes`);
+        }
+
+        if (rep0 >= position) {
+          throw new Error(`LZMA data error: match distance ${rep0 + 1} exceeds decoded data (${position} bytes)`);
+        }
+      }
+
+      length += this.kMatchMinLen;
+
+      if (length > outputSize - position) {
+        length = outputSize - position;
+      }
+
+      const source = position - rep0 - 1;
+      for (let i = 0; i < length; i++) {
+        output[position + i] = output[source + i];
+      }
+      position += length;
+    }
+
+    return output;
+  }
+
+  parseProperties(properties) {
+    if (properties.length < 5) {
+      throw new Error("LZMA properties are truncated");
+    }
+
+    let d = properties[0];
+    if (d >= 9 * 5 * 5) {
+      throw new Error(`Invalid LZMA properties byte 0x${d.toString(16)}`);
+    }
+
+    this.lc = d % 9;
+    d = Math.floor(d / 9);
+    this.lp = d % 5;
+    this.pb = Math.floor(d / 5);
+
+    this.dictionarySize = (properties[1] | (properties[2] << 8) | (properties[3] << 16) | (properties[4] << 24)) >>> 0;
+  }
+
+  initProbabilities() {
+    const createProbs = (count) => new Uint16Array(count).fill(1024);
+    const posStates = 1 << this.kNumPosBitsMax;
+
+    this.literalProbs = createProbs(0x300 << (this.lc + this.lp));
+    this.isMatch = createProbs(this.kNumStates << this.kNumPosBitsMax);
+    this.isRep = createProbs(this.kNumStates);
+    this.isRepG0 = createProbs(this.kNumStates);
+    this.isRepG1 = createProbs(this.kNumStates);
+    this.isRepG2 = createProbs(this.kNumStates);
+    this.isRep0Long = createProbs(this.kNumStates << this.kNumPosBitsMax);
+    this.posSlotDecoder = createProbs(this.kNumLenToPosStates << 6);
+    this.posDecoders = createProbs(1 + this.kNumFullDistances - this.kEndPosModelIndex);
+    this.alignDecoder = createProbs(1 << this.kNumAlignBits);
+
+    const createLengthDecoder = () => ({
+      choice: createProbs(2),
+      low: createProbs(posStates << 3),
+      mid: createProbs(posStates << 3),
+      high: createProbs(256)
+    });
+
+    this.lenDecoder = createLengthDecoder();
+    this.repLenDecoder = createLengthDecoder();
+  }
+
+  // ==================== SYMBOL DECODING ====================
+
+  decodeLiteral(output, position, state, rep0) {
+    const previousByte = position > 0 ? output[position - 1] : 0;
+    const litState = ((position & ((1 << this.lp) - 1)) << this.lc) + (previousByte >> (8 - this.lc));
+    const base = 0x300 * litState;
+    let symbol = 1;
+
+    if (state >= 7) {
+      // After a match the literal is coded relative to the byte at distance rep0
+      let matchByte = output[position - rep0 - 1];
+
+      do {
+        const matchBit = (matchByte >> 7) & 1;
+        matchByte <<= 1;
+        const bit = this.decodeBit(this.literalProbs, base + ((1 + matchBit) << 8) + symbol);
+        symbol = (symbol << 1) | bit;
+
+        if (matchBit !== bit) {
+          break;
+        }
+      } while (symbol < 0x100);
+    }
+
+    while (symbol < 0x100) {
+      symbol = (symbol << 1) | this.decodeBit(this.literalProbs, base + symbol);
+    }
+
+    return symbol - 0x100;
+  }
+
+  decodeLength(decoder, posState) {
+    if (this.decodeBit(decoder.choice, 0) === 0) {
+      return this.decodeBitTree(decoder.low, posState << 3, 3);
+    }
+
+    if (this.decodeBit(decoder.choice, 1) === 0) {
+      return 8 + this.decodeBitTree(decoder.mid, posState << 3, 3);
+    }
+
+    return 16 + this.decodeBitTree(decoder.high, 0, 8);
+  }
+
+  decodeDistance(length) {
+    const lenState = Math.min(length, this.kNumLenToPosStates - 1);
+    const posSlot = this.decodeBitTree(this.posSlotDecoder, lenState << 6, 6);
+
+    if (posSlot < 4) {
+      return posSlot;
+    }
+
+    const numDirectBits = (posSlot >>> 1) - 1;
+    let distance = ((2 | (posSlot & 1)) << numDirectBits) >>> 0;
+
+    if (posSlot < this.kEndPosModelIndex) {
+      distance += this.decodeReverseBitTree(this.posDecoders, distance - posSlot, numDirectBits);
+    } else {
+      distance += this.decodeDirectBits(numDirectBits - this.kNumAlignBits) * (1 << this.kNumAlignBits);
+      distance += this.decodeReverseBitTree(this.alignDecoder, 0, this.kNumAlignBits);
+    }
+
+    return distance >>> 0;
+  }
+
+  decodeBitTree(probs, offset, numBits) {
+    let m = 1;
+    for (let i = 0; i < numBits; i++) {
+      m = (m << 1) + this.decodeBit(probs, offset + m);
+    }
+    return m - (1 << numBits);
+  }
+
+  decodeReverseBitTree(probs, offset, numBits) {
+    let m = 1;
+    let symbol = 0;
+    for (let i = 0; i < numBits; i++) {
+      const bit = this.decodeBit(probs, offset + m);
+      m = (m << 1) + bit;
+      symbol |= bit << i;
+    }
+    return symbol;
+  }
+
+  // ==================== RANGE DECODER ====================
+
+  initRangeDecoder(input) {
+    if (input.length < 5) {
+      throw new Error("LZMA data is truncated");
+    }
+
+    if (input[0] !== 0) {
+      throw new Error("LZMA data error: range coder must start with a zero byte");
+    }
+
+    this.input = input;
+    this.inputOffset = 5;
+    this.range = 0xFFFFFFFF;
+    this.code = ((input[1] << 24) | (input[2] << 16) | (input[3] << 8) | input[4]) >>> 0;
+
+    if (this.code === this.range) {
+      throw new Error("LZMA data error: invalid range coder state");
+    }
+  }
+
+  nextInputByte() {
+    // Reading past the end yields zeros, as the reference decoder's padding does
+    return this.inputOffset < this.input.length ? this.input[this.inputOffset++] : 0;
+  }
+
+  normalize() {
+    if (this.range < 0x1000000) {
+      this.range = (this.range << 8) >>> 0;
+      this.code = ((this.code << 8) | this.nextInputByte()) >>> 0;
+    }
+  }
+
+  decodeBit(probs, index) {
+    const prob = probs[index];
+    const bound = (this.range >>> 11) * prob;
+    let bit;
+
+    if (this.code < bound) {
+      this.range = bound;
+      probs[index] = prob + ((2048 - prob) >>> 5);
+      bit = 0;
+    } else {
+      this.range -= bound;
+      this.code -= bound;
+      probs[index] = prob - (prob >>> 5);
+      bit = 1;
+    }
+
+    this.normalize();
+    return bit;
+  }
+
+  decodeDirectBits(numBits) {
+    let result = 0;
+
+    for (let i = 0; i < numBits; i++) {
+      this.range = this.range >>> 1;
+      let bit = 0;
+
+      if (this.code >= this.range) {
+        this.code -= this.range;
+        bit = 1;
+      }
+
+      result = ((result << 1) | bit) >>> 0;
+      this.normalize();
+    }
+
+    return result;
+  }
+}
+
+// Export for use by other parsers
+if (typeof window !== 'undefined') {
+  window.LZMADecoder = LZMADecoder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LZMADecoder;
+}
@@ -0,0 +1,448 @@
+/*
+ * LZMA Encoder - v1.0
+ * Self-contained, synchronous LZMA encoder used by the SWF writer for ZWS output
+ * Counterpart of LZMADecoder: same probability model, states and range coder
+ * Uses a hash-chain match finder with greedy parsing (plus the four rep distances),
+ * which keeps the implementation small while producing standard LZMA streams
+ * Streams end with the LZMA end marker so both sized and unsized decoders accept them
+ */
+class LZMAEncoder {
+  constructor(options = {}) {
+    this.kNumStates = 12;
+    this.kNumPosBitsMax = 4;
+    this.kNumLenToPosStates = 4;
+    this.kNumAlignBits = 4;
+    this.kEndPosModelIndex = 14;
+    this.kNumFullDistances = 1 << (this.kEndPosModelIndex >> 1);
+    this.kMatchMinLen = 2;
+    this.kMatchMaxLen = 273;
+
+    // lc=3, lp=0, pb=2 are the LZMA defaults (properties byte 0x5D)
+    this.lc = 3;
+    this.lp = 0;
+    this.pb = 2;
+
+    this.maxDictionarySize = options.dictionarySize || (1 << 24);
+    this.maxChainLength = options.maxChainLength || 32;
+  }
+
+  // ==================== SWF ENTRY POINT ====================
+
+  // Builds a complete ZWS file from the uncompressed bytes that follow the 8-byte file header
+  static compressSWF(version, body) {
+    const encoder = new LZMAEncoder();
+    const encoded = encoder.encode(body);
+
+    const output = new Uint8Array(17 + encoded.data.length);
+    const view = new DataView(output.buffer);
+
+    output[0] = 0x5A; // Z
+    output[1] = 0x57; // W
+    output[2] = 0x53; // S
+    output[3] = version;
+    view.setUint32(4, body.length + 8, true);
+    view.setUint32(8, encoded.data.length, true);
+    output.set(encoded.properties, 12);
+    output.set(encoded.data, 17);
+
+    return output;
+  }
+
+  // ==================== ENCODER ====================
+
+  encode(input) {
+    this.dictionarySize = this.chooseDictionarySize(input.length);
+    this.initProbabilities();
+    this.initRangeEncoder();
+    this.initMatchFinder(input.length);
+
+    const pbMask = (1 << this.pb) - 1;
+    const reps = [0, 0, 0, 0];
+    let state = 0;
+    let position = 0;
+
+    while (position < input.length) {
+      const posState = position & pbMask;
+      const available = Math.min(this.kMatchMaxLen, input.length - position);
+
+      // Longest match among the rep distances (cheapest to code)
+      let repLength = 0;
+      let repIndex = 0;
+      if (position > 0 && available >= this.kMatchMinLen) {
+        for (let i = 0; i < 4; i++) {
+          if (reps[i] >= position) {
+            continue;
+          }
+          const length = this.getMatchLength(input, position, position - reps[i] - 1, available);
+          if (length > repLength) {
+            repLength = length;
+            repIndex = i;
+          }
+        }
+      }
+
+      const match = available >= 3 ? this.findMatch(input, position, available) : { length: 0, distance: 0 };
+      this.insertHash(input, position);
+
+      if (repLength >= this.kMatchMinLen && repLength + 1 >= match.length) {
+        this.encodeRepMatch(state, posState, repIndex, repLength, reps);
+        state = state < 7 ? 8 : 11;
+        this.skipPositions(input, position + 1, repLength - 1);
+        position += repLength;
+      } else if (match.length >= 3 || (match.length === 2 && match.distance < 128)) {
+        this.encodeMatch(state, posState, match.distance, match.length);
+        state = state < 7 ? 7 : 10;
+        reps[3] = reps[2];
+        reps[2] = reps[1];
+        reps[1] = reps[0];
+        reps[0] = match.distance;
+        this.skipPositions(input, position + 1, match.length - 1);
+        position += match.length;
+      } else {
+        this.encodeBit(this.isMatch, (state << this.kNumPosBitsMax) + posState, 0);
+        this.encodeLiteral(input, position, state, reps[0]);
+        state = state < 4 ? 0 : (state < 10 ? state - 3 : state - 6);
+        position++;
+      }
+    }
+
+    // End marker: a match with distance 0xFFFFFFFF
+    this.encodeMatch(state, position & pbMask, 0xFFFFFFFF, this.kMatchMinLen);
+    this.flushRangeEncoder();
+
+    return {
+      properties: this.getProperties(),
+      data: this.output.subarray(0, this.outputLength)
+    };
+  }
+
+  chooseDictionarySize(inputLength) {
+    let size = 1 << 12;
+    while (size < inputLength && size < this.maxDictionarySize) {
+      size *= 2;
+    }
+    return size;
+  }
+
+  getProperties() {
+    const properties = new Uint8Array(5);
+    properties[0] = (this.pb * 5 + this.lp) * 9 + this.lc;
+    properties[1] = this.dictionarySize & 0xFF;
+    properties[2] = (this.dictionarySize >>> 8) & 0xFF;
+    properties[3] = (this.dictionarySize >>> 16) & 0xFF;
+    properties[4] = (this.dictionarySize >>> 24) & 0xFF;
+    return properties;
+  }
+
+  initProbabilities() {
+    const createProbs = (count) => new Uint16Array(count).fill(1024);
+    const posStates = 1 << this.kNumPosBitsMax;
+
+    this.literalProbs = createProbs(0x300 << (this.lc + this.lp));
+    this.isMatch = createProbs(this.kNumStates << this.kNumPosBitsMax);
+    this.isRep = createProbs(this.kNumStates);
+    this.isRepG0 = createProbs(this.kNumStates);
+    this.isRepG1 = createProbs(this.kNumStates);
+    this.isRepG2 = createProbs(this.kNumStates);
+    this.isRep0Long = createProbs(this.kNumStates << this.kNumPosBitsMax);
+    this.posSlotEncoder = createProbs(this.kNumLenToPosStates << 6);
+    this.posEncoders = createProbs(1 + this.kNumFullDistances - this.kEndPosModelIndex);
+    this.alignEncoder = createProbs(1 << this.kNumAlignBits);
+
+    const createLengthEncoder = () => ({
+      choice: createProbs(2),
+      low: createProbs(posStates << 3),
+      mid: createProbs(posStates << 3),
+      high: createProbs(256)
+    });
+
+    this.lenEncoder = createLengthEncoder();
+    this.repLenEncoder = createLengthEncoder();
+  }
+
+  // ==================== MATCH FINDER ====================
+
+  initMatchFinder(inputLength) {
+    this.hashBits = 16;
+    this.hashHead = new Int32Array(1 << this.hashBits).fill(-1);
+    this.hashChain = new Int32Array(Math.max(inputLength, 1));
+  }
+
+  hash(input, position) {
+    return ((input[position] << 8) ^ (input[position + 1] << 4) ^ input[position + 2] ^ (input[position] >> 4)) & ((1 << this.hashBits) - 1);
+  }
+
+  insertHash(input, position) {
+    if (position + 2 >= input.length) {
+      return;
+    }
+    const key = this.hash(input, position);
+    this.hashChain[position] = this.hashHead[key];
+    this.hashHead[key] = position;
+  }
+
+  skipPositions(input, start, count) {
+    for (let i = 0; i < count; i++) {
+      this.insertHash(input, start + i);
+    }
+  }
+
+  findMatch(input, position, available) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (position + 2 >= input.length) {
+      return { length: 0, distance: 0 };
+    }
+
+    let candidate = this.hashHead[this.hash(input, position)];
+    let chain = this.maxChainLength;
+
+    while (candidate >= 0 && chain-- > 0) {
+      const distance = position - candidate - 1;
+      if (distance >= this.dictionarySize) {
+        break;
+      }
+
+      if (input[candidate + bestLength] === input[position + bestLength]) {
+        const length = this.getMatchLength(input, position, candidate, available);
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = distance;
+          if (length === available) {
+            break;
+          }
+        }
+      }
+
+      candidate = this.hashChain[candidate];
+    }
+
+    return { length: bestLength, distance: bestDistance };
+  }
+
+  getMatchLength(input, position, source, available) {
+    let length = 0;
+    while (length < available && input[source + length] === input[position + length]) {
+      length++;
+    }
+    return length;
+  }
+
+  // ==================== SYMBOL ENCODING ====================
+
+  encodeLiteral(input, position, state, rep0) {
+    const previousByte = position > 0 ? input[position - 1] : 0;
+    const litState = ((position & ((1 << this.lp) - 1)) << this.lc) + (previousByte >> (8 - this.lc));
+    const base = 0x300 * litState;
+    const value = input[position];
+    let symbol = 1;
+    let matched = state >= 7;
+    const matchByte = matched ? input[position - rep0 - 1] : 0;
+
+    for (let i = 7; i >= 0; i--) {
+      const bit = (value >> i) & 1;
+
+      if (matched) {
+        const matchBit = (matchByte >> i) & 1;
+        this.encodeBit(this.literalProbs, base + ((1 + matchBit) << 8) + symbol, bit);
+        matched = matchBit === bit;
+      } else {
+        this.encodeBit(this.literalProbs, base + symbol, bit);
+      }
+
+      symbol = (symbol << 1) | bit;
+    }
+  }
+
+  encodeMatch(state, posState, distance, length) {
+    this.encodeBit(this.isMatch, (state << this.kNumPosBitsMax) + posState, 1);
+    this.encodeBit(this.isRep, state, 0);
+    this.encodeLength(this.lenEncoder, length - this.kMatchMinLen, posState);
+    this.encodeDistance(distance, length - this.kMatchMinLen);
+  }
+
+  encodeRepMatch(state, posState, repIndex, length, reps) {
+    this.encodeBit(this.isMatch, (state << this.kNumPosBitsMax) + posState, 1);
+    this.encodeBit(this.isRep, state, 1);
+
+    if (repIndex === 0) {
+      this.encodeBit(this.isRepG0, state, 0);
+      this.encodeBit(this.isRep0Long, (state << this.kNumPosBitsMax) + posState, 1);
+    } else {
+      this.encodeBit(this.isRepG0, state, 1);
+
+      if (repIndex === 1) {
+        this.encodeBit(this.isRepG1, state, 0);
+      } else {
+        this.encodeBit(this.isRepG1, state, 1);
+        this.encodeBit(this.isRepG2, state, repIndex === 3 ? 1 : 0);
+      }
+
+      // Move the used distance to the front, as the decoder does
+      const distance = reps[repIndex];
+      for (let i = repIndex; i > 0; i--) {
+        reps[i] = reps[i - 1];
+      }
+      reps[0] = distance;
+    }
+
+    this.encodeLength(this.repLenEncoder, length - this.kMatchMinLen, posState);
+  }
+
+  encodeLength(encoder, length, posState) {
+    if (length < 8) {
+      this.encodeBit(encoder.choice, 0, 0);
+      this.encodeBitTree(encoder.low, posState << 3, 3, length);
+    } else if (length < 16) {
+      this.encodeBit(encoder.choice, 0, 1);
+      this.encodeBit(encoder.choice, 1, 0);
+      this.encodeBitTree(encoder.mid, posState << 3, 3, length - 8);
+    } else {
+      this.encodeBit(encoder.choice, 0, 1);
+      this.encodeBit(encoder.choice, 1, 1);
+      this.encodeBitTree(encoder.high, 0, 8, length - 16);
+    }
+  }
+
+  encodeDistance(distance, length) {
+    const lenState = Math.min(length, this.kNumLenToPosStates - 1);
+    const posSlot = this.getPosSlot(distance);
+
+    this.encodeBitTree(this.posSlotEncoder, lenState << 6, 6, posSlot);
+
+    if (posSlot < 4) {
+      return;
+    }
+
+    const footerBits = (posSlot >>> 1) - 1;
+    const base = (2 | (posSlot & 1)) * Math.pow(2, footerBits);
+    const reduced = distance - base;
+
+    if (posSlot < this.kEndPosModelIndex) {
+      this.encodeReverseBitTree(this.posEncoders, base - posSlot, footerBits, reduced);
+    } else {
+      this.encodeDirectBits(Math.floor(reduced / (1 << this.kNumAlignBits)), footerBits - this.kNumAlignBits);
+      this.encodeReverseBitTree(this.alignEncoder, 0, this.kNumAlignBits, reduced & ((1 << this.kNumAlignBits) - 1));
+    }
+  }
+
+  getPosSlot(distance) {
+    if (distance < 4) {
+      return distance;
+    }
+
+    let topBit = 31;
+    while (distance < Math.pow(2, topBit)) {
+      topBit--;
+    }
+    const nextBit = Math.floor(distance / Math.pow(2, topBit - 1)) & 1;
+    return (topBit << 1) | nextBit;
+  }
+
+  encodeBitTree(probs, offset, numBits, symbol) {
+    let m = 1;
+    for (let i = numBits - 1; i >= 0; i--) {
+      const bit = (symbol >>> i) & 1;
+      this.encodeBit(probs, offset + m, bit);
+      m = (m << 1) | bit;
+    }
+  }
+
+  encodeReverseBitTree(probs, offset, numBits, symbol) {
+    let m = 1;
+    for (let i = 0; i < numBits; i++) {
+      const bit = symbol & 1;
+      symbol >>>= 1;
+      this.encodeBit(probs, offset + m, bit);
+      m = (m << 1) | bit;
+    }
+  }
+
+  // ==================== RANGE ENCODER ====================
+
+  initRangeEncoder() {
+    this.low = 0;
+    this.range = 0xFFFFFFFF;
+    this.cache = 0;
+    this.cacheSize = 1;
+    this.output = new Uint8Array(1024);
+    this.outputLength = 0;
+  }
+
+  writeByte(value) {
+    if (this.outputLength >= this.output.length) {
+      const grown = new Uint8Array(this.output.length * 2);
+      grown.set(this.output);
+      this.output = grown;
+    }
+    this.output[this.outputLength++] = value;
+  }
+
+  shiftLow() {
+    // low can carry into bit 32; doubles hold it exactly
+    const low32 = this.low % 0x100000000;
+    const carry = this.low >= 0x100000000 ? 1 : 0;
+
+    if (low32 < 0xFF000000 || carry) {
+      let temp = this.cache;
+      do {
+        this.writeByte((temp + carry) & 0xFF);
+        temp = 0xFF;
+      } while (--this.cacheSize !== 0);
+      this.cache = low32 >>> 24;
+    }
+
+    this.cacheSize++;
+    this.low = (low32 & 0x00FFFFFF) * 256;
+  }
+
+  encodeBit(probs, index, bit) {
+    const prob = probs[index];
+    const bound = (this.range >>> 11) * prob;
+
+    if (bit === 0) {
+      this.range = bound;
+      probs[index] = prob + ((2048 - prob) >>> 5);
+    } else {
+      this.low += bound;
+      this.range -= bound;
+      probs[index] = prob - (prob >>> 5);
+    }
+
+    while (this.range < 0x1000000) {
+      this.range = (this.range * 256) >>> 0;
+      this.shiftLow();
+    }
+  }
+
+  encodeDirectBits(value, numBits) {
+    for (let i = numBits - 1; i >= 0; i--) {
+      this.range = this.range >>> 1;
+
+      if ((Math.floor(value / Math.pow(2, i)) & 1) === 1) {
+        this.low += this.range;
+      }
+
+      while (this.range < 0x1000000) {
+        this.range = (this.range * 256) >>> 0;
+        this.shiftLow();
+      }
+    }
+  }
+
+  flushRangeEncoder() {
+    for (let i = 0; i < 5; i++) {
+      this.shiftLow();
+    }
+  }
+}
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.LZMAEncoder = LZMAEncoder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LZMAEncoder;
+}
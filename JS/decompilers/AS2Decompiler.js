@@ -0,0 +1,1462 @@
+/*
+ * ActionScript 1.0/2.0 Decompiler - v1.0
+ * Rebuilds readable AS1/AS2 source from AVM1 action records (AssetParsers.parseActionScript):
+ * - DoAction frame scripts and DoInitAction sprite initializers
+ * - DefineButton/DefineButton2 condition actions as on (event) handlers
+ * - PlaceObject2/3 clip actions as onClipEvent (event) handlers
+ * Stack simulation turns pushes and operators back into expressions, ConstantPool entries are
+ * resolved, DefineFunction2 registers get their parameter and preload names, and If/Jump
+ * branches are rebuilt into if/else, while, do-while, for-in, switch, break and continue
+ * Branches that do not fit a structure are kept as "// goto" comments instead of failing
+ */
+class AS2Decompiler {
+  constructor() {
+    this.indentUnit = "  ";
+    this.maxFunctionDepth = 16;
+    this.actionParser = null;
+  }
+
+  // ==================== PUBLIC API ====================
+
+  // Decompiles one action block (DoAction, a function body, a button or clip event handler)
+  decompileActions(actions) {
+    return this.render(this.decompileActionLines(actions));
+  }
+
+  decompileActionLines(actions, constants = { pool: [] }) {
+    const ctx = this.createContext(actions, constants);
+
+    try {
+      const result = this.decompileRange(ctx, 0, actions.length, [], ctx.endOffset);
+      return this.flushStack(result.stack, result.lines);
+    } catch (error) {
+      return [this.line(`// Decompilation failed: ${error.message}`),
+        ...actions.map(action => this.line(`// ${String(action.offset).padStart(5)}  ${action.description}`))];
+    }
+  }
+
+  // Raw action bytes (e.g. DoAction tag content)
+  decompileActionBytes(bytes) {
+    return this.decompileActions(this.parseActionBytes(bytes));
+  }
+
+  parseActionBytes(bytes) {
+    if (!this.actionParser) {
+      this.actionParser = new AssetParsers();
+    }
+    return this.actionParser.parseActionScript(new BitReader(bytes, 0), bytes.length);
+  }
+
+  // DefineButton2 BUTTONCONDACTION records (ButtonParsers.parseButtonCondActions)
+  decompileButtonCondActions(condActions) {
+    const lines = [];
+
+    condActions.forEach((record, index) => {
+      if (index > 0) lines.push(this.line(""));
+      const events = this.getButtonEventNames(record.conditions, record.keyPress);
+      lines.push(this.line(`on (${events.join(", ")}) {`),
+        ...this.indent(this.decompileActionLines(record.actions || [])), this.line("}"));
+    });
+
+    return this.render(lines);
+  }
+
+  // DefineButton (version 1) actions run on release
+  decompileButtonActions(actions) {
+    return this.render([this.line("on (release) {"), ...this.indent(this.decompileActionLines(actions)), this.line("}")]);
+  }
+
+  // PlaceObject2/3 CLIPACTIONS (DisplayParsers.parseClipActions)
+  decompileClipActions(clipActions) {
+    const lines = [];
+    const buttonEvents = new Set(["press", "release", "releaseOutside", "rollOver", "rollOut", "dragOver", "dragOut", "keyPress"]);
+
+    for (const record of clipActions.records || []) {
+      const body = this.decompileActionLines(record.actions || []);
+      const clipEvents = record.events.filter(event => !buttonEvents.has(event));
+      const handlerEvents = record.events.filter(event => buttonEvents.has(event))
+        .map(event => event === "keyPress" ? `keyPress ${this.formatKeyCode(record.keyCode)}` : event);
+
+      // onClipEvent takes a single event, so records covering several events repeat the body
+      const headers = clipEvents.map(event => `onClipEvent (${event}) {`);
+      if (handlerEvents.length > 0) {
+        headers.push(`on (${handlerEvents.join(", ")}) {`);
+      }
+
+      for (const header of headers) {
+        if (lines.length > 0) lines.push(this.line(""));
+        lines.push(this.line(header), ...this.indent(body), this.line("}"));
+      }
+    }
+
+    return this.render(lines);
+  }
+
+  // Every AS1/AS2 script in a document: frame scripts (also inside sprites), init actions,
+  // buttons and clip events. Returns [{ fileName, kind, source }]
+  decompileDocument(swfDocument) {
+    const files = [];
+    const exportNames = new Map();
+
+    for (const tag of swfDocument.tags) {
+      if (tag.type === 56 && tag.parsed && tag.parsed.data && tag.parsed.data.assets) {
+        tag.parsed.data.assets.forEach(asset => exportNames.set(asset.characterId, asset.name));
+      }
+    }
+
+    const entries = swfDocument.tags.map(tag => ({
+      type: tag.type,
+      content: swfDocument.getTagContent(tag),
+      parsed: tag.parsed
+    }));
+
+    this.decompileTimeline(entries, "", exportNames, files);
+    return files;
+  }
+
+  // ==================== DOCUMENT WALKING ====================
+
+  decompileTimeline(entries, prefix, exportNames, files) {
+    let frame = 1;
+
+    for (const entry of entries) {
+      const content = entry.content;
+
+      switch (entry.type) {
+        case 1: // ShowFrame
+          frame++;
+          break;
+
+        case 12: // DoAction
+          this.addFile(files, `${prefix}frame_${frame}/DoAction.as`, "DoAction", this.decompileActionBytes(content));
+          break;
+
+        case 59: { // DoInitAction
+          const spriteId = content[0] | (content[1] << 8);
+          const exportName = exportNames.get(spriteId);
+          const fileName = exportName ? `${exportName.replace(/\./g, '/')}.as` : `DoInitAction_${spriteId}.as`;
+          this.addFile(files, `${prefix}${fileName}`, "DoInitAction", this.decompileActionBytes(content.subarray(2)));
+          break;
+        }
+
+        case 26: // PlaceObject2
+        case 70: { // PlaceObject3
+          const parsed = this.getParsedEntry(entry, typeof DisplayParsers !== 'undefined' ? DisplayParsers : null);
+          const data = parsed && parsed.data;
+          if (data && data.clipActions && data.clipActions.records.length > 0) {
+            this.addFile(files, `${prefix}frame_${frame}/PlaceObject_depth${data.depth}.as`, "ClipActions",
+              this.decompileClipActions(data.clipActions));
+          }
+          break;
+        }
+
+        case 7: // DefineButton
+        case 34: { // DefineButton2
+          const parsed = this.getParsedEntry(entry, typeof ButtonParsers !== 'undefined' ? ButtonParsers : null);
+          const data = parsed && parsed.data;
+          if (!data) break;
+
+          const name = `${prefix}DefineButton${entry.type === 34 ? "2" : ""}_${data.buttonId}.as`;
+          if (data.buttonActions && data.buttonActions.actions.length > 0) {
+            this.addFile(files, name, "ButtonActions", this.decompileButtonCondActions(data.buttonActions.actions));
+          } else if (data.actionScript && data.actionScript.parsedActions && data.actionScript.parsedActions.length > 0) {
+            this.addFile(files, name, "ButtonActions", this.decompileButtonActions(data.actionScript.parsedActions));
+          }
+          break;
+        }
+
+        case 39: { // DefineSprite
+          const spriteId = content[0] | (content[1] << 8);
+          this.decompileTimeline(SWFDocument.readSpriteTags(content), `${prefix}DefineSprite_${spriteId}/`, exportNames, files);
+          break;
+        }
+      }
+    }
+  }
+
+  getParsedEntry(entry, ParserClass) {
+    if (entry.parsed) {
+      return entry.parsed;
+    }
+    if (!ParserClass) {
+      return null;
+    }
+    return new ParserClass().parseTag(entry.type, entry.content, 0, entry.content.length);
+  }
+
+  addFile(files, fileName, kind, source) {
+    let name = fileName;
+    let counter = 2;
+
+    while (files.some(file => file.fileName === name)) {
+      name = fileName.replace(/\.as$/, `_${counter++}.as`);
+    }
+
+    files.push({ fileName: name, kind: kind, source: source });
+  }
+
+  // ==================== EVENT NAMES ====================
+
+  // BUTTONCONDACTION transitions map onto the on (event) names of the authoring tool
+  getButtonEventNames(conditions, keyPress) {
+    const events = [];
+    const add = (name) => {
+      if (!events.includes(name)) events.push(name);
+    };
+
+    if (conditions.overDownToOverUp) add("release");
+    if (conditions.overUpToOverDown) add("press");
+    if (conditions.outDownToIdle) add("releaseOutside");
+    if (conditions.idleToOverUp) add("rollOver");
+    if (conditions.overUpToIdle) add("rollOut");
+    if (conditions.outDownToOverDown || conditions.idleToOverDown) add("dragOver");
+    if (conditions.overDownToOutDown || conditions.overDownToIdle) add("dragOut");
+    if (keyPress > 0) add(`keyPress ${this.formatKeyCode(keyPress)}`);
+
+    return events.length > 0 ? events : ["release"];
+  }
+
+  formatKeyCode(keyCode) {
+    const specialKeys = {
+      1: "<Left>", 2: "<Right>", 3: "<Home>", 4: "<End>", 5: "<Insert>", 6: "<Delete>",
+      8: "<Backspace>", 13: "<Enter>", 14: "<Up>", 15: "<Down>", 16: "<PageUp>",
+      17: "<PageDown>", 18: "<Tab>", 19: "<Escape>", 32: "<Space>"
+    };
+
+    if (keyCode === null || keyCode === undefined) {
+      return '""';
+    }
+    return JSON.stringify(specialKeys[keyCode] || String.fromCharCode(keyCode));
+  }
+
+  // ==================== CONTEXT ====================
+
+  createContext(actions, constants) {
+    const indexByOffset = new Map();
+    actions.forEach((action, index) => indexByOffset.set(action.offset, index));
+    const last = actions[actions.length - 1];
+
+    return {
+      actions: actions,
+      indexByOffset: indexByOffset,
+      endOffset: last ? last.offset + last.length : 0,
+      constants: constants,
+      registerNames: new Map(),
+      registerValues: new Map(),
+      declaredRegisters: new Set(),
+      gotoTargets: new Set(),
+      loops: [],
+      activeLoops: new Set(),
+      inFunction: false,
+      depth: 0
+    };
+  }
+
+  offsetAt(ctx, index) {
+    return index < ctx.actions.length ? ctx.actions[index].offset : ctx.endOffset;
+  }
+
+  indexAt(ctx, offset) {
+    if (offset === ctx.endOffset) {
+      return ctx.actions.length;
+    }
+    const index = ctx.indexByOffset.get(offset);
+    if (index === undefined) {
+      throw new Error(`Branch to offset ${offset} is not an action boundary`);
+    }
+    return index;
+  }
+
+  branchTarget(action) {
+    return action.offset + action.length + action.data.branchOffset;
+  }
+
+  formatOffset(offset) {
+    return `loc_${offset.toString(16).toUpperCase().padStart(4, '0')}`;
+  }
+
+  // ==================== CONTROL FLOW ====================
+
+  // Decompiles actions [start, end); follow is the offset control reaches after the range
+  decompileRange(ctx, start, end, stack, follow) {
+    const lines = [];
+    let i = start;
+
+    while (i < end) {
+      const action = ctx.actions[i];
+
+      if (ctx.gotoTargets.has(action.offset)) {
+        lines.push(this.line(`// ${this.formatOffset(action.offset)}:`));
+      }
+
+      const backEdge = ctx.activeLoops.has(action.offset) ? -1 : this.findLoopBackEdge(ctx, i, end);
+      if (backEdge !== -1) {
+        i = this.emitLoop(ctx, i, backEdge, stack, lines);
+        continue;
+      }
+
+      switch (action.opcode) {
+        case 0x99: // Jump
+          i = this.emitJump(ctx, i, stack, lines, follow);
+          continue;
+        case 0x9D: // If
+          i = this.emitIf(ctx, i, start, end, stack, lines, follow);
+          continue;
+        case 0x9B: // DefineFunction
+        case 0x8E: // DefineFunction2
+          i = this.emitFunction(ctx, i, stack, lines);
+          continue;
+        case 0x8F: // Try
+          i = this.emitTry(ctx, i, stack, lines);
+          continue;
+        case 0x94: // With
+          i = this.emitWith(ctx, i, stack, lines);
+          continue;
+        case 0x8A: // WaitForFrame
+        case 0x8D: // WaitForFrame2
+          i = this.emitWaitForFrame(ctx, i, end, stack, lines);
+          continue;
+        case 0x8B: // SetTarget
+        case 0x20: { // SetTarget2
+          const next = this.emitTellTarget(ctx, i, end, stack, lines);
+          if (next !== -1) {
+            i = next;
+            continue;
+          }
+          break;
+        }
+      }
+
+      this.simulate(ctx, action, stack, lines);
+      i++;
+    }
+
+    return { lines, stack };
+  }
+
+  // The last Jump/If in the range that branches back to action i closes a loop starting at i
+  findLoopBackEdge(ctx, i, end) {
+    const head = ctx.actions[i].offset;
+
+    for (let k = end - 1; k >= i; k--) {
+      const action = ctx.actions[k];
+      if ((action.opcode === 0x99 || action.opcode === 0x9D) && this.branchTarget(action) === head) {
+        return k;
+      }
+    }
+
+    return -1;
+  }
+
+  findLoopStatement(ctx, target) {
+    for (let n = ctx.loops.length - 1; n >= 0; n--) {
+      if (ctx.loops[n].breakOffset === target) return "break;";
+      if (ctx.loops[n].continueOffset === target) return "continue;";
+    }
+    return null;
+  }
+
+  emitLoop(ctx, i, k, stack, lines) {
+    const head = ctx.actions[i];
+    const back = ctx.actions[k];
+    const exitOffset = this.offsetAt(ctx, k + 1);
+
+    ctx.activeLoops.add(head.offset);
+    try {
+      if (back.opcode === 0x9D) {
+        // do { body } while (condition): the condition is evaluated right before the back edge
+        ctx.loops.push({ breakOffset: exitOffset, continueOffset: null });
+        const body = this.decompileRange(ctx, i, k, stack.slice(), back.offset);
+        ctx.loops.pop();
+        const condition = this.pop(body.stack, back);
+        lines.push(this.line("do {"), ...this.indent(this.flushStack(body.stack.slice(stack.length), body.lines)),
+          this.line(`} while (${condition.text});`));
+        return k + 1;
+      }
+
+      if (this.emitForIn(ctx, i, k, stack, lines, exitOffset)) {
+        return k + 1;
+      }
+
+      // while: the first If that leaves the loop ends the condition
+      let exitBranch = -1;
+      for (let n = i; n < k; n++) {
+        const action = ctx.actions[n];
+        if (action.opcode === 0x9D && this.branchTarget(action) === exitOffset) {
+          exitBranch = n;
+          break;
+        }
+      }
+
+      ctx.loops.push({ breakOffset: exitOffset, continueOffset: head.offset });
+
+      if (exitBranch === -1) {
+        const body = this.decompileRange(ctx, i, k, stack.slice(), head.offset);
+        lines.push(this.line("while (true) {"), ...this.indent(this.flushStack(body.stack.slice(stack.length), body.lines)), this.line("}"));
+      } else {
+        const test = this.decompileRange(ctx, i, exitBranch, stack.slice(), ctx.actions[exitBranch].offset);
+        const condition = this.pop(test.stack, ctx.actions[exitBranch]);
+        const body = this.decompileRange(ctx, exitBranch + 1, k, stack.slice(), head.offset);
+        const bodyLines = this.flushStack(body.stack.slice(stack.length), body.lines);
+
+        if (test.lines.length === 0) {
+          lines.push(this.line(`while (${this.negate(condition).text}) {`), ...this.indent(bodyLines), this.line("}"));
+        } else {
+          // Statements inside the test keep their evaluation order
+          lines.push(this.line("while (true) {"), ...this.indent(test.lines),
+            ...this.indent([this.line(`if (${condition.text}) break;`)]), ...this.indent(bodyLines), this.line("}"));
+        }
+      }
+
+      ctx.loops.pop();
+      return k + 1;
+    } finally {
+      ctx.activeLoops.delete(head.offset);
+    }
+  }
+
+  // Enumerate pushes a null sentinel and the property names; the loop head is
+  // StoreRegister r, Push null, Equals2, If exit, and the body starts by storing register r
+  emitForIn(ctx, i, k, stack, lines, exitOffset) {
+    const top = stack[stack.length - 1];
+    const [store, pushNull, equals, exitIf] = ctx.actions.slice(i, i + 4);
+
+    if (!top || top.kind !== 'enumeration' || k < i + 4 || store.opcode !== 0x87 || pushNull.opcode !== 0x96 ||
+        !pushNull.data || pushNull.data.values.length !== 1 || pushNull.data.values[0].type !== "null" ||
+        (equals.opcode !== 0x49 && equals.opcode !== 0x0E) || exitIf.opcode !== 0x9D || this.branchTarget(exitIf) !== exitOffset) {
+      return false;
+    }
+
+    const register = store.data.register;
+    ctx.registerValues.set(register, this.expr(this.registerName(ctx, register), 20, { kind: 'forInKey' }));
+    ctx.loops.push({ breakOffset: exitOffset, continueOffset: store.offset });
+    const body = this.decompileRange(ctx, i + 4, k, stack.slice(0, -1), store.offset);
+    ctx.loops.pop();
+    ctx.registerValues.delete(register);
+    stack.pop();
+
+    let variable = this.registerName(ctx, register);
+    const first = body.lines[0];
+    if (first && first.meta && first.meta.kind === 'assign' && first.meta.value.kind === 'forInKey') {
+      variable = first.meta.declaration ? `var ${first.meta.target}` : first.meta.target;
+      body.lines.shift();
+    }
+
+    lines.push(this.line(`for (${variable} in ${top.collection.text}) {`),
+      ...this.indent(this.flushStack(body.stack.slice(stack.length), body.lines)), this.line("}"));
+    return true;
+  }
+
+  emitJump(ctx, i, stack, lines, follow) {
+    const target = this.branchTarget(ctx.actions[i]);
+
+    if (target === follow) {
+      return i + 1;
+    }
+
+    const loopStatement = this.findLoopStatement(ctx, target);
+    if (loopStatement) {
+      lines.push(this.line(loopStatement));
+    } else {
+      lines.push(this.line(`// goto ${this.formatOffset(target)}`));
+      ctx.gotoTargets.add(target);
+    }
+    return i + 1;
+  }
+
+  emitIf(ctx, i, start, end, stack, lines, follow) {
+    const action = ctx.actions[i];
+    const target = this.branchTarget(action);
+    const endOffset = this.offsetAt(ctx, end);
+
+    const shortCircuitEnd = this.emitShortCircuit(ctx, i, start, end, stack);
+    if (shortCircuitEnd !== -1) {
+      return shortCircuitEnd;
+    }
+
+    const switchEnd = this.emitSwitch(ctx, i, end, stack, lines);
+    if (switchEnd !== -1) {
+      return switchEnd;
+    }
+
+    const condition = this.pop(stack, action);
+
+    if (target <= action.offset || target > endOffset) {
+      const loopStatement = this.findLoopStatement(ctx, target);
+      if (loopStatement) {
+        lines.push(this.line(`if (${condition.text}) ${loopStatement}`));
+      } else {
+        lines.push(this.line(`// if (${condition.text}) goto ${this.formatOffset(target)}`));
+        ctx.gotoTargets.add(target);
+      }
+      return i + 1;
+    }
+
+    // If jumps over the "then" block, so the block runs when the condition is false
+    const thenEnd = this.indexAt(ctx, target);
+    const last = ctx.actions[thenEnd - 1];
+    let elseEnd = -1;
+    let exit = null;
+
+    if (thenEnd - 1 > i && last.opcode === 0x99) {
+      exit = this.branchTarget(last);
+      if (exit > target && exit <= endOffset) {
+        elseEnd = this.indexAt(ctx, exit);
+      } else if (exit === follow && follow > endOffset) {
+        elseEnd = end;
+      }
+    }
+
+    if (elseEnd === -1) {
+      const thenResult = this.decompileRange(ctx, i + 1, thenEnd, stack.slice(), target);
+      this.pushIf(lines, this.negate(condition), this.flushStack(thenResult.stack.slice(stack.length), thenResult.lines), null);
+      return thenEnd;
+    }
+
+    const thenResult = this.decompileRange(ctx, i + 1, thenEnd - 1, stack.slice(), exit);
+    const elseResult = this.decompileRange(ctx, thenEnd, elseEnd, stack.slice(), exit);
+
+    // Both branches only push one value: condition ? a : b
+    if (thenResult.lines.length === 0 && elseResult.lines.length === 0 &&
+        thenResult.stack.length === stack.length + 1 && elseResult.stack.length === stack.length + 1) {
+      stack.push(this.ternary(this.negate(condition), thenResult.stack[stack.length], elseResult.stack[stack.length]));
+      return elseEnd;
+    }
+
+    this.pushIf(lines, this.negate(condition),
+      this.flushStack(thenResult.stack.slice(stack.length), thenResult.lines),
+      this.flushStack(elseResult.stack.slice(stack.length), elseResult.lines));
+    return elseEnd;
+  }
+
+  // a; PushDuplicate; [Not;] If end; Pop; b; end:  is  a || b  (or a && b with the Not)
+  emitShortCircuit(ctx, i, start, end, stack) {
+    const action = ctx.actions[i];
+    const hasNot = i - 1 >= start && ctx.actions[i - 1].opcode === 0x12;
+    const duplicateIndex = hasNot ? i - 2 : i - 1;
+    const next = ctx.actions[i + 1];
+    const target = this.branchTarget(action);
+
+    if (duplicateIndex < start || ctx.actions[duplicateIndex].opcode !== 0x4C || !next || next.opcode !== 0x17 ||
+        target <= action.offset || target > this.offsetAt(ctx, end) || stack.length < 2) {
+      return -1;
+    }
+
+    const targetIndex = this.indexAt(ctx, target);
+    const right = this.decompileRange(ctx, i + 2, targetIndex, [], target);
+    if (right.lines.length !== 0 || right.stack.length !== 1) {
+      return -1;
+    }
+
+    this.pop(stack, action);
+    const left = this.pop(stack, action);
+    stack.push(this.binary(hasNot ? '&&' : '||', left, right.stack[0]));
+    return targetIndex;
+  }
+
+  // Compiled switch: subject stored in a register, then "register === value; If case" per case
+  // and a final Jump to the default body (or past the switch)
+  emitSwitch(ctx, i, end, stack, lines) {
+    const action = ctx.actions[i];
+    const first = stack[stack.length - 1];
+
+    if (!first || first.kind !== 'binary' || first.op !== '===' || first.left.kind !== 'storeRegister') {
+      return -1;
+    }
+
+    const register = first.left.register;
+    const cases = [{ value: first.right, target: this.branchTarget(action) }];
+    let n = i + 1;
+    let defaultTarget = null;
+
+    while (n < end) {
+      let m = n;
+      while (m < end && ctx.actions[m].opcode !== 0x9D && ctx.actions[m].opcode !== 0x99) m++;
+      if (m >= end) return -1;
+
+      if (ctx.actions[m].opcode === 0x99) {
+        if (m !== n) return -1;
+        defaultTarget = this.branchTarget(ctx.actions[m]);
+        break;
+      }
+
+      const test = this.decompileRange(ctx, n, m, [], ctx.actions[m].offset);
+      const condition = test.stack[0];
+      if (test.lines.length !== 0 || test.stack.length !== 1 || condition.kind !== 'binary' || condition.op !== '===' ||
+          condition.left.kind !== 'register' || condition.left.register !== register) {
+        return -1;
+      }
+      cases.push({ value: condition.right, target: this.branchTarget(ctx.actions[m]) });
+      n = m + 1;
+    }
+
+    if (defaultTarget === null) {
+      return -1;
+    }
+
+    const endOffset = this.offsetAt(ctx, end);
+    const targets = cases.map(entry => entry.target).concat(defaultTarget);
+    const firstBody = Math.min(...targets);
+    if (firstBody !== this.offsetAt(ctx, n + 1) || targets.some(target => target > endOffset)) {
+      return -1;
+    }
+
+    // Breaks jump past the last body; without a default the final Jump already goes there
+    let exit = defaultTarget;
+    for (let k = n + 1; k < end && ctx.actions[k].offset < exit; k++) {
+      const candidate = ctx.actions[k];
+      if (candidate.opcode === 0x99) {
+        const target = this.branchTarget(candidate);
+        if (target > exit && target <= endOffset) exit = target;
+      }
+    }
+
+    const bodyStarts = [...new Set(targets.filter(target => target < exit))].sort((a, b) => a - b);
+    const enclosing = ctx.loops.length > 0 ? ctx.loops[ctx.loops.length - 1].continueOffset : null;
+
+    this.pop(stack, action);
+    lines.push(this.line(`switch (${first.left.value.text}) {`));
+    ctx.loops.push({ breakOffset: exit, continueOffset: enclosing });
+
+    bodyStarts.forEach((bodyStart, index) => {
+      const labels = cases.filter(entry => entry.target === bodyStart).map(entry => this.line(`case ${entry.value.text}:`));
+      if (defaultTarget === bodyStart) {
+        labels.push(this.line("default:"));
+      }
+
+      const regionEnd = this.indexAt(ctx, index + 1 < bodyStarts.length ? bodyStarts[index + 1] : exit);
+      const body = this.decompileRange(ctx, this.indexAt(ctx, bodyStart), regionEnd, stack.slice(), this.offsetAt(ctx, regionEnd));
+      lines.push(...this.indent(labels), ...this.indent(this.indent(this.flushStack(body.stack.slice(stack.length), body.lines))));
+    });
+
+    ctx.loops.pop();
+    lines.push(this.line("}"));
+    return this.indexAt(ctx, exit);
+  }
+
+  pushIf(lines, condition, thenLines, elseLines) {
+    const ifLines = [this.line(`if (${condition.text}) {`), ...this.indent(thenLines)];
+
+    if (elseLines && elseLines.length > 0) {
+      const first = elseLines[0];
+      // else { if ... } with nothing else inside becomes else if
+      if (first.meta && first.meta.kind === 'if' && first.meta.lineCount === elseLines.length) {
+        ifLines.push(this.line(`} else ${first.text}`), ...elseLines.slice(1));
+      } else {
+        ifLines.push(this.line("} else {"), ...this.indent(elseLines), this.line("}"));
+      }
+    } else {
+      ifLines.push(this.line("}"));
+    }
+
+    ifLines[0].meta = { kind: 'if', lineCount: ifLines.length };
+    lines.push(...ifLines);
+  }
+
+  // ==================== BLOCK ACTIONS ====================
+
+  emitFunction(ctx, i, stack, lines) {
+    const action = ctx.actions[i];
+    const data = action.data;
+    const bodyEndOffset = action.offset + action.length + data.codeSize;
+    const bodyEnd = this.indexAt(ctx, bodyEndOffset);
+    const isFunction2 = action.opcode === 0x8E;
+
+    // DefineFunction2 preloads this/arguments/super/_root/_parent/_global into registers 1, 2, ...
+    const registerNames = new Map();
+    const declaredRegisters = new Set();
+    if (isFunction2) {
+      const preloads = [["preloadThis", "this"], ["preloadArguments", "arguments"], ["preloadSuper", "super"],
+        ["preloadRoot", "_root"], ["preloadParent", "_parent"], ["preloadGlobal", "_global"]];
+      let register = 1;
+      for (const [flag, name] of preloads) {
+        if (data[flag]) {
+          registerNames.set(register, name);
+          declaredRegisters.add(register++);
+        }
+      }
+      data.parameters.forEach(parameter => {
+        if (parameter.register > 0) {
+          registerNames.set(parameter.register, parameter.name);
+          declaredRegisters.add(parameter.register);
+        }
+      });
+    }
+
+    const parameters = isFunction2 ? data.parameters.map(parameter => parameter.name) : data.parameters;
+    const header = `function ${data.functionName ? `${data.functionName}` : ""}(${parameters.join(", ")}) {`;
+    let bodyLines;
+
+    if (ctx.depth >= this.maxFunctionDepth) {
+      bodyLines = [this.line("// function body not decompiled (nesting limit)")];
+    } else {
+      const inner = Object.assign({}, ctx, {
+        registerNames: registerNames,
+        registerValues: new Map(),
+        declaredRegisters: declaredRegisters,
+        loops: [],
+        activeLoops: new Set(),
+        inFunction: true,
+        depth: ctx.depth + 1
+      });
+
+      try {
+        const result = this.decompileRange(inner, i + 1, bodyEnd, [], bodyEndOffset);
+        bodyLines = this.flushStack(result.stack, result.lines);
+      } catch (error) {
+        bodyLines = [this.line(`// Decompilation failed: ${error.message}`)];
+      }
+    }
+
+    if (data.functionName) {
+      lines.push(this.line(header), ...this.indent(bodyLines), this.line("}"));
+    } else {
+      const text = [header, ...this.indent(bodyLines).map(line => line.text), "}"].join('\n');
+      stack.push(this.expr(text, 20, { kind: 'function' }));
+    }
+
+    return bodyEnd;
+  }
+
+  emitTry(ctx, i, stack, lines) {
+    const action = ctx.actions[i];
+    const data = action.data;
+    const tryStart = action.offset + action.length;
+    const catchStart = tryStart + data.trySize;
+    const finallyStart = catchStart + data.catchSize;
+    const finallyEnd = finallyStart + data.finallySize;
+
+    const tryResult = this.decompileRange(ctx, i + 1, this.indexAt(ctx, catchStart), stack.slice(), finallyStart);
+    lines.push(this.line("try {"), ...this.indent(tryResult.lines));
+
+    if (data.hasCatchBlock) {
+      const variable = data.catchInRegister ? this.registerName(ctx, data.catchRegister) : data.catchName;
+      if (data.catchInRegister) {
+        ctx.declaredRegisters.add(data.catchRegister);
+      }
+      const catchResult = this.decompileRange(ctx, this.indexAt(ctx, catchStart), this.indexAt(ctx, finallyStart), stack.slice(), finallyStart);
+      lines.push(this.line(`} catch (${variable}) {`), ...this.indent(catchResult.lines));
+    }
+
+    if (data.hasFinallyBlock) {
+      const finallyResult = this.decompileRange(ctx, this.indexAt(ctx, finallyStart), this.indexAt(ctx, finallyEnd), stack.slice(), finallyEnd);
+      lines.push(this.line("} finally {"), ...this.indent(finallyResult.lines));
+    }
+
+    lines.push(this.line("}"));
+    return this.indexAt(ctx, finallyEnd);
+  }
+
+  emitWith(ctx, i, stack, lines) {
+    const action = ctx.actions[i];
+    const object = this.pop(stack, action);
+    const bodyEndOffset = action.offset + action.length + action.data.size;
+    const bodyEnd = this.indexAt(ctx, bodyEndOffset);
+    const body = this.decompileRange(ctx, i + 1, bodyEnd, stack.slice(), bodyEndOffset);
+
+    lines.push(this.line(`with (${object.text}) {`), ...this.indent(body.lines), this.line("}"));
+    return bodyEnd;
+  }
+
+  // WaitForFrame skips the next SkipCount actions while the frame is not loaded yet
+  emitWaitForFrame(ctx, i, end, stack, lines) {
+    const action = ctx.actions[i];
+    const frame = action.opcode === 0x8A ? String(action.data.frame + 1) : this.pop(stack, action).text;
+    const bodyEnd = Math.min(end, i + 1 + action.data.skipCount);
+    const body = this.decompileRange(ctx, i + 1, bodyEnd, stack.slice(), this.offsetAt(ctx, bodyEnd));
+
+    lines.push(this.line(`ifFrameLoaded (${frame}) {`), ...this.indent(body.lines), this.line("}"));
+    return bodyEnd;
+  }
+
+  // SetTarget "name" ... SetTarget "" is a tellTarget block
+  emitTellTarget(ctx, i, end, stack, lines) {
+    const action = ctx.actions[i];
+    if (action.opcode === 0x8B && action.data.targetName === "") {
+      return -1;
+    }
+
+    let close = -1;
+    for (let k = i + 1; k < end; k++) {
+      const candidate = ctx.actions[k];
+      if (candidate.opcode === 0x8B && candidate.data && candidate.data.targetName === "") {
+        close = k;
+        break;
+      }
+    }
+    if (close === -1) {
+      return -1;
+    }
+
+    const target = action.opcode === 0x8B ? JSON.stringify(action.data.targetName) : this.pop(stack, action).text;
+    const body = this.decompileRange(ctx, i + 1, close, stack.slice(), ctx.actions[close].offset);
+    lines.push(this.line(`tellTarget (${target}) {`), ...this.indent(body.lines), this.line("}"));
+    return close + 1;
+  }
+
+  // Values left on the stack at the end of a block: calls and assignments become statements
+  flushStack(values, lines) {
+    for (const value of values) {
+      if (value.sideEffects) {
+        lines.push(this.line(`${value.text};`));
+      }
+    }
+    return lines;
+  }
+
+  // ==================== STACK SIMULATION ====================
+
+  simulate(ctx, action, stack, lines) {
+    const data = action.data;
+
+    switch (action.opcode) {
+      case 0x00: // End
+        break;
+
+      case 0x88: // ConstantPool
+        ctx.constants.pool = data.constants;
+        break;
+
+      case 0x96: // Push
+        for (const value of data.values) {
+          stack.push(this.pushValue(ctx, value));
+        }
+        break;
+
+      case 0x17: { // Pop
+        const value = this.pop(stack, action);
+        if (value.kind === 'storeRegister') {
+          lines.push(this.setRegister(ctx, value.register, value.value));
+        } else if (value.sideEffects) {
+          lines.push(this.line(`${value.text};`));
+        }
+        break;
+      }
+
+      case 0x4C: { // PushDuplicate
+        const value = this.pop(stack, action);
+        stack.push(value, value);
+        break;
+      }
+
+      case 0x4D: { // StackSwap
+        const top = this.pop(stack, action);
+        const below = this.pop(stack, action);
+        stack.push(top, below);
+        break;
+      }
+
+      case 0x87: { // StoreRegister (the value stays on the stack)
+        const value = this.pop(stack, action);
+        const name = this.registerName(ctx, data.register);
+        stack.push(this.expr(`${name} = ${value.text}`, 3, {
+          kind: 'storeRegister', register: data.register, value: value, sideEffects: true
+        }));
+        break;
+      }
+
+      // ---- Variables and members ----
+
+      case 0x1C: { // GetVariable
+        const name = this.pop(stack, action);
+        stack.push(this.variable(name));
+        break;
+      }
+
+      case 0x1D: { // SetVariable
+        const value = this.pop(stack, action);
+        const name = this.pop(stack, action);
+        if (this.isVariablePath(name)) {
+          lines.push(this.assignment(name.value, value));
+        } else {
+          lines.push(this.line(`set(${name.text}, ${value.text});`));
+        }
+        break;
+      }
+
+      case 0x3C: { // DefineLocal
+        const value = this.pop(stack, action);
+        const name = this.pop(stack, action);
+        lines.push(this.line(`var ${this.nameText(name)} = ${value.text};`,
+          { kind: 'assign', target: this.nameText(name), value: value, declaration: true }));
+        break;
+      }
+
+      case 0x41: // DefineLocal2
+        lines.push(this.line(`var ${this.nameText(this.pop(stack, action))};`));
+        break;
+
+      case 0x4E: { // GetMember
+        const name = this.pop(stack, action);
+        const object = this.pop(stack, action);
+        stack.push(this.expr(this.memberText(object, name), 20, { kind: 'member' }));
+        break;
+      }
+
+      case 0x4F: { // SetMember
+        const value = this.pop(stack, action);
+        const name = this.pop(stack, action);
+        const object = this.pop(stack, action);
+        lines.push(this.assignment(this.memberText(object, name), value));
+        break;
+      }
+
+      case 0x3A: { // Delete
+        const name = this.pop(stack, action);
+        const object = this.pop(stack, action);
+        stack.push(this.expr(`delete ${this.memberText(object, name)}`, 15, { sideEffects: true }));
+        break;
+      }
+
+      case 0x3B: // Delete2
+        stack.push(this.expr(`delete ${this.nameText(this.pop(stack, action))}`, 15, { sideEffects: true }));
+        break;
+
+      // ---- Calls and object creation ----
+
+      case 0x3D: { // CallFunction
+        const name = this.pop(stack, action);
+        const args = this.popArguments(stack, action);
+        stack.push(this.expr(`${this.nameText(name)}(${this.joinArguments(args)})`, 20, { kind: 'call', sideEffects: true }));
+        break;
+      }
+
+      case 0x52: { // CallMethod
+        const name = this.pop(stack, action);
+        const object = this.pop(stack, action);
+        const args = this.popArguments(stack, action);
+        const callee = this.isEmptyName(name) ? this.wrap(object, 20) : this.memberText(object, name);
+        stack.push(this.expr(`${callee}(${this.joinArguments(args)})`, 20, { kind: 'call', sideEffects: true }));
+        break;
+      }
+
+      case 0x40: { // NewObject
+        const name = this.pop(stack, action);
+        const args = this.popArguments(stack, action);
+        stack.push(this.expr(`new ${this.nameText(name)}(${this.joinArguments(args)})`, 20, { kind: 'call', sideEffects: true }));
+        break;
+      }
+
+      case 0x53: { // NewMethod
+        const name = this.pop(stack, action);
+        const object = this.pop(stack, action);
+        const args = this.popArguments(stack, action);
+        const callee = this.isEmptyName(name) ? this.wrap(object, 20) : this.memberText(object, name);
+        stack.push(this.expr(`new ${callee}(${this.joinArguments(args)})`, 20, { kind: 'call', sideEffects: true }));
+        break;
+      }
+
+      case 0x42: { // InitArray
+        const elements = this.popArguments(stack, action);
+        stack.push(this.expr(`[${this.joinArguments(elements)}]`, 20, { kind: 'array' }));
+        break;
+      }
+
+      case 0x43: { // InitObject
+        const count = this.popCount(stack, action);
+        const properties = [];
+        for (let n = 0; n < count; n++) {
+          const value = this.pop(stack, action);
+          const name = this.pop(stack, action);
+          properties.unshift(`${name.kind === 'string' && this.isIdentifier(name.value) ? name.value : name.text}: ${value.text}`);
+        }
+        stack.push(this.expr(`{${properties.join(", ")}}`, 20, { kind: 'object' }));
+        break;
+      }
+
+      case 0x3E: { // Return
+        const value = this.pop(stack, action);
+        lines.push(this.line(value.kind === 'undefined' ? "return;" : `return ${value.text};`));
+        break;
+      }
+
+      case 0x2A: // Throw
+        lines.push(this.line(`throw ${this.pop(stack, action).text};`));
+        break;
+
+      case 0x69: { // Extends
+        const superclass = this.pop(stack, action);
+        const subclass = this.pop(stack, action);
+        lines.push(this.line(`${subclass.text} extends ${superclass.text};`));
+        break;
+      }
+
+      case 0x2C: { // ImplementsOp
+        const constructor = this.pop(stack, action);
+        const interfaces = this.popArguments(stack, action);
+        lines.push(this.line(`${constructor.text} implements ${this.joinArguments(interfaces)};`));
+        break;
+      }
+
+      case 0x2B: { // CastOp
+        const object = this.pop(stack, action);
+        const constructor = this.pop(stack, action);
+        stack.push(this.expr(`${this.wrap(constructor, 20)}(${object.text})`, 20, { kind: 'call' }));
+        break;
+      }
+
+      case 0x46: // Enumerate
+      case 0x55: { // Enumerate2
+        const source = this.pop(stack, action);
+        const collection = action.opcode === 0x46 ? this.variable(source) : source;
+        stack.push(this.expr(`/* for-in ${collection.text} */`, 20, { kind: 'enumeration', collection: collection }));
+        break;
+      }
+
+      // ---- Operators ----
+
+      case 0x0A: case 0x47: this.pushBinary('+', stack, action); break; // Add, Add2
+      case 0x0B: this.pushBinary('-', stack, action); break;
+      case 0x0C: this.pushBinary('*', stack, action); break;
+      case 0x0D: this.pushBinary('/', stack, action); break;
+      case 0x3F: this.pushBinary('%', stack, action); break;
+      case 0x0E: case 0x49: this.pushBinary('==', stack, action); break; // Equals, Equals2
+      case 0x66: this.pushBinary('===', stack, action); break;
+      case 0x0F: case 0x48: this.pushBinary('<', stack, action); break; // Less, Less2
+      case 0x67: this.pushBinary('>', stack, action); break;
+      case 0x10: this.pushBinary('&&', stack, action); break; // And (Flash 4)
+      case 0x11: this.pushBinary('||', stack, action); break; // Or (Flash 4)
+      case 0x60: this.pushBinary('&', stack, action); break;
+      case 0x61: this.pushBinary('|', stack, action); break;
+      case 0x62: this.pushBinary('^', stack, action); break;
+      case 0x63: this.pushBinary('<<', stack, action); break;
+      case 0x64: this.pushBinary('>>', stack, action); break;
+      case 0x65: this.pushBinary('>>>', stack, action); break;
+      case 0x54: this.pushBinary('instanceof', stack, action); break;
+      case 0x13: this.pushBinary('eq', stack, action); break; // StringEquals
+      case 0x29: this.pushBinary('lt', stack, action); break; // StringLess
+      case 0x68: this.pushBinary('gt', stack, action); break; // StringGreater
+      case 0x21: this.pushBinary('add', stack, action); break; // StringAdd
+
+      case 0x12: // Not
+        stack.push(this.not(this.pop(stack, action)));
+        break;
+
+      case 0x50: // Increment
+        stack.push(this.binary('+', this.pop(stack, action), this.literal("1")));
+        break;
+
+      case 0x51: // Decrement
+        stack.push(this.binary('-', this.pop(stack, action), this.literal("1")));
+        break;
+
+      case 0x44: // TypeOf
+        stack.push(this.unary("typeof ", this.pop(stack, action)));
+        break;
+
+      // ---- Built-in functions ----
+
+      case 0x14: this.pushFunction("length", 1, stack, action); break;
+      case 0x15: this.pushFunction("substring", 3, stack, action); break;
+      case 0x31: this.pushFunction("mblength", 1, stack, action); break;
+      case 0x35: this.pushFunction("mbsubstring", 3, stack, action); break;
+      case 0x32: this.pushFunction("ord", 1, stack, action); break;
+      case 0x33: this.pushFunction("chr", 1, stack, action); break;
+      case 0x36: this.pushFunction("mbord", 1, stack, action); break;
+      case 0x37: this.pushFunction("mbchr", 1, stack, action); break;
+      case 0x18: this.pushFunction("int", 1, stack, action); break;
+      case 0x4A: this.pushFunction("Number", 1, stack, action); break;
+      case 0x4B: this.pushFunction("String", 1, stack, action); break;
+      case 0x45: this.pushFunction("targetPath", 1, stack, action); break;
+      case 0x30: this.pushFunction("random", 1, stack, action); break;
+      case 0x34: this.pushFunction("getTimer", 0, stack, action); break;
+
+      case 0x26: // Trace
+        lines.push(this.line(`trace(${this.pop(stack, action).text});`));
+        break;
+
+      // ---- Movie clip control ----
+
+      case 0x22: { // GetProperty
+        const index = this.pop(stack, action);
+        const target = this.pop(stack, action);
+        const property = this.propertyName(index);
+        stack.push(this.expr(this.isEmptyName(target) ? property : `getProperty(${target.text}, ${property})`, 20));
+        break;
+      }
+
+      case 0x23: { // SetProperty
+        const value = this.pop(stack, action);
+        const index = this.pop(stack, action);
+        const target = this.pop(stack, action);
+        const property = this.propertyName(index);
+        lines.push(this.isEmptyName(target) ? this.assignment(property, value)
+          : this.line(`setProperty(${target.text}, ${property}, ${value.text});`));
+        break;
+      }
+
+      case 0x24: { // CloneSprite
+        const depth = this.pop(stack, action);
+        const target = this.pop(stack, action);
+        const source = this.pop(stack, action);
+        lines.push(this.line(`duplicateMovieClip(${source.text}, ${target.text}, ${depth.text});`));
+        break;
+      }
+
+      case 0x25: // RemoveSprite
+        lines.push(this.line(`removeMovieClip(${this.pop(stack, action).text});`));
+        break;
+
+      case 0x27: { // StartDrag
+        const target = this.pop(stack, action);
+        const lockCenter = this.pop(stack, action);
+        const constrain = this.pop(stack, action);
+        const args = [target, lockCenter];
+        if (constrain.text !== "0" && constrain.text !== "false") {
+          const y2 = this.pop(stack, action);
+          const x2 = this.pop(stack, action);
+          const y1 = this.pop(stack, action);
+          const x1 = this.pop(stack, action);
+          args.push(x1, y1, x2, y2);
+        }
+        lines.push(this.line(`startDrag(${this.joinArguments(args)});`));
+        break;
+      }
+
+      case 0x28: lines.push(this.line("stopDrag();")); break;
+      case 0x04: lines.push(this.line("nextFrame();")); break;
+      case 0x05: lines.push(this.line("prevFrame();")); break;
+      case 0x07: lines.push(this.line("stop();")); break;
+      case 0x08: lines.push(this.line("toggleHighQuality();")); break;
+      case 0x09: lines.push(this.line("stopAllSounds();")); break;
+
+      case 0x06: { // Play: GotoFrame/GoToLabel followed by Play is gotoAndPlay
+        const last = lines[lines.length - 1];
+        if (last && last.meta && last.meta.kind === 'goto') {
+          lines[lines.length - 1] = this.line(`gotoAndPlay(${last.meta.frame});`);
+        } else {
+          lines.push(this.line("play();"));
+        }
+        break;
+      }
+
+      case 0x81: { // GotoFrame (zero-based)
+        const frame = String(data.frame + 1);
+        lines.push(this.line(`gotoAndStop(${frame});`, { kind: 'goto', frame: frame }));
+        break;
+      }
+
+      case 0x8C: { // GoToLabel
+        const frame = JSON.stringify(data.label);
+        lines.push(this.line(`gotoAndStop(${frame});`, { kind: 'goto', frame: frame }));
+        break;
+      }
+
+      case 0x9F: { // GotoFrame2
+        let frame = this.pop(stack, action);
+        if (data.sceneBiasFlag && data.sceneBias) {
+          frame = this.binary('+', frame, this.literal(String(data.sceneBias)));
+        }
+        lines.push(this.line(`${data.playFlag ? "gotoAndPlay" : "gotoAndStop"}(${frame.text});`));
+        break;
+      }
+
+      case 0x9E: // Call
+        lines.push(this.line(`call(${this.pop(stack, action).text});`));
+        break;
+
+      case 0x8B: // SetTarget without a matching SetTarget ""
+        lines.push(this.line(`setTarget(${JSON.stringify(data.targetName)});`));
+        break;
+
+      case 0x20: // SetTarget2
+        lines.push(this.line(`setTarget(${this.pop(stack, action).text});`));
+        break;
+
+      case 0x83: // GetURL
+        lines.push(this.line(this.formatGetURL(data.url, data.target)));
+        break;
+
+      case 0x9A: { // GetURL2
+        const target = this.pop(stack, action);
+        const url = this.pop(stack, action);
+        lines.push(this.line(this.formatGetURL2(data, url, target)));
+        break;
+      }
+
+      default:
+        if (action.name === "ParseError") {
+          throw new Error(action.description);
+        }
+        lines.push(this.line(`// ${action.description}`));
+        break;
+    }
+  }
+
+  pushValue(ctx, value) {
+    switch (value.type) {
+      case "String":
+        return this.stringLiteral(value.value);
+      case "Constant8":
+      case "Constant16": {
+        const pool = ctx.constants.pool;
+        return value.value < pool.length ? this.stringLiteral(pool[value.value]) : this.expr(`constant${value.value}`);
+      }
+      case "Float":
+        return this.numberLiteral(Number(value.value.toPrecision(7)));
+      case "Double":
+      case "Integer":
+        return this.numberLiteral(value.value);
+      case "Boolean":
+        return this.literal(value.value ? "true" : "false");
+      case "null":
+        return this.literal("null");
+      case "undefined":
+        return this.expr("undefined", 20, { kind: 'undefined' });
+      case "Register":
+        return this.getRegister(ctx, value.value);
+      default:
+        return this.expr(`/* ${value.formatted} */`);
+    }
+  }
+
+  // ==================== REGISTERS AND NAMES ====================
+
+  registerName(ctx, register) {
+    return ctx.registerNames.get(register) || `_loc${register}_`;
+  }
+
+  getRegister(ctx, register) {
+    if (ctx.registerValues.has(register)) {
+      return ctx.registerValues.get(register);
+    }
+    return this.expr(this.registerName(ctx, register), 20, { kind: 'register', register: register });
+  }
+
+  setRegister(ctx, register, value) {
+    const name = this.registerName(ctx, register);
+
+    if (!ctx.declaredRegisters.has(register)) {
+      ctx.declaredRegisters.add(register);
+      return this.line(`var ${name} = ${value.text};`, { kind: 'assign', target: name, value: value, declaration: true });
+    }
+    return this.assignment(name, value);
+  }
+
+  // Variable names may be dotted paths; anything else (slash paths, computed names) needs eval/set
+  isVariablePath(name) {
+    return name.kind === 'string' && /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(name.value);
+  }
+
+  variable(name) {
+    if (this.isVariablePath(name)) {
+      return this.expr(name.value, 20, { kind: 'variable' });
+    }
+    return this.expr(`eval(${name.text})`, 20, { kind: 'call' });
+  }
+
+  nameText(name) {
+    return this.isVariablePath(name) ? name.value : `eval(${name.text})`;
+  }
+
+  isEmptyName(name) {
+    return name.kind === 'undefined' || (name.kind === 'string' && name.value === "");
+  }
+
+  memberText(object, name) {
+    const base = this.wrap(object, 20);
+    if (name.kind === 'string' && this.isIdentifier(name.value)) {
+      return `${base}.${name.value}`;
+    }
+    return `${base}[${name.text}]`;
+  }
+
+  propertyName(index) {
+    const properties = ["_x", "_y", "_xscale", "_yscale", "_currentframe", "_totalframes", "_alpha", "_visible",
+      "_width", "_height", "_rotation", "_target", "_framesloaded", "_name", "_droptarget", "_url",
+      "_highquality", "_focusrect", "_soundbuftime", "_quality", "_xmouse", "_ymouse"];
+    const value = index.kind === 'string' ? Number(index.value) : Number(index.text);
+    return properties[value] || `/* property ${index.text} */`;
+  }
+
+  formatGetURL(url, target) {
+    if (url.startsWith("FSCommand:")) {
+      return `fscommand(${JSON.stringify(url.substring(10))}, ${JSON.stringify(target)});`;
+    }
+    const level = /^_level(\d+)$/.exec(target);
+    if (level) {
+      return url === "" ? `unloadMovieNum(${level[1]});` : `loadMovieNum(${JSON.stringify(url)}, ${level[1]});`;
+    }
+    return `getURL(${JSON.stringify(url)}, ${JSON.stringify(target)});`;
+  }
+
+  formatGetURL2(data, url, target) {
+    const method = data.method === 1 ? ', "GET"' : (data.method === 2 ? ', "POST"' : "");
+    const level = target.kind === 'string' ? /^_level(\d+)$/.exec(target.value) : null;
+
+    if (data.loadVariablesFlag) {
+      return level ? `loadVariablesNum(${url.text}, ${level[1]}${method});` : `loadVariables(${url.text}, ${target.text}${method});`;
+    }
+    if (data.loadTargetFlag) {
+      return `loadMovie(${url.text}, ${target.text}${method});`;
+    }
+    if (level) {
+      return `loadMovieNum(${url.text}, ${level[1]}${method});`;
+    }
+    return `getURL(${url.text}, ${target.text}${method});`;
+  }
+
+  isIdentifier(name) {
+    return typeof name === 'string' && /^[A-Za-z_$][\w$]*$/.test(name);
+  }
+
+  // ==================== OUTPUT LINES ====================
+
+  line(text, meta = null) {
+    return { text: text, meta: meta };
+  }
+
+  // Indents every line, including the continuation lines of multi-line expressions (function literals)
+  indent(lines) {
+    const pad = this.indentUnit;
+    return lines.map(line => ({
+      text: line.text === "" ? "" : pad + line.text.split('\n').join('\n' + pad),
+      meta: line.meta
+    }));
+  }
+
+  render(lines) {
+    return lines.map(line => line.text).join('\n');
+  }
+
+  // ==================== EXPRESSIONS ====================
+
+  pop(stack, action) {
+    if (stack.length === 0) {
+      throw new Error(`Stack underflow at ${action.name} (offset ${action.offset})`);
+    }
+    return stack.pop();
+  }
+
+  popCount(stack, action) {
+    const count = this.pop(stack, action);
+    const value = Number(count.text);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Argument count ${count.text} is not a constant at ${action.name} (offset ${action.offset})`);
+    }
+    return value;
+  }
+
+  // Arguments are pushed last-first, so they pop in source order after the count
+  popArguments(stack, action) {
+    const count = this.popCount(stack, action);
+    const args = [];
+    for (let n = 0; n < count; n++) {
+      args.push(this.pop(stack, action));
+    }
+    return args;
+  }
+
+  joinArguments(args) {
+    return args.map(arg => arg.text).join(', ');
+  }
+
+  pushBinary(operator, stack, action) {
+    const right = this.pop(stack, action);
+    const left = this.pop(stack, action);
+    stack.push(this.binary(operator, left, right));
+  }
+
+  pushFunction(name, argumentCount, stack, action) {
+    const args = [];
+    for (let n = 0; n < argumentCount; n++) {
+      args.unshift(this.pop(stack, action));
+    }
+    stack.push(this.expr(`${name}(${this.joinArguments(args)})`, 20, { kind: 'call' }));
+  }
+
+  assignment(target, value, meta = {}) {
+    let text;
+    if (value.text === `${target} + 1`) {
+      text = `${target}++;`;
+    } else if (value.text === `${target} - 1`) {
+      text = `${target}--;`;
+    } else {
+      text = `${target} = ${value.text};`;
+    }
+    return this.line(text, Object.assign({ kind: 'assign', target: target, value: value }, meta));
+  }
+
+  expr(text, precedence = 20, extra = {}) {
+    return Object.assign({ text: text, precedence: precedence }, extra);
+  }
+
+  literal(text) {
+    return this.expr(text, 20, { kind: 'literal' });
+  }
+
+  stringLiteral(value) {
+    return this.expr(JSON.stringify(value), 20, { kind: 'string', value: value });
+  }
+
+  numberLiteral(value) {
+    const text = Object.is(value, -0) ? "-0" : String(value);
+    return this.expr(text, value < 0 || Object.is(value, -0) ? 15 : 20, { kind: 'literal' });
+  }
+
+  wrap(value, precedence) {
+    return value.precedence < precedence ? `(${value.text})` : value.text;
+  }
+
+  getPrecedence(operator) {
+    switch (operator) {
+      case '||': return 5;
+      case '&&': return 6;
+      case '|': return 7;
+      case '^': return 8;
+      case '&': return 9;
+      case '==': case '!=': case '===': case '!==': case 'eq': case 'ne': return 10;
+      case '<': case '<=': case '>': case '>=': case 'instanceof': case 'lt': case 'gt': return 11;
+      case '<<': case '>>': case '>>>': return 12;
+      case '+': case '-': case 'add': return 13;
+      default: return 14;
+    }
+  }
+
+  binary(operator, left, right) {
+    const precedence = this.getPrecedence(operator);
+    return this.expr(`${this.wrap(left, precedence)} ${operator} ${this.wrap(right, precedence + 1)}`, precedence, {
+      kind: 'binary', op: operator, left: left, right: right, sideEffects: !!(left.sideEffects || right.sideEffects)
+    });
+  }
+
+  unary(operator, value) {
+    return this.expr(`${operator}${this.wrap(value, 15)}`, 15, { sideEffects: !!value.sideEffects });
+  }
+
+  not(value) {
+    // !(a == b) is exactly a != b; relational operators are not inverted because of NaN
+    if (value.kind === 'binary' && ['==', '!=', '===', '!==', 'eq', 'ne'].includes(value.op)) {
+      return this.negate(value);
+    }
+    return this.expr(`!${this.wrap(value, 15)}`, 15, { kind: 'not', operand: value, sideEffects: !!value.sideEffects });
+  }
+
+  negate(condition) {
+    const inverse = { '==': '!=', '!=': '==', '===': '!==', '!==': '===', 'eq': 'ne', 'ne': 'eq' };
+
+    if (condition.kind === 'not') {
+      return condition.operand;
+    }
+    if (condition.kind === 'binary' && inverse[condition.op]) {
+      return this.binary(inverse[condition.op], condition.left, condition.right);
+    }
+    return this.not(condition);
+  }
+
+  ternary(condition, whenTrue, whenFalse) {
+    return this.expr(`${this.wrap(condition, 5)} ? ${this.wrap(whenTrue, 4)} : ${this.wrap(whenFalse, 4)}`, 4, {
+      kind: 'ternary', condition: condition, whenTrue: whenTrue, whenFalse: whenFalse,
+      sideEffects: !!(condition.sideEffects || whenTrue.sideEffects || whenFalse.sideEffects)
+    });
+  }
+}
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.AS2Decompiler = AS2Decompiler;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AS2Decompiler;
+}
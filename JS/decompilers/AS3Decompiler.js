@@ -0,0 +1,1549 @@
+/*
+ * ActionScript 3.0 Decompiler - v1.0
+ * Reconstructs .as source from a parsed ABC file (AS3Parsers.parseABCFile)
+ * - Package, class and interface declarations with fields, constants, accessors and method signatures
+ * - Method bodies are rebuilt from AVM2Disassembler instructions by stack simulation
+ * - Control flow is recovered from the compiler's branch patterns: if/else, ternaries, &&/||,
+ *   while, do-while, for-in and for-each loops with break/continue, switch, and try/catch
+ *   from the method body exception table
+ * - A body that does not match a known pattern falls back to a commented disassembly listing
+ * Usage:
+ *   const files = new AS3Decompiler(doABC.data.abcFile).decompileAll();
+ *   files.forEach(file => console.log(file.fileName, file.source));
+ */
+class AS3Decompiler {
+  constructor(abcFile) {
+    if (!abcFile || abcFile.parseError) {
+      throw new Error(abcFile && abcFile.parseError ? abcFile.parseError : "No ABC file data");
+    }
+
+    this.abc = abcFile;
+    this.constantPool = abcFile.constantPool;
+    this.indentUnit = "  ";
+    this.maxFunctionDepth = 8;
+
+    // Method index -> method body
+    this.methodBodies = new Map();
+    for (const body of abcFile.methodBodies || []) {
+      if (body && !body.parseError) {
+        this.methodBodies.set(body.method, body);
+      }
+    }
+  }
+
+  // ==================== PUBLIC API ====================
+
+  // One entry per class/interface plus one per package-level script definition
+  decompileAll() {
+    const files = [];
+
+    (this.abc.instances || []).forEach((instance, index) => {
+      if (instance && !instance.parseError) {
+        files.push(this.decompileClass(index));
+      }
+    });
+
+    (this.abc.scripts || []).forEach(script => {
+      for (const trait of (script && script.traits) || []) {
+        if (!trait.parseError && trait.kind !== 4) {
+          files.push(this.decompileScriptTrait(trait, script));
+        }
+      }
+    });
+
+    return files;
+  }
+
+  decompileClass(classIndex) {
+    const instance = this.abc.instances[classIndex];
+    const classInfo = (this.abc.classes && this.abc.classes[classIndex]) || { traits: [] };
+    const qname = this.getQName(instance.name);
+    const fileScope = {
+      packageName: qname.packageName,
+      imports: new Set(),
+      instanceSlots: this.getSlotNames(instance.traits),
+      classSlots: this.getSlotNames(classInfo.traits)
+    };
+
+    const isInterface = instance.isInterface;
+    const members = [];
+
+    // Static initializer first, so constant initializers can be folded into the field declarations
+    let staticInit = [];
+    if (!isInterface && this.methodBodies.has(classInfo.cinit)) {
+      staticInit = this.decompileMethodBody(classInfo.cinit, fileScope, { isStatic: true });
+    }
+
+    const staticFields = (classInfo.traits || []).filter(trait => trait.kind === 0 || trait.kind === 6);
+    const instanceFields = (instance.traits || []).filter(trait => trait.kind === 0 || trait.kind === 6);
+    staticInit = this.foldFieldInitializers(staticInit, staticFields);
+
+    staticFields.forEach(trait => members.push(this.renderField(trait, fileScope, true)));
+    instanceFields.forEach(trait => members.push(this.renderField(trait, fileScope, false)));
+
+    if (!isInterface) {
+      if (members.length > 0) members.push(this.line(""));
+      members.push(...this.renderConstructor(instance, qname, fileScope));
+    }
+
+    const methodTraits = [
+      ...(classInfo.traits || []).filter(trait => trait.kind >= 1 && trait.kind <= 3).map(trait => ({ trait, isStatic: true })),
+      ...(instance.traits || []).filter(trait => trait.kind >= 1 && trait.kind <= 3).map(trait => ({ trait, isStatic: false }))
+    ];
+
+    methodTraits.forEach(({ trait, isStatic }, index) => {
+      if (!isInterface || index > 0 || members.length > 0) members.push(this.line(""));
+      members.push(...this.renderMethodTrait(trait, fileScope, { isStatic, isInterface }));
+    });
+
+    if (staticInit.length > 0) {
+      members.push(this.line(""), this.line("// Static initializer"), this.line("{"), ...this.indent(staticInit), this.line("}"));
+    }
+
+    const modifiers = [this.getAccessModifier(qname.namespace, true)];
+    if (instance.isFinal) modifiers.push("final");
+    if (!instance.isSealed && !isInterface) modifiers.push("dynamic");
+
+    let declaration = `${modifiers.join(' ')} ${isInterface ? 'interface' : 'class'} ${qname.name}`;
+    if (!isInterface && instance.superName !== 0 && instance.superNameString !== "Object") {
+      declaration += ` extends ${this.typeName(instance.superName, fileScope)}`;
+    }
+    if (instance.interfaces && instance.interfaces.length > 0) {
+      const interfaceNames = instance.interfaces.map(index => this.typeName(index, fileScope));
+      declaration += ` ${isInterface ? 'extends' : 'implements'} ${interfaceNames.join(', ')}`;
+    }
+
+    const classLines = [this.line(`${declaration} {`), ...this.indent(members), this.line("}")];
+
+    return {
+      name: qname.name,
+      packageName: qname.packageName,
+      kind: isInterface ? "interface" : "class",
+      fileName: this.getFileName(qname),
+      source: this.renderPackage(qname.packageName, fileScope, classLines)
+    };
+  }
+
+  decompileScriptTrait(trait, script) {
+    const qname = this.getQName(trait.name);
+    const fileScope = {
+      packageName: qname.packageName,
+      imports: new Set(),
+      instanceSlots: this.getSlotNames(script.traits),
+      classSlots: new Map()
+    };
+
+    let lines;
+    let kind;
+    if (trait.kind === 0 || trait.kind === 6) {
+      lines = [this.renderField(trait, fileScope, false)];
+      kind = "variable";
+    } else {
+      const methodTrait = trait.kind === 5 ? Object.assign({}, trait, { method: trait.function, kind: 1 }) : trait;
+      lines = this.renderMethodTrait(methodTrait, fileScope, { isStatic: false, isInterface: false });
+      kind = "function";
+    }
+
+    return {
+      name: qname.name,
+      packageName: qname.packageName,
+      kind: kind,
+      fileName: this.getFileName(qname),
+      source: this.renderPackage(qname.packageName, fileScope, lines)
+    };
+  }
+
+  // ==================== DECLARATIONS ====================
+
+  renderPackage(packageName, fileScope, bodyLines) {
+    const lines = [this.line(packageName ? `package ${packageName} {` : "package {")];
+    const imports = [...fileScope.imports].sort();
+
+    if (imports.length > 0) {
+      lines.push(...this.indent(imports.map(name => this.line(`import ${name};`))), this.line(""));
+    }
+
+    lines.push(...this.indent(bodyLines), this.line("}"));
+    return lines.map(line => line.text).join('\n') + '\n';
+  }
+
+  renderField(trait, fileScope, isStatic) {
+    const qname = this.getQName(trait.name);
+    const modifiers = [this.getAccessModifier(qname.namespace)];
+    if (isStatic) modifiers.push("static");
+    modifiers.push(trait.kind === 6 ? "const" : "var");
+
+    let text = `${modifiers.join(' ')} ${qname.name}:${this.typeName(trait.typeName, fileScope)}`;
+    if (trait.vindex) {
+      text += ` = ${this.formatDefaultValue(trait.vindex, trait.vkind)}`;
+    } else if (trait.initializer) {
+      text += ` = ${trait.initializer}`;
+    }
+
+    return this.line(`${text};`);
+  }
+
+  renderConstructor(instance, qname, fileScope) {
+    const methodInfo = this.abc.methods[instance.iinit];
+    const header = `${this.getAccessModifier(qname.namespace, true)} function ${qname.name}(${this.formatParameters(methodInfo, fileScope)})`;
+
+    if (!this.methodBodies.has(instance.iinit)) {
+      return [this.line(`${header} {`), this.line("}")];
+    }
+
+    const body = this.decompileMethodBody(instance.iinit, fileScope, { isStatic: false });
+    return [this.line(`${header} {`), ...this.indent(body), this.line("}")];
+  }
+
+  renderMethodTrait(trait, fileScope, options) {
+    const methodInfo = this.abc.methods[trait.method];
+    const qname = this.getQName(trait.name);
+    const modifiers = [];
+
+    if (!options.isInterface) {
+      modifiers.push(this.getAccessModifier(qname.namespace));
+      if (options.isStatic) modifiers.push("static");
+      if (trait.isOverride) modifiers.push("override");
+      if (trait.isFinal && !options.isStatic) modifiers.push("final");
+      if (methodInfo && methodInfo.isNative) modifiers.push("native");
+    }
+
+    const accessor = trait.kind === 2 ? "get " : (trait.kind === 3 ? "set " : "");
+    const returnType = methodInfo ? this.typeName(methodInfo.returnType, fileScope) : "*";
+    const header = `${modifiers.concat(["function"]).join(' ')} ${accessor}${qname.name}(${this.formatParameters(methodInfo, fileScope)}):${returnType}`;
+
+    if (options.isInterface || !methodInfo || methodInfo.isNative || !this.methodBodies.has(trait.method)) {
+      return [this.line(`${header};`)];
+    }
+
+    const body = this.decompileMethodBody(trait.method, fileScope, { isStatic: options.isStatic });
+    return [this.line(`${header} {`), ...this.indent(body), this.line("}")];
+  }
+
+  formatParameters(methodInfo, fileScope) {
+    if (!methodInfo || methodInfo.parseError) {
+      return "";
+    }
+
+    const names = this.getParameterNames(methodInfo);
+    const optional = methodInfo.optionalParams || [];
+    const firstOptional = methodInfo.paramCount - optional.length;
+
+    const params = methodInfo.params.map((typeIndex, index) => {
+      let text = `${names[index]}:${this.typeName(typeIndex, fileScope)}`;
+      if (index >= firstOptional) {
+        const value = optional[index - firstOptional];
+        text += ` = ${this.formatDefaultValue(value.value, value.kind)}`;
+      }
+      return text;
+    });
+
+    if (methodInfo.hasRest) {
+      params.push("...rest");
+    }
+
+    return params.join(', ');
+  }
+
+  getParameterNames(methodInfo) {
+    return methodInfo.params.map((_, index) => {
+      const name = methodInfo.paramNamesStrings ? methodInfo.paramNamesStrings[index] : null;
+      return name && this.isIdentifier(name) ? name : `param${index + 1}`;
+    });
+  }
+
+  // Moves top-level "name = value" initializations of fields without a constant default into the declaration
+  foldFieldInitializers(lines, fields) {
+    const pending = new Map(fields.filter(trait => !trait.vindex).map(trait => [this.getQName(trait.name).name, trait]));
+
+    const remaining = lines.filter(line => {
+      const meta = line.meta;
+      if (meta && meta.kind === 'initproperty' && meta.implicit && pending.has(meta.target)) {
+        pending.get(meta.target).initializer = meta.value.text;
+        pending.delete(meta.target);
+        return false;
+      }
+      return true;
+    });
+
+    return remaining.some(line => line.text.trim() !== "") ? remaining : [];
+  }
+
+  // ==================== NAME RESOLUTION ====================
+
+  getQName(index) {
+    const multiname = this.constantPool.multinames[index];
+    if (!multiname) {
+      return { name: `multiname_${index}`, namespace: null, packageName: "" };
+    }
+
+    const namespace = multiname.namespace !== undefined ? this.constantPool.namespaces[multiname.namespace] : null;
+    return {
+      name: multiname.nameString !== undefined ? multiname.nameString : `multiname_${index}`,
+      namespace: namespace,
+      packageName: namespace && namespace.kind === 0x16 ? namespace.nameString : ""
+    };
+  }
+
+  getFileName(qname) {
+    const directory = qname.packageName ? qname.packageName.replace(/\./g, '/') + '/' : '';
+    return `${directory}${qname.name.replace(/[^\w$.-]/g, '_')}.as`;
+  }
+
+  getAccessModifier(namespace, isDefinition = false) {
+    if (!namespace) {
+      return "public";
+    }
+
+    switch (namespace.kind) {
+      case 0x16: return "public";
+      case 0x17: return "internal";
+      case 0x05: return isDefinition ? "internal" : "private";
+      case 0x18:
+      case 0x1A: return "protected";
+      case 0x08:
+        if (namespace.nameString === "http://adobe.com/AS3/2006/builtin") return "AS3";
+        return `/* namespace ${JSON.stringify(namespace.nameString)} */`;
+      default: return "public";
+    }
+  }
+
+  getSlotNames(traits) {
+    const slots = new Map();
+    for (const trait of traits || []) {
+      if (!trait.parseError && trait.slotId) {
+        slots.set(trait.slotId, { name: this.getQName(trait.name).name, typeName: trait.typeName });
+      }
+    }
+    return slots;
+  }
+
+  multinameName(index, visited = new Set()) {
+    const multiname = this.constantPool.multinames[index];
+    if (!multiname || visited.has(index)) {
+      return `multiname_${index}`;
+    }
+
+    if (multiname.kind === 0x1D) {
+      visited.add(index);
+      const parameters = multiname.parameters.map(p => p === 0 ? "*" : this.multinameName(p, visited));
+      return `${this.multinameName(multiname.typeName, visited)}.<${parameters.join(', ')}>`;
+    }
+
+    return multiname.nameString !== undefined ? multiname.nameString : "*";
+  }
+
+  typeName(index, fileScope) {
+    if (!index) {
+      return "*";
+    }
+    this.noteImport(index, fileScope);
+    return this.multinameName(index);
+  }
+
+  noteImport(index, fileScope, visited = new Set()) {
+    const multiname = this.constantPool.multinames[index];
+    if (!multiname || !fileScope || visited.has(index)) {
+      return;
+    }
+
+    if (multiname.kind === 0x1D) {
+      visited.add(index);
+      this.noteImport(multiname.typeName, fileScope, visited);
+      multiname.parameters.forEach(p => this.noteImport(p, fileScope, visited));
+      return;
+    }
+
+    if (multiname.kind !== 0x07 && multiname.kind !== 0x0D) {
+      return;
+    }
+
+    const namespace = this.constantPool.namespaces[multiname.namespace];
+    if (namespace && namespace.kind === 0x16 && namespace.nameString &&
+        namespace.nameString !== fileScope.packageName && this.isIdentifier(multiname.nameString)) {
+      fileScope.imports.add(`${namespace.nameString}.${multiname.nameString}`);
+    }
+  }
+
+  formatDefaultValue(index, kind) {
+    const pool = this.constantPool;
+
+    switch (kind) {
+      case 0x01: return JSON.stringify(pool.strings[index] !== undefined ? pool.strings[index] : "");
+      case 0x03: return String(pool.integers[index]);
+      case 0x04: return String(pool.unsignedIntegers[index]);
+      case 0x06: return String(pool.doubles[index]);
+      case 0x05:
+      case 0x08:
+      case 0x16:
+      case 0x17:
+      case 0x18:
+      case 0x19:
+      case 0x1A: {
+        const namespace = pool.namespaces[index];
+        return JSON.stringify(namespace ? namespace.nameString : "");
+      }
+      case 0x0A: return "false";
+      case 0x0B: return "true";
+      case 0x0C: return "null";
+      default: return "undefined";
+    }
+  }
+
+  isIdentifier(name) {
+    return typeof name === 'string' && /^[A-Za-z_$][\w$]*$/.test(name);
+  }
+
+  // ==================== OUTPUT LINES ====================
+
+  line(text, meta = null) {
+    return { text: text, meta: meta };
+  }
+
+  // Indents every line, including the continuation lines of multi-line expressions (function literals)
+  indent(lines) {
+    const pad = this.indentUnit;
+    return lines.map(line => ({
+      text: line.text === "" ? "" : pad + line.text.split('\n').join('\n' + pad),
+      meta: line.meta
+    }));
+  }
+
+  // ==================== METHOD BODIES ====================
+
+  decompileMethodBody(methodIndex, fileScope, options = {}) {
+    const body = this.methodBodies.get(methodIndex);
+    if (!body) {
+      return [this.line("// No method body")];
+    }
+
+    try {
+      if (body.disassemblyError) {
+        throw new Error(body.disassemblyError);
+      }
+
+      const ctx = this.createMethodContext(methodIndex, body, fileScope, options);
+      const result = this.decompileRange(ctx, 0, ctx.instructions.length, [], ctx.codeLength);
+      const lines = result.lines;
+
+      // The compiler always ends with returnvoid; drop it when it is the final top-level statement
+      if (lines.length > 0 && lines[lines.length - 1].text === "return;") {
+        lines.pop();
+      }
+
+      return lines;
+
+    } catch (error) {
+      return [
+        this.line(`// Decompilation failed: ${error.message}`),
+        ...(body.disassembly || []).map(text => this.line(`// ${text}`))
+      ];
+    }
+  }
+
+  createMethodContext(methodIndex, body, fileScope, options) {
+    const methodInfo = this.abc.methods[methodIndex] || { params: [], paramCount: 0, flags: 0 };
+    const registerNames = ["this", ...this.getParameterNames(methodInfo)];
+
+    if (methodInfo.hasRest) {
+      registerNames.push("rest");
+    } else if (methodInfo.flags & 0x01) {
+      registerNames.push("arguments");
+    }
+
+    const indexByOffset = new Map();
+    body.instructions.forEach((instruction, index) => indexByOffset.set(instruction.offset, index));
+
+    return {
+      methodInfo: methodInfo,
+      body: body,
+      instructions: body.instructions,
+      codeLength: body.codeLength,
+      indexByOffset: indexByOffset,
+      registerNames: registerNames,
+      declared: new Set(registerNames.map((_, index) => index)),
+      declaredNames: new Set(),
+      registerValues: new Map(),
+      scopeStack: [],
+      loops: [],
+      activeLoops: new Set(),
+      activeTries: new Set(),
+      activationSlots: this.getSlotNames(body.traits),
+      thisSlots: options.isStatic ? fileScope.classSlots : fileScope.instanceSlots,
+      fileScope: fileScope,
+      depth: options.depth || 0
+    };
+  }
+
+  offsetAt(ctx, index) {
+    return index < ctx.instructions.length ? ctx.instructions[index].offset : ctx.codeLength;
+  }
+
+  indexAt(ctx, offset) {
+    if (offset === ctx.codeLength) {
+      return ctx.instructions.length;
+    }
+
+    const index = ctx.indexByOffset.get(offset);
+    if (index === undefined) {
+      throw new Error(`Branch to offset ${offset} is not an instruction boundary`);
+    }
+    return index;
+  }
+
+  labelFor(ctx, offset) {
+    return ctx.body.labels[offset] || `offset ${offset}`;
+  }
+
+  // ==================== CONTROL FLOW ====================
+
+  // Decompiles instructions [start, end); jumps to `follow` are the natural fall-through of the region
+  decompileRange(ctx, start, end, stack, follow) {
+    const lines = [];
+    let i = start;
+
+    while (i < end) {
+      const instruction = ctx.instructions[i];
+      const tryGroup = this.findTryGroup(ctx, instruction.offset, end);
+      const backEdge = this.findLoopBackEdge(ctx, i, end);
+
+      if (tryGroup && (backEdge === -1 || this.indexAt(ctx, tryGroup.to) > backEdge)) {
+        i = this.emitTry(ctx, tryGroup, i, end, stack, lines);
+      } else if (backEdge !== -1) {
+        i = this.emitDoWhile(ctx, i, backEdge, stack, lines);
+      } else if (instruction.opcode === 0x10) {
+        i = this.emitJump(ctx, i, end, stack, lines, follow);
+      } else if (AVM2Disassembler.isBranchOpcode(instruction.opcode)) {
+        i = this.emitConditional(ctx, i, end, stack, lines, follow);
+      } else if (instruction.opcode === 0x1B) {
+        throw new Error(`Unstructured lookupswitch at offset ${instruction.offset}`);
+      } else {
+        this.simulate(ctx, instruction, stack, lines);
+        i++;
+      }
+    }
+
+    return { lines: lines, stack: stack };
+  }
+
+  findLoopTarget(ctx, offset) {
+    for (let i = ctx.loops.length - 1; i >= 0; i--) {
+      const loop = ctx.loops[i];
+      if (loop.breakOffset === offset) return "break";
+      if (loop.continueOffset === offset) return "continue";
+    }
+    return null;
+  }
+
+  // A later branch back to this instruction makes it the head of a do-while loop
+  findLoopBackEdge(ctx, i, end) {
+    const offset = ctx.instructions[i].offset;
+    if (ctx.activeLoops.has(offset)) {
+      return -1;
+    }
+
+    for (let j = end - 1; j >= i; j--) {
+      const instruction = ctx.instructions[j];
+      if (AVM2Disassembler.isBranchOpcode(instruction.opcode) && instruction.targets[0] === offset) {
+        return j;
+      }
+    }
+
+    return -1;
+  }
+
+  emitDoWhile(ctx, i, j, stack, lines) {
+    const header = ctx.instructions[i].offset;
+    const branch = ctx.instructions[j];
+
+    ctx.activeLoops.add(header);
+    ctx.loops.push({ breakOffset: this.offsetAt(ctx, j + 1), continueOffset: null });
+    const body = this.decompileRange(ctx, i, j, stack.slice(), branch.offset);
+    ctx.loops.pop();
+    ctx.activeLoops.delete(header);
+
+    if (branch.opcode === 0x10) {
+      lines.push(this.line("while (true) {"), ...this.indent(body.lines), this.line("}"));
+    } else {
+      const condition = this.branchCondition(branch, body.stack);
+      lines.push(this.line("do {"), ...this.indent(body.lines), this.line(`} while (${condition.text});`));
+    }
+
+    stack.splice(0, stack.length, ...body.stack);
+    return j + 1;
+  }
+
+  emitJump(ctx, i, end, stack, lines, follow) {
+    const instruction = ctx.instructions[i];
+    const target = instruction.targets[0];
+
+    if (target === follow) {
+      return i + 1;
+    }
+
+    const loopTarget = this.findLoopTarget(ctx, target);
+    if (loopTarget) {
+      lines.push(this.line(`${loopTarget};`));
+      return i + 1;
+    }
+
+    if (target > instruction.offset) {
+      const conditionIndex = this.findWhileCondition(ctx, i, end);
+      if (conditionIndex !== -1) {
+        return this.emitWhile(ctx, i, conditionIndex, stack, lines);
+      }
+
+      const switchIndex = this.findSwitch(ctx, i, end);
+      if (switchIndex !== -1) {
+        return this.emitSwitch(ctx, i, switchIndex, stack, lines);
+      }
+    }
+
+    lines.push(this.line(`// goto ${this.labelFor(ctx, target)}`));
+    return i + 1;
+  }
+
+  // Compiled while/for loops: jump to the condition, body, condition, branch back to the body
+  findWhileCondition(ctx, i, end) {
+    const bodyStart = this.offsetAt(ctx, i + 1);
+    const conditionStart = ctx.indexByOffset.get(ctx.instructions[i].targets[0]);
+    if (conditionStart === undefined) {
+      return -1;
+    }
+
+    for (let k = conditionStart; k < end; k++) {
+      const instruction = ctx.instructions[k];
+      if (AVM2Disassembler.isBranchOpcode(instruction.opcode) && instruction.targets[0] === bodyStart) {
+        return k;
+      }
+    }
+
+    return -1;
+  }
+
+  emitWhile(ctx, i, k, stack, lines) {
+    const conditionOffset = ctx.instructions[i].targets[0];
+    const conditionStart = this.indexAt(ctx, conditionOffset);
+    const bodyOffset = this.offsetAt(ctx, i + 1);
+    const branch = ctx.instructions[k];
+
+    ctx.loops.push({ breakOffset: this.offsetAt(ctx, k + 1), continueOffset: conditionOffset });
+    ctx.activeLoops.add(bodyOffset);
+    const body = this.decompileRange(ctx, i + 1, conditionStart, stack.slice(), conditionOffset);
+    ctx.activeLoops.delete(bodyOffset);
+    ctx.loops.pop();
+
+    const conditionResult = this.decompileRange(ctx, conditionStart, k, stack.slice(), branch.offset);
+    const condition = branch.opcode === 0x10 ? this.expr("true") : this.branchCondition(branch, conditionResult.stack);
+
+    if (conditionResult.lines.length > 0) {
+      // Statements inside the test (assignments, calls) keep their evaluation order
+      lines.push(this.line("while (true) {"), ...this.indent(conditionResult.lines),
+        ...this.indent([this.line(`if (${this.negate(condition).text}) break;`)]),
+        ...this.indent(body.lines), this.line("}"));
+      return k + 1;
+    }
+
+    const forIn = this.matchForIn(ctx, condition, body.lines, lines);
+    if (forIn) {
+      lines.push(this.line(`${forIn.header} {`), ...this.indent(body.lines.slice(1)), this.line("}"));
+      return k + 1;
+    }
+
+    lines.push(this.line(`while (${condition.text}) {`), ...this.indent(body.lines), this.line("}"));
+    return k + 1;
+  }
+
+  // hasnext2 loops whose body starts by storing nextname/nextvalue are for-in/for-each loops
+  matchForIn(ctx, condition, bodyLines, lines) {
+    const first = bodyLines[0];
+    if (condition.kind !== 'hasnext2' || !first || !first.meta || first.meta.kind !== 'assign' ||
+        (first.meta.value.kind !== 'nextname' && first.meta.value.kind !== 'nextvalue')) {
+      return null;
+    }
+
+    const objectName = this.registerName(ctx, condition.objectRegister);
+    const indexName = this.registerName(ctx, condition.indexRegister);
+    let collection = objectName;
+
+    // Drop the compiler's temporaries for the collection and the iteration index
+    for (let n = lines.length - 1; n >= 0 && n >= lines.length - 3; n--) {
+      const meta = lines[n].meta;
+      if (!meta || meta.kind !== 'assign') break;
+      if (meta.target === objectName) {
+        collection = meta.value.text;
+        lines.splice(n, 1);
+      } else if (meta.target === indexName) {
+        lines.splice(n, 1);
+      }
+    }
+
+    const variable = first.meta.declaration ? `var ${first.meta.target}:${first.meta.type}` : first.meta.target;
+    const each = first.meta.value.kind === 'nextvalue' ? "each " : "";
+    return { header: `for ${each}(${variable} in ${collection})` };
+  }
+
+  // Compiled switch: jump to the case selector, case bodies, selector, lookupswitch
+  findSwitch(ctx, i, end) {
+    const jump = ctx.instructions[i];
+    const selectorStart = ctx.indexByOffset.get(jump.targets[0]);
+    if (selectorStart === undefined) {
+      return -1;
+    }
+
+    for (let k = selectorStart; k < end; k++) {
+      const instruction = ctx.instructions[k];
+      if (instruction.opcode === 0x1B) {
+        const exit = this.offsetAt(ctx, k + 1);
+        const inside = instruction.targets.every(target => target === exit || (target > jump.offset && target < jump.targets[0]));
+        return inside ? k : -1;
+      }
+    }
+
+    return -1;
+  }
+
+  emitSwitch(ctx, i, k, stack, lines) {
+    const selectorOffset = ctx.instructions[i].targets[0];
+    const selectorStart = this.indexAt(ctx, selectorOffset);
+    const lookupSwitch = ctx.instructions[k];
+    const exit = this.offsetAt(ctx, k + 1);
+
+    // The selector runs before any case body, so its statements come first
+    const selector = this.decompileRange(ctx, selectorStart, k, stack.slice(), lookupSwitch.offset);
+    const { subject, caseValues } = this.extractSwitchCases(this.pop(selector.stack, lookupSwitch));
+    let subjectText = subject.text;
+
+    // The compiler copies the switch subject into a temporary register first
+    const last = selector.lines[selector.lines.length - 1];
+    if (last && last.meta && last.meta.kind === 'assign' && last.meta.declaration && last.meta.target === subject.text) {
+      selector.lines.pop();
+      subjectText = last.meta.value.text;
+    }
+    lines.push(...selector.lines);
+
+    const [defaultTarget, ...caseTargets] = lookupSwitch.targets;
+    const bodyTargets = [...new Set(lookupSwitch.targets.filter(target => target !== exit))].sort((a, b) => a - b);
+    const enclosing = ctx.loops.length > 0 ? ctx.loops[ctx.loops.length - 1].continueOffset : null;
+
+    lines.push(this.line(`switch (${subjectText}) {`));
+    ctx.loops.push({ breakOffset: exit, continueOffset: enclosing });
+
+    bodyTargets.forEach((target, n) => {
+      const regionEnd = n + 1 < bodyTargets.length ? this.indexAt(ctx, bodyTargets[n + 1]) : selectorStart;
+      const labels = [];
+
+      caseTargets.forEach((caseTarget, caseIndex) => {
+        // Indexes without a comparison are the selector's fallback to the default body
+        if (caseTarget !== target || (caseValues.length > 0 && caseValues[caseIndex] === undefined)) {
+          return;
+        }
+        labels.push(this.line(`case ${caseValues[caseIndex] !== undefined ? caseValues[caseIndex] : caseIndex}:`));
+      });
+      if (defaultTarget === target) {
+        labels.push(this.line("default:"));
+      }
+
+      const result = this.decompileRange(ctx, this.indexAt(ctx, target), regionEnd, stack.slice(), this.offsetAt(ctx, regionEnd));
+      lines.push(...this.indent(labels), ...this.indent(this.indent(result.lines)));
+    });
+
+    ctx.loops.pop();
+    lines.push(this.line("}"));
+    return k + 1;
+  }
+
+  // The selector is a chain "value === subject ? index : ..." built from the case comparisons
+  extractSwitchCases(selector) {
+    const caseValues = [];
+    let subject = null;
+    let node = selector;
+
+    while (node && node.kind === 'ternary') {
+      const condition = node.condition;
+      const index = node.whenTrue.kind === 'literal' ? Number(node.whenTrue.text) : NaN;
+
+      if (condition.kind !== 'binary' || condition.op !== '===' || isNaN(index)) {
+        return { subject: selector, caseValues: [] };
+      }
+
+      const subjectOnLeft = condition.left.kind === 'local' && condition.right.kind !== 'local';
+      const candidate = subjectOnLeft ? condition.left : condition.right;
+      if (subject && subject.text !== candidate.text) {
+        return { subject: selector, caseValues: [] };
+      }
+
+      subject = candidate;
+      caseValues[index] = (subjectOnLeft ? condition.right : condition.left).text;
+      node = node.whenFalse;
+    }
+
+    return subject ? { subject, caseValues } : { subject: selector, caseValues: [] };
+  }
+
+  emitConditional(ctx, i, end, stack, lines, follow) {
+    const instruction = ctx.instructions[i];
+    const target = instruction.targets[0];
+    const next = ctx.instructions[i + 1];
+    const endOffset = this.offsetAt(ctx, end);
+
+    const isShortCircuit = (instruction.opcode === 0x11 || instruction.opcode === 0x12) &&
+      i > 0 && ctx.instructions[i - 1].opcode === 0x2A && next && next.opcode === 0x29 &&
+      target > instruction.offset && target <= endOffset;
+
+    const condition = this.branchCondition(instruction, stack);
+
+    if (isShortCircuit) {
+      // dup; iftrue/iffalse L; pop; <right>; L:  is  left || right  /  left && right
+      const left = this.pop(stack, instruction);
+      const right = this.decompileRange(ctx, i + 2, this.indexAt(ctx, target), stack.slice(), target);
+      if (right.lines.length > 0 || right.stack.length !== stack.length + 1) {
+        throw new Error(`Unsupported short-circuit expression at offset ${instruction.offset}`);
+      }
+      stack.push(this.binary(instruction.opcode === 0x11 ? '||' : '&&', left, right.stack.pop()));
+      return this.indexAt(ctx, target);
+    }
+
+    const loopTarget = this.findLoopTarget(ctx, target);
+    if (loopTarget && target !== follow) {
+      lines.push(this.line(`if (${condition.text}) ${loopTarget};`));
+      return i + 1;
+    }
+
+    if (target <= instruction.offset || (target > endOffset && target !== follow)) {
+      lines.push(this.line(`// if (${condition.text}) goto ${this.labelFor(ctx, target)}`));
+      return i + 1;
+    }
+
+    const targetIndex = target >= endOffset ? end : this.indexAt(ctx, target);
+    const ifCondition = this.negate(condition);
+
+    // A then-block ending in a forward jump past the target has an else-block
+    let thenEnd = targetIndex;
+    let elseEnd = null;
+    let join = target;
+    const last = ctx.instructions[targetIndex - 1];
+    if (targetIndex - 1 > i && targetIndex < end && last.opcode === 0x10 && last.targets[0] > target &&
+        last.targets[0] !== follow && !this.findLoopTarget(ctx, last.targets[0]) && last.targets[0] <= endOffset) {
+      thenEnd = targetIndex - 1;
+      join = last.targets[0];
+      elseEnd = this.indexAt(ctx, join);
+    } else if (targetIndex - 1 > i && targetIndex < end && last.opcode === 0x10 && last.targets[0] === follow) {
+      thenEnd = targetIndex - 1;
+      join = follow;
+      elseEnd = end;
+    }
+
+    const thenResult = this.decompileRange(ctx, i + 1, thenEnd, stack.slice(), join);
+
+    if (elseEnd === null) {
+      if (thenResult.stack.length !== stack.length) {
+        throw new Error(`Unbalanced stack in if-block at offset ${instruction.offset}`);
+      }
+      this.pushIf(lines, ifCondition, thenResult.lines, null);
+      return targetIndex;
+    }
+
+    const elseResult = this.decompileRange(ctx, targetIndex, elseEnd, stack.slice(), join);
+
+    if (thenResult.lines.length === 0 && elseResult.lines.length === 0 &&
+        thenResult.stack.length === stack.length + 1 && elseResult.stack.length === stack.length + 1) {
+      stack.push(this.ternary(ifCondition, thenResult.stack.pop(), elseResult.stack.pop()));
+      return elseEnd;
+    }
+
+    if (thenResult.stack.length !== stack.length || elseResult.stack.length !== stack.length) {
+      throw new Error(`Unbalanced stack in if/else at offset ${instruction.offset}`);
+    }
+
+    this.pushIf(lines, ifCondition, thenResult.lines, elseResult.lines);
+    return elseEnd;
+  }
+
+  pushIf(lines, condition, thenLines, elseLines) {
+    const ifLines = [this.line(`if (${condition.text}) {`), ...this.indent(thenLines)];
+
+    if (elseLines && elseLines.length > 0) {
+      const first = elseLines[0];
+      if (first.meta && first.meta.kind === 'if' && first.meta.lineCount === elseLines.length) {
+        ifLines.push(this.line(`} else ${first.text}`), ...elseLines.slice(1));
+      } else {
+        ifLines.push(this.line("} else {"), ...this.indent(elseLines), this.line("}"));
+      }
+    } else {
+      ifLines.push(this.line("}"));
+    }
+
+    ifLines[0].meta = { kind: 'if', lineCount: ifLines.length };
+    lines.push(...ifLines);
+  }
+
+  findTryGroup(ctx, offset, end) {
+    const exceptions = ctx.body.exceptions || [];
+    const candidates = exceptions.filter(exception => !exception.parseError && exception.from === offset &&
+      !ctx.activeTries.has(`${exception.from}:${exception.to}`));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const to = Math.max(...candidates.map(exception => exception.to));
+    if (to > this.offsetAt(ctx, end) || !ctx.indexByOffset.has(to) && to !== ctx.codeLength) {
+      return null;
+    }
+
+    return {
+      from: offset,
+      to: to,
+      handlers: candidates.filter(exception => exception.to === to).sort((a, b) => a.target - b.target)
+    };
+  }
+
+  emitTry(ctx, group, i, end, stack, lines) {
+    ctx.activeTries.add(`${group.from}:${group.to}`);
+
+    const firstHandler = group.handlers[0].target;
+    const endOffset = this.offsetAt(ctx, end);
+    let tryEnd = this.indexAt(ctx, group.to);
+    let after = null;
+
+    // The jump over the handlers sits at the end of the protected range or right after it
+    const lastInRange = ctx.instructions[tryEnd - 1];
+    const afterRange = ctx.instructions[tryEnd];
+    if (lastInRange && lastInRange.opcode === 0x10 && lastInRange.targets[0] > firstHandler) {
+      after = lastInRange.targets[0];
+      tryEnd--;
+    } else if (afterRange && afterRange.opcode === 0x10 && afterRange.offset < firstHandler && afterRange.targets[0] > firstHandler) {
+      after = afterRange.targets[0];
+    }
+    if (after === null || after > endOffset) {
+      after = endOffset;
+    }
+
+    const savedScopes = ctx.scopeStack.slice();
+    const tryResult = this.decompileRange(ctx, i, tryEnd, stack.slice(), after);
+    lines.push(this.line("try {"), ...this.indent(tryResult.lines));
+
+    group.handlers.forEach((handler, n) => {
+      const start = this.indexAt(ctx, handler.target);
+      const handlerEnd = n + 1 < group.handlers.length ? this.indexAt(ctx, group.handlers[n + 1].target) : this.indexAt(ctx, after);
+      const variable = handler.varName ? handler.varNameString : "e";
+      const type = handler.excType ? this.typeName(handler.excType, ctx.fileScope) : "*";
+
+      // The VM clears the scope stack and pushes the exception before entering a handler
+      ctx.scopeStack = [];
+      const result = this.decompileRange(ctx, start, handlerEnd, [this.expr(variable, 20, { kind: 'local' })], after);
+      lines.push(this.line(`} catch (${variable}:${type}) {`), ...this.indent(result.lines));
+    });
+
+    lines.push(this.line("}"));
+    ctx.scopeStack = savedScopes;
+    return this.indexAt(ctx, after);
+  }
+
+  // ==================== STACK SIMULATION ====================
+
+  simulate(ctx, instruction, stack, lines) {
+    const operands = instruction.operands;
+    const pop = () => this.pop(stack, instruction);
+
+    switch (instruction.name) {
+      // Instructions with no effect on the decompiled source
+      case "nop": case "label": case "bkpt": case "bkptline": case "debug": case "debugline":
+      case "debugfile": case "timestamp": case "kill":
+        break;
+
+      // Constants
+      case "pushnull": stack.push(this.literal("null")); break;
+      case "pushundefined": stack.push(this.literal("undefined")); break;
+      case "pushtrue": stack.push(this.literal("true")); break;
+      case "pushfalse": stack.push(this.literal("false")); break;
+      case "pushnan": stack.push(this.literal("NaN")); break;
+      case "pushbyte":
+      case "pushshort": stack.push(this.numberLiteral(operands[0])); break;
+      case "pushint": stack.push(this.numberLiteral(this.constantPool.integers[operands[0]])); break;
+      case "pushuint": stack.push(this.numberLiteral(this.constantPool.unsignedIntegers[operands[0]])); break;
+      case "pushdouble": stack.push(this.numberLiteral(this.constantPool.doubles[operands[0]])); break;
+      case "pushstring": stack.push(this.literal(JSON.stringify(this.constantPool.strings[operands[0]] || ""))); break;
+      case "pushnamespace": {
+        const namespace = this.constantPool.namespaces[operands[0]];
+        stack.push(this.literal(JSON.stringify(namespace ? namespace.nameString : "")));
+        break;
+      }
+
+      // Stack manipulation
+      case "pop": {
+        const value = pop();
+        if (value.sideEffects) lines.push(this.line(`${value.text};`));
+        break;
+      }
+      case "dup": {
+        const value = pop();
+        stack.push(value, value);
+        break;
+      }
+      case "swap": {
+        const top = pop();
+        const below = pop();
+        stack.push(top, below);
+        break;
+      }
+
+      // Scope stack
+      case "pushscope":
+      case "pushwith":
+        ctx.scopeStack.push(pop());
+        break;
+      case "popscope":
+        ctx.scopeStack.pop();
+        break;
+      case "getscopeobject":
+        stack.push(ctx.scopeStack[operands[0]] || this.scopeMarker());
+        break;
+      case "getglobalscope":
+      case "getouterscope":
+        stack.push(this.scopeMarker());
+        break;
+      case "newactivation":
+        stack.push(this.expr("activation", 20, { kind: 'activation' }));
+        break;
+      case "newcatch": {
+        const exception = (ctx.body.exceptions || [])[operands[0]];
+        const variable = exception && exception.varName ? exception.varNameString : "e";
+        stack.push(this.expr(variable, 20, { kind: 'catchscope', variable: variable }));
+        break;
+      }
+
+      // Locals
+      case "getlocal_0": case "getlocal_1": case "getlocal_2": case "getlocal_3":
+        stack.push(this.getLocal(ctx, instruction.opcode - 0xD0));
+        break;
+      case "getlocal":
+        stack.push(this.getLocal(ctx, operands[0]));
+        break;
+      case "setlocal_0": case "setlocal_1": case "setlocal_2": case "setlocal_3":
+        this.setLocal(ctx, instruction.opcode - 0xD4, pop(), lines);
+        break;
+      case "setlocal":
+        this.setLocal(ctx, operands[0], pop(), lines);
+        break;
+      case "inclocal": case "inclocal_i":
+        lines.push(this.line(`${this.registerName(ctx, operands[0])}++;`));
+        break;
+      case "declocal": case "declocal_i":
+        lines.push(this.line(`${this.registerName(ctx, operands[0])}--;`));
+        break;
+
+      // Slots
+      case "getslot": {
+        const object = pop();
+        stack.push(this.expr(this.slotAccess(ctx, object, operands[0]), 20, { kind: 'local' }));
+        break;
+      }
+      case "setslot": {
+        const value = pop();
+        const object = pop();
+        this.setSlot(ctx, object, operands[0], value, lines);
+        break;
+      }
+      case "getglobalslot":
+        stack.push(this.expr(`globalSlot${operands[0]}`));
+        break;
+      case "setglobalslot":
+        lines.push(this.assignment(`globalSlot${operands[0]}`, pop()));
+        break;
+
+      // Properties
+      case "findpropstrict": case "findproperty": case "finddef":
+      case "findpropglobal": case "findpropglobalstrict":
+        this.resolveName(ctx, operands[0], stack, instruction);
+        this.noteImport(operands[0], ctx.fileScope);
+        stack.push(this.scopeMarker());
+        break;
+      case "getlex":
+        this.noteImport(operands[0], ctx.fileScope);
+        stack.push(this.expr(this.memberText(this.scopeMarker(), this.resolveName(ctx, operands[0], stack, instruction))));
+        break;
+      case "getproperty": {
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        stack.push(this.expr(this.memberText(pop(), name)));
+        break;
+      }
+      case "setproperty":
+      case "initproperty": {
+        const value = pop();
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        const object = pop();
+        const target = this.memberText(object, name);
+        lines.push(this.assignment(target, value, {
+          kind: instruction.name === "initproperty" ? 'initproperty' : 'setproperty',
+          implicit: !name.runtimeName && (this.isImplicitScope(object) || object.kind === 'this')
+        }));
+        if (instruction.name === "initproperty" && !name.runtimeName) {
+          lines[lines.length - 1].meta.target = name.name;
+        }
+        break;
+      }
+      case "deleteproperty": {
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        stack.push(this.expr(`delete ${this.memberText(pop(), name)}`, 15, { sideEffects: true }));
+        break;
+      }
+      case "getsuper": {
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        pop();
+        stack.push(this.expr(this.memberText(this.expr("super"), name)));
+        break;
+      }
+      case "setsuper": {
+        const value = pop();
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        pop();
+        lines.push(this.assignment(this.memberText(this.expr("super"), name), value));
+        break;
+      }
+      case "getdescendants": {
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        stack.push(this.expr(`${this.wrap(pop(), 20)}..${name.runtimeName ? `[${name.runtimeName.text}]` : name.name}`));
+        break;
+      }
+
+      // Calls and construction
+      case "callproperty": case "callproplex": case "callpropvoid": {
+        const args = this.popArguments(stack, operands[1], instruction);
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        const object = pop();
+        if (this.isImplicitScope(object)) this.noteImport(operands[0], ctx.fileScope);
+        this.pushCall(`${this.memberText(object, name)}(${this.joinArguments(args)})`, instruction.name === "callpropvoid", stack, lines);
+        break;
+      }
+      case "callsuper": case "callsupervoid": {
+        const args = this.popArguments(stack, operands[1], instruction);
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        pop();
+        this.pushCall(`${this.memberText(this.expr("super"), name)}(${this.joinArguments(args)})`, instruction.name === "callsupervoid", stack, lines);
+        break;
+      }
+      case "callmethod": case "callstatic": {
+        const args = this.popArguments(stack, operands[1], instruction);
+        const object = pop();
+        const callee = instruction.name === "callmethod" ? `${this.wrap(object, 20)}.method${operands[0]}` : `method_${operands[0]}`;
+        this.pushCall(`${callee}(${this.joinArguments(args)})`, false, stack, lines);
+        break;
+      }
+      case "call": {
+        const args = this.popArguments(stack, operands[0], instruction);
+        pop(); // receiver
+        const callee = pop();
+        this.pushCall(`${this.wrap(callee, 20)}(${this.joinArguments(args)})`, false, stack, lines);
+        break;
+      }
+      case "construct": {
+        const args = this.popArguments(stack, operands[0], instruction);
+        this.pushCall(`new ${this.wrap(pop(), 20)}(${this.joinArguments(args)})`, false, stack, lines);
+        break;
+      }
+      case "constructprop": {
+        const args = this.popArguments(stack, operands[1], instruction);
+        const name = this.resolveName(ctx, operands[0], stack, instruction);
+        const object = pop();
+        if (this.isImplicitScope(object)) this.noteImport(operands[0], ctx.fileScope);
+        this.pushCall(`new ${this.memberText(object, name)}(${this.joinArguments(args)})`, false, stack, lines);
+        break;
+      }
+      case "constructsuper": {
+        const args = this.popArguments(stack, operands[0], instruction);
+        pop();
+        lines.push(this.line(`super(${this.joinArguments(args)});`));
+        break;
+      }
+      case "applytype": {
+        const params = this.popArguments(stack, operands[0], instruction);
+        stack.push(this.expr(`${this.wrap(pop(), 20)}.<${this.joinArguments(params)}>`));
+        break;
+      }
+      case "newfunction":
+        stack.push(this.functionLiteral(ctx, operands[0]));
+        break;
+      case "newclass":
+        pop();
+        stack.push(this.expr(`class_${operands[0]}`));
+        break;
+      case "newobject": {
+        const pairs = [];
+        for (let n = 0; n < operands[0]; n++) {
+          const value = pop();
+          const key = pop();
+          const keyText = key.kind === 'literal' && /^"[A-Za-z_$][\w$]*"$/.test(key.text) ? key.text.slice(1, -1) : key.text;
+          pairs.unshift(`${keyText}: ${value.text}`);
+        }
+        stack.push(this.expr(`{${pairs.join(', ')}}`));
+        break;
+      }
+      case "newarray":
+        stack.push(this.expr(`[${this.joinArguments(this.popArguments(stack, operands[0], instruction))}]`));
+        break;
+
+      // Iteration
+      case "hasnext": {
+        const index = pop();
+        stack.push(this.expr(`hasnext(${pop().text}, ${index.text})`));
+        break;
+      }
+      case "hasnext2":
+        stack.push(this.expr(`hasnext2(${this.registerName(ctx, operands[0])}, ${this.registerName(ctx, operands[1])})`, 20,
+          { kind: 'hasnext2', objectRegister: operands[0], indexRegister: operands[1] }));
+        break;
+      case "nextname": case "nextvalue": {
+        const index = pop();
+        const object = pop();
+        stack.push(this.expr(`${instruction.name}(${object.text}, ${index.text})`, 20, { kind: instruction.name }));
+        break;
+      }
+
+      // Type conversion
+      case "convert_s": case "coerce_s": stack.push(this.withType(pop(), "String")); break;
+      case "convert_i": case "coerce_i": stack.push(this.withType(pop(), "int")); break;
+      case "convert_u": case "coerce_u": stack.push(this.withType(pop(), "uint")); break;
+      case "convert_d": case "coerce_d": stack.push(this.withType(pop(), "Number")); break;
+      case "convert_b": case "coerce_b": stack.push(this.withType(pop(), "Boolean")); break;
+      case "convert_o": case "coerce_o": case "coerce_a": case "checkfilter":
+      case "esc_xelem": case "esc_xattr":
+        stack.push(pop());
+        break;
+      case "coerce":
+        stack.push(this.withType(pop(), this.typeName(operands[0], ctx.fileScope)));
+        break;
+      case "astype":
+        stack.push(this.binary('as', pop(), this.expr(this.typeName(operands[0], ctx.fileScope))));
+        break;
+      case "istype":
+        stack.push(this.binary('is', pop(), this.expr(this.typeName(operands[0], ctx.fileScope))));
+        break;
+
+      // Arithmetic and logic
+      case "increment": case "increment_i":
+        stack.push(this.binary('+', pop(), this.numberLiteral(1)));
+        break;
+      case "decrement": case "decrement_i":
+        stack.push(this.binary('-', pop(), this.numberLiteral(1)));
+        break;
+      case "negate": case "negate_i": stack.push(this.unary('-', pop())); break;
+      case "not": stack.push(this.not(pop())); break;
+      case "bitnot": stack.push(this.unary('~', pop())); break;
+      case "typeof": stack.push(this.unary('typeof ', pop())); break;
+
+      // Alchemy memory access
+      case "li8": case "li16": case "li32": case "lf32": case "lf64":
+      case "sxi1": case "sxi8": case "sxi16":
+        stack.push(this.expr(`${instruction.name}(${pop().text})`));
+        break;
+      case "si8": case "si16": case "si32": case "sf32": case "sf64": {
+        const address = pop();
+        lines.push(this.line(`${instruction.name}(${pop().text}, ${address.text});`));
+        break;
+      }
+
+      // Flow
+      case "returnvoid": lines.push(this.line("return;")); break;
+      case "returnvalue": lines.push(this.line(`return ${pop().text};`)); break;
+      case "throw": lines.push(this.line(`throw ${pop().text};`)); break;
+      case "dxns":
+        lines.push(this.line(`default xml namespace = ${JSON.stringify(this.constantPool.strings[operands[0]] || "")};`));
+        break;
+      case "dxnslate":
+        lines.push(this.line(`default xml namespace = ${pop().text};`));
+        break;
+
+      default: {
+        const operator = this.getBinaryOperator(instruction.name);
+        if (!operator) {
+          throw new Error(`Unsupported instruction ${instruction.name} at offset ${instruction.offset}`);
+        }
+        const right = pop();
+        stack.push(this.binary(operator, pop(), right));
+      }
+    }
+  }
+
+  getBinaryOperator(name) {
+    const operators = {
+      add: '+', add_i: '+', subtract: '-', subtract_i: '-', multiply: '*', multiply_i: '*',
+      divide: '/', modulo: '%', lshift: '<<', rshift: '>>', urshift: '>>>',
+      bitand: '&', bitor: '|', bitxor: '^', equals: '==', strictequals: '===',
+      lessthan: '<', lessequals: '<=', greaterthan: '>', greaterequals: '>=',
+      instanceof: 'instanceof', istypelate: 'is', astypelate: 'as', in: 'in'
+    };
+    return operators[name] || null;
+  }
+
+  branchCondition(instruction, stack) {
+    const pop = () => this.pop(stack, instruction);
+
+    switch (instruction.opcode) {
+      case 0x11: return pop();
+      case 0x12: return this.not(pop());
+      default: {
+        const right = pop();
+        const left = pop();
+        const operators = {
+          0x0C: '<', 0x0D: '<=', 0x0E: '>', 0x0F: '>=', 0x13: '==', 0x14: '!=',
+          0x15: '<', 0x16: '<=', 0x17: '>', 0x18: '>=', 0x19: '===', 0x1A: '!=='
+        };
+        const comparison = this.binary(operators[instruction.opcode], left, right);
+        // ifnlt/ifnle/ifngt/ifnge branch when the comparison is false (NaN-safe negation)
+        return instruction.opcode <= 0x0F ? this.not(comparison) : comparison;
+      }
+    }
+  }
+
+  // ==================== LOCALS, SLOTS AND NAMES ====================
+
+  registerName(ctx, register) {
+    return ctx.registerNames[register] || `_loc${register}_`;
+  }
+
+  getLocal(ctx, register) {
+    if (ctx.registerValues.has(register)) {
+      return ctx.registerValues.get(register);
+    }
+    if (register === 0) {
+      return this.expr("this", 20, { kind: 'this' });
+    }
+    return this.expr(this.registerName(ctx, register), 20, { kind: 'local' });
+  }
+
+  setLocal(ctx, register, value, lines) {
+    // Activation and catch scopes are kept in registers by the compiler, not by the source
+    if (value.kind === 'activation' || value.kind === 'catchscope') {
+      ctx.registerValues.set(register, value);
+      return;
+    }
+
+    ctx.registerValues.delete(register);
+    const name = this.registerName(ctx, register);
+
+    if (!ctx.declared.has(register)) {
+      ctx.declared.add(register);
+      lines.push(this.declaration(name, value));
+    } else {
+      lines.push(this.assignment(name, value));
+    }
+  }
+
+  slotAccess(ctx, object, slotId) {
+    let slots = null;
+    if (object.kind === 'catchscope') return object.variable;
+    if (object.kind === 'activation') slots = ctx.activationSlots;
+    if (object.kind === 'this' || object.kind === 'scope') slots = ctx.thisSlots;
+
+    const slot = slots ? slots.get(slotId) : null;
+    if (slot) {
+      return object.kind === 'this' ? `this.${slot.name}` : slot.name;
+    }
+    return `${this.wrap(object, 20)}.slot${slotId}`;
+  }
+
+  setSlot(ctx, object, slotId, value, lines) {
+    if (object.kind === 'catchscope') {
+      return;
+    }
+
+    if (object.kind === 'activation' && ctx.activationSlots.has(slotId)) {
+      const slot = ctx.activationSlots.get(slotId);
+      if (!ctx.declaredNames.has(slot.name)) {
+        ctx.declaredNames.add(slot.name);
+        const typed = slot.typeName ? this.withType(value, this.typeName(slot.typeName, ctx.fileScope)) : value;
+        lines.push(this.declaration(slot.name, typed));
+        return;
+      }
+    }
+
+    lines.push(this.assignment(this.slotAccess(ctx, object, slotId), value));
+  }
+
+  // Pops the runtime parts of a multiname (RTQName/MultinameL kinds) and returns the property name
+  resolveName(ctx, index, stack, instruction) {
+    const multiname = this.constantPool.multinames[index] || {};
+    let runtimeName = null;
+
+    if ([0x11, 0x12, 0x1B, 0x1C].includes(multiname.kind)) {
+      runtimeName = this.pop(stack, instruction);
+    }
+    if ([0x0F, 0x10, 0x11, 0x12].includes(multiname.kind)) {
+      this.pop(stack, instruction);
+    }
+
+    return {
+      name: this.multinameName(index),
+      runtimeName: runtimeName,
+      attribute: [0x0D, 0x0E, 0x10, 0x12, 0x1C].includes(multiname.kind)
+    };
+  }
+
+  isImplicitScope(object) {
+    return object.kind === 'scope' || object.kind === 'activation' || object.kind === 'catchscope';
+  }
+
+  memberText(object, name) {
+    const implicit = this.isImplicitScope(object);
+    const base = implicit ? "this" : this.wrap(object, 20);
+
+    if (name.runtimeName) {
+      return name.attribute ? `${base}.@[${name.runtimeName.text}]` : `${base}[${name.runtimeName.text}]`;
+    }
+    if (!this.isIdentifier(name.name) && !/^[A-Za-z_$][\w$]*\.<.*>$/.test(name.name)) {
+      return `${base}[${JSON.stringify(name.name)}]`;
+    }
+
+    const prefix = name.attribute ? "@" : "";
+    return implicit ? `${prefix}${name.name}` : `${base}.${prefix}${name.name}`;
+  }
+
+  functionLiteral(ctx, methodIndex) {
+    const methodInfo = this.abc.methods[methodIndex];
+    const returnType = methodInfo ? this.typeName(methodInfo.returnType, ctx.fileScope) : "*";
+    const header = `function (${this.formatParameters(methodInfo, ctx.fileScope)}):${returnType}`;
+
+    if (ctx.depth >= this.maxFunctionDepth) {
+      return this.expr(`${header} { /* method_${methodIndex} */ }`);
+    }
+
+    const body = this.decompileMethodBody(methodIndex, ctx.fileScope, { isStatic: false, depth: ctx.depth + 1 });
+    const text = [`${header} {`, ...this.indent(body).map(line => line.text), "}"].join('\n');
+    return this.expr(text, 20, { kind: 'function' });
+  }
+
+  // ==================== EXPRESSIONS ====================
+
+  pop(stack, instruction) {
+    if (stack.length === 0) {
+      throw new Error(`Stack underflow at ${instruction.name} (offset ${instruction.offset})`);
+    }
+    return stack.pop();
+  }
+
+  popArguments(stack, count, instruction) {
+    const args = [];
+    for (let n = 0; n < count; n++) {
+      args.unshift(this.pop(stack, instruction));
+    }
+    return args;
+  }
+
+  joinArguments(args) {
+    return args.map(arg => arg.text).join(', ');
+  }
+
+  pushCall(text, isStatement, stack, lines) {
+    if (isStatement) {
+      lines.push(this.line(`${text};`));
+    } else {
+      stack.push(this.expr(text, 20, { kind: 'call', sideEffects: true }));
+    }
+  }
+
+  declaration(name, value) {
+    const type = value.type || "*";
+    return this.line(`var ${name}:${type} = ${value.text};`, { kind: 'assign', target: name, value: value, declaration: true, type: type });
+  }
+
+  assignment(target, value, meta = {}) {
+    let text;
+    if (value.text === `${target} + 1`) {
+      text = `${target}++;`;
+    } else if (value.text === `${target} - 1`) {
+      text = `${target}--;`;
+    } else {
+      text = `${target} = ${value.text};`;
+    }
+    return this.line(text, Object.assign({ kind: 'assign', target: target, value: value }, meta));
+  }
+
+  expr(text, precedence = 20, extra = {}) {
+    return Object.assign({ text: text, precedence: precedence }, extra);
+  }
+
+  literal(text) {
+    return this.expr(text, 20, { kind: 'literal' });
+  }
+
+  numberLiteral(value) {
+    const text = value === undefined ? "undefined" : String(value);
+    return this.expr(text, value < 0 ? 15 : 20, { kind: 'literal' });
+  }
+
+  scopeMarker() {
+    return this.expr("this", 20, { kind: 'scope' });
+  }
+
+  withType(value, type) {
+    return Object.assign({}, value, { type: type });
+  }
+
+  wrap(value, precedence) {
+    return value.precedence < precedence ? `(${value.text})` : value.text;
+  }
+
+  getPrecedence(operator) {
+    switch (operator) {
+      case '||': return 5;
+      case '&&': return 6;
+      case '|': return 7;
+      case '^': return 8;
+      case '&': return 9;
+      case '==': case '!=': case '===': case '!==': return 10;
+      case '<': case '<=': case '>': case '>=': case 'instanceof': case 'is': case 'as': case 'in': return 11;
+      case '<<': case '>>': case '>>>': return 12;
+      case '+': case '-': return 13;
+      default: return 14;
+    }
+  }
+
+  binary(operator, left, right) {
+    const precedence = this.getPrecedence(operator);
+    return this.expr(`${this.wrap(left, precedence)} ${operator} ${this.wrap(right, precedence + 1)}`, precedence, {
+      kind: 'binary', op: operator, left: left, right: right, sideEffects: !!(left.sideEffects || right.sideEffects)
+    });
+  }
+
+  unary(operator, value) {
+    return this.expr(`${operator}${this.wrap(value, 15)}`, 15, { sideEffects: !!value.sideEffects });
+  }
+
+  not(value) {
+    // !(a == b) is exactly a != b; relational operators are not inverted because of NaN
+    if (value.kind === 'binary' && ['==', '!=', '===', '!=='].includes(value.op)) {
+      return this.negate(value);
+    }
+    return this.expr(`!${this.wrap(value, 15)}`, 15, { kind: 'not', operand: value, sideEffects: !!value.sideEffects });
+  }
+
+  negate(condition) {
+    const inverse = { '==': '!=', '!=': '==', '===': '!==', '!==': '===' };
+
+    if (condition.kind === 'not') {
+      return condition.operand;
+    }
+    if (condition.kind === 'binary' && inverse[condition.op]) {
+      return this.binary(inverse[condition.op], condition.left, condition.right);
+    }
+    return this.not(condition);
+  }
+
+  ternary(condition, whenTrue, whenFalse) {
+    return this.expr(`${this.wrap(condition, 5)} ? ${this.wrap(whenTrue, 4)} : ${this.wrap(whenFalse, 4)}`, 4, {
+      kind: 'ternary', condition: condition, whenTrue: whenTrue, whenFalse: whenFalse,
+      sideEffects: !!(condition.sideEffects || whenTrue.sideEffects || whenFalse.sideEffects)
+    });
+  }
+}
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.AS3Decompiler = AS3Decompiler;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AS3Decompiler;
+}
@@ -1,12 +1,17 @@
 /* 
- * SWF ActionScript 3.0 (ABC) Parser - v2.0
+ * SWF ActionScript 3.0 (ABC) Parser - v2.1
  * Handles ActionScript 3.0 bytecode parsing and analysis
  * DoABC (Tag 82) comprehensive parsing with class structure analysis
  * COMPLETED: Full ABC file parsing with method bodies and instance info
+ * ADDED: Method bodies are disassembled into AVM2 instructions (AVM2Disassembler)
+ * FIXED: Removed per-table entry caps - skipping entries misaligned everything parsed after them
+ * FIXED: Strings are decoded as UTF-8 at their full length, u32 constants are unsigned
+ * FIXED: TypeName (Vector.<T>) multinames and the HAS_PARAM_NAMES/NATIVE method flags
  */
 class AS3Parsers {
   constructor() {
     this.dataTypes = new SWFDataTypes();
+    this.disassembler = new AVM2Disassembler(this);
   }
   
   // ==================== MAIN ACTIONSCRIPT 3.0 PARSER ====================
@@ -122,7 +127,7 @@ class AS3Parsers {
       const methodCount = this.parseU30(reader);
       const methods = [];
       
-      for (let i = 0; i < Math.min(methodCount, 100); i++) {
+      for (let i = 0; i < methodCount; i++) {
         const method = this.parseABCMethodInfo(reader, constantPool);
         methods.push(method);
       }
@@ -131,7 +136,7 @@ class AS3Parsers {
       const metadataCount = this.parseU30(reader);
       const metadata = [];
       
-      for (let i = 0; i < Math.min(metadataCount, 20); i++) {
+      for (let i = 0; i < metadataCount; i++) {
         const meta = this.parseABCMetadataInfo(reader, constantPool);
         metadata.push(meta);
       }
@@ -140,7 +145,7 @@ class AS3Parsers {
       const instanceCount = this.parseU30(reader);
       const instances = [];
       
-      for (let i = 0; i < Math.min(instanceCount, 50); i++) {
+      for (let i = 0; i < instanceCount; i++) {
         const instance = this.parseABCInstanceInfo(reader, constantPool);
         instances.push(instance);
       }
@@ -149,7 +154,7 @@ class AS3Parsers {
       const classCount = instanceCount; // Class count equals instance count
       const classes = [];
       
-      for (let i = 0; i < Math.min(classCount, 50); i++) {
+      for (let i = 0; i < classCount; i++) {
         const classInfo = this.parseABCClassInfo(reader, constantPool);
         classes.push(classInfo);
       }
@@ -158,7 +163,7 @@ class AS3Parsers {
       const scriptCount = this.parseU30(reader);
       const scripts = [];
       
-      for (let i = 0; i < Math.min(scriptCount, 20); i++) {
+      for (let i = 0; i < scriptCount; i++) {
         const script = this.parseABCScriptInfo(reader, constantPool);
         scripts.push(script);
       }
@@ -167,8 +172,8 @@ class AS3Parsers {
       const methodBodyCount = this.parseU30(reader);
       const methodBodies = [];
       
-      for (let i = 0; i < Math.min(methodBodyCount, 100); i++) {
-        const methodBody = this.parseABCMethodBody(reader, constantPool);
+      for (let i = 0; i < methodBodyCount; i++) {
+        const methodBody = this.parseABCMethodBody(reader, constantPool, { constantPool, methods, instances });
         methodBodies.push(methodBody);
       }
       
@@ -183,22 +188,16 @@ class AS3Parsers {
         constantPool: constantPool,
         methodCount: methodCount,
         methods: methods,
-        methodsTruncated: methodCount > 100,
         metadataCount: metadataCount,
         metadata: metadata,
-        metadataTruncated: metadataCount > 20,
         instanceCount: instanceCount,
         instances: instances,
-        instancesTruncated: instanceCount > 50,
         classCount: classCount,
         classes: classes,
-        classesTruncated: classCount > 50,
         scriptCount: scriptCount,
         scripts: scripts,
-        scriptsTruncated: scriptCount > 20,
         methodBodyCount: methodBodyCount,
         methodBodies: methodBodies,
-        methodBodiesTruncated: methodBodyCount > 100,
         bytesConsumed: bytesConsumed,
         bytesRemaining: bytesRemaining,
         parsingProgress: Math.min(100, Math.round((bytesConsumed / abcDataLength) * 100))
@@ -220,7 +219,7 @@ class AS3Parsers {
       const intCount = this.parseU30(reader) || 1;
       const integers = [0]; // Index 0 is always 0
       
-      for (let i = 1; i < Math.min(intCount, 200); i++) {
+      for (let i = 1; i < intCount; i++) {
         integers.push(this.parseS32(reader));
       }
       
@@ -228,7 +227,7 @@ class AS3Parsers {
       const uintCount = this.parseU30(reader) || 1;
       const unsignedIntegers = [0]; // Index 0 is always 0
       
-      for (let i = 1; i < Math.min(uintCount, 200); i++) {
+      for (let i = 1; i < uintCount; i++) {
         unsignedIntegers.push(this.parseU32(reader));
       }
       
@@ -236,7 +235,7 @@ class AS3Parsers {
       const doubleCount = this.parseU30(reader) || 1;
       const doubles = [NaN]; // Index 0 is always NaN
       
-      for (let i = 1; i < Math.min(doubleCount, 200); i++) {
+      for (let i = 1; i < doubleCount; i++) {
         doubles.push(this.parseDOUBLE(reader));
       }
       
@@ -244,20 +243,16 @@ class AS3Parsers {
       const stringCount = this.parseU30(reader) || 1;
       const strings = [""]; // Index 0 is always empty string
       
-      for (let i = 1; i < Math.min(stringCount, 500); i++) {
+      for (let i = 1; i < stringCount; i++) {
         const stringLength = this.parseU30(reader);
-        let string = "";
-        for (let j = 0; j < Math.min(stringLength, 500); j++) {
-          string += String.fromCharCode(this.dataTypes.parseUI8(reader));
-        }
-        strings.push(string);
+        strings.push(this.parseUTF8String(reader, stringLength));
       }
       
       // Namespace constant pool
       const namespaceCount = this.parseU30(reader) || 1;
       const namespaces = [null]; // Index 0 is always null
       
-      for (let i = 1; i < Math.min(namespaceCount, 100); i++) {
+      for (let i = 1; i < namespaceCount; i++) {
         const kind = this.dataTypes.parseUI8(reader);
         const name = this.parseU30(reader);
         namespaces.push({
@@ -272,10 +267,10 @@ class AS3Parsers {
       const namespaceSetCount = this.parseU30(reader) || 1;
       const namespaceSets = [null]; // Index 0 is always null
       
-      for (let i = 1; i < Math.min(namespaceSetCount, 50); i++) {
+      for (let i = 1; i < namespaceSetCount; i++) {
         const nsCount = this.parseU30(reader);
         const nsSet = [];
-        for (let j = 0; j < Math.min(nsCount, 20); j++) {
+        for (let j = 0; j < nsCount; j++) {
           nsSet.push(this.parseU30(reader));
         }
         namespaceSets.push(nsSet);
@@ -285,7 +280,7 @@ class AS3Parsers {
       const multinameCount = this.parseU30(reader) || 1;
       const multinames = [null]; // Index 0 is always null
       
-      for (let i = 1; i < Math.min(multinameCount, 200); i++) {
+      for (let i = 1; i < multinameCount; i++) {
         const multiname = this.parseABCMultiname(reader, strings, namespaces);
         multinames.push(multiname);
       }
@@ -293,25 +288,18 @@ class AS3Parsers {
       return {
         integers: integers,
         intCount: intCount,
-        intTruncated: intCount > 200,
         unsignedIntegers: unsignedIntegers,
         uintCount: uintCount,
-        uintTruncated: uintCount > 200,
         doubles: doubles,
         doubleCount: doubleCount,
-        doubleTruncated: doubleCount > 200,
         strings: strings,
         stringCount: stringCount,
-        stringTruncated: stringCount > 500,
         namespaces: namespaces,
         namespaceCount: namespaceCount,
-        namespaceTruncated: namespaceCount > 100,
         namespaceSets: namespaceSets,
         namespaceSetCount: namespaceSetCount,
-        namespaceSetTruncated: namespaceSetCount > 50,
         multinames: multinames,
-        multinameCount: multinameCount,
-        multinameTruncated: multinameCount > 200
+        multinameCount: multinameCount
       };
       
     } catch (error) {
@@ -364,6 +352,15 @@ class AS3Parsers {
           multiname.formatted = "{*}:*";
           break;
           
+        case 0x1D: // TypeName (generic instantiation such as Vector.<int>)
+          multiname.typeName = this.parseU30(reader);
+          multiname.parameterCount = this.parseU30(reader);
+          multiname.parameters = [];
+          for (let i = 0; i < multiname.parameterCount; i++) {
+            multiname.parameters.push(this.parseU30(reader));
+          }
+          break;
+          
         default:
           multiname.formatted = `Unknown(${kind})`;
           break;
@@ -388,7 +385,7 @@ class AS3Parsers {
       const returnType = this.parseU30(reader);
       
       const params = [];
-      for (let i = 0; i < Math.min(paramCount, 50); i++) {
+      for (let i = 0; i < paramCount; i++) {
         params.push(this.parseU30(reader));
       }
       
@@ -400,7 +397,7 @@ class AS3Parsers {
       if (flags & 0x08) { // HAS_OPTIONAL
         const optionalCount = this.parseU30(reader);
         optionalParams = [];
-        for (let i = 0; i < Math.min(optionalCount, 20); i++) {
+        for (let i = 0; i < optionalCount; i++) {
           const value = this.parseU30(reader);
           const kind = this.dataTypes.parseUI8(reader);
           optionalParams.push({ value, kind, kindName: this.getDefaultValueKindName(kind) });
@@ -411,7 +408,7 @@ class AS3Parsers {
       let paramNames = null;
       if (flags & 0x80) { // HAS_PARAM_NAMES
         paramNames = [];
-        for (let i = 0; i < Math.min(paramCount, 50); i++) {
+        for (let i = 0; i < paramCount; i++) {
           paramNames.push(this.parseU30(reader));
         }
       }
@@ -451,7 +448,7 @@ class AS3Parsers {
       const itemCount = this.parseU30(reader);
       
       const items = [];
-      for (let i = 0; i < Math.min(itemCount, 20); i++) {
+      for (let i = 0; i < itemCount; i++) {
         const key = this.parseU30(reader);
         const value = this.parseU30(reader);
         items.push({
@@ -466,8 +463,7 @@ class AS3Parsers {
         name: name,
         nameString: this.getStringFromPool(name, constantPool),
         itemCount: itemCount,
-        items: items,
-        itemsTruncated: itemCount > 20
+        items: items
       };
       
     } catch (error) {
@@ -492,7 +488,7 @@ class AS3Parsers {
       
       const interfaceCount = this.parseU30(reader);
       const interfaces = [];
-      for (let i = 0; i < Math.min(interfaceCount, 20); i++) {
+      for (let i = 0; i < interfaceCount; i++) {
         interfaces.push(this.parseU30(reader));
       }
       
@@ -502,7 +498,7 @@ class AS3Parsers {
       const traitCount = this.parseU30(reader);
       const traits = [];
       
-      for (let i = 0; i < Math.min(traitCount, 50); i++) {
+      for (let i = 0; i < traitCount; i++) {
         const trait = this.parseABCTrait(reader, constantPool);
         traits.push(trait);
       }
@@ -518,11 +514,9 @@ class AS3Parsers {
         interfaceCount: interfaceCount,
         interfaces: interfaces,
         interfaceStrings: interfaces.map(i => this.getMultinameString(i, constantPool)),
-        interfacesTruncated: interfaceCount > 20,
         iinit: iinit,
         traitCount: traitCount,
         traits: traits,
-        traitsTruncated: traitCount > 50,
         isSealed: !!(flags & 0x01),
         isFinal: !!(flags & 0x02),
         isInterface: !!(flags & 0x04),
@@ -547,7 +541,7 @@ class AS3Parsers {
       const traitCount = this.parseU30(reader);
       const traits = [];
       
-      for (let i = 0; i < Math.min(traitCount, 50); i++) {
+      for (let i = 0; i < traitCount; i++) {
         const trait = this.parseABCTrait(reader, constantPool);
         traits.push(trait);
       }
@@ -555,8 +549,7 @@ class AS3Parsers {
       return {
         cinit: cinit,
         traitCount: traitCount,
-        traits: traits,
-        traitsTruncated: traitCount > 50
+        traits: traits
       };
       
     } catch (error) {
@@ -572,7 +565,7 @@ class AS3Parsers {
       const traitCount = this.parseU30(reader);
       
       const traits = [];
-      for (let i = 0; i < Math.min(traitCount, 30); i++) {
+      for (let i = 0; i < traitCount; i++) {
         const trait = this.parseABCTrait(reader, constantPool);
         traits.push(trait);
       }
@@ -580,8 +573,7 @@ class AS3Parsers {
       return {
         init: init,
         traitCount: traitCount,
-        traits: traits,
-        traitsTruncated: traitCount > 30
+        traits: traits
       };
       
     } catch (error) {
@@ -593,7 +585,7 @@ class AS3Parsers {
   
   // ==================== METHOD BODY PARSING ====================
   
-  parseABCMethodBody(reader, constantPool) {
+  parseABCMethodBody(reader, constantPool, abcContext = { constantPool }) {
     try {
       const method = this.parseU30(reader);
       const maxStack = this.parseU30(reader);
@@ -603,17 +595,18 @@ class AS3Parsers {
       
       const codeLength = this.parseU30(reader);
       
-      // Parse bytecode (simplified - just read as bytes for now)
-      const bytecode = [];
-      for (let i = 0; i < Math.min(codeLength, 1000); i++) {
-        bytecode.push(this.dataTypes.parseUI8(reader));
+      // Read the complete bytecode so the exception and trait data after it stays aligned
+      if (reader.byteOffset + codeLength > reader.buffer.length) {
+        throw new Error(`Code length ${codeLength} exceeds tag data`);
       }
+      const code = reader.buffer.subarray(reader.byteOffset, reader.byteOffset + codeLength);
+      reader.byteOffset += codeLength;
       
       // Parse exception info
       const exceptionCount = this.parseU30(reader);
       const exceptions = [];
       
-      for (let i = 0; i < Math.min(exceptionCount, 20); i++) {
+      for (let i = 0; i < exceptionCount; i++) {
         const exception = this.parseABCExceptionInfo(reader, constantPool);
         exceptions.push(exception);
       }
@@ -622,11 +615,19 @@ class AS3Parsers {
       const traitCount = this.parseU30(reader);
       const traits = [];
       
-      for (let i = 0; i < Math.min(traitCount, 30); i++) {
+      for (let i = 0; i < traitCount; i++) {
         const trait = this.parseABCTrait(reader, constantPool);
         traits.push(trait);
       }
       
+      const disassembly = this.disassembler.disassemble(code, abcContext, exceptions);
+      exceptions.forEach((exception, index) => {
+        const exceptionLabels = disassembly.exceptionLabels[index];
+        exception.fromLabel = exceptionLabels.from;
+        exception.toLabel = exceptionLabels.to;
+        exception.targetLabel = exceptionLabels.target;
+      });
+      
       return {
         method: method,
         maxStack: maxStack,
@@ -634,14 +635,16 @@ class AS3Parsers {
         initScopeDepth: initScopeDepth,
         maxScopeDepth: maxScopeDepth,
         codeLength: codeLength,
-        bytecode: bytecode,
-        bytecodeTruncated: codeLength > 1000,
+        bytecode: Array.from(code),
+        instructionCount: disassembly.instructionCount,
+        instructions: disassembly.instructions,
+        labels: disassembly.labels,
+        disassembly: disassembly.listing,
+        disassemblyError: disassembly.error,
         exceptionCount: exceptionCount,
         exceptions: exceptions,
-        exceptionsTruncated: exceptionCount > 20,
         traitCount: traitCount,
         traits: traits,
-        traitsTruncated: traitCount > 30,
         complexity: this.calculateMethodComplexity(codeLength, maxStack, localCount, exceptionCount)
       };
       
@@ -780,7 +783,26 @@ class AS3Parsers {
   }
   
   parseU32(reader) {
-    return this.parseU30(reader);
+    return this.parseU30(reader) >>> 0;
+  }
+  
+  parseUTF8String(reader, length) {
+    if (reader.byteOffset + length > reader.buffer.length) {
+      throw new Error(`String length ${length} exceeds tag data`);
+    }
+    
+    const bytes = reader.buffer.subarray(reader.byteOffset, reader.byteOffset + length);
+    reader.byteOffset += length;
+    
+    if (typeof TextDecoder !== 'undefined') {
+      return new TextDecoder('utf-8').decode(bytes);
+    }
+    
+    let string = "";
+    for (let i = 0; i < bytes.length; i++) {
+      string += String.fromCharCode(bytes[i]);
+    }
+    return string;
   }
   
   // Helper method to parse IEEE 754 double-precision floating point
@@ -810,6 +832,12 @@ class AS3Parsers {
     const multiname = constantPool.multinames[index];
     if (!multiname) return `multiname_${index}`;
     
+    if (multiname.kind === 0x1D) {
+      // Parameters may reference other TypeNames; a self-reference would recurse forever
+      const resolve = (i) => i === 0 ? "*" : (i === index ? `multiname_${i}` : this.getMultinameString(i, constantPool));
+      return `${resolve(multiname.typeName)}.<${multiname.parameters.map(resolve).join(', ')}>`;
+    }
+    
     return multiname.formatted || multiname.nameString || `multiname_${index}`;
   }
   
@@ -839,7 +867,8 @@ class AS3Parsers {
       0x09: "Multiname",
       0x0E: "MultinameA",
       0x1B: "MultinameL",
-      0x1C: "MultinameLA"
+      0x1C: "MultinameLA",
+      0x1D: "TypeName"
     };
     return kinds[kind] || `Unknown(${kind})`;
   }
@@ -886,8 +915,9 @@ class AS3Parsers {
     if (flags & 0x02) flagNames.push("NEED_ACTIVATION");
     if (flags & 0x04) flagNames.push("NEED_REST");
     if (flags & 0x08) flagNames.push("HAS_OPTIONAL");
-    if (flags & 0x10) flagNames.push("SET_DXNS");
-    if (flags & 0x20) flagNames.push("HAS_PARAM_NAMES");
+    if (flags & 0x20) flagNames.push("NATIVE");
+    if (flags & 0x40) flagNames.push("SET_DXNS");
+    if (flags & 0x80) flagNames.push("HAS_PARAM_NAMES");
     return flagNames.length > 0 ? flagNames.join(", ") : "None";
   }
   
@@ -1221,10 +1251,15 @@ class AS3Parsers {
         }
         
         if (abc.constantPool) {
-          lines.push(`  └─ Strings: ${abc.constantPool.stringCount}${abc.constantPool.stringTruncated ? ' (truncated)' : ''}`);
-          lines.push(`  └─ Classes: ${abc.instanceCount}${abc.instancesTruncated ? ' (truncated)' : ''}`);
-          lines.push(`  └─ Methods: ${abc.methodCount}${abc.methodsTruncated ? ' (truncated)' : ''}`);
-          lines.push(`  └─ Method Bodies: ${abc.methodBodyCount}${abc.methodBodiesTruncated ? ' (truncated)' : ''}`);
+          lines.push(`  └─ Strings: ${abc.constantPool.stringCount}`);
+          lines.push(`  └─ Classes: ${abc.instanceCount}`);
+          lines.push(`  └─ Methods: ${abc.methodCount}`);
+          lines.push(`  └─ Method Bodies: ${abc.methodBodyCount}`);
+        }
+        
+        if (abc.methodBodies) {
+          const instructionTotal = abc.methodBodies.reduce((total, body) => total + (body.instructionCount || 0), 0);
+          lines.push(`  └─ Instructions: ${instructionTotal}`);
         }
         
         if (abc.parsingProgress) {
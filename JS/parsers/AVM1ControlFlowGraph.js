@@ -0,0 +1,455 @@
+/*
+ * AVM1 Control Flow Graph - v1.0
+ * Splits AS1/AS2 action records (AssetParsers.parseActionScript) into basic blocks
+ * - Leaders at branch targets and after Jump, If, Return, Throw and End
+ * - With, Try, WaitForFrame and DefineFunction/DefineFunction2 end their block;
+ *   with/try/catch/finally bodies are recorded as regions on the blocks they cover
+ * - Blocks inside a try body get exception edges to the catch (or finally) block
+ * - Function bodies become nested graphs instead of blocks of the enclosing script
+ * Blocks refer to each other and to the actions by id and index only, so the graph
+ * is plain data; toJSON and toDOT take the action list to include the instructions
+ */
+class AVM1ControlFlowGraph {
+  constructor() {
+    this.maxFunctionDepth = 32;
+  }
+
+  // ==================== GRAPH BUILDING ====================
+
+  build(actions, name = "actions") {
+    const indexByOffset = new Map();
+    actions.forEach((action, index) => indexByOffset.set(action.offset, index));
+    const last = actions[actions.length - 1];
+
+    const ctx = {
+      actions: actions,
+      indexByOffset: indexByOffset,
+      endOffset: last ? last.offset + last.length : 0
+    };
+
+    return this.buildRange(ctx, 0, actions.length, name, "", 0);
+  }
+
+  buildRange(ctx, start, end, name, prefix, depth) {
+    const graph = {
+      name: name,
+      startOffset: this.offsetAt(ctx, start),
+      endOffset: this.offsetAt(ctx, end),
+      entry: null,
+      blockCount: 0,
+      edgeCount: 0,
+      blocks: [],
+      regions: [],
+      functions: [],
+      errors: []
+    };
+
+    const leaders = this.findLeaders(ctx, start, end, graph, prefix, depth);
+    this.createBlocks(ctx, start, end, leaders, graph, prefix);
+    this.connectBlocks(ctx, end, graph);
+    this.markReachable(graph);
+
+    graph.entry = graph.blocks.length > 0 ? graph.blocks[0].id : null;
+    graph.blockCount = graph.blocks.length;
+    graph.edgeCount = graph.blocks.reduce((count, block) => count + block.successors.length, 0);
+    return graph;
+  }
+
+  // Collects block leaders (action indexes) and the with/try regions; function bodies are
+  // built as nested graphs and skipped
+  findLeaders(ctx, start, end, graph, prefix, depth) {
+    const leaders = new Set([start]);
+    const addLeader = (index) => {
+      if (index !== null && index > start && index < end) leaders.add(index);
+    };
+
+    let i = start;
+    while (i < end) {
+      const action = ctx.actions[i];
+      const next = i + 1;
+
+      switch (action.opcode) {
+        case 0x99: // Jump
+        case 0x9D: // If
+          if (action.data) {
+            addLeader(this.resolveTarget(ctx, this.branchTarget(action), start, end));
+          }
+          addLeader(next);
+          break;
+
+        case 0x00: // End
+        case 0x3E: // Return
+        case 0x2A: // Throw
+          addLeader(next);
+          break;
+
+        case 0x94: { // With
+          const bodyEnd = this.resolveTarget(ctx, action.offset + action.length + (action.data ? action.data.size : 0), start, end);
+          addLeader(next);
+          addLeader(bodyEnd);
+          this.addRegion(graph, prefix, "with", action, this.offsetAt(ctx, next), this.offsetAt(ctx, bodyEnd === null ? end : bodyEnd));
+          break;
+        }
+
+        case 0x8F: { // Try
+          const data = action.data || { trySize: 0, catchSize: 0, finallySize: 0 };
+          const tryStart = action.offset + action.length;
+          const catchStart = tryStart + data.trySize;
+          const finallyStart = catchStart + data.catchSize;
+          const finallyEnd = finallyStart + data.finallySize;
+
+          addLeader(next);
+          [catchStart, finallyStart, finallyEnd].forEach(offset => addLeader(this.resolveTarget(ctx, offset, start, end)));
+
+          const tryRegion = this.addRegion(graph, prefix, "try", action, tryStart, catchStart);
+          if (data.hasCatchBlock) {
+            tryRegion.catchOffset = catchStart;
+            this.addRegion(graph, prefix, "catch", action, catchStart, finallyStart);
+          }
+          if (data.hasFinallyBlock) {
+            tryRegion.finallyOffset = finallyStart;
+            this.addRegion(graph, prefix, "finally", action, finallyStart, finallyEnd);
+          }
+          break;
+        }
+
+        case 0x8A: // WaitForFrame
+        case 0x8D: // WaitForFrame2
+          addLeader(next);
+          if (action.data) {
+            addLeader(Math.min(end, next + action.data.skipCount));
+          }
+          break;
+
+        case 0x9B: // DefineFunction
+        case 0x8E: { // DefineFunction2
+          const bodyEndOffset = action.offset + action.length + (action.data ? action.data.codeSize : 0);
+          const bodyEnd = this.resolveTarget(ctx, bodyEndOffset, start, end);
+
+          if (bodyEnd === null) {
+            graph.errors.push(`${action.name} at offset ${action.offset} ends at ${bodyEndOffset}, outside its block`);
+            addLeader(next);
+            break;
+          }
+
+          graph.functions.push(this.buildFunction(ctx, i, bodyEnd, `${prefix}f${graph.functions.length}_`, depth));
+          addLeader(bodyEnd);
+          i = bodyEnd;
+          continue;
+        }
+      }
+
+      i++;
+    }
+
+    return leaders;
+  }
+
+  buildFunction(ctx, index, bodyEnd, prefix, depth) {
+    const action = ctx.actions[index];
+    const data = action.data;
+    const parameters = action.opcode === 0x8E ? data.parameters.map(parameter => parameter.name) : data.parameters;
+
+    return {
+      name: data.functionName || "",
+      offset: action.offset,
+      actionIndex: index,
+      parameters: parameters,
+      graph: depth >= this.maxFunctionDepth ? null :
+        this.buildRange(ctx, index + 1, bodyEnd, data.functionName || `anonymous@${action.offset}`, prefix, depth + 1)
+    };
+  }
+
+  createBlocks(ctx, start, end, leaders, graph, prefix) {
+    let block = null;
+    let i = start;
+
+    while (i < end) {
+      const action = ctx.actions[i];
+
+      if (block === null || leaders.has(i)) {
+        block = this.createBlock(ctx, graph, prefix, i);
+      }
+
+      block.endIndex = i + 1;
+      block.endOffset = action.offset + action.length;
+      block.actionCount++;
+
+      // The action after a function definition resumes after its body
+      const isFunction = (action.opcode === 0x9B || action.opcode === 0x8E) &&
+        graph.functions.some(definition => definition.actionIndex === i);
+      if (isFunction || this.endsBlock(action)) {
+        block = null;
+      }
+
+      i = isFunction ? this.indexAt(ctx, action.offset + action.length + action.data.codeSize) : i + 1;
+    }
+
+    // Region membership, innermost last
+    for (const current of graph.blocks) {
+      current.regions = graph.regions
+        .filter(region => current.startOffset >= region.startOffset && current.startOffset < region.endOffset)
+        .map(region => region.id);
+    }
+  }
+
+  createBlock(ctx, graph, prefix, index) {
+    const action = ctx.actions[index];
+    const block = {
+      id: `${prefix}B${graph.blocks.length}`,
+      startOffset: action.offset,
+      endOffset: action.offset + action.length,
+      startIndex: index,
+      endIndex: index + 1,
+      actionCount: 0,
+      successors: [],
+      predecessors: [],
+      regions: [],
+      reachable: false
+    };
+
+    graph.blocks.push(block);
+    return block;
+  }
+
+  endsBlock(action) {
+    return [0x00, 0x99, 0x9D, 0x3E, 0x2A, 0x94, 0x8F, 0x8A, 0x8D].includes(action.opcode);
+  }
+
+  connectBlocks(ctx, end, graph) {
+    const blockByIndex = new Map(graph.blocks.map(block => [block.startIndex, block]));
+    const regionById = new Map(graph.regions.map(region => [region.id, region]));
+    const rangeStart = graph.blocks.length > 0 ? graph.blocks[0].startIndex : end;
+
+    const addEdge = (from, targetOffset, type) => {
+      const index = this.resolveTarget(ctx, targetOffset, rangeStart, end);
+      let target = null;
+
+      if (index === end) {
+        target = "exit";
+      } else if (index !== null && blockByIndex.has(index)) {
+        target = blockByIndex.get(index).id;
+      }
+
+      if (target === null) {
+        from.successors.push({ target: null, type: type, targetOffset: targetOffset, invalid: true });
+        graph.errors.push(`${from.id}: ${type} edge to offset ${targetOffset} does not start a block`);
+        return;
+      }
+
+      from.successors.push({ target: target, type: type });
+      if (target !== "exit") {
+        blockByIndex.get(index).predecessors.push(from.id);
+      }
+    };
+
+    for (const block of graph.blocks) {
+      const last = ctx.actions[block.endIndex - 1];
+      const next = block.endOffset;
+
+      switch (last.opcode) {
+        case 0x99: // Jump
+          addEdge(block, last.data ? this.branchTarget(last) : next, "jump");
+          break;
+        case 0x9D: // If
+          addEdge(block, last.data ? this.branchTarget(last) : next, "true");
+          addEdge(block, next, "false");
+          break;
+        case 0x00: // End
+        case 0x3E: // Return
+        case 0x2A: // Throw
+          break;
+        case 0x94: // With
+          addEdge(block, next, "with");
+          break;
+        case 0x8F: // Try
+          addEdge(block, next, "try");
+          break;
+        case 0x8A: // WaitForFrame
+        case 0x8D: // WaitForFrame2
+          addEdge(block, next, "loaded");
+          if (last.data) {
+            const skipIndex = Math.min(end, block.endIndex + last.data.skipCount);
+            addEdge(block, this.offsetAt(ctx, skipIndex), "notLoaded");
+          }
+          break;
+        case 0x9B: // DefineFunction
+        case 0x8E: // DefineFunction2
+          if (graph.functions.some(definition => definition.actionIndex === block.endIndex - 1)) {
+            addEdge(block, next + last.data.codeSize, "fallthrough");
+            break;
+          }
+          addEdge(block, next, "fallthrough");
+          break;
+        default: {
+          const nextIndex = this.indexAt(ctx, next);
+          if (nextIndex !== null && nextIndex <= end) {
+            addEdge(block, next, "fallthrough");
+          }
+          break;
+        }
+      }
+
+      // A throw anywhere in a try body continues at the catch block, or the finally block without one
+      for (const regionId of block.regions) {
+        const region = regionById.get(regionId);
+        if (region.type !== "try") continue;
+        if (region.catchOffset !== undefined) {
+          addEdge(block, region.catchOffset, "exception");
+        } else if (region.finallyOffset !== undefined) {
+          addEdge(block, region.finallyOffset, "exception");
+        }
+      }
+    }
+  }
+
+  markReachable(graph) {
+    if (graph.blocks.length === 0) return;
+
+    const blockById = new Map(graph.blocks.map(block => [block.id, block]));
+    const pending = [graph.blocks[0]];
+    graph.blocks[0].reachable = true;
+
+    while (pending.length > 0) {
+      const block = pending.pop();
+      for (const edge of block.successors) {
+        const target = blockById.get(edge.target);
+        if (target && !target.reachable) {
+          target.reachable = true;
+          pending.push(target);
+        }
+      }
+    }
+  }
+
+  addRegion(graph, prefix, type, action, startOffset, endOffset) {
+    const region = {
+      id: `${prefix}R${graph.regions.length}`,
+      type: type,
+      actionOffset: action.offset,
+      startOffset: startOffset,
+      endOffset: endOffset
+    };
+
+    graph.regions.push(region);
+    return region;
+  }
+
+  // ==================== OFFSETS ====================
+
+  branchTarget(action) {
+    return action.offset + action.length + action.data.branchOffset;
+  }
+
+  offsetAt(ctx, index) {
+    return index < ctx.actions.length ? ctx.actions[index].offset : ctx.endOffset;
+  }
+
+  indexAt(ctx, offset) {
+    if (offset === ctx.endOffset) return ctx.actions.length;
+    const index = ctx.indexByOffset.get(offset);
+    return index === undefined ? null : index;
+  }
+
+  // Action index for an offset inside [start, end]; null when it is outside or mid-action
+  resolveTarget(ctx, offset, start, end) {
+    const index = offset === this.offsetAt(ctx, end) ? end : this.indexAt(ctx, offset);
+    return index !== null && index >= start && index <= end ? index : null;
+  }
+
+  // ==================== EXPORT ====================
+
+  // Self-contained JSON: the graph with each block's action listing
+  toJSON(graph, actions, space = 2) {
+    return JSON.stringify(this.withActions(graph, actions), null, space);
+  }
+
+  withActions(graph, actions) {
+    return Object.assign({}, graph, {
+      blocks: graph.blocks.map(block => Object.assign({}, block, {
+        actions: actions.slice(block.startIndex, block.endIndex).map(action => ({
+          offset: action.offset,
+          name: action.name,
+          description: action.description
+        }))
+      })),
+      functions: graph.functions.map(definition => Object.assign({}, definition, {
+        graph: definition.graph ? this.withActions(definition.graph, actions) : null
+      }))
+    });
+  }
+
+  // Graphviz digraph; function bodies are drawn as clusters with a dotted edge from the
+  // block that defines them
+  toDOT(graph, actions, name = graph.name) {
+    const lines = [
+      `digraph ${this.quoteDOT(name)} {`,
+      '  node [shape=box, fontname="monospace", fontsize=10];',
+      '  edge [fontname="monospace", fontsize=9];'
+    ];
+
+    this.appendDOTGraph(graph, actions, lines, "  ");
+    lines.push("}");
+    return lines.join('\n');
+  }
+
+  appendDOTGraph(graph, actions, lines, pad) {
+    const exitId = `${graph.blocks.length > 0 ? graph.blocks[0].id.replace(/B0$/, "") : ""}exit`;
+    let usesExit = false;
+
+    for (const block of graph.blocks) {
+      const listing = actions.slice(block.startIndex, block.endIndex)
+        .map(action => `${String(action.offset).padStart(5)}  ${action.description}`);
+      const label = [`${block.id}${block.regions.length > 0 ? ` [${block.regions.join(", ")}]` : ""}`, ...listing]
+        .map(text => this.escapeDOT(text) + "\\l").join("");
+      const style = block.reachable ? "" : ", style=dashed, color=gray";
+      lines.push(`${pad}${block.id} [label="${label}"${style}];`);
+    }
+
+    for (const block of graph.blocks) {
+      for (const edge of block.successors) {
+        if (edge.invalid) continue;
+        const target = edge.target === "exit" ? exitId : edge.target;
+        usesExit = usesExit || edge.target === "exit";
+        const style = edge.type === "exception" ? ", style=dashed" : "";
+        lines.push(`${pad}${block.id} -> ${target} [label="${edge.type}"${style}];`);
+      }
+    }
+
+    if (usesExit) {
+      lines.push(`${pad}${exitId} [label="exit", shape=ellipse];`);
+    }
+
+    for (const definition of graph.functions) {
+      if (!definition.graph || definition.graph.blocks.length === 0) continue;
+
+      const clusterId = definition.graph.blocks[0].id.replace(/_B0$/, "");
+      const title = `function ${definition.name}(${definition.parameters.join(", ")})`;
+      lines.push(`${pad}subgraph cluster_${clusterId} {`, `${pad}  label=${this.quoteDOT(title)};`);
+      this.appendDOTGraph(definition.graph, actions, lines, `${pad}  `);
+      lines.push(`${pad}}`);
+
+      const owner = graph.blocks.find(block => block.startIndex <= definition.actionIndex && definition.actionIndex < block.endIndex);
+      if (owner) {
+        lines.push(`${pad}${owner.id} -> ${definition.graph.entry} [style=dotted, arrowhead=none];`);
+      }
+    }
+  }
+
+  escapeDOT(text) {
+    return String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\r?\n/g, "\\l");
+  }
+
+  quoteDOT(text) {
+    return `"${this.escapeDOT(text)}"`;
+  }
+}
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.AVM1ControlFlowGraph = AVM1ControlFlowGraph;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AVM1ControlFlowGraph;
+}
@@ -0,0 +1,490 @@
+/*
+ * AVM2 Bytecode Disassembler - v1.0
+ * Decodes DoABC method body code into AVM2 instructions
+ * - Complete opcode table with operand encodings (u8, u30, s24 branch offsets, lookupswitch tables)
+ * - Operands resolved against the ABC constant pool through AS3Parsers
+ *   (getMultinameString / getStringFromPool, plus int/uint/double/namespace pools)
+ * - Branch, lookupswitch and exception handler targets are named as labels (L0, L1, ...)
+ * Used by AS3Parsers.parseABCMethodBody; the instruction objects are plain data so
+ * other AS3 tooling can walk them without re-decoding the bytecode
+ */
+class AVM2Disassembler {
+  constructor(as3Parser) {
+    this.as3Parser = as3Parser;
+  }
+
+  // ==================== OPCODE TABLE ====================
+
+  // Operand kinds:
+  //   u8, s8                 - single byte operands (getscopeobject, pushbyte, debug)
+  //   u30                    - plain counts, registers, slots and line numbers
+  //   multiname, string, int, uint, double, namespace, method, class, exception - constant pool indices
+  //   offset                 - s24 branch offset relative to the next instruction
+  //   short                  - u30 sign-extended from 16 bits (pushshort)
+  // lookupswitch has its own variable-length layout and is decoded separately
+  static getOpcodeTable() {
+    if (AVM2Disassembler.opcodeTable) {
+      return AVM2Disassembler.opcodeTable;
+    }
+
+    const table = {
+      0x01: ["bkpt"],
+      0x02: ["nop"],
+      0x03: ["throw"],
+      0x04: ["getsuper", "multiname"],
+      0x05: ["setsuper", "multiname"],
+      0x06: ["dxns", "string"],
+      0x07: ["dxnslate"],
+      0x08: ["kill", "u30"],
+      0x09: ["label"],
+      0x0C: ["ifnlt", "offset"],
+      0x0D: ["ifnle", "offset"],
+      0x0E: ["ifngt", "offset"],
+      0x0F: ["ifnge", "offset"],
+      0x10: ["jump", "offset"],
+      0x11: ["iftrue", "offset"],
+      0x12: ["iffalse", "offset"],
+      0x13: ["ifeq", "offset"],
+      0x14: ["ifne", "offset"],
+      0x15: ["iflt", "offset"],
+      0x16: ["ifle", "offset"],
+      0x17: ["ifgt", "offset"],
+      0x18: ["ifge", "offset"],
+      0x19: ["ifstricteq", "offset"],
+      0x1A: ["ifstrictne", "offset"],
+      0x1B: ["lookupswitch"],
+      0x1C: ["pushwith"],
+      0x1D: ["popscope"],
+      0x1E: ["nextname"],
+      0x1F: ["hasnext"],
+      0x20: ["pushnull"],
+      0x21: ["pushundefined"],
+      0x23: ["nextvalue"],
+      0x24: ["pushbyte", "s8"],
+      0x25: ["pushshort", "short"],
+      0x26: ["pushtrue"],
+      0x27: ["pushfalse"],
+      0x28: ["pushnan"],
+      0x29: ["pop"],
+      0x2A: ["dup"],
+      0x2B: ["swap"],
+      0x2C: ["pushstring", "string"],
+      0x2D: ["pushint", "int"],
+      0x2E: ["pushuint", "uint"],
+      0x2F: ["pushdouble", "double"],
+      0x30: ["pushscope"],
+      0x31: ["pushnamespace", "namespace"],
+      0x32: ["hasnext2", "u30", "u30"],
+      0x35: ["li8"],
+      0x36: ["li16"],
+      0x37: ["li32"],
+      0x38: ["lf32"],
+      0x39: ["lf64"],
+      0x3A: ["si8"],
+      0x3B: ["si16"],
+      0x3C: ["si32"],
+      0x3D: ["sf32"],
+      0x3E: ["sf64"],
+      0x40: ["newfunction", "method"],
+      0x41: ["call", "u30"],
+      0x42: ["construct", "u30"],
+      0x43: ["callmethod", "u30", "u30"],
+      0x44: ["callstatic", "method", "u30"],
+      0x45: ["callsuper", "multiname", "u30"],
+      0x46: ["callproperty", "multiname", "u30"],
+      0x47: ["returnvoid"],
+      0x48: ["returnvalue"],
+      0x49: ["constructsuper", "u30"],
+      0x4A: ["constructprop", "multiname", "u30"],
+      0x4C: ["callproplex", "multiname", "u30"],
+      0x4E: ["callsupervoid", "multiname", "u30"],
+      0x4F: ["callpropvoid", "multiname", "u30"],
+      0x50: ["sxi1"],
+      0x51: ["sxi8"],
+      0x52: ["sxi16"],
+      0x53: ["applytype", "u30"],
+      0x55: ["newobject", "u30"],
+      0x56: ["newarray", "u30"],
+      0x57: ["newactivation"],
+      0x58: ["newclass", "class"],
+      0x59: ["getdescendants", "multiname"],
+      0x5A: ["newcatch", "exception"],
+      0x5B: ["findpropglobalstrict", "multiname"],
+      0x5C: ["findpropglobal", "multiname"],
+      0x5D: ["findpropstrict", "multiname"],
+      0x5E: ["findproperty", "multiname"],
+      0x5F: ["finddef", "multiname"],
+      0x60: ["getlex", "multiname"],
+      0x61: ["setproperty", "multiname"],
+      0x62: ["getlocal", "u30"],
+      0x63: ["setlocal", "u30"],
+      0x64: ["getglobalscope"],
+      0x65: ["getscopeobject", "u8"],
+      0x66: ["getproperty", "multiname"],
+      0x67: ["getouterscope", "u30"],
+      0x68: ["initproperty", "multiname"],
+      0x6A: ["deleteproperty", "multiname"],
+      0x6C: ["getslot", "u30"],
+      0x6D: ["setslot", "u30"],
+      0x6E: ["getglobalslot", "u30"],
+      0x6F: ["setglobalslot", "u30"],
+      0x70: ["convert_s"],
+      0x71: ["esc_xelem"],
+      0x72: ["esc_xattr"],
+      0x73: ["convert_i"],
+      0x74: ["convert_u"],
+      0x75: ["convert_d"],
+      0x76: ["convert_b"],
+      0x77: ["convert_o"],
+      0x78: ["checkfilter"],
+      0x80: ["coerce", "multiname"],
+      0x81: ["coerce_b"],
+      0x82: ["coerce_a"],
+      0x83: ["coerce_i"],
+      0x84: ["coerce_d"],
+      0x85: ["coerce_s"],
+      0x86: ["astype", "multiname"],
+      0x87: ["astypelate"],
+      0x88: ["coerce_u"],
+      0x89: ["coerce_o"],
+      0x90: ["negate"],
+      0x91: ["increment"],
+      0x92: ["inclocal", "u30"],
+      0x93: ["decrement"],
+      0x94: ["declocal", "u30"],
+      0x95: ["typeof"],
+      0x96: ["not"],
+      0x97: ["bitnot"],
+      0xA0: ["add"],
+      0xA1: ["subtract"],
+      0xA2: ["multiply"],
+      0xA3: ["divide"],
+      0xA4: ["modulo"],
+      0xA5: ["lshift"],
+      0xA6: ["rshift"],
+      0xA7: ["urshift"],
+      0xA8: ["bitand"],
+      0xA9: ["bitor"],
+      0xAA: ["bitxor"],
+      0xAB: ["equals"],
+      0xAC: ["strictequals"],
+      0xAD: ["lessthan"],
+      0xAE: ["lessequals"],
+      0xAF: ["greaterthan"],
+      0xB0: ["greaterequals"],
+      0xB1: ["instanceof"],
+      0xB2: ["istype", "multiname"],
+      0xB3: ["istypelate"],
+      0xB4: ["in"],
+      0xC0: ["increment_i"],
+      0xC1: ["decrement_i"],
+      0xC2: ["inclocal_i", "u30"],
+      0xC3: ["declocal_i", "u30"],
+      0xC4: ["negate_i"],
+      0xC5: ["add_i"],
+      0xC6: ["subtract_i"],
+      0xC7: ["multiply_i"],
+      0xD0: ["getlocal_0"],
+      0xD1: ["getlocal_1"],
+      0xD2: ["getlocal_2"],
+      0xD3: ["getlocal_3"],
+      0xD4: ["setlocal_0"],
+      0xD5: ["setlocal_1"],
+      0xD6: ["setlocal_2"],
+      0xD7: ["setlocal_3"],
+      0xEF: ["debug", "u8", "string", "u8", "u30"],
+      0xF0: ["debugline", "u30"],
+      0xF1: ["debugfile", "string"],
+      0xF2: ["bkptline", "u30"],
+      0xF3: ["timestamp"]
+    };
+
+    AVM2Disassembler.opcodeTable = {};
+    for (const [opcode, [name, ...operands]] of Object.entries(table)) {
+      AVM2Disassembler.opcodeTable[opcode] = { name: name, operands: operands };
+    }
+
+    return AVM2Disassembler.opcodeTable;
+  }
+
+  static getOpcodeName(opcode) {
+    const info = AVM2Disassembler.getOpcodeTable()[opcode];
+    return info ? info.name : `op_0x${opcode.toString(16).padStart(2, '0')}`;
+  }
+
+  static isBranchOpcode(opcode) {
+    return opcode >= 0x0C && opcode <= 0x1A;
+  }
+
+  // ==================== DISASSEMBLY ====================
+
+  // abcContext: { constantPool, methods, instances } - methods/instances are optional
+  disassemble(code, abcContext, exceptions = []) {
+    const table = AVM2Disassembler.getOpcodeTable();
+    const instructions = [];
+    let position = 0;
+    let error = null;
+
+    while (position < code.length) {
+      const start = position;
+      const opcode = code[position++];
+      const info = table[opcode];
+
+      const instruction = {
+        offset: start,
+        opcode: opcode,
+        name: info ? info.name : AVM2Disassembler.getOpcodeName(opcode),
+        operands: []
+      };
+
+      try {
+        const cursor = { position: position };
+
+        if (opcode === 0x1B) {
+          this.decodeLookupSwitch(code, cursor, instruction);
+        } else if (info) {
+          for (const kind of info.operands) {
+            instruction.operands.push(this.readOperand(code, cursor, kind));
+          }
+          instruction.operandKinds = info.operands;
+
+          if (AVM2Disassembler.isBranchOpcode(opcode)) {
+            instruction.targets = [cursor.position + instruction.operands[0]];
+          }
+        } else {
+          instruction.unknown = true;
+        }
+
+        position = cursor.position;
+      } catch (operandError) {
+        error = `Truncated ${instruction.name} at offset ${start}: ${operandError.message}`;
+        instruction.truncated = true;
+        position = code.length;
+      }
+
+      instruction.size = position - start;
+      instructions.push(instruction);
+    }
+
+    const labels = this.assignLabels(instructions, exceptions);
+
+    for (const instruction of instructions) {
+      instruction.operandText = this.formatOperands(instruction, abcContext, labels);
+    }
+
+    const exceptionLabels = exceptions.map(exception => ({
+      from: labels[exception.from],
+      to: labels[exception.to],
+      target: labels[exception.target]
+    }));
+
+    return {
+      instructions: instructions,
+      instructionCount: instructions.length,
+      labels: labels,
+      exceptionLabels: exceptionLabels,
+      listing: this.formatListing(instructions, labels, exceptions, exceptionLabels, code.length),
+      error: error
+    };
+  }
+
+  decodeLookupSwitch(code, cursor, instruction) {
+    // Case offsets are relative to the lookupswitch opcode itself, not the next instruction
+    const base = instruction.offset;
+    const defaultOffset = this.readS24(code, cursor);
+    const caseCount = this.readU30(code, cursor);
+    const caseOffsets = [];
+
+    for (let i = 0; i <= caseCount; i++) {
+      caseOffsets.push(this.readS24(code, cursor));
+    }
+
+    instruction.operands = [defaultOffset, caseCount, caseOffsets];
+    instruction.operandKinds = ["offset", "u30", "offsets"];
+    instruction.targets = [base + defaultOffset, ...caseOffsets.map(caseOffset => base + caseOffset)];
+  }
+
+  readOperand(code, cursor, kind) {
+    switch (kind) {
+      case "u8":
+        return this.readU8(code, cursor);
+      case "s8":
+        return (this.readU8(code, cursor) << 24) >> 24;
+      case "short":
+        return (this.readU30(code, cursor) << 16) >> 16;
+      case "offset":
+        return this.readS24(code, cursor);
+      default:
+        return this.readU30(code, cursor);
+    }
+  }
+
+  readU8(code, cursor) {
+    if (cursor.position >= code.length) {
+      throw new Error("end of code reached");
+    }
+    return code[cursor.position++];
+  }
+
+  readU30(code, cursor) {
+    let result = 0;
+
+    for (let i = 0; i < 5; i++) {
+      const byte = this.readU8(code, cursor);
+      result |= (byte & 0x7F) << (7 * i);
+
+      if ((byte & 0x80) === 0) {
+        break;
+      }
+    }
+
+    return result >>> 0;
+  }
+
+  readS24(code, cursor) {
+    const value = this.readU8(code, cursor) | (this.readU8(code, cursor) << 8) | (this.readU8(code, cursor) << 16);
+    return (value << 8) >> 8;
+  }
+
+  assignLabels(instructions, exceptions) {
+    const targets = new Set();
+
+    for (const instruction of instructions) {
+      if (instruction.targets) {
+        instruction.targets.forEach(target => targets.add(target));
+      }
+    }
+
+    for (const exception of exceptions) {
+      if (exception.parseError) continue;
+      targets.add(exception.from);
+      targets.add(exception.to);
+      targets.add(exception.target);
+    }
+
+    const labels = {};
+    [...targets].sort((a, b) => a - b).forEach((target, index) => {
+      labels[target] = `L${index}`;
+    });
+
+    return labels;
+  }
+
+  // ==================== OPERAND FORMATTING ====================
+
+  formatOperands(instruction, abcContext, labels) {
+    if (instruction.opcode === 0x1B) {
+      const caseCount = instruction.operands[1];
+      const caseLabels = instruction.targets.slice(1).map(target => labels[target]);
+      return `default:${labels[instruction.targets[0]]}, ${caseCount + 1} cases [${caseLabels.join(', ')}]`;
+    }
+
+    if (!instruction.operandKinds) {
+      return "";
+    }
+
+    return instruction.operands.map((value, index) => {
+      const kind = instruction.operandKinds[index];
+      if (kind === "offset") {
+        return labels[instruction.targets[0]];
+      }
+      return this.formatOperand(kind, value, abcContext);
+    }).join(', ');
+  }
+
+  formatOperand(kind, index, abcContext) {
+    const constantPool = abcContext.constantPool;
+
+    switch (kind) {
+      case "multiname":
+        return this.as3Parser.getMultinameString(index, constantPool);
+
+      case "string":
+        return JSON.stringify(this.as3Parser.getStringFromPool(index, constantPool));
+
+      case "int":
+        return this.formatPoolValue(constantPool && constantPool.integers, index, "int");
+
+      case "uint":
+        return this.formatPoolValue(constantPool && constantPool.unsignedIntegers, index, "uint");
+
+      case "double":
+        return this.formatPoolValue(constantPool && constantPool.doubles, index, "double");
+
+      case "namespace": {
+        const namespace = constantPool && constantPool.namespaces ? constantPool.namespaces[index] : null;
+        return namespace ? `${namespace.kindName}(${JSON.stringify(namespace.nameString)})` : `namespace_${index}`;
+      }
+
+      case "method": {
+        const method = abcContext.methods ? abcContext.methods[index] : null;
+        return method && method.nameString ? `method_${index} (${method.nameString})` : `method_${index}`;
+      }
+
+      case "class": {
+        const instance = abcContext.instances ? abcContext.instances[index] : null;
+        return instance && instance.nameString ? `class_${index} (${instance.nameString})` : `class_${index}`;
+      }
+
+      case "exception":
+        return `exception_${index}`;
+
+      default:
+        return String(index);
+    }
+  }
+
+  formatPoolValue(pool, index, prefix) {
+    if (!pool || index >= pool.length || pool[index] === undefined) {
+      return `${prefix}_${index}`;
+    }
+    return String(pool[index]);
+  }
+
+  formatListing(instructions, labels, exceptions, exceptionLabels, codeLength) {
+    const lines = [];
+    const placed = new Set();
+
+    for (const instruction of instructions) {
+      const label = labels[instruction.offset];
+      if (label) {
+        lines.push(`${label}:`);
+        placed.add(instruction.offset);
+      }
+
+      let line = `  ${String(instruction.offset).padStart(5)}  ${instruction.name}`;
+      if (instruction.operandText) {
+        line = `${line.padEnd(30)} ${instruction.operandText}`;
+      }
+      if (instruction.truncated) {
+        line += "  ; truncated";
+      }
+      lines.push(line);
+    }
+
+    // Labels that do not start an instruction (end of code or mid-instruction jumps)
+    Object.keys(labels).map(Number).filter(offset => !placed.has(offset)).forEach(offset => {
+      const note = offset === codeLength ? "end of code" : "not an instruction boundary";
+      lines.push(`${labels[offset]}:  ; offset ${offset} (${note})`);
+    });
+
+    exceptions.forEach((exception, index) => {
+      if (exception.parseError) return;
+      const range = exceptionLabels[index];
+      const varName = exception.varName ? exception.varNameString : "*";
+      const excType = exception.excType ? exception.excTypeString : "*";
+      lines.push(`  ; exception_${index}: try ${range.from}..${range.to} catch (${varName}:${excType}) -> ${range.target}`);
+    });
+
+    return lines;
+  }
+}
+
+// Export for use by other parsers
+if (typeof window !== 'undefined') {
+  window.AVM2Disassembler = AVM2Disassembler;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AVM2Disassembler;
+}
@@ -1,14 +1,19 @@
 /* 
- * SWF Asset Definition Tags Parser - v2.1
+ * SWF Asset Definition Tags Parser - v2.3
  * Handles asset-related tags like actions, exports, imports, and symbols
  * DoAction (12), ExportAssets (56), ImportAssets (57), DoInitAction (59),
  * ImportAssets2 (71), SymbolClass (76), DoABC (82)
  * ENHANCED: Added ActionScript 1.0/2.0 opcode decompilation for DoAction tags
+ * ADDED: Action byte offsets, DefineFunction/DefineFunction2/Try/With/WaitForFrame data,
+ *        signed branch offsets and exact Push values for the AS1/AS2 decompiler
+ * FIXED: Action blocks are parsed completely (no 200-action limit)
+ * ADDED: DoAction/DoInitAction control flow graphs (AVM1ControlFlowGraph)
  */
 class AssetParsers {
   constructor() {
     this.dataTypes = new SWFDataTypes();
     this.as3Parser = new AS3Parsers();
+    this.controlFlowGraph = new AVM1ControlFlowGraph();
     
     // ActionScript 1.0/2.0 Opcode definitions
     this.actionCodes = {
@@ -130,6 +135,12 @@ class AssetParsers {
     };
   }
   
+  // Helper method to parse signed 16-bit integer
+  parseSI16(reader) {
+    const value = this.dataTypes.parseUI16(reader);
+    return value > 32767 ? value - 65536 : value;
+  }
+  
   // ==================== TAG PARSING DISPATCHER ====================
   
   parseTag(tagType, tagData, offset, length) {
@@ -169,7 +180,8 @@ class AssetParsers {
           actions: actions,
           complexity: this.analyzeActionComplexity(actions),
           hasInteractivity: this.hasInteractiveActions(actions),
-          usedFeatures: this.getUsedActionFeatures(actions)
+          usedFeatures: this.getUsedActionFeatures(actions),
+          controlFlow: this.controlFlowGraph.build(actions, "DoAction")
         }
       };
       
@@ -183,12 +195,16 @@ class AssetParsers {
     }
   }
   
+  // Offsets are relative to the start of the action block, so branch targets
+  // (offset + length + branchOffset) can be matched against other actions
   parseActionScript(reader, length) {
     const actions = [];
     const startOffset = reader.byteOffset;
     let actionIndex = 0;
     
-    while (reader.byteOffset < startOffset + length && actionIndex < 200) {
+    while (reader.byteOffset < startOffset + length) {
+      const actionOffset = reader.byteOffset - startOffset;
+      
       try {
         const actionCode = this.dataTypes.parseUI8(reader);
         
@@ -196,6 +212,8 @@ class AssetParsers {
           // End action
           actions.push({
             index: actionIndex,
+            offset: actionOffset,
+            length: 1,
             opcode: actionCode,
             name: "End",
             description: "End of ActionScript block",
@@ -226,6 +244,8 @@ class AssetParsers {
         
         actions.push({
           index: actionIndex,
+          offset: actionOffset,
+          length: reader.byteOffset - startOffset - actionOffset,
           opcode: actionCode,
           name: actionName,
           description: description,
@@ -237,6 +257,8 @@ class AssetParsers {
       } catch (error) {
         actions.push({
           index: actionIndex,
+          offset: actionOffset,
+          length: 0,
           opcode: null,
           name: "ParseError",
           description: `Parse error: ${error.message}`,
@@ -272,13 +294,18 @@ class AssetParsers {
         case 0x88: // ConstantPool
           const count = this.dataTypes.parseUI16(reader);
           const constants = [];
-          for (let i = 0; i < Math.min(count, 50); i++) {
+          for (let i = 0; i < count; i++) {
             constants.push(this.dataTypes.parseString(reader));
           }
           return {
             count: count,
-            constants: constants,
-            truncated: count > 50
+            constants: constants
+          };
+          
+        case 0x8A: // WaitForFrame
+          return {
+            frame: this.dataTypes.parseUI16(reader),
+            skipCount: this.dataTypes.parseUI8(reader)
           };
           
         case 0x8B: // SetTarget
@@ -291,32 +318,56 @@ class AssetParsers {
             label: this.dataTypes.parseString(reader)
           };
           
+        case 0x8D: // WaitForFrame2
+          return {
+            skipCount: this.dataTypes.parseUI8(reader)
+          };
+          
+        case 0x8E: // DefineFunction2
+          return this.parseDefineFunction2Data(reader);
+          
+        case 0x8F: // Try
+          return this.parseTryData(reader);
+          
+        case 0x94: // With
+          return {
+            size: this.dataTypes.parseUI16(reader)
+          };
+          
         case 0x96: // Push
           return this.parsePushData(reader, dataLength);
           
         case 0x99: // Jump
           return {
-            branchOffset: this.dataTypes.parseUI16(reader)
+            branchOffset: this.parseSI16(reader)
           };
           
         case 0x9A: // GetURL2
-          const method = this.dataTypes.parseUI8(reader);
+          // SendVarsMethod is the low 2 bits, LoadTargetFlag 0x40, LoadVariablesFlag 0x80
+          const urlFlags = this.dataTypes.parseUI8(reader);
+          const method = urlFlags & 0x03;
           return {
+            flags: urlFlags,
             method: method,
-            methodName: this.getURL2Method(method)
+            methodName: this.getURL2Method(method),
+            loadTargetFlag: (urlFlags & 0x40) !== 0,
+            loadVariablesFlag: (urlFlags & 0x80) !== 0
           };
           
+        case 0x9B: // DefineFunction
+          return this.parseDefineFunctionData(reader);
+          
         case 0x9D: // If
           return {
-            branchOffset: this.dataTypes.parseUI16(reader)
+            branchOffset: this.parseSI16(reader)
           };
           
         case 0x9F: // GotoFrame2
           const flags = this.dataTypes.parseUI8(reader);
           const result = {
             flags: flags,
-            sceneBiasFlag: (flags & 0x01) !== 0,
-            playFlag: (flags & 0x02) !== 0
+            sceneBiasFlag: (flags & 0x02) !== 0,
+            playFlag: (flags & 0x01) !== 0
           };
           if (result.sceneBiasFlag) {
             result.sceneBias = this.dataTypes.parseUI16(reader);
@@ -352,7 +403,7 @@ class AssetParsers {
     const values = [];
     const endOffset = reader.byteOffset + dataLength;
     
-    while (reader.byteOffset < endOffset && values.length < 20) {
+    while (reader.byteOffset < endOffset) {
       try {
         const type = this.dataTypes.parseUI8(reader);
         const typeName = this.pushTypes[type] || `Unknown_${type}`;
@@ -364,7 +415,7 @@ class AssetParsers {
             value = this.dataTypes.parseString(reader);
             break;
           case 1: // Float
-            value = this.dataTypes.parseFIXED(reader);
+            value = this.parseActionFloat(reader);
             break;
           case 2: // null
             value = null;
@@ -379,13 +430,10 @@ class AssetParsers {
             value = this.dataTypes.parseUI8(reader) !== 0;
             break;
           case 6: // Double
-            // Double parsing is complex, simplified here
-            const low = this.dataTypes.parseUI32(reader);
-            const high = this.dataTypes.parseUI32(reader);
-            value = `Double(0x${high.toString(16)}${low.toString(16)})`;
+            value = this.parseActionDouble(reader);
             break;
           case 7: // Integer
-            value = this.dataTypes.parseUI32(reader);
+            value = this.dataTypes.parseUI32(reader) | 0;
             break;
           case 8: // Constant8
             value = this.dataTypes.parseUI8(reader);
@@ -416,9 +464,98 @@ class AssetParsers {
     
     return {
       values: values,
-      count: values.length,
-      truncated: reader.byteOffset < endOffset
+      count: values.length
+    };
+  }
+  
+  parseActionFloat(reader) {
+    const bytes = new Uint8Array(4);
+    for (let i = 0; i < 4; i++) {
+      bytes[i] = this.dataTypes.parseUI8(reader);
+    }
+    return new DataView(bytes.buffer).getFloat32(0, true);
+  }
+  
+  // AVM1 doubles store the high 32-bit word first, each word little-endian
+  parseActionDouble(reader) {
+    const bytes = new Uint8Array(8);
+    for (let i = 0; i < 8; i++) {
+      bytes[(i + 4) % 8] = this.dataTypes.parseUI8(reader);
+    }
+    return new DataView(bytes.buffer).getFloat64(0, true);
+  }
+  
+  parseDefineFunctionData(reader) {
+    const functionName = this.dataTypes.parseString(reader);
+    const numParams = this.dataTypes.parseUI16(reader);
+    const parameters = [];
+    
+    for (let i = 0; i < numParams; i++) {
+      parameters.push(this.dataTypes.parseString(reader));
+    }
+    
+    return {
+      functionName: functionName,
+      numParams: numParams,
+      parameters: parameters,
+      codeSize: this.dataTypes.parseUI16(reader)
+    };
+  }
+  
+  parseDefineFunction2Data(reader) {
+    const functionName = this.dataTypes.parseString(reader);
+    const numParams = this.dataTypes.parseUI16(reader);
+    const registerCount = this.dataTypes.parseUI8(reader);
+    const flags = this.dataTypes.parseUI16(reader);
+    
+    // Flag bits in file order: PreloadParent, PreloadRoot, SuppressSuper, PreloadSuper,
+    // SuppressArguments, PreloadArguments, SuppressThis, PreloadThis, Reserved[7], PreloadGlobal
+    const result = {
+      functionName: functionName,
+      numParams: numParams,
+      registerCount: registerCount,
+      flags: flags,
+      preloadParent: (flags & 0x0080) !== 0,
+      preloadRoot: (flags & 0x0040) !== 0,
+      suppressSuper: (flags & 0x0020) !== 0,
+      preloadSuper: (flags & 0x0010) !== 0,
+      suppressArguments: (flags & 0x0008) !== 0,
+      preloadArguments: (flags & 0x0004) !== 0,
+      suppressThis: (flags & 0x0002) !== 0,
+      preloadThis: (flags & 0x0001) !== 0,
+      preloadGlobal: (flags & 0x0100) !== 0,
+      parameters: []
     };
+    
+    for (let i = 0; i < numParams; i++) {
+      result.parameters.push({
+        register: this.dataTypes.parseUI8(reader),
+        name: this.dataTypes.parseString(reader)
+      });
+    }
+    
+    result.codeSize = this.dataTypes.parseUI16(reader);
+    return result;
+  }
+  
+  parseTryData(reader) {
+    const flags = this.dataTypes.parseUI8(reader);
+    const result = {
+      catchInRegister: (flags & 0x04) !== 0,
+      hasFinallyBlock: (flags & 0x02) !== 0,
+      hasCatchBlock: (flags & 0x01) !== 0,
+      trySize: this.dataTypes.parseUI16(reader),
+      catchSize: this.dataTypes.parseUI16(reader),
+      finallySize: this.dataTypes.parseUI16(reader)
+    };
+    
+    if (result.catchInRegister) {
+      result.catchRegister = this.dataTypes.parseUI8(reader);
+    } else {
+      result.catchName = this.dataTypes.parseString(reader);
+    }
+    
+    return result;
   }
   
   // ==================== ACTION FORMATTING ====================
@@ -438,7 +575,7 @@ class AssetParsers {
         
       case 0x88: // ConstantPool
         const constList = actionData.constants.slice(0, 3).map(c => `"${c}"`).join(", ");
-        return `ConstantPool [${constList}${actionData.truncated ? "..." : ""}] (${actionData.count} total)`;
+        return `ConstantPool [${constList}${actionData.count > 3 ? "..." : ""}] (${actionData.count} total)`;
         
       case 0x8B: // SetTarget
         return `SetTarget "${actionData.targetName}"`;
@@ -457,14 +594,31 @@ class AssetParsers {
         }
         return "Push (empty)";
         
+      case 0x8A: // WaitForFrame
+        return `WaitForFrame ${actionData.frame} (skip ${actionData.skipCount})`;
+        
+      case 0x8D: // WaitForFrame2
+        return `WaitForFrame2 (skip ${actionData.skipCount})`;
+        
+      case 0x8E: // DefineFunction2
+      case 0x9B: // DefineFunction
+        const parameterNames = actionData.parameters.map(param => typeof param === 'string' ? param : param.name);
+        return `${actionName} ${actionData.functionName || "(anonymous)"}(${parameterNames.join(", ")}) [${actionData.codeSize} bytes]`;
+        
+      case 0x8F: // Try
+        return `Try [try ${actionData.trySize}, catch ${actionData.catchSize}, finally ${actionData.finallySize} bytes]`;
+        
+      case 0x94: // With
+        return `With [${actionData.size} bytes]`;
+        
       case 0x99: // Jump
-        return `Jump +${actionData.branchOffset}`;
+        return `Jump ${actionData.branchOffset >= 0 ? "+" : ""}${actionData.branchOffset}`;
         
       case 0x9A: // GetURL2
         return `GetURL2 method:${actionData.methodName}`;
         
       case 0x9D: // If
-        return `If (jump +${actionData.branchOffset})`;
+        return `If (jump ${actionData.branchOffset >= 0 ? "+" : ""}${actionData.branchOffset})`;
         
       case 0x9F: // GotoFrame2
         let desc = "GotoFrame2";
@@ -681,7 +835,8 @@ class AssetParsers {
             spriteId: spriteId,
             actionCount: actions.length,
             actions: actions,
-            complexity: this.analyzeActionComplexity(actions)
+            complexity: this.analyzeActionComplexity(actions),
+            controlFlow: this.controlFlowGraph.build(actions, `DoInitAction_${spriteId}`)
           }
         };
       } else {
@@ -1,12 +1,20 @@
 /* 
- * SWF Bitmap Definition Tags Parser - v1.0
+ * SWF Bitmap Definition Tags Parser - v1.2
  * Handles bitmap image definitions and formats
  * DefineBits family (Tags 6, 20, 21, 35, 36) and JPEGTables (Tag 8)
  * Image formats, dimensions, and compression analysis
+ * ADDED: DefineBitsLossless/DefineBitsLossless2 pixel data is inflated and converted to straight
+ *   (non-premultiplied) RGBA: colormapped, 15-bit and 24/32-bit formats
+ * ADDED: JPEG tags carry a complete image stream (imageData + mimeType): DefineBits gets the
+ *   JPEGTables spliced in, the erroneous EOI/SOI pairs older encoders wrote are removed, PNG and
+ *   GIF89a payloads pass through, and DefineBitsJPEG3's zlib alpha plane is inflated (alphaData)
  */
 class BitmapParsers {
   constructor() {
     this.dataTypes = new SWFDataTypes();
+    
+    // JPEGTables seen by this parser (a file has at most one, before any DefineBits)
+    this.jpegTables = null;
   }
   
   // ==================== TAG PARSING DISPATCHER ====================
@@ -42,10 +50,15 @@ class BitmapParsers {
       
       const characterId = this.dataTypes.parseUI16(reader);
       const jpegDataLength = length - 2; // Subtract CharacterID bytes
+      const start = reader.byteOffset;
       
       // Read first few bytes to analyze JPEG header
       const jpegHeader = this.analyzeJPEGHeader(reader, Math.min(jpegDataLength, 32));
       
+      // The encoding tables live in the shared JPEGTables tag
+      const image = BitmapParsers.mergeJPEGTables(this.jpegTables, reader.buffer.subarray(start, start + jpegDataLength));
+      const dimensions = BitmapParsers.readImageDimensions(image, "image/jpeg");
+      
       return {
         tagType: "DefineBits",
         description: "Defines a JPEG image (requires JPEGTables for decoding)",
@@ -58,6 +71,11 @@ class BitmapParsers {
           hasAlpha: false,
           version: 1,
           compressionType: "JPEG",
+          width: dimensions ? dimensions.width : null,
+          height: dimensions ? dimensions.height : null,
+          mimeType: "image/jpeg",
+          imageData: image,
+          decodeError: this.jpegTables ? null : "No JPEGTables tag before this DefineBits tag",
           note: "This image requires JPEGTables tag for complete decoding"
         }
       };
@@ -77,6 +95,9 @@ class BitmapParsers {
       // JPEGTables format:
       // - JPEGData (UI8[length]) - JPEG encoding tables
       
+      const start = reader.byteOffset;
+      this.jpegTables = length > 0 ? BitmapParsers.removeErroneousMarkers(reader.buffer.subarray(start, start + length)) : null;
+      
       // Read first few bytes to analyze JPEG tables
       const jpegTablesHeader = this.analyzeJPEGHeader(reader, Math.min(length, 32));
       
@@ -109,12 +130,16 @@ class BitmapParsers {
       
       const characterId = this.dataTypes.parseUI16(reader);
       const jpegDataLength = length - 2;
+      const start = reader.byteOffset;
       
       // Analyze JPEG header for format detection
       const jpegHeader = this.analyzeJPEGHeader(reader, Math.min(jpegDataLength, 64));
       
+      // JPEG (possibly with the erroneous EOI/SOI prefix), PNG or GIF89a
+      const image = this.readImagePayload(reader.buffer.subarray(start, start + jpegDataLength));
+      
       // Try to detect actual image format (could be PNG in later Flash versions)
-      const actualFormat = this.detectImageFormat(jpegHeader);
+      const actualFormat = this.detectImageFormat({ bytes: Array.from(image.imageData.subarray(0, 16)) });
       
       return {
         tagType: "DefineBitsJPEG2",
@@ -129,6 +154,10 @@ class BitmapParsers {
           hasAlpha: false,
           version: 2,
           compressionType: actualFormat.format,
+          width: image.width,
+          height: image.height,
+          mimeType: image.mimeType,
+          imageData: image.imageData,
           note: "Self-contained image with embedded encoding tables"
         }
       };
@@ -156,10 +185,18 @@ class BitmapParsers {
       
       const jpegDataLength = alphaDataOffset;
       const alphaDataLength = length - 6 - alphaDataOffset; // Total - CharacterID - AlphaDataOffset - JPEG data
+      const start = reader.byteOffset;
       
       // Analyze JPEG header
       const jpegHeader = this.analyzeJPEGHeader(reader, Math.min(jpegDataLength, 64));
-      const actualFormat = this.detectImageFormat(jpegHeader);
+      
+      const image = this.readImagePayload(reader.buffer.subarray(start, start + jpegDataLength));
+      const actualFormat = this.detectImageFormat({ bytes: Array.from(image.imageData.subarray(0, 16)) });
+      
+      // The alpha plane only applies to JPEG data: PNG and GIF carry their own transparency
+      const alpha = image.mimeType === "image/jpeg" && alphaDataLength > 0 ?
+        this.inflateAlphaPlane(reader.buffer.subarray(start + jpegDataLength, start + jpegDataLength + alphaDataLength), image) :
+        { alphaData: null, error: null };
       
       return {
         tagType: "DefineBitsJPEG3",
@@ -176,6 +213,12 @@ class BitmapParsers {
           hasAlpha: true,
           version: 3,
           compressionType: actualFormat.format,
+          width: image.width,
+          height: image.height,
+          mimeType: image.mimeType,
+          imageData: image.imageData,
+          alphaData: alpha.alphaData,
+          decodeError: alpha.error,
           alphaCompression: "ZLIB",
           note: "Image with separate compressed alpha channel for transparency"
         }
@@ -216,6 +259,7 @@ class BitmapParsers {
       
       const zlibDataLength = length - headerSize;
       const formatInfo = this.getBitmapFormatInfo(bitmapFormat);
+      const decoded = this.decodeLosslessBitmap(reader, zlibDataLength, bitmapFormat, bitmapWidth, bitmapHeight, colorTableSize, false);
       
       return {
         tagType: "DefineBitsLossless",
@@ -235,6 +279,9 @@ class BitmapParsers {
           version: 1,
           compressionType: "ZLIB",
           estimatedUncompressedSize: this.estimateUncompressedSize(bitmapFormat, bitmapWidth, bitmapHeight, colorTableSize),
+          uncompressedSize: decoded.uncompressedSize,
+          rgba: decoded.rgba,
+          decodeError: decoded.error,
           note: "Lossless bitmap compressed with ZLIB"
         }
       };
@@ -269,6 +316,7 @@ class BitmapParsers {
       
       const zlibDataLength = length - headerSize;
       const formatInfo = this.getBitmapFormatInfo(bitmapFormat, true); // true = has alpha
+      const decoded = this.decodeLosslessBitmap(reader, zlibDataLength, bitmapFormat, bitmapWidth, bitmapHeight, colorTableSize, true);
       
       return {
         tagType: "DefineBitsLossless2",
@@ -288,6 +336,9 @@ class BitmapParsers {
           version: 2,
           compressionType: "ZLIB",
           estimatedUncompressedSize: this.estimateUncompressedSize(bitmapFormat, bitmapWidth, bitmapHeight, colorTableSize, true),
+          uncompressedSize: decoded.uncompressedSize,
+          rgba: decoded.rgba,
+          decodeError: decoded.error,
           note: "Lossless bitmap with alpha transparency compressed with ZLIB"
         }
       };
@@ -322,6 +373,254 @@ class BitmapParsers {
     };
   }
   
+  // ==================== JPEG, PNG AND GIF ASSEMBLY ====================
+  
+  // DefineBitsJPEG2/3 image data: a JPEG stream is cleaned of erroneous markers, PNG and GIF89a
+  // are kept as they are
+  readImagePayload(bytes) {
+    const mimeType = BitmapParsers.getImageMimeType(bytes);
+    const imageData = mimeType === "image/jpeg" ? BitmapParsers.removeErroneousMarkers(bytes) : bytes;
+    const dimensions = BitmapParsers.readImageDimensions(imageData, mimeType);
+    
+    return {
+      mimeType: mimeType,
+      imageData: imageData,
+      width: dimensions ? dimensions.width : null,
+      height: dimensions ? dimensions.height : null
+    };
+  }
+  
+  // BitmapAlphaData: one alpha byte per pixel, rows top to bottom, zlib compressed
+  inflateAlphaPlane(zlibData, image) {
+    try {
+      if (typeof pako === 'undefined' || !pako.inflate) {
+        throw new Error("ZLIB decompression requires the pako library");
+      }
+      
+      const alphaData = pako.inflate(zlibData);
+      if (image.width && image.height && alphaData.length < image.width * image.height) {
+        throw new Error(`Alpha data is ${image.width * image.height - alphaData.length} bytes short`);
+      }
+      return { alphaData: alphaData, error: null };
+      
+    } catch (error) {
+      return { alphaData: null, error: `Alpha channel: ${error.message}` };
+    }
+  }
+  
+  static getImageMimeType(bytes) {
+    if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+      return "image/png";
+    }
+    if (bytes.length >= 6 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x38) {
+      return "image/gif";
+    }
+    return "image/jpeg";
+  }
+  
+  // SWF files before version 8 may start JPEG data with an EOI/SOI pair (FF D9 FF D8) and may join
+  // tables and image with one. A literal FF D9 cannot occur inside entropy-coded data (FF is
+  // always stuffed with 00 there), so every EOI immediately followed by SOI is a join and goes
+  static removeErroneousMarkers(bytes) {
+    const chunks = [];
+    let chunkStart = 0;
+    
+    for (let i = 0; i + 3 < bytes.length; i++) {
+      if (bytes[i] === 0xFF && bytes[i + 1] === 0xD9 && bytes[i + 2] === 0xFF && bytes[i + 3] === 0xD8) {
+        chunks.push(bytes.subarray(chunkStart, i));
+        chunkStart = i + 4;
+        i += 3;
+      }
+    }
+    
+    if (chunks.length === 0) {
+      return bytes;
+    }
+    chunks.push(bytes.subarray(chunkStart));
+    
+    // A leading pair leaves the stream without its SOI
+    const joined = BitmapParsers.concatBytes(chunks);
+    return joined.length >= 2 && joined[0] === 0xFF && joined[1] === 0xD8 ?
+      joined : BitmapParsers.concatBytes([new Uint8Array([0xFF, 0xD8]), joined]);
+  }
+  
+  // JPEGTables (SOI, tables, EOI) + DefineBits data (SOI, frame, scans, EOI) -> one stream
+  static mergeJPEGTables(tables, imageBytes) {
+    const image = BitmapParsers.removeErroneousMarkers(imageBytes);
+    if (!tables || tables.length < 4) {
+      return image;
+    }
+    
+    const tablesEnd = tables[tables.length - 2] === 0xFF && tables[tables.length - 1] === 0xD9 ? tables.length - 2 : tables.length;
+    const imageStart = image[0] === 0xFF && image[1] === 0xD8 ? 2 : 0;
+    return BitmapParsers.concatBytes([tables.subarray(0, tablesEnd), image.subarray(imageStart)]);
+  }
+  
+  // Pixel size from the JPEG frame header (SOFn), PNG IHDR or GIF logical screen descriptor
+  static readImageDimensions(bytes, mimeType) {
+    if (mimeType === "image/png") {
+      if (bytes.length < 24) return null;
+      const readUI32BE = offset => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+      return { width: readUI32BE(16), height: readUI32BE(20) };
+    }
+    
+    if (mimeType === "image/gif") {
+      if (bytes.length < 10) return null;
+      return { width: bytes[6] | (bytes[7] << 8), height: bytes[8] | (bytes[9] << 8) };
+    }
+    
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xFF) {
+        offset++;
+        continue;
+      }
+      
+      const marker = bytes[offset + 1];
+      if (marker === 0xFF || marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+        offset += marker === 0xFF ? 1 : 2;
+        continue;
+      }
+      
+      // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        return {
+          height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+          width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+        };
+      }
+      if (marker === 0xD9 || marker === 0xDA) {
+        return null;
+      }
+      offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+    return null;
+  }
+  
+  static concatBytes(chunks) {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return result;
+  }
+  
+  // ==================== LOSSLESS PIXEL DECODING ====================
+  
+  // Inflates the ZlibBitmapData at the reader and converts it to straight RGBA (width * height * 4,
+  // rows top to bottom). Never throws: failures come back as { rgba: null, error }
+  decodeLosslessBitmap(reader, zlibDataLength, bitmapFormat, width, height, colorTableSize, hasAlpha) {
+    try {
+      if (typeof pako === 'undefined' || !pako.inflate) {
+        throw new Error("ZLIB decompression requires the pako library");
+      }
+      
+      const start = reader.byteOffset;
+      const pixels = pako.inflate(reader.buffer.subarray(start, start + zlibDataLength));
+      const rgba = new Uint8ClampedArray(width * height * 4);
+      
+      switch (bitmapFormat) {
+        case 3:
+          this.decodeColormappedPixels(pixels, width, height, colorTableSize, hasAlpha, rgba);
+          break;
+        case 4:
+          this.decodePix15Pixels(pixels, width, height, rgba);
+          break;
+        case 5:
+          this.decodeARGBPixels(pixels, width, height, hasAlpha, rgba);
+          break;
+        default:
+          throw new Error(`Unknown bitmap format ${bitmapFormat}`);
+      }
+      
+      return { rgba: rgba, uncompressedSize: pixels.length, error: null };
+      
+    } catch (error) {
+      return { rgba: null, uncompressedSize: null, error: error.message };
+    }
+  }
+  
+  // COLORMAPDATA / ALPHACOLORMAPDATA: ColorTableSize + 1 RGB (or premultiplied RGBA) entries,
+  // then one index per pixel with every row padded to a multiple of 4 bytes
+  decodeColormappedPixels(pixels, width, height, colorTableSize, hasAlpha, rgba) {
+    const entrySize = hasAlpha ? 4 : 3;
+    const paletteEntries = (colorTableSize || 0) + 1;
+    const paletteBytes = paletteEntries * entrySize;
+    const rowStride = (width + 3) & ~3;
+    this.checkPixelDataLength(pixels, paletteBytes + rowStride * (height - 1) + width);
+    
+    const palette = new Uint8ClampedArray(paletteEntries * 4);
+    for (let i = 0; i < paletteEntries; i++) {
+      const alpha = hasAlpha ? pixels[i * 4 + 3] : 255;
+      this.writeStraightPixel(palette, i, pixels[i * entrySize], pixels[i * entrySize + 1], pixels[i * entrySize + 2], alpha, hasAlpha);
+    }
+    
+    for (let y = 0; y < height; y++) {
+      const row = paletteBytes + y * rowStride;
+      for (let x = 0; x < width; x++) {
+        // Indices past the color table are transparent black
+        const entry = pixels[row + x];
+        if (entry < paletteEntries) {
+          rgba.set(palette.subarray(entry * 4, entry * 4 + 4), (y * width + x) * 4);
+        }
+      }
+    }
+  }
+  
+  // PIX15: UB[1] reserved, UB[5] red, UB[5] green, UB[5] blue (big-endian), rows padded to 4 bytes
+  decodePix15Pixels(pixels, width, height, rgba) {
+    const rowStride = (width * 2 + 3) & ~3;
+    this.checkPixelDataLength(pixels, rowStride * (height - 1) + width * 2);
+    const expand = value => (value << 3) | (value >> 2);
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const offset = y * rowStride + x * 2;
+        const value = (pixels[offset] << 8) | pixels[offset + 1];
+        const target = (y * width + x) * 4;
+        rgba[target] = expand((value >> 10) & 0x1f);
+        rgba[target + 1] = expand((value >> 5) & 0x1f);
+        rgba[target + 2] = expand(value & 0x1f);
+        rgba[target + 3] = 255;
+      }
+    }
+  }
+  
+  // PIX24 (reserved byte, R, G, B) or premultiplied ARGB; 4 bytes per pixel needs no row padding
+  decodeARGBPixels(pixels, width, height, hasAlpha, rgba) {
+    const pixelCount = width * height;
+    this.checkPixelDataLength(pixels, pixelCount * 4);
+    
+    for (let i = 0; i < pixelCount; i++) {
+      const alpha = hasAlpha ? pixels[i * 4] : 255;
+      this.writeStraightPixel(rgba, i, pixels[i * 4 + 1], pixels[i * 4 + 2], pixels[i * 4 + 3], alpha, hasAlpha);
+    }
+  }
+  
+  // DefineBitsLossless2 colors are premultiplied by alpha; stored here un-premultiplied
+  writeStraightPixel(rgba, index, red, green, blue, alpha, premultiplied) {
+    const target = index * 4;
+    
+    if (premultiplied && alpha < 255) {
+      red = alpha > 0 ? Math.round(red * 255 / alpha) : 0;
+      green = alpha > 0 ? Math.round(green * 255 / alpha) : 0;
+      blue = alpha > 0 ? Math.round(blue * 255 / alpha) : 0;
+    }
+    
+    rgba[target] = red;
+    rgba[target + 1] = green;
+    rgba[target + 2] = blue;
+    rgba[target + 3] = alpha;
+  }
+  
+  checkPixelDataLength(pixels, requiredLength) {
+    if (pixels.length < requiredLength) {
+      throw new Error(`Bitmap data is ${requiredLength - pixels.length} bytes short (${pixels.length} of ${requiredLength})`);
+    }
+  }
+  
   // ==================== UTILITY METHODS ====================
   
   analyzeJPEGHeader(reader, maxBytes) {
@@ -520,6 +819,19 @@ class BitmapParsers {
         lines.push(`  └─ Estimated Uncompressed: ${data.estimatedUncompressedSize.formattedSize}`);
       }
       
+      if (data.rgba) {
+        lines.push(`  └─ Decoded: ${this.formatBytes(data.uncompressedSize)} inflated to ${data.width} × ${data.height} RGBA`);
+      } else if (data.imageData) {
+        lines.push(`  └─ Image Stream: ${data.mimeType}, ${this.formatBytes(data.imageData.length)}`);
+        if (data.alphaData) {
+          lines.push(`  └─ Alpha Plane: ${this.formatBytes(data.alphaData.length)} inflated`);
+        }
+      }
+      
+      if (data.decodeError) {
+        lines.push(`  └─ Decode Error: ${data.decodeError}`);
+      }
+      
       if (data.requiresJPEGTables) {
         lines.push(`  └─ Requires JPEG Tables: Yes`);
       }
@@ -1,12 +1,23 @@
 /* 
- * SWF Button Definition Tags Parser - v1.0
+ * SWF Button Definition Tags Parser - v1.1
  * Handles interactive button definitions with multiple states and actions
  * DefineButton (Tag 7), DefineButton2 (Tag 34), DefineButtonCxform (Tag 23)
  * Essential for Flash interactivity and user interface elements
+ * ADDED: Full action records for button actions (parsed by AssetParsers)
+ * FIXED: BUTTONCONDACTION flag order, key codes and the size of the last condition record
  */
 class ButtonParsers {
   constructor() {
     this.dataTypes = new SWFDataTypes();
+    this.actionParser = null;
+  }
+  
+  // Action records are parsed by AssetParsers, created on first use
+  getActionParser() {
+    if (!this.actionParser && typeof AssetParsers !== 'undefined') {
+      this.actionParser = new AssetParsers();
+    }
+    return this.actionParser;
   }
   
   // ==================== TAG PARSING DISPATCHER ====================
@@ -86,6 +97,7 @@ class ButtonParsers {
       // - ButtonRecords (BUTTONRECORD[])
       // - Actions (BUTTONCONDACTION[])
       
+      const tagStart = reader.byteOffset;
       const buttonId = this.dataTypes.parseUI16(reader);
       
       const flagsByte = this.dataTypes.parseUI8(reader);
@@ -96,10 +108,11 @@ class ButtonParsers {
       // Parse button records
       const buttonRecords = this.parseButtonRecords(reader, 2); // version 2
       
-      // Parse button actions if present
+      // Parse button actions if present (ActionOffset counts from the ActionOffset field itself)
       let buttonActions = null;
       if (actionOffset > 0) {
-        const actionsLength = length - actionOffset;
+        reader.byteOffset = tagStart + 3 + actionOffset;
+        const actionsLength = length - 3 - actionOffset;
         buttonActions = this.parseButtonCondActions(reader, actionsLength);
       }
       
@@ -280,6 +293,17 @@ class ButtonParsers {
   }
   
   parseActionScript(reader, length) {
+    const actionParser = this.getActionParser();
+    if (actionParser) {
+      const actions = actionParser.parseActionScript(reader, length);
+      return {
+        totalBytes: length,
+        actionCount: actions.length,
+        parsedActions: actions,
+        hasComplexActions: actions.some(action => action.opcode >= 0x80)
+      };
+    }
+    
     try {
       // Simple ActionScript analysis (similar to AssetParsers.js)
       const actionData = [];
@@ -330,15 +354,17 @@ class ButtonParsers {
       let bytesRead = 0;
       let actionIndex = 0;
       
-      while (bytesRead < length && actionIndex < 20) { // Limit for performance
+      while (bytesRead < length) {
         if (bytesRead + 4 > length) break;
         
         const condActionSize = this.dataTypes.parseUI16(reader);
-        const condKeyPress = this.dataTypes.parseUI8(reader);
         const condFlags = this.dataTypes.parseUI8(reader);
+        const keyFlags = this.dataTypes.parseUI8(reader);
         bytesRead += 4;
         
-        // Parse condition flags
+        // First flag byte holds IdleToOverDown (bit 7) down to IdleToOverUp (bit 0),
+        // the second holds CondKeyPress (UB[7]) and OverDownToIdle
+        const condKeyPress = keyFlags >> 1;
         const conditions = {
           idleToOverUp: (condFlags & 0x01) !== 0,
           overUpToIdle: (condFlags & 0x02) !== 0,
@@ -348,18 +374,20 @@ class ButtonParsers {
           outDownToOverDown: (condFlags & 0x20) !== 0,
           outDownToIdle: (condFlags & 0x40) !== 0,
           idleToOverDown: (condFlags & 0x80) !== 0,
+          overDownToIdle: (keyFlags & 0x01) !== 0,
           keyPress: condKeyPress > 0
         };
         
-        // Skip the actual action data for now
-        const actionDataSize = condActionSize > 0 ? condActionSize - 4 : 0;
-        if (actionDataSize > 0 && bytesRead + actionDataSize <= length) {
-          // Skip action data bytes
-          for (let i = 0; i < actionDataSize; i++) {
-            this.dataTypes.parseUI8(reader);
-            bytesRead++;
-          }
+        // The last record (size 0) runs to the end of the tag
+        const actionDataSize = condActionSize > 0 ? condActionSize - 4 : length - bytesRead;
+        const actionStart = reader.byteOffset;
+        let actions = [];
+        const actionParser = this.getActionParser();
+        if (actionParser && actionDataSize > 0) {
+          actions = actionParser.parseActionScript(reader, actionDataSize);
         }
+        reader.byteOffset = actionStart + Math.max(0, actionDataSize);
+        bytesRead += Math.max(0, actionDataSize);
         
         condActions.push({
           index: actionIndex,
@@ -367,7 +395,8 @@ class ButtonParsers {
           keyPress: condKeyPress,
           conditions: conditions,
           activeConditions: this.getActiveConditions(conditions),
-          actionDataSize: actionDataSize
+          actionDataSize: actionDataSize,
+          actions: actions
         });
         
         actionIndex++;
@@ -379,7 +408,7 @@ class ButtonParsers {
       return {
         actions: condActions,
         actionCount: actionIndex,
-        truncated: actionIndex >= 20 || bytesRead < length
+        truncated: bytesRead < length
       };
       
     } catch (error) {
@@ -408,6 +437,11 @@ class ButtonParsers {
     if (conditions.overUpToIdle) active.push("over→idle");
     if (conditions.overUpToOverDown) active.push("over→down");
     if (conditions.overDownToOverUp) active.push("down→over");
+    if (conditions.overDownToOutDown) active.push("down→out");
+    if (conditions.outDownToOverDown) active.push("out→down");
+    if (conditions.outDownToIdle) active.push("outDown→idle");
+    if (conditions.idleToOverDown) active.push("idle→down");
+    if (conditions.overDownToIdle) active.push("down→idle");
     if (conditions.keyPress) active.push("keyPress");
     return active;
   }
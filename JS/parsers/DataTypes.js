@@ -1,8 +1,11 @@
 /*
- * SWF Data Types Parser - v2.1
+ * SWF Data Types Parser - v2.3
  * Handles parsing of Flash SWF primitive data types and bit manipulation
  * Used by all other parsers for consistent data reading
  * FIXED: Added missing formatRECT method for morph shape parsing
+ * ADDED: BitWriter and write* encoders (RECT, MATRIX, CXFORM, CXFORMA) for the SWF writer
+ * FIXED: FIXED and FIXED8 are signed (negative filter angles and distances, focal points)
+ * ADDED: parseFLOAT (the color matrix and convolution filters' single precision terms)
  */
 
 class BitReader {
@@ -59,6 +62,76 @@ class BitReader {
   }
 }
 
+class BitWriter {
+  constructor(initialSize = 256) {
+    this.buffer = new Uint8Array(initialSize);
+    this.byteOffset = 0;
+    this.bitOffset = 0;
+  }
+  
+  ensureCapacity(extraBytes) {
+    const required = this.byteOffset + extraBytes + 1;
+    if (required <= this.buffer.length) {
+      return;
+    }
+    
+    let size = this.buffer.length * 2;
+    while (size < required) {
+      size *= 2;
+    }
+    
+    const grown = new Uint8Array(size);
+    grown.set(this.buffer);
+    this.buffer = grown;
+  }
+  
+  writeBits(numBits, value) {
+    this.ensureCapacity(Math.ceil(numBits / 8) + 1);
+    
+    for (let i = numBits - 1; i >= 0; i--) {
+      // Division keeps values above 2^31 intact (bitwise ops are 32-bit signed)
+      const bit = Math.floor(value / Math.pow(2, i)) & 1;
+      
+      if (bit) {
+        this.buffer[this.byteOffset] |= 0x80 >> this.bitOffset;
+      }
+      
+      this.bitOffset++;
+      if (this.bitOffset === 8) {
+        this.bitOffset = 0;
+        this.byteOffset++;
+      }
+    }
+  }
+  
+  writeSignedBits(numBits, value) {
+    const range = Math.pow(2, numBits);
+    this.writeBits(numBits, value < 0 ? value + range : value);
+  }
+  
+  align() {
+    if (this.bitOffset !== 0) {
+      this.bitOffset = 0;
+      this.byteOffset++;
+    }
+  }
+  
+  writeBytes(bytes) {
+    this.align();
+    this.ensureCapacity(bytes.length);
+    this.buffer.set(bytes, this.byteOffset);
+    this.byteOffset += bytes.length;
+  }
+  
+  get length() {
+    return this.byteOffset + (this.bitOffset > 0 ? 1 : 0);
+  }
+  
+  toUint8Array() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
 class SWFDataTypes {
   constructor() {
     // Data type constants
@@ -107,15 +180,21 @@ class SWFDataTypes {
   }
   
   parseFIXED(reader) {
-    const value = this.parseUI32(reader);
+    const value = this.parseUI32(reader) | 0;
     return value / 65536.0;
   }
   
   parseFIXED8(reader) {
-    const value = this.parseUI16(reader);
+    const value = (this.parseUI16(reader) << 16) >> 16;
     return value / 256.0;
   }
   
+  parseFLOAT(reader) {
+    const view = new DataView(new ArrayBuffer(4));
+    view.setUint32(0, this.parseUI32(reader), true);
+    return view.getFloat32(0, true);
+  }
+  
   // ==================== COLOR TYPES ====================
   
   parseRGB(reader) {
@@ -371,6 +450,150 @@ class SWFDataTypes {
     }
   }
   
+  // ==================== ENCODING (WRITER SUPPORT) ====================
+  
+  // Minimum SB[nBits] width that can hold every value (at least 1 bit)
+  getSignedBitCount(...values) {
+    let nBits = 1;
+    
+    for (const value of values) {
+      let bits = 1;
+      while (value < -Math.pow(2, bits - 1) || value >= Math.pow(2, bits - 1)) {
+        bits++;
+      }
+      nBits = Math.max(nBits, bits);
+    }
+    
+    return nBits;
+  }
+  
+  writeUI8(writer, value) {
+    writer.align();
+    writer.writeBits(8, value & 0xFF);
+  }
+  
+  writeUI16(writer, value) {
+    writer.align();
+    writer.writeBytes([value & 0xFF, (value >> 8) & 0xFF]);
+  }
+  
+  writeUI32(writer, value) {
+    writer.align();
+    writer.writeBytes([value & 0xFF, (value >>> 8) & 0xFF, (value >>> 16) & 0xFF, (value >>> 24) & 0xFF]);
+  }
+  
+  writeUB(writer, numBits, value) {
+    writer.writeBits(numBits, value);
+  }
+  
+  writeSB(writer, numBits, value) {
+    writer.writeSignedBits(numBits, value);
+  }
+  
+  writeFIXED8(writer, value) {
+    this.writeUI16(writer, Math.round(value * 256) & 0xFFFF);
+  }
+  
+  writeRGB(writer, color) {
+    this.writeUI8(writer, color.red);
+    this.writeUI8(writer, color.green);
+    this.writeUI8(writer, color.blue);
+  }
+  
+  writeRGBA(writer, color) {
+    this.writeRGB(writer, color);
+    this.writeUI8(writer, color.alpha !== undefined ? color.alpha : 255);
+  }
+  
+  writeRECT(writer, rect) {
+    // Keep the original field width when it still fits so unmodified headers stay byte-exact
+    const minBits = this.getSignedBitCount(rect.xMin, rect.xMax, rect.yMin, rect.yMax);
+    const nBits = rect.nBits !== undefined && rect.nBits >= minBits ? rect.nBits : minBits;
+    
+    this.writeUB(writer, 5, nBits);
+    this.writeSB(writer, nBits, rect.xMin);
+    this.writeSB(writer, nBits, rect.xMax);
+    this.writeSB(writer, nBits, rect.yMin);
+    this.writeSB(writer, nBits, rect.yMax);
+    writer.align();
+  }
+  
+  writeMATRIX(writer, matrix) {
+    const scaleX = Math.round(matrix.scaleX * 65536);
+    const scaleY = Math.round(matrix.scaleY * 65536);
+    const rotateSkew0 = Math.round(matrix.rotateSkew0 * 65536);
+    const rotateSkew1 = Math.round(matrix.rotateSkew1 * 65536);
+    
+    const hasScale = scaleX !== 65536 || scaleY !== 65536;
+    this.writeUB(writer, 1, hasScale ? 1 : 0);
+    if (hasScale) {
+      const nScaleBits = this.getSignedBitCount(scaleX, scaleY);
+      this.writeUB(writer, 5, nScaleBits);
+      this.writeSB(writer, nScaleBits, scaleX);
+      this.writeSB(writer, nScaleBits, scaleY);
+    }
+    
+    const hasRotate = rotateSkew0 !== 0 || rotateSkew1 !== 0;
+    this.writeUB(writer, 1, hasRotate ? 1 : 0);
+    if (hasRotate) {
+      const nRotateBits = this.getSignedBitCount(rotateSkew0, rotateSkew1);
+      this.writeUB(writer, 5, nRotateBits);
+      this.writeSB(writer, nRotateBits, rotateSkew0);
+      this.writeSB(writer, nRotateBits, rotateSkew1);
+    }
+    
+    // A zero translation is written with nTranslateBits = 0
+    const translateX = Math.round(matrix.translateX);
+    const translateY = Math.round(matrix.translateY);
+    const nTranslateBits = translateX === 0 && translateY === 0 ? 0 : this.getSignedBitCount(translateX, translateY);
+    this.writeUB(writer, 5, nTranslateBits);
+    this.writeSB(writer, nTranslateBits, translateX);
+    this.writeSB(writer, nTranslateBits, translateY);
+    
+    writer.align();
+  }
+  
+  writeCXFORM(writer, transform) {
+    this.writeColorTransform(writer, transform, false);
+  }
+  
+  writeCXFORMA(writer, transform) {
+    this.writeColorTransform(writer, transform, true);
+  }
+  
+  writeColorTransform(writer, transform, withAlpha) {
+    const channels = withAlpha ? ['red', 'green', 'blue', 'alpha'] : ['red', 'green', 'blue'];
+    const multTerms = channels.map(channel => transform[`${channel}MultTerm`] !== undefined ? transform[`${channel}MultTerm`] : 256);
+    const addTerms = channels.map(channel => transform[`${channel}AddTerm`] !== undefined ? transform[`${channel}AddTerm`] : 0);
+    
+    const hasMultTerms = multTerms.some(term => term !== 256);
+    const hasAddTerms = addTerms.some(term => term !== 0);
+    const values = [...(hasMultTerms ? multTerms : []), ...(hasAddTerms ? addTerms : [])];
+    const nBits = values.length > 0 ? this.getSignedBitCount(...values) : 0;
+    
+    if (nBits > 15) {
+      throw new Error(`Color transform term needs ${nBits} bits (maximum is 15)`);
+    }
+    
+    this.writeUB(writer, 1, hasAddTerms ? 1 : 0);
+    this.writeUB(writer, 1, hasMultTerms ? 1 : 0);
+    this.writeUB(writer, 4, nBits);
+    
+    if (hasMultTerms) {
+      multTerms.forEach(term => this.writeSB(writer, nBits, term));
+    }
+    if (hasAddTerms) {
+      addTerms.forEach(term => this.writeSB(writer, nBits, term));
+    }
+    
+    writer.align();
+  }
+  
+  writeString(writer, value) {
+    writer.writeBytes(new TextEncoder().encode(value));
+    writer.writeBytes([0]);
+  }
+  
   // ==================== UTILITY METHODS ====================
   
   formatBytes(bytes) {
@@ -421,6 +644,7 @@ class SWFDataTypes {
   }
 }
 
-// Export BitReader and SWFDataTypes for use by other parsers
+// Export BitReader, BitWriter and SWFDataTypes for use by other parsers
 window.BitReader = BitReader;
+window.BitWriter = BitWriter;
 window.SWFDataTypes = SWFDataTypes;
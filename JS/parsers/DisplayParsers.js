@@ -1,12 +1,18 @@
 /* 
- * SWF Display List Tags Parser - v2.0
+ * SWF Display List Tags Parser - v2.3
  * Handles display list management tags
  * PlaceObject family, RemoveObject family
  * ENHANCED: Added PlaceObject3 support with filters and advanced features
+ * ADDED: CLIPACTIONS parsing (event flags, key codes and action records) for PlaceObject2/3
+ * FIXED: PlaceObject3's second flag byte starts with the reserved bit (HasFilterList is the low bit)
+ * FIXED: Filters past the kept limits (filters, gradient stops, convolution terms) are still read,
+ *   so the fields after a FILTERLIST line up; gradient and default colors are kept as RGBA
+ * FIXED: BLURFILTER passes are the high 5 bits of its flags byte
  */
 class DisplayParsers {
   constructor() {
     this.dataTypes = new SWFDataTypes();
+    this.actionParser = null;
   }
   
   // ==================== TAG PARSING DISPATCHER ====================
@@ -117,6 +123,8 @@ class DisplayParsers {
   }
   
   parsePlaceObject2(reader, length) {
+    const tagEnd = reader.byteOffset + length;
+    
     try {
       // PlaceObject2 has flags in the first byte
       const flags = this.dataTypes.parseUI8(reader);
@@ -162,10 +170,12 @@ class DisplayParsers {
         clipDepth = this.dataTypes.parseUI16(reader);
       }
       
-      // Skip clip actions for now (complex ActionScript data)
+      // Clip event flags are UI16 before SWF 6 and UI32 after; the width is detected from the layout
+      let clipActions = null;
       let clipActionsLength = null;
       if (hasClipActions) {
-        clipActionsLength = "Present but not parsed";
+        clipActionsLength = tagEnd - reader.byteOffset;
+        clipActions = this.parseClipActions(reader, tagEnd);
       }
       
       return {
@@ -191,6 +201,7 @@ class DisplayParsers {
           name: name,
           clipDepth: clipDepth,
           clipActionsLength: clipActionsLength,
+          clipActions: clipActions,
           isMove: hasMove,
           isNewPlacement: hasCharacter
         }
@@ -207,12 +218,14 @@ class DisplayParsers {
   }
   
   parsePlaceObject3(reader, length) {
+    const tagEnd = reader.byteOffset + length;
+    
     try {
       // PlaceObject3 format (Flash Player 8+):
       // - PlaceFlagHasClipActions, PlaceFlagHasClipDepth, PlaceFlagHasName, PlaceFlagHasRatio, 
       //   PlaceFlagHasColorTransform, PlaceFlagHasMatrix, PlaceFlagHasCharacter, PlaceFlagMove (UB[1] each)
-      // - PlaceFlagOpaqueBackground, PlaceFlagHasVisible, PlaceFlagHasImage, PlaceFlagHasClassName,
-      //   PlaceFlagHasCacheAsBitmap, PlaceFlagHasBlendMode, PlaceFlagHasFilterList, Reserved (UB[1] each)
+      // - Reserved, PlaceFlagOpaqueBackground, PlaceFlagHasVisible, PlaceFlagHasImage, PlaceFlagHasClassName,
+      //   PlaceFlagHasCacheAsBitmap, PlaceFlagHasBlendMode, PlaceFlagHasFilterList (UB[1] each)
       // - Depth (UI16)
       // - ClassName (STRING) if PlaceFlagHasClassName
       // - CharacterId (UI16) if PlaceFlagHasCharacter
@@ -243,14 +256,14 @@ class DisplayParsers {
       const hasMove = (flags1 & 0x01) !== 0;
       
       // Second byte flags (PlaceObject3 specific)
-      const hasOpaqueBackground = (flags2 & 0x80) !== 0;
-      const hasVisible = (flags2 & 0x40) !== 0;
-      const hasImage = (flags2 & 0x20) !== 0;
-      const hasClassName = (flags2 & 0x10) !== 0;
-      const hasCacheAsBitmap = (flags2 & 0x08) !== 0;
-      const hasBlendMode = (flags2 & 0x04) !== 0;
-      const hasFilterList = (flags2 & 0x02) !== 0;
-      const reserved = (flags2 & 0x01) !== 0;
+      const reserved = (flags2 & 0x80) !== 0;
+      const hasOpaqueBackground = (flags2 & 0x40) !== 0;
+      const hasVisible = (flags2 & 0x20) !== 0;
+      const hasImage = (flags2 & 0x10) !== 0;
+      const hasClassName = (flags2 & 0x08) !== 0;
+      const hasCacheAsBitmap = (flags2 & 0x04) !== 0;
+      const hasBlendMode = (flags2 & 0x02) !== 0;
+      const hasFilterList = (flags2 & 0x01) !== 0;
       
       const depth = this.dataTypes.parseUI16(reader);
       
@@ -315,10 +328,12 @@ class DisplayParsers {
         backgroundColor = this.dataTypes.parseRGBA(reader);
       }
       
-      // Skip clip actions for now (complex ActionScript data)
+      // PlaceObject3 is SWF 8+, so clip event flags are always UI32
+      let clipActions = null;
       let clipActionsLength = null;
       if (hasClipActions) {
-        clipActionsLength = "Present but not parsed";
+        clipActionsLength = tagEnd - reader.byteOffset;
+        clipActions = this.parseClipActions(reader, tagEnd, 4);
       }
       
       return {
@@ -361,6 +376,7 @@ class DisplayParsers {
           backgroundColor: backgroundColor,
           backgroundColorFormatted: backgroundColor ? this.dataTypes.formatColor(backgroundColor) : null,
           clipActionsLength: clipActionsLength,
+          clipActions: clipActions,
           isMove: hasMove,
           isNewPlacement: hasCharacter,
           advancedFeatures: {
@@ -438,6 +454,105 @@ class DisplayParsers {
     };
   }
   
+  // ==================== CLIP ACTIONS ====================
+  
+  parseClipActions(reader, endOffset, eventFlagBytes = null) {
+    const startOffset = reader.byteOffset;
+    const widths = eventFlagBytes ? [eventFlagBytes] : [4, 2];
+    let lastError = null;
+    
+    for (const width of widths) {
+      reader.byteOffset = startOffset;
+      try {
+        return this.parseClipActionRecords(reader, endOffset, width);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    
+    reader.byteOffset = endOffset;
+    return {
+      records: [],
+      parseError: lastError ? lastError.message : "Unknown clip actions layout"
+    };
+  }
+  
+  parseClipActionRecords(reader, endOffset, eventFlagBytes) {
+    const readEventFlags = () => {
+      if (reader.byteOffset + eventFlagBytes > endOffset) {
+        throw new Error("Clip actions extend past the end of the tag");
+      }
+      return eventFlagBytes === 4 ? this.dataTypes.parseUI32(reader) : this.dataTypes.parseUI16(reader);
+    };
+    
+    this.dataTypes.parseUI16(reader); // Reserved
+    const allEventFlags = readEventFlags();
+    const records = [];
+    
+    while (true) {
+      const eventFlags = readEventFlags();
+      if (eventFlags === 0) {
+        break; // ClipActionEndFlag
+      }
+      
+      const actionRecordSize = this.dataTypes.parseUI32(reader);
+      const recordStart = reader.byteOffset;
+      if (recordStart + actionRecordSize > endOffset) {
+        throw new Error(`Clip action record of ${actionRecordSize} bytes extends past the end of the tag`);
+      }
+      
+      let keyCode = null;
+      if (eventFlags & 0x00020000) {
+        keyCode = this.dataTypes.parseUI8(reader);
+      }
+      
+      const actionParser = this.getActionParser();
+      const actionLength = actionRecordSize - (reader.byteOffset - recordStart);
+      const actions = actionParser && actionLength > 0 ? actionParser.parseActionScript(reader, actionLength) : [];
+      reader.byteOffset = recordStart + actionRecordSize;
+      
+      records.push({
+        eventFlags: eventFlags,
+        events: this.getClipEventNames(eventFlags),
+        keyCode: keyCode,
+        actionRecordSize: actionRecordSize,
+        actions: actions
+      });
+    }
+    
+    if (reader.byteOffset !== endOffset) {
+      throw new Error("Clip actions do not end at the end of the tag");
+    }
+    
+    return {
+      eventFlagBytes: eventFlagBytes,
+      allEventFlags: allEventFlags,
+      allEvents: this.getClipEventNames(allEventFlags),
+      records: records
+    };
+  }
+  
+  // CLIPEVENTFLAGS read as a little-endian integer
+  getClipEventNames(eventFlags) {
+    const events = [
+      [0x00000001, "load"], [0x00000002, "enterFrame"], [0x00000004, "unload"], [0x00000008, "mouseMove"],
+      [0x00000010, "mouseDown"], [0x00000020, "mouseUp"], [0x00000040, "keyDown"], [0x00000080, "keyUp"],
+      [0x00000100, "data"], [0x00000200, "initialize"], [0x00000400, "press"], [0x00000800, "release"],
+      [0x00001000, "releaseOutside"], [0x00002000, "rollOver"], [0x00004000, "rollOut"], [0x00008000, "dragOver"],
+      [0x00010000, "dragOut"], [0x00020000, "keyPress"], [0x00040000, "construct"]
+    ];
+    
+    return events.filter(([flag]) => (eventFlags & flag) !== 0).map(([, name]) => name);
+  }
+  
+  // Action records are parsed by AssetParsers, created on first use
+  getActionParser() {
+    if (!this.actionParser && typeof AssetParsers !== 'undefined') {
+      this.actionParser = new AssetParsers();
+    }
+    return this.actionParser;
+  }
+  
   // ==================== PLACEOBJECT3 FILTER PARSING ====================
   
   parseFilterList(reader) {
@@ -445,9 +560,12 @@ class DisplayParsers {
       const numberOfFilters = this.dataTypes.parseUI8(reader);
       const filters = [];
       
-      for (let i = 0; i < Math.min(numberOfFilters, 10); i++) { // Limit for performance
+      // Every filter is read to get past it, only the first 10 are kept
+      for (let i = 0; i < numberOfFilters; i++) {
         const filter = this.parseFilter(reader);
-        filters.push(filter);
+        if (i < 10) {
+          filters.push(filter);
+        }
       }
       
       return {
@@ -538,7 +656,8 @@ class DisplayParsers {
     const blurY = this.dataTypes.parseFIXED(reader);
     const flags = this.dataTypes.parseUI8(reader);
     
-    const passes = flags & 0x1F;
+    // Passes UB[5], Reserved UB[3]
+    const passes = flags >> 3;
     
     return {
       type: "blur",
@@ -614,13 +733,15 @@ class DisplayParsers {
     const numColors = this.dataTypes.parseUI8(reader);
     const gradientColors = [];
     
-    for (let i = 0; i < Math.min(numColors, 15); i++) {
-      gradientColors.push(this.dataTypes.parseRGBA(reader));
+    for (let i = 0; i < numColors; i++) {
+      const color = this.dataTypes.parseRGBA(reader);
+      if (i < 15) gradientColors.push(color);
     }
     
     const gradientRatios = [];
-    for (let i = 0; i < Math.min(numColors, 15); i++) {
-      gradientRatios.push(this.dataTypes.parseUI8(reader));
+    for (let i = 0; i < numColors; i++) {
+      const ratio = this.dataTypes.parseUI8(reader);
+      if (i < 15) gradientRatios.push(ratio);
     }
     
     const blurX = this.dataTypes.parseFIXED(reader);
@@ -639,7 +760,8 @@ class DisplayParsers {
     return {
       type: "gradient_glow",
       numColors: numColors,
-      gradientColors: gradientColors.map(color => this.dataTypes.formatColor(color)),
+      gradientColors: gradientColors,
+      gradientColorsFormatted: gradientColors.map(color => this.dataTypes.formatColor(color)),
       gradientRatios: gradientRatios,
       blurX: blurX,
       blurY: blurY,
@@ -663,8 +785,11 @@ class DisplayParsers {
     
     const matrixSize = matrixX * matrixY;
     const matrix = [];
-    for (let i = 0; i < Math.min(matrixSize, 25); i++) { // Limit matrix size
-      matrix.push(this.dataTypes.parseFLOAT(reader));
+    for (let i = 0; i < matrixSize; i++) {
+      const value = this.dataTypes.parseFLOAT(reader);
+      if (i < 25) { // Limit matrix size
+        matrix.push(value);
+      }
     }
     
     const defaultColor = this.dataTypes.parseRGBA(reader);
@@ -680,7 +805,8 @@ class DisplayParsers {
       divisor: divisor,
       bias: bias,
       matrix: matrix,
-      defaultColor: this.dataTypes.formatColor(defaultColor),
+      defaultColor: defaultColor,
+      defaultColorFormatted: this.dataTypes.formatColor(defaultColor),
       clamp: clamp,
       preserveAlpha: preserveAlpha,
       truncated: matrixSize > 25
@@ -704,13 +830,15 @@ class DisplayParsers {
     const numColors = this.dataTypes.parseUI8(reader);
     const gradientColors = [];
     
-    for (let i = 0; i < Math.min(numColors, 15); i++) {
-      gradientColors.push(this.dataTypes.parseRGBA(reader));
+    for (let i = 0; i < numColors; i++) {
+      const color = this.dataTypes.parseRGBA(reader);
+      if (i < 15) gradientColors.push(color);
     }
     
     const gradientRatios = [];
-    for (let i = 0; i < Math.min(numColors, 15); i++) {
-      gradientRatios.push(this.dataTypes.parseUI8(reader));
+    for (let i = 0; i < numColors; i++) {
+      const ratio = this.dataTypes.parseUI8(reader);
+      if (i < 15) gradientRatios.push(ratio);
     }
     
     const blurX = this.dataTypes.parseFIXED(reader);
@@ -729,7 +857,8 @@ class DisplayParsers {
     return {
       type: "gradient_bevel",
       numColors: numColors,
-      gradientColors: gradientColors.map(color => this.dataTypes.formatColor(color)),
+      gradientColors: gradientColors,
+      gradientColorsFormatted: gradientColors.map(color => this.dataTypes.formatColor(color)),
       gradientRatios: gradientRatios,
       blurX: blurX,
       blurY: blurY,
@@ -866,6 +995,10 @@ class DisplayParsers {
           
           if (data2.flags.hasClipActions) {
             lines.push(`  └─ Has Clip Actions: Yes`);
+            if (data2.clipActions && data2.clipActions.records.length > 0) {
+              const handlers = data2.clipActions.records.map(record => record.events.join("/"));
+              lines.push(`  └─ Clip Event Handlers: ${handlers.join(", ")}`);
+            }
           }
           break;
           
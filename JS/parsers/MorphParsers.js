@@ -1,8 +1,12 @@
 /* 
- * SWF Morph Shape Definition Tags Parser - v1.0
+ * SWF Morph Shape Definition Tags Parser - v1.1
  * Handles shape morphing/tweening definitions for smooth Flash animations
  * DefineMorphShape (Tag 46), DefineMorphShape2 (Tag 84)
  * Essential for Flash animation and smooth shape transitions
+ * FIXED: Start and end edges are complete SHAPE records (fill/line bit counts, style changes,
+ *   edge deltas) read with ShapeParsers; end edges start at the Offset field
+ * FIXED: MORPHLINESTYLE field order and MORPHLINESTYLE2 flag bits (NoClose, EndCapStyle)
+ * ADDED: Raw start/end bounds and matrices and focal points, so morph frames can be interpolated
  */
 class MorphParsers {
   constructor() {
@@ -42,6 +46,7 @@ class MorphParsers {
       const startBounds = this.dataTypes.parseRECT(reader);
       const endBounds = this.dataTypes.parseRECT(reader);
       const offset = this.dataTypes.parseUI32(reader);
+      const endEdgesOffset = reader.byteOffset + offset;
       
       // Parse morph fill styles
       const morphFillStyles = this.parseMorphFillStyleArray(reader);
@@ -49,10 +54,12 @@ class MorphParsers {
       // Parse morph line styles
       const morphLineStyles = this.parseMorphLineStyleArray(reader);
       
-      // Parse start edges (simplified)
+      // Parse start edges
       const startEdges = this.parseShapeRecords(reader, 1, "start"); // version 1
       
-      // Parse end edges (simplified)
+      // Parse end edges (byte-aligned at the offset)
+      reader.byteOffset = endEdgesOffset;
+      reader.bitOffset = 0;
       const endEdges = this.parseShapeRecords(reader, 1, "end");
       
       return {
@@ -60,6 +67,8 @@ class MorphParsers {
         description: "Defines a morphing shape with start and end states",
         data: {
           characterId: characterId,
+          startBounds: startBounds,
+          endBounds: endBounds,
           bounds: {
             start: this.dataTypes.formatRECT(startBounds),
             end: this.dataTypes.formatRECT(endBounds),
@@ -129,6 +138,7 @@ class MorphParsers {
       const usesScalingStrokes = (flagsByte & 0x01) !== 0;
       
       const offset = this.dataTypes.parseUI32(reader);
+      const endEdgesOffset = reader.byteOffset + offset;
       
       // Parse enhanced morph fill styles
       const morphFillStyles = this.parseMorphFillStyleArray(reader);
@@ -136,10 +146,12 @@ class MorphParsers {
       // Parse enhanced morph line styles (version 2)
       const morphLineStyles = this.parseMorphLineStyleArray2(reader);
       
-      // Parse start edges (simplified)
+      // Parse start edges
       const startEdges = this.parseShapeRecords(reader, 2, "start"); // version 2
       
-      // Parse end edges (simplified)
+      // Parse end edges (byte-aligned at the offset)
+      reader.byteOffset = endEdgesOffset;
+      reader.bitOffset = 0;
       const endEdges = this.parseShapeRecords(reader, 2, "end");
       
       return {
@@ -147,6 +159,8 @@ class MorphParsers {
         description: "Defines an enhanced morphing shape with advanced stroke options",
         data: {
           characterId: characterId,
+          startBounds: startBounds,
+          endBounds: endBounds,
           bounds: {
             start: this.dataTypes.formatRECT(startBounds),
             end: this.dataTypes.formatRECT(endBounds),
@@ -269,12 +283,23 @@ class MorphParsers {
           const endMatrix = this.dataTypes.parseMATRIX(reader);
           const gradient = this.parseMorphGradient(reader);
           
+          let startFocalPoint = null;
+          let endFocalPoint = null;
+          if (type === 0x13) {
+            startFocalPoint = this.dataTypes.parseFIXED8(reader);
+            endFocalPoint = this.dataTypes.parseFIXED8(reader);
+          }
+          
           return {
             type: type === 0x10 ? "linear_gradient" : 
                   type === 0x12 ? "radial_gradient" : "focal_radial_gradient",
-            startMatrix: this.dataTypes.formatMatrix(startMatrix),
-            endMatrix: this.dataTypes.formatMatrix(endMatrix),
+            startMatrix: startMatrix,
+            endMatrix: endMatrix,
+            startMatrixFormatted: this.dataTypes.formatMatrix(startMatrix),
+            endMatrixFormatted: this.dataTypes.formatMatrix(endMatrix),
             gradient: gradient,
+            startFocalPoint: startFocalPoint,
+            endFocalPoint: endFocalPoint,
             matrixChange: this.calculateMatrixChange(startMatrix, endMatrix)
           };
           
@@ -291,8 +316,10 @@ class MorphParsers {
             bitmapId: bitmapId,
             repeat: type === 0x40 || type === 0x42,
             smoothed: type === 0x40 || type === 0x41,
-            startMatrix: this.dataTypes.formatMatrix(startBitmapMatrix),
-            endMatrix: this.dataTypes.formatMatrix(endBitmapMatrix),
+            startMatrix: startBitmapMatrix,
+            endMatrix: endBitmapMatrix,
+            startMatrixFormatted: this.dataTypes.formatMatrix(startBitmapMatrix),
+            endMatrixFormatted: this.dataTypes.formatMatrix(endBitmapMatrix),
             matrixChange: this.calculateMatrixChange(startBitmapMatrix, endBitmapMatrix)
           };
           
@@ -322,8 +349,8 @@ class MorphParsers {
       const styles = [];
       for (let i = 0; i < Math.min(lineStyleCount, 50); i++) { // Limit for performance
         const startWidth = this.dataTypes.parseUI16(reader);
-        const startColor = this.dataTypes.parseRGBA(reader);
         const endWidth = this.dataTypes.parseUI16(reader);
+        const startColor = this.dataTypes.parseRGBA(reader);
         const endColor = this.dataTypes.parseRGBA(reader);
         
         styles.push({
@@ -392,10 +419,9 @@ class MorphParsers {
       const noVScaleFlag = this.dataTypes.parseUB(reader, 1);
       const pixelHintingFlag = this.dataTypes.parseUB(reader, 1);
       
-      reader.align(); // Align to byte boundary
-      
+      this.dataTypes.parseUB(reader, 5); // Reserved
+      const noCloseFlag = this.dataTypes.parseUB(reader, 1);
       const endCapStyle = this.dataTypes.parseUB(reader, 2);
-      reader.align();
       
       let miterLimitFactor = null;
       if (joinStyle === 2) { // Miter join
@@ -430,7 +456,8 @@ class MorphParsers {
           hasFill: hasFillFlag === 1,
           noHScale: noHScaleFlag === 1,
           noVScale: noVScaleFlag === 1,
-          pixelHinting: pixelHintingFlag === 1
+          pixelHinting: pixelHintingFlag === 1,
+          noClose: noCloseFlag === 1
         },
         fillType: fillType,
         enhanced: true
@@ -489,51 +516,21 @@ class MorphParsers {
     }
   }
   
-  // ==================== SHAPE RECORD PARSING (SIMPLIFIED) ====================
+  // ==================== SHAPE RECORD PARSING ====================
   
+  // SHAPE: fill and line index bit counts, then the same SHAPERECORDs as DefineShape (no NewStyles)
   parseShapeRecords(reader, version, edgeType) {
     try {
-      const records = [];
-      let recordCount = 0;
-      
-      // Simplified shape record parsing
-      while (recordCount < 100) { // Limit for performance
-        try {
-          const typeFlag = this.dataTypes.parseUB(reader, 1);
-          if (typeFlag === 0) {
-            // Non-edge record or end
-            const flags = this.dataTypes.parseUB(reader, 5);
-            if (flags === 0) break; // End of shape
-            // Skip non-edge record data (simplified)
-            reader.align();
-          } else {
-            // Edge record
-            const straightFlag = this.dataTypes.parseUB(reader, 1);
-            const numBits = this.dataTypes.parseUB(reader, 4) + 2;
-            
-            if (straightFlag) {
-              // Straight edge
-              records.push({ type: "straight", edgeType: edgeType });
-              // Skip the actual coordinate data
-              reader.skipBits(numBits * 2);
-            } else {
-              // Curved edge
-              records.push({ type: "curved", edgeType: edgeType });
-              // Skip the actual coordinate data
-              reader.skipBits(numBits * 4);
-            }
-          }
-          recordCount++;
-        } catch (e) {
-          break; // End of readable data
-        }
-      }
+      const shapeParser = new ShapeParsers();
+      shapeParser.currentFillBits = this.dataTypes.parseUB(reader, 4);
+      shapeParser.currentLineBits = this.dataTypes.parseUB(reader, 4);
+      
+      const shapeRecords = shapeParser.parseShapeRecords(reader, 1);
       
       return {
-        recordCount: recordCount,
-        records: records.slice(0, 10), // Show first 10 records
-        truncated: recordCount > 10,
-        note: recordCount > 10 ? `${recordCount} total records (showing first 10)` : `${recordCount} total records`
+        ...shapeRecords,
+        edgeType: edgeType,
+        note: `${shapeRecords.recordCount} total records (${shapeRecords.edgeCount || 0} edges)`
       };
       
     } catch (error) {
@@ -1,14 +1,17 @@
 /* 
- * SWF Shape Definition Tags Parser - v2.0
+ * SWF Shape Definition Tags Parser - v2.1
  * Handles vector graphics definitions - the visual core of Flash content
  * DefineShape family (Tags 2, 22, 32, 83)
  * COMPLETED: Full shape record parsing with proper bit field handling
+ * FIXED: shapeRecords.records keeps every record (renderers build paths from it) and
+ *   StateNewStyles is only read for DefineShape2 and later
  */
 class ShapeParsers {
   constructor() {
     this.dataTypes = new SWFDataTypes();
     this.currentFillBits = 0;
     this.currentLineBits = 0;
+    this.maxShapeRecords = 65536;
   }
   
   // ==================== TAG PARSING DISPATCHER ====================
@@ -510,7 +513,7 @@ class ShapeParsers {
       let recordCount = 0;
       
       // Parse shape records until end record
-      while (recordCount < 1000) { // Limit to prevent infinite loops
+      while (recordCount < this.maxShapeRecords) { // Limit to prevent infinite loops
         try {
           const typeFlag = reader.readBits(1);
           
@@ -596,8 +599,8 @@ class ShapeParsers {
       
       return {
         recordCount: recordCount,
-        records: records.slice(0, 50), // Limit displayed records
-        truncated: records.length > 50,
+        records: records,
+        truncated: recordCount >= this.maxShapeRecords,
         edgeCount: records.filter(r => r.type === "straight_edge" || r.type === "curved_edge").length,
         styleChangeCount: records.filter(r => r.type === "style_change").length
       };
@@ -613,7 +616,7 @@ class ShapeParsers {
   
   parseStyleChangeRecord(reader, flags, version) {
     try {
-      const stateNewStyles = (flags & 0x10) !== 0;
+      const stateNewStyles = (flags & 0x10) !== 0 && version >= 2;
       const stateLineStyle = (flags & 0x08) !== 0;
       const stateFillStyle1 = (flags & 0x04) !== 0;
       const stateFillStyle0 = (flags & 0x02) !== 0;
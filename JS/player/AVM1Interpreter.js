@@ -0,0 +1,2355 @@
+/*
+ * AVM1 Interpreter - v1.1
+ * Executes AS1/AS2 action records (AssetParsers.parseActionScript) against a MovieClip tree,
+ * so frame scripts, init actions, button handlers and clip events drive the timeline
+ * - Stack machine for the SWF 3-10 opcode set: Flash 4 operators, ConstantPool, registers,
+ *   DefineFunction/DefineFunction2 closures, With, Try/Catch/Finally, Enumerate, Extends
+ * - Variable lookup through the scope chain, Flash 4 slash paths (/clip:var) and dot paths
+ * - Built-in Object, Function, Array, String, Number, Boolean, Math and MovieClip methods,
+ *   plus getTimer, setInterval, ASSetPropFlags and the other global functions
+ * - Host hooks for trace, getURL and fscommand; time is simulated per tick (1000 / frame rate)
+ * Value conversions follow the SWF version of the loaded document (undefined → NaN / "undefined"
+ * from SWF 7, case-insensitive names before SWF 7)
+ * ADDED: scriptHost hooks (clipCreated, runFrameScript, enterFrame) so the AVM2 interpreter can
+ *   run AS3 code against the same timelines
+ */
+class AVM1Interpreter {
+  constructor(options = {}) {
+    this.onTrace = options.onTrace || null;
+    this.onGetURL = options.onGetURL || null;
+    this.onFSCommand = options.onFSCommand || null;
+    this.maxSteps = options.maxSteps || 1000000;
+    this.maxCallDepth = options.maxCallDepth || 256;
+
+    this.version = 10;
+    this.frameRate = 12;
+    this.url = "";
+    this.document = null;
+    this.root = null;
+    this.levels = new Map();
+
+    this.characters = new Map();
+    this.exportNames = new Map();
+    this.registeredClasses = new Map();
+
+    this.actionQueue = [];
+    this.initQueue = [];
+    this.initActionsRun = new Set();
+    this.intervals = new Map();
+    this.nextIntervalId = 1;
+    this.instanceCounter = 0;
+    this.time = 0;
+    this.frameCounter = 0;
+    this.started = false;
+    this.advancing = false;
+    this.scriptHost = null;
+
+    this.traceOutput = [];
+    this.errors = [];
+    this.steps = 0;
+    this.callDepth = 0;
+
+    this.actionParser = new AssetParsers();
+    this.displayParsers = new DisplayParsers();
+    this.buttonParsers = typeof ButtonParsers !== 'undefined' ? new ButtonParsers() : null;
+    this.dataTypes = new SWFDataTypes();
+
+    this.createGlobals();
+  }
+
+  // ==================== DOCUMENT LOADING ====================
+
+  // Builds the character dictionary and the _level0 timeline from an SWFDocument
+  loadDocument(swfDocument, url = "") {
+    this.document = swfDocument;
+    this.version = swfDocument.header.version;
+    this.frameRate = swfDocument.header.frameRate || 12;
+    this.url = url;
+
+    // Names are case-sensitive from SWF 7, so the globals are rebuilt with the right keys
+    AVM1Object.caseSensitive = this.version >= 7;
+    this.createGlobals();
+
+    this.characters.clear();
+    this.exportNames.clear();
+
+    const rootEntries = [];
+    for (const tag of swfDocument.tags) {
+      const content = swfDocument.getTagContent(tag);
+      rootEntries.push({ type: tag.type, content: content });
+
+      if (tag.type === 39 && content.length >= 4) {
+        const spriteId = content[0] | (content[1] << 8);
+        const frameCount = content[2] | (content[3] << 8);
+        this.characters.set(spriteId, {
+          type: 'sprite',
+          tag: tag,
+          content: content,
+          definition: MovieClip.createDefinition(SWFDocument.readSpriteTags(content), frameCount, spriteId)
+        });
+      } else if (tag.type === 7 || tag.type === 34) {
+        this.characters.set(tag.characterId, { type: 'button', tag: tag, content: content, parsed: null });
+      } else if (tag.type === 56 || tag.type === 57) {
+        this.readExportNames(tag, content);
+      } else if (tag.characterId !== null && tag.characterId !== undefined) {
+        this.characters.set(tag.characterId, { type: tag.name, tag: tag, content: content });
+      }
+    }
+
+    const rootDefinition = MovieClip.createDefinition(rootEntries, swfDocument.header.frameCount, 0);
+    this.root = this.createMovieClip(rootDefinition, null, 0, "_level0");
+    this.levels.clear();
+    this.levels.set(0, this.root);
+    this.globalObject.defineMember("_level0", this.root);
+
+    this.started = false;
+    return this.root;
+  }
+
+  readExportNames(tag, content) {
+    const assets = tag.parsed && tag.parsed.data && tag.parsed.data.assets;
+    if (assets && tag.type === 56 && assets.length < 50) {
+      assets.forEach(asset => this.exportNames.set(asset.name.toLowerCase(), asset.characterId));
+      return;
+    }
+
+    // ExportAssets is read directly when the parsed record is missing or was capped
+    const decoder = new TextDecoder('utf-8');
+    let offset = 0;
+    if (tag.type === 57) {
+      while (offset < content.length && content[offset] !== 0) offset++;
+      offset++;
+    }
+    const count = content[offset] | (content[offset + 1] << 8);
+    offset += 2;
+
+    for (let index = 0; index < count && offset + 2 <= content.length; index++) {
+      const characterId = content[offset] | (content[offset + 1] << 8);
+      let end = offset + 2;
+      while (end < content.length && content[end] !== 0) end++;
+      this.exportNames.set(decoder.decode(content.subarray(offset + 2, end)).toLowerCase(), characterId);
+      offset = end + 1;
+    }
+  }
+
+  getCharacter(characterId) {
+    return this.characters.get(characterId) || null;
+  }
+
+  getExportedCharacterId(name) {
+    const characterId = this.exportNames.get(String(name).toLowerCase());
+    return characterId === undefined ? null : characterId;
+  }
+
+  createMovieClip(definition, parent, depth, name) {
+    const clip = new MovieClip(this, definition, parent, depth, name);
+
+    // Object.registerClass links an exported symbol to an AS2 class
+    const linkage = this.findLinkageName(definition.characterId);
+    const registered = linkage ? this.registeredClasses.get(linkage.toLowerCase()) : null;
+    if (registered) {
+      const prototype = registered.getMember("prototype");
+      if (prototype instanceof AVM1Object) clip.proto = prototype;
+      clip.registeredClass = registered;
+    }
+
+    return clip;
+  }
+
+  findLinkageName(characterId) {
+    if (!characterId) return null;
+    for (const [name, id] of this.exportNames) {
+      if (id === characterId) return name;
+    }
+    return null;
+  }
+
+  // Parsed PlaceObject/RemoveObject data, cached on the shared timeline entry
+  parseDisplayTag(entry) {
+    if (entry.displayData === undefined) {
+      const parsed = this.displayParsers.parseTag(entry.type, entry.content, 0, entry.content.length);
+      entry.displayData = parsed && !parsed.error ? parsed.data : null;
+    }
+    return entry.displayData;
+  }
+
+  // DoAction and DoInitAction records, cached on the shared timeline entry
+  getTagActions(entry) {
+    if (!entry.actions) {
+      entry.actions = this.parseActionBytes(entry.type === 59 ? entry.content.subarray(2) : entry.content);
+    }
+    return entry.actions;
+  }
+
+  parseActionBytes(bytes) {
+    return this.actionParser.parseActionScript(new BitReader(bytes, 0), bytes.length);
+  }
+
+  getButtonData(character) {
+    if (!character.parsed && this.buttonParsers) {
+      const parsed = this.buttonParsers.parseTag(character.tag.type, character.content, 0, character.content.length);
+      character.parsed = parsed && !parsed.error ? parsed.data : { buttonActions: null };
+    }
+    return character.parsed;
+  }
+
+  // ==================== PLAYBACK ====================
+
+  // Enters frame 1 of the root timeline and runs its scripts
+  start() {
+    if (!this.root) {
+      throw new Error("No document loaded");
+    }
+
+    this.started = true;
+    if (this.scriptHost) {
+      this.scriptHost.clipCreated(this.root);
+    }
+    this.root.seek(1);
+    this.runQueue();
+    this.frameCounter = 1;
+  }
+
+  // One frame: intervals, enterFrame events, timeline advance, then the queued scripts
+  tick() {
+    if (!this.started) {
+      this.start();
+      return;
+    }
+
+    this.time += 1000 / this.frameRate;
+    this.runIntervals();
+    if (this.scriptHost) {
+      this.scriptHost.enterFrame();
+    }
+
+    for (const clip of this.getAllClips()) {
+      this.dispatchClipEvent(clip, "enterFrame");
+    }
+
+    this.advancing = true;
+    try {
+      for (const level of this.levels.values()) {
+        level.advance();
+      }
+    } finally {
+      this.advancing = false;
+    }
+    this.runQueue();
+    this.frameCounter++;
+  }
+
+  runFrames(count) {
+    for (let index = 0; index < count; index++) {
+      this.tick();
+    }
+  }
+
+  // Every live clip, parents before children
+  getAllClips() {
+    const clips = [];
+    const visit = clip => {
+      clips.push(clip);
+      clip.getChildClips().forEach(visit);
+    };
+    for (const level of this.levels.values()) {
+      visit(level);
+    }
+    return clips;
+  }
+
+  queueActions(clip, actions) {
+    if (actions && actions.length > 0) {
+      this.actionQueue.push({ clip: clip, actions: actions });
+    }
+  }
+
+  // AS3 frame scripts are queued with the DoAction records of the same frame
+  frameConstructed(clip) {
+    if (this.scriptHost) {
+      this.actionQueue.push({ clip: clip, callback: () => this.scriptHost.runFrameScript(clip) });
+    }
+  }
+
+  // DoInitAction runs once per sprite ID, ahead of any frame script in the queue
+  queueInitAction(clip, entry) {
+    const spriteId = entry.content[0] | (entry.content[1] << 8);
+    if (this.initActionsRun.has(spriteId)) {
+      return;
+    }
+    this.initActionsRun.add(spriteId);
+    this.initQueue.push({ clip: clip, actions: this.getTagActions(entry), always: true });
+  }
+
+  runQueue() {
+    let guard = 0;
+
+    while ((this.initQueue.length > 0 || this.actionQueue.length > 0) && guard++ < 100000) {
+      const item = this.initQueue.length > 0 ? this.initQueue.shift() : this.actionQueue.shift();
+      if (item.clip.removed && !item.always) {
+        continue;
+      }
+
+      try {
+        if (item.actions) {
+          this.executeActions(item.actions, item.clip);
+        } else if (item.handler) {
+          this.callFunction(item.handler, item.clip, item.args || []);
+        } else if (item.callback) {
+          item.callback();
+        }
+      } catch (error) {
+        this.reportError(error);
+      }
+    }
+  }
+
+  reportError(error) {
+    const message = error && error.avm1Value !== undefined
+      ? `Uncaught exception: ${this.toString(error.avm1Value)}`
+      : `Script error: ${error && error.message ? error.message : error}`;
+    this.errors.push(message);
+  }
+
+  // ==================== EVENTS ====================
+
+  // Timeline placement: initialize/construct events, frame 1, then load
+  clipAdded(clip) {
+    if (this.scriptHost) {
+      this.scriptHost.clipCreated(clip);
+    }
+    this.dispatchClipEvent(clip, "initialize");
+    this.dispatchClipEvent(clip, "construct");
+
+    if (clip.registeredClass) {
+      this.actionQueue.push({ clip: clip, handler: clip.registeredClass, args: [] });
+    }
+
+    clip.seek(1);
+    this.dispatchClipEvent(clip, "load");
+  }
+
+  clipRemoved(clip) {
+    if (!clip || clip.removed) {
+      return;
+    }
+
+    this.dispatchClipEvent(clip, "unload", true);
+    for (const child of clip.getChildClips()) {
+      this.clipRemoved(child);
+    }
+    clip.removed = true;
+  }
+
+  // Queues onClipEvent records and the matching onEnterFrame/onLoad/... handler method
+  dispatchClipEvent(clip, event, always = false) {
+    let dispatched = false;
+
+    if (clip.clipActions && clip.clipActions.records) {
+      for (const record of clip.clipActions.records) {
+        if (record.events.includes(event)) {
+          this.queueEventActions(clip, record.actions, always);
+          dispatched = true;
+        }
+      }
+    }
+
+    const handlerName = AVM1Interpreter.getHandlerName(event);
+    if (handlerName) {
+      const handler = clip.getMember(handlerName);
+      if (handler instanceof AVM1Object && handler.isFunction()) {
+        this.actionQueue.push({ clip: clip, handler: handler, args: [], always: always });
+        dispatched = true;
+      }
+    }
+
+    return dispatched;
+  }
+
+  queueEventActions(clip, actions, always) {
+    if (actions && actions.length > 0) {
+      this.actionQueue.push({ clip: clip, actions: actions, always: always });
+    }
+  }
+
+  static getHandlerName(event) {
+    const handlers = {
+      load: "onLoad", enterFrame: "onEnterFrame", unload: "onUnload", mouseMove: "onMouseMove",
+      mouseDown: "onMouseDown", mouseUp: "onMouseUp", keyDown: "onKeyDown", keyUp: "onKeyUp",
+      data: "onData", press: "onPress", release: "onRelease", releaseOutside: "onReleaseOutside",
+      rollOver: "onRollOver", rollOut: "onRollOut", dragOver: "onDragOver", dragOut: "onDragOut"
+    };
+    return handlers[event] || null;
+  }
+
+  // Button events for the object at a depth of a clip: DefineButton/DefineButton2 condition
+  // actions, or the clip's own handlers when a movie clip is used as a button
+  dispatchButtonEvent(clip, depth, event, keyCode = 0) {
+    const record = clip.displayList.get(depth);
+    if (!record) {
+      return false;
+    }
+
+    let dispatched = false;
+    if (record.instance) {
+      dispatched = this.dispatchClipEvent(record.instance, event);
+    } else {
+      const character = this.getCharacter(record.characterId);
+      if (character && character.type === 'button') {
+        dispatched = this.queueButtonActions(clip, this.getButtonData(character), event, keyCode);
+      }
+    }
+
+    this.runQueue();
+    return dispatched;
+  }
+
+  queueButtonActions(clip, data, event, keyCode) {
+    if (data.actionScript && data.actionScript.parsedActions) {
+      // DefineButton (version 1) actions run on release
+      if (event === "release") {
+        this.queueActions(clip, data.actionScript.parsedActions);
+        return true;
+      }
+      return false;
+    }
+
+    const conditionNames = {
+      release: ["overDownToOverUp"], press: ["overUpToOverDown"], releaseOutside: ["outDownToIdle"],
+      rollOver: ["idleToOverUp"], rollOut: ["overUpToIdle"], dragOver: ["outDownToOverDown", "idleToOverDown"],
+      dragOut: ["overDownToOutDown", "overDownToIdle"]
+    };
+
+    let dispatched = false;
+    for (const record of (data.buttonActions && data.buttonActions.actions) || []) {
+      const matches = event === "keyPress"
+        ? record.keyPress === keyCode
+        : (conditionNames[event] || []).some(name => record.conditions[name]);
+      if (matches) {
+        this.queueActions(clip, record.actions);
+        dispatched = true;
+      }
+    }
+    return dispatched;
+  }
+
+  // ==================== INTERVALS ====================
+
+  runIntervals() {
+    for (const interval of Array.from(this.intervals.values())) {
+      let guard = 0;
+      while (this.intervals.has(interval.id) && interval.next <= this.time && guard++ < 100) {
+        interval.next += interval.delay;
+        try {
+          if (interval.method !== null) {
+            const method = interval.target.getMember(interval.method);
+            if (method instanceof AVM1Object) this.callFunction(method, interval.target, interval.args);
+          } else {
+            this.callFunction(interval.callback, undefined, interval.args);
+          }
+        } catch (error) {
+          this.reportError(error);
+        }
+        this.runQueue();
+      }
+    }
+  }
+
+  // ==================== BOUNDS ====================
+
+  // Clip bounds in pixels from the RECT of placed shapes, text and nested sprites
+  getClipSize(clip) {
+    const bounds = this.getClipBounds(clip, MovieClip.createIdentityMatrix(), 0);
+    if (!bounds) {
+      return { width: 0, height: 0 };
+    }
+    return { width: (bounds.xMax - bounds.xMin) / 20, height: (bounds.yMax - bounds.yMin) / 20 };
+  }
+
+  getClipBounds(clip, matrix, depth) {
+    let bounds = null;
+    if (depth > 32) return bounds;
+
+    for (const record of clip.getSortedRecords()) {
+      const childMatrix = AVM1Interpreter.multiplyMatrix(record.instance ? record.instance.matrix : record.matrix, matrix);
+      let rect = null;
+
+      if (record.instance) {
+        rect = this.getClipBounds(record.instance, childMatrix, depth + 1);
+      } else {
+        const character = this.getCharacter(record.characterId);
+        if (character && [2, 22, 32, 83, 11, 33, 37].includes(character.tag.type) && character.content.length > 2) {
+          const local = this.dataTypes.parseRECT(new BitReader(character.content, 2));
+          rect = AVM1Interpreter.transformRect(local, childMatrix);
+        }
+      }
+
+      if (rect) {
+        bounds = bounds ? {
+          xMin: Math.min(bounds.xMin, rect.xMin), yMin: Math.min(bounds.yMin, rect.yMin),
+          xMax: Math.max(bounds.xMax, rect.xMax), yMax: Math.max(bounds.yMax, rect.yMax)
+        } : rect;
+      }
+    }
+
+    return bounds;
+  }
+
+  // child × parent in DataTypes MATRIX fields (translation in twips)
+  static multiplyMatrix(child, parent) {
+    return {
+      scaleX: child.scaleX * parent.scaleX + child.rotateSkew0 * parent.rotateSkew1,
+      rotateSkew0: child.scaleX * parent.rotateSkew0 + child.rotateSkew0 * parent.scaleY,
+      rotateSkew1: child.rotateSkew1 * parent.scaleX + child.scaleY * parent.rotateSkew1,
+      scaleY: child.rotateSkew1 * parent.rotateSkew0 + child.scaleY * parent.scaleY,
+      translateX: child.translateX * parent.scaleX + child.translateY * parent.rotateSkew1 + parent.translateX,
+      translateY: child.translateX * parent.rotateSkew0 + child.translateY * parent.scaleY + parent.translateY
+    };
+  }
+
+  static transformRect(rect, matrix) {
+    const corners = [[rect.xMin, rect.yMin], [rect.xMax, rect.yMin], [rect.xMin, rect.yMax], [rect.xMax, rect.yMax]]
+      .map(([x, y]) => [x * matrix.scaleX + y * matrix.rotateSkew1 + matrix.translateX,
+        x * matrix.rotateSkew0 + y * matrix.scaleY + matrix.translateY]);
+    return {
+      xMin: Math.min(...corners.map(point => point[0])), yMin: Math.min(...corners.map(point => point[1])),
+      xMax: Math.max(...corners.map(point => point[0])), yMax: Math.max(...corners.map(point => point[1]))
+    };
+  }
+
+  // ==================== EXECUTION ====================
+
+  // Runs a frame script, init action or event handler with the clip as target and "this"
+  executeActions(actions, clip) {
+    const ctx = this.createContext(actions, clip, [this.globalObject, clip], clip, new Array(4).fill(undefined));
+    const completion = this.run(ctx, 0, actions.length);
+    return completion.type === 'return' ? completion.value : undefined;
+  }
+
+  createContext(actions, target, scope, thisObject, registers, constants = []) {
+    return {
+      actions: actions,
+      indexByOffset: this.getOffsetIndex(actions),
+      endOffset: actions.length > 0 ? actions[actions.length - 1].offset + actions[actions.length - 1].length : 0,
+      target: target,
+      originalTarget: target,
+      scope: scope,
+      registers: registers,
+      constants: constants,
+      thisObject: thisObject,
+      stack: []
+    };
+  }
+
+  // Action offset → index, shared by every function defined in the same block
+  getOffsetIndex(actions) {
+    if (!this.offsetIndexCache) {
+      this.offsetIndexCache = new WeakMap();
+    }
+
+    let index = this.offsetIndexCache.get(actions);
+    if (!index) {
+      index = new Map();
+      actions.forEach((action, position) => index.set(action.offset, position));
+      this.offsetIndexCache.set(actions, index);
+    }
+    return index;
+  }
+
+  // Index of the action at a byte offset; the end of the block maps to actions.length
+  findActionIndex(ctx, offset) {
+    const index = ctx.indexByOffset.get(offset);
+    if (index !== undefined) {
+      return index;
+    }
+    if (offset >= ctx.endOffset) {
+      return ctx.actions.length;
+    }
+    throw new Error(`Branch to offset ${offset} is not an action boundary`);
+  }
+
+  // Executes actions [start, end). Completions: normal, return, or a jump that leaves the range
+  run(ctx, start, end) {
+    const rangeEnd = end < ctx.actions.length ? ctx.actions[end].offset : ctx.endOffset;
+    let index = start;
+
+    while (index < end) {
+      if (++this.steps > this.maxSteps) {
+        throw new Error(`Script exceeded ${this.maxSteps} actions`);
+      }
+
+      const action = ctx.actions[index];
+      const completion = this.step(ctx, action, index);
+
+      if (completion === undefined) {
+        index++;
+      } else if (completion.type === 'goto') {
+        index = completion.index;
+      } else if (completion.type === 'jump') {
+        const target = ctx.indexByOffset.get(completion.offset);
+        if (target !== undefined && target >= start && target < end) {
+          index = target;
+        } else if (completion.offset === rangeEnd) {
+          return { type: 'normal' };
+        } else {
+          return completion;
+        }
+      } else {
+        return completion;
+      }
+    }
+
+    return { type: 'normal' };
+  }
+
+  pop(ctx) {
+    return ctx.stack.length > 0 ? ctx.stack.pop() : undefined;
+  }
+
+  popArguments(ctx) {
+    const count = this.toCount(this.pop(ctx));
+    const args = [];
+    for (let index = 0; index < count; index++) {
+      args.push(this.pop(ctx));
+    }
+    return args;
+  }
+
+  toCount(value) {
+    const count = this.toNumber(value);
+    return Number.isFinite(count) && count > 0 ? Math.min(Math.floor(count), 65535) : 0;
+  }
+
+  // Flash 4 comparison results are 1/0 numbers; SWF 5+ uses booleans
+  flash4Boolean(value) {
+    return this.version < 5 ? (value ? 1 : 0) : value;
+  }
+
+  step(ctx, action, index) {
+    const data = action.data || {};
+    const stack = ctx.stack;
+    const target = ctx.target;
+
+    switch (action.opcode) {
+      case 0x00: // End
+        return { type: 'return', value: undefined };
+
+      // Timeline control
+      case 0x04: if (target) target.nextFrame(); break;
+      case 0x05: if (target) target.prevFrame(); break;
+      case 0x06: if (target) target.play(); break;
+      case 0x07: if (target) target.stop(); break;
+      case 0x08: // ToggleQuality
+      case 0x09: // StopSounds
+        break;
+
+      case 0x81: // GotoFrame (0-based)
+        if (target) target.gotoFrame(data.frame + 1, target.playing);
+        break;
+      case 0x8C: // GoToLabel
+        if (target) target.gotoFrame(data.label, target.playing);
+        break;
+      case 0x9F: { // GotoFrame2
+        const frame = this.pop(ctx);
+        this.gotoFrame2(ctx, frame, data.playFlag, data.sceneBias || 0);
+        break;
+      }
+      case 0x8A: // WaitForFrame
+        if (!this.isFrameLoaded(target, data.frame + 1)) {
+          return { type: 'goto', index: Math.min(index + 1 + data.skipCount, ctx.actions.length) };
+        }
+        break;
+      case 0x8D: // WaitForFrame2
+        if (!this.isFrameLoaded(target, this.pop(ctx))) {
+          return { type: 'goto', index: Math.min(index + 1 + data.skipCount, ctx.actions.length) };
+        }
+        break;
+      case 0x8B: // SetTarget
+        this.setTarget(ctx, data.targetName);
+        break;
+      case 0x20: // SetTarget2
+        this.setTarget(ctx, this.pop(ctx));
+        break;
+      case 0x9E: { // Call
+        const frame = this.pop(ctx);
+        this.callFrame(ctx, frame);
+        break;
+      }
+
+      // Flash 4 arithmetic and logic
+      case 0x0A: case 0x0B: case 0x0C: case 0x0D: case 0x3F: {
+        const b = this.toNumber(this.pop(ctx));
+        const a = this.toNumber(this.pop(ctx));
+        stack.push(this.arithmetic(action.opcode, a, b));
+        break;
+      }
+      case 0x0E: { // Equals
+        const b = this.toNumber(this.pop(ctx));
+        const a = this.toNumber(this.pop(ctx));
+        stack.push(this.flash4Boolean(a === b));
+        break;
+      }
+      case 0x0F: { // Less
+        const b = this.toNumber(this.pop(ctx));
+        const a = this.toNumber(this.pop(ctx));
+        stack.push(this.flash4Boolean(a < b));
+        break;
+      }
+      case 0x10: { // And
+        const b = this.toBoolean(this.pop(ctx));
+        const a = this.toBoolean(this.pop(ctx));
+        stack.push(this.flash4Boolean(a && b));
+        break;
+      }
+      case 0x11: { // Or
+        const b = this.toBoolean(this.pop(ctx));
+        const a = this.toBoolean(this.pop(ctx));
+        stack.push(this.flash4Boolean(a || b));
+        break;
+      }
+      case 0x12: // Not
+        stack.push(this.flash4Boolean(!this.toBoolean(this.pop(ctx))));
+        break;
+
+      // Strings
+      case 0x13: { // StringEquals
+        const b = this.toString(this.pop(ctx));
+        const a = this.toString(this.pop(ctx));
+        stack.push(this.flash4Boolean(a === b));
+        break;
+      }
+      case 0x29: case 0x68: { // StringLess, StringGreater
+        const b = this.toString(this.pop(ctx));
+        const a = this.toString(this.pop(ctx));
+        stack.push(this.flash4Boolean(action.opcode === 0x29 ? a < b : a > b));
+        break;
+      }
+      case 0x14: case 0x31: // StringLength, MBStringLength
+        stack.push(this.toString(this.pop(ctx)).length);
+        break;
+      case 0x15: case 0x35: { // StringExtract, MBStringExtract (1-based index)
+        const count = this.toNumber(this.pop(ctx));
+        const start = this.toNumber(this.pop(ctx));
+        const string = this.toString(this.pop(ctx));
+        const from = Math.max(0, (Math.floor(start) || 1) - 1);
+        stack.push(count < 0 ? string.substring(from) : string.substr(from, Math.floor(count) || 0));
+        break;
+      }
+      case 0x21: { // StringAdd
+        const b = this.toString(this.pop(ctx));
+        const a = this.toString(this.pop(ctx));
+        stack.push(a + b);
+        break;
+      }
+      case 0x32: case 0x36: { // CharToAscii, MBCharToAscii
+        const string = this.toString(this.pop(ctx));
+        stack.push(string.length > 0 ? (action.opcode === 0x36 ? string.codePointAt(0) : string.charCodeAt(0)) : 0);
+        break;
+      }
+      case 0x33: case 0x37: { // AsciiToChar, MBAsciiToChar
+        const code = this.toNumber(this.pop(ctx));
+        stack.push(Number.isFinite(code) && code > 0 ? String.fromCodePoint(Math.floor(code) % 0x110000) : "");
+        break;
+      }
+
+      // Stack
+      case 0x96: // Push
+        for (const value of data.values || []) {
+          stack.push(this.readPushValue(ctx, value));
+        }
+        break;
+      case 0x17: // Pop
+        this.pop(ctx);
+        break;
+      case 0x4C: // PushDuplicate
+        stack.push(stack.length > 0 ? stack[stack.length - 1] : undefined);
+        break;
+      case 0x4D: { // StackSwap
+        const b = this.pop(ctx);
+        const a = this.pop(ctx);
+        stack.push(b, a);
+        break;
+      }
+      case 0x88: // ConstantPool
+        ctx.constants = data.constants || [];
+        break;
+      case 0x87: // StoreRegister
+        if (data.register < ctx.registers.length) {
+          ctx.registers[data.register] = stack.length > 0 ? stack[stack.length - 1] : undefined;
+        }
+        break;
+
+      // Conversions and typed operators
+      case 0x18: // ToInteger
+        stack.push(this.toInteger(this.pop(ctx)));
+        break;
+      case 0x4A: // ToNumber
+        stack.push(this.toNumber(this.pop(ctx)));
+        break;
+      case 0x4B: // ToString
+        stack.push(this.toString(this.pop(ctx)));
+        break;
+      case 0x44: // TypeOf
+        stack.push(this.typeOf(this.pop(ctx)));
+        break;
+      case 0x47: { // Add2
+        const b = this.pop(ctx);
+        const a = this.pop(ctx);
+        stack.push(this.add(a, b));
+        break;
+      }
+      case 0x48: { // Less2
+        const b = this.pop(ctx);
+        const a = this.pop(ctx);
+        stack.push(this.lessThan(a, b));
+        break;
+      }
+      case 0x67: { // Greater
+        const b = this.pop(ctx);
+        const a = this.pop(ctx);
+        stack.push(this.lessThan(b, a));
+        break;
+      }
+      case 0x49: { // Equals2
+        const b = this.pop(ctx);
+        const a = this.pop(ctx);
+        stack.push(this.looseEquals(a, b));
+        break;
+      }
+      case 0x66: { // StrictEquals
+        const b = this.pop(ctx);
+        const a = this.pop(ctx);
+        stack.push(this.strictEquals(a, b));
+        break;
+      }
+      case 0x50: // Increment
+        stack.push(this.toNumber(this.pop(ctx)) + 1);
+        break;
+      case 0x51: // Decrement
+        stack.push(this.toNumber(this.pop(ctx)) - 1);
+        break;
+      case 0x60: case 0x61: case 0x62: case 0x63: case 0x64: case 0x65: {
+        const b = this.toInt32(this.pop(ctx));
+        const a = this.toInt32(this.pop(ctx));
+        stack.push(this.bitwise(action.opcode, a, b));
+        break;
+      }
+      case 0x30: { // RandomNumber
+        const max = this.toInteger(this.pop(ctx));
+        stack.push(max > 0 ? Math.floor(Math.random() * max) : 0);
+        break;
+      }
+      case 0x34: // GetTime
+        stack.push(Math.floor(this.time));
+        break;
+
+      // Variables
+      case 0x1C: // GetVariable
+        stack.push(this.getVariable(ctx, this.toString(this.pop(ctx))));
+        break;
+      case 0x1D: { // SetVariable
+        const value = this.pop(ctx);
+        this.setVariable(ctx, this.toString(this.pop(ctx)), value);
+        break;
+      }
+      case 0x3C: { // DefineLocal
+        const value = this.pop(ctx);
+        this.getLocalScope(ctx).setMember(this.toString(this.pop(ctx)), value);
+        break;
+      }
+      case 0x41: { // DefineLocal2
+        const name = this.toString(this.pop(ctx));
+        const local = this.getLocalScope(ctx);
+        if (!local.hasOwnMember(name)) local.setMember(name, undefined);
+        break;
+      }
+      case 0x3A: { // Delete
+        const name = this.toString(this.pop(ctx));
+        const object = this.pop(ctx);
+        stack.push(object instanceof AVM1Object ? object.deleteMember(name) : false);
+        break;
+      }
+      case 0x3B: { // Delete2
+        const name = this.toString(this.pop(ctx));
+        const holder = this.findScopeHolder(ctx, name);
+        stack.push(holder ? holder.deleteMember(name) : false);
+        break;
+      }
+
+      // Objects
+      case 0x4E: { // GetMember
+        const name = this.pop(ctx);
+        const object = this.pop(ctx);
+        stack.push(this.getMemberOf(object, name));
+        break;
+      }
+      case 0x4F: { // SetMember
+        const value = this.pop(ctx);
+        const name = this.pop(ctx);
+        const object = this.pop(ctx);
+        if (object instanceof AVM1Object) object.setMember(this.toString(name), value);
+        break;
+      }
+      case 0x40: { // NewObject
+        const name = this.toString(this.pop(ctx));
+        const args = this.popArguments(ctx);
+        stack.push(this.construct(this.getVariable(ctx, name), args, name));
+        break;
+      }
+      case 0x53: { // NewMethod
+        const name = this.pop(ctx);
+        const object = this.pop(ctx);
+        const args = this.popArguments(ctx);
+        const constructor = name === undefined || name === "" ? object : this.getMemberOf(object, name);
+        stack.push(this.construct(constructor, args, this.toString(name)));
+        break;
+      }
+      case 0x42: { // InitArray
+        stack.push(this.createArray(this.popArguments(ctx)));
+        break;
+      }
+      case 0x43: { // InitObject
+        const count = this.toCount(this.pop(ctx));
+        const pairs = [];
+        for (let position = 0; position < count; position++) {
+          const value = this.pop(ctx);
+          pairs.unshift([this.toString(this.pop(ctx)), value]);
+        }
+        const object = this.createObject();
+        pairs.forEach(([name, value]) => object.setMember(name, value));
+        stack.push(object);
+        break;
+      }
+      case 0x46: case 0x55: { // Enumerate, Enumerate2
+        const value = this.pop(ctx);
+        const object = action.opcode === 0x46 ? this.getVariable(ctx, this.toString(value)) : value;
+        stack.push(null);
+        if (object instanceof AVM1Object) {
+          object.getMemberNames().reverse().forEach(name => stack.push(name));
+        }
+        break;
+      }
+      case 0x54: { // InstanceOf
+        const constructor = this.pop(ctx);
+        const object = this.pop(ctx);
+        stack.push(this.instanceOf(object, constructor));
+        break;
+      }
+      case 0x2B: { // CastOp
+        const object = this.pop(ctx);
+        const constructor = this.pop(ctx);
+        stack.push(this.instanceOf(object, constructor) ? object : null);
+        break;
+      }
+      case 0x2C: { // ImplementsOp
+        const constructor = this.pop(ctx);
+        const interfaces = this.popArguments(ctx);
+        const prototype = constructor instanceof AVM1Object ? constructor.getMember("prototype") : null;
+        if (prototype instanceof AVM1Object) {
+          prototype.interfaces = interfaces.filter(value => value instanceof AVM1Object);
+        }
+        break;
+      }
+      case 0x69: { // Extends
+        const superclass = this.pop(ctx);
+        const subclass = this.pop(ctx);
+        if (subclass instanceof AVM1Object && superclass instanceof AVM1Object) {
+          const superPrototype = superclass.getMember("prototype");
+          const prototype = new AVM1Object(superPrototype instanceof AVM1Object ? superPrototype : this.objectPrototype);
+          prototype.defineMember("__constructor__", superclass);
+          prototype.defineMember("constructor", subclass);
+          subclass.defineMember("prototype", prototype);
+        }
+        break;
+      }
+      case 0x45: { // TargetPath
+        const value = this.pop(ctx);
+        stack.push(value instanceof MovieClip ? value.getTargetPath() : undefined);
+        break;
+      }
+
+      // Functions
+      case 0x3D: { // CallFunction
+        const name = this.toString(this.pop(ctx));
+        const args = this.popArguments(ctx);
+        stack.push(this.callFunction(this.getVariable(ctx, name), undefined, args, name));
+        break;
+      }
+      case 0x52: { // CallMethod
+        const name = this.pop(ctx);
+        const object = this.pop(ctx);
+        const args = this.popArguments(ctx);
+        stack.push(this.callMethod(object, name, args));
+        break;
+      }
+      case 0x9B: // DefineFunction
+      case 0x8E: { // DefineFunction2
+        const bodyStart = index + 1;
+        const bodyEnd = this.findActionIndex(ctx, action.offset + action.length + data.codeSize);
+        const func = this.createFunction(ctx, action, bodyStart, bodyEnd);
+        if (data.functionName) {
+          this.getLocalScope(ctx).setMember(data.functionName, func);
+        } else {
+          stack.push(func);
+        }
+        return { type: 'goto', index: bodyEnd };
+      }
+      case 0x3E: // Return
+        return { type: 'return', value: this.pop(ctx) };
+
+      // Blocks and branches
+      case 0x99: // Jump
+        return { type: 'jump', offset: action.offset + action.length + data.branchOffset };
+      case 0x9D: // If
+        if (this.toBoolean(this.pop(ctx))) {
+          return { type: 'jump', offset: action.offset + action.length + data.branchOffset };
+        }
+        break;
+      case 0x94: // With
+        return this.runWith(ctx, action, index);
+      case 0x8F: // Try
+        return this.runTry(ctx, action, index);
+      case 0x2A: // Throw
+        throw AVM1Interpreter.createScriptError(this.pop(ctx));
+
+      // Movie clips and properties
+      case 0x22: { // GetProperty
+        const property = this.toInteger(this.pop(ctx));
+        const clip = this.resolveTarget(ctx, this.pop(ctx));
+        const name = AVM1Interpreter.PROPERTY_NAMES[property];
+        stack.push(clip && name ? clip.getMember(name) : undefined);
+        break;
+      }
+      case 0x23: { // SetProperty
+        const value = this.pop(ctx);
+        const property = this.toInteger(this.pop(ctx));
+        const clip = this.resolveTarget(ctx, this.pop(ctx));
+        const name = AVM1Interpreter.PROPERTY_NAMES[property];
+        if (clip && name) clip.setMember(name, value);
+        break;
+      }
+      case 0x24: { // CloneSprite
+        const depth = this.toInteger(this.pop(ctx));
+        const name = this.toString(this.pop(ctx));
+        const source = this.resolveTarget(ctx, this.pop(ctx));
+        if (source) this.duplicateMovieClip(source, name, depth);
+        break;
+      }
+      case 0x25: { // RemoveSprite
+        const clip = this.resolveTarget(ctx, this.pop(ctx));
+        if (clip) this.removeMovieClip(clip);
+        break;
+      }
+      case 0x27: { // StartDrag
+        this.pop(ctx);
+        this.pop(ctx);
+        if (this.toBoolean(this.pop(ctx))) {
+          for (let position = 0; position < 4; position++) this.pop(ctx);
+        }
+        break;
+      }
+      case 0x28: // EndDrag
+        break;
+      case 0x26: // Trace
+        this.trace(this.pop(ctx));
+        break;
+      case 0x83: // GetURL
+        this.getURL(data.url, data.target, 0);
+        break;
+      case 0x9A: { // GetURL2
+        const windowName = this.toString(this.pop(ctx));
+        const url = this.toString(this.pop(ctx));
+        this.getURL(url, windowName, data.method, data.loadTargetFlag, data.loadVariablesFlag);
+        break;
+      }
+
+      default:
+        // Unknown opcodes are skipped, as the player does
+        break;
+    }
+
+    return undefined;
+  }
+
+  readPushValue(ctx, value) {
+    switch (value.type) {
+      case "Register":
+        return value.value < ctx.registers.length ? ctx.registers[value.value] : undefined;
+      case "Constant8":
+      case "Constant16":
+        return value.value < ctx.constants.length ? ctx.constants[value.value] : undefined;
+      case "null":
+        return null;
+      case "undefined":
+        return undefined;
+      default:
+        return value.value;
+    }
+  }
+
+  arithmetic(opcode, a, b) {
+    switch (opcode) {
+      case 0x0A: return a + b;
+      case 0x0B: return a - b;
+      case 0x0C: return a * b;
+      case 0x0D: return b === 0 && this.version < 5 ? "#ERROR#" : a / b;
+      default: return a % b;
+    }
+  }
+
+  bitwise(opcode, a, b) {
+    switch (opcode) {
+      case 0x60: return a & b;
+      case 0x61: return a | b;
+      case 0x62: return a ^ b;
+      case 0x63: return a << (b & 31);
+      case 0x64: return a >> (b & 31);
+      default: return (a >>> (b & 31)) >>> 0;
+    }
+  }
+
+  // With: the object joins the scope chain for the block
+  runWith(ctx, action, index) {
+    const object = this.pop(ctx);
+    const bodyEnd = this.findActionIndex(ctx, action.offset + action.length + action.data.size);
+
+    if (!(object instanceof AVM1Object)) {
+      return { type: 'goto', index: bodyEnd };
+    }
+
+    ctx.scope.push(object);
+    try {
+      const completion = this.run(ctx, index + 1, bodyEnd);
+      return completion.type === 'normal' ? { type: 'goto', index: bodyEnd } : completion;
+    } finally {
+      ctx.scope.pop();
+    }
+  }
+
+  // Try/Catch/Finally: script exceptions carry their value in error.avm1Value
+  runTry(ctx, action, index) {
+    const data = action.data;
+    const tryEnd = this.findActionIndex(ctx, action.offset + action.length + data.trySize);
+    const catchEnd = this.findActionIndex(ctx, ctx.actions[tryEnd] ? ctx.actions[tryEnd].offset + data.catchSize : ctx.endOffset);
+    const finallyEnd = this.findActionIndex(ctx, ctx.actions[catchEnd] ? ctx.actions[catchEnd].offset + data.finallySize : ctx.endOffset);
+    const stackDepth = ctx.stack.length;
+
+    // A jump to the start of the finally block ends the try or catch block normally
+    const finish = completion => {
+      if (completion.type === 'jump' && catchEnd < ctx.actions.length && completion.offset === ctx.actions[catchEnd].offset) {
+        return { type: 'normal' };
+      }
+      return completion;
+    };
+
+    let completion;
+    let pending = null;
+
+    try {
+      completion = finish(this.run(ctx, index + 1, tryEnd));
+    } catch (error) {
+      // Only script exceptions are catchable; step and call-depth limits always propagate
+      if (!data.hasCatchBlock || !Object.prototype.hasOwnProperty.call(error, 'avm1Value')) {
+        pending = error;
+      } else {
+        ctx.stack.length = Math.min(ctx.stack.length, stackDepth);
+        if (data.catchInRegister) {
+          if (data.catchRegister < ctx.registers.length) ctx.registers[data.catchRegister] = error.avm1Value;
+        } else {
+          this.setVariable(ctx, data.catchName, error.avm1Value);
+        }
+        try {
+          completion = finish(this.run(ctx, tryEnd, catchEnd));
+        } catch (catchError) {
+          pending = catchError;
+        }
+      }
+    }
+
+    if (data.hasFinallyBlock) {
+      const finallyCompletion = this.run(ctx, catchEnd, finallyEnd);
+      if (finallyCompletion.type !== 'normal') {
+        return finallyCompletion;
+      }
+    }
+
+    if (pending) {
+      throw pending;
+    }
+    return !completion || completion.type === 'normal' ? { type: 'goto', index: finallyEnd } : completion;
+  }
+
+  // ==================== FUNCTIONS ====================
+
+  // DefineFunction/DefineFunction2: a closure over the scope chain, target and constant pool
+  createFunction(ctx, action, bodyStart, bodyEnd) {
+    const definition = {
+      action: action,
+      actions: ctx.actions,
+      bodyStart: bodyStart,
+      bodyEnd: bodyEnd,
+      scope: ctx.scope.slice(),
+      target: ctx.target,
+      constants: ctx.constants
+    };
+
+    const func = this.createFunctionObject(null);
+    func.callable = (thisObject, args, home) => this.invokeFunction(definition, func, thisObject, args, home);
+    return func;
+  }
+
+  invokeFunction(definition, func, thisObject, args, home) {
+    if (this.callDepth >= this.maxCallDepth) {
+      throw new Error(`Call depth exceeded ${this.maxCallDepth}`);
+    }
+
+    const data = definition.action.data;
+    const isFunction2 = definition.action.opcode === 0x8E;
+    const target = definition.target && !definition.target.removed ? definition.target : this.root;
+    const self = thisObject === undefined || thisObject === null ? target : thisObject;
+    const activation = new AVM1Object(null, "Activation");
+    const registers = new Array(isFunction2 ? Math.max(data.registerCount, 1) : 4).fill(undefined);
+
+    const argumentsObject = this.createArray(args);
+    argumentsObject.defineMember("callee", func);
+    const superObject = home ? this.createSuper(home, self) : undefined;
+
+    if (isFunction2) {
+      // Preloaded values fill registers from 1 in this fixed order
+      let register = 1;
+      const preload = value => {
+        if (register < registers.length) registers[register] = value;
+        register++;
+      };
+      if (data.preloadThis) preload(self);
+      if (data.preloadArguments) preload(argumentsObject);
+      if (data.preloadSuper) preload(superObject);
+      if (data.preloadRoot) preload(target ? target.getRoot() : undefined);
+      if (data.preloadParent) preload(target && target.parent ? target.parent : undefined);
+      if (data.preloadGlobal) preload(this.globalObject);
+
+      if (!data.suppressArguments && !data.preloadArguments) activation.defineMember("arguments", argumentsObject);
+      if (!data.suppressSuper && !data.preloadSuper && superObject) activation.defineMember("super", superObject);
+
+      data.parameters.forEach((parameter, index) => {
+        if (parameter.register > 0 && parameter.register < registers.length) {
+          registers[parameter.register] = args[index];
+        } else {
+          activation.setMember(parameter.name, args[index]);
+        }
+      });
+    } else {
+      activation.defineMember("arguments", argumentsObject);
+      if (superObject) activation.defineMember("super", superObject);
+      data.parameters.forEach((name, index) => activation.setMember(name, args[index]));
+    }
+
+    const ctx = this.createContext(definition.actions, target, definition.scope.concat([activation]), self,
+      registers, definition.constants);
+    ctx.activation = activation;
+
+    this.callDepth++;
+    try {
+      const completion = this.run(ctx, definition.bodyStart, definition.bodyEnd);
+      return completion.type === 'return' ? completion.value : undefined;
+    } finally {
+      this.callDepth--;
+    }
+  }
+
+  // super.method() looks up from the prototype above the one holding the running method
+  createSuper(home, thisObject) {
+    const superObject = new AVM1Object(null, "Super");
+    superObject.superHome = home;
+    superObject.superThis = thisObject;
+    return superObject;
+  }
+
+  callFunction(func, thisObject, args, name = "", home = null) {
+    if (!(func instanceof AVM1Object) || !func.isFunction()) {
+      return undefined;
+    }
+    return func.callable(thisObject, args, home);
+  }
+
+  callMethod(object, name, args) {
+    if (name === undefined || name === "") {
+      if (object instanceof AVM1Object && object.className === "Super") {
+        // super(...) runs the superclass constructor on the current object
+        const constructor = object.superHome.getMember("__constructor__");
+        const prototype = constructor instanceof AVM1Object ? constructor.getMember("prototype") : null;
+        return this.callFunction(constructor, object.superThis, args, "super", prototype instanceof AVM1Object ? prototype : null);
+      }
+      return this.callFunction(object, undefined, args);
+    }
+
+    const key = this.toString(name);
+
+    if (object instanceof AVM1Object && object.className === "Super") {
+      const holder = this.findMemberHolder(object.superHome.proto, key);
+      const method = holder ? holder.getOwnMember(key) : undefined;
+      return this.callFunction(method, object.superThis, args, key, holder);
+    }
+
+    if (object instanceof AVM1Object) {
+      const holder = object instanceof MovieClip ? null : this.findMemberHolder(object, key);
+      const method = holder ? holder.getOwnMember(key) : object.getMember(key);
+      return this.callFunction(method, object, args, key, holder || this.findMemberHolder(object.proto, key));
+    }
+
+    return this.callFunction(this.getMemberOf(object, key), object, args, key);
+  }
+
+  findMemberHolder(object, name) {
+    let depth = 0;
+    while (object && depth++ < 256) {
+      if (object.hasOwnMember(name)) {
+        return object;
+      }
+      object = object.proto;
+    }
+    return null;
+  }
+
+  // new: native constructors build their own objects; script constructors get a fresh
+  // object whose prototype is constructor.prototype
+  construct(constructor, args, name = "") {
+    if (!(constructor instanceof AVM1Object) || !constructor.isFunction()) {
+      return undefined;
+    }
+    if (constructor.construct) {
+      return constructor.construct(args);
+    }
+
+    const prototype = constructor.getMember("prototype");
+    const object = new AVM1Object(prototype instanceof AVM1Object ? prototype : this.objectPrototype);
+    object.defineMember("__constructor__", constructor);
+    object.defineMember("constructor", constructor);
+
+    const result = this.callFunction(constructor, object, args, name, prototype instanceof AVM1Object ? prototype : null);
+    return result instanceof AVM1Object ? result : object;
+  }
+
+  instanceOf(object, constructor) {
+    if (!(object instanceof AVM1Object) || !(constructor instanceof AVM1Object)) {
+      return false;
+    }
+
+    const prototype = constructor.getMember("prototype");
+    if (!(prototype instanceof AVM1Object)) {
+      return false;
+    }
+
+    const implementsPrototype = (candidate, depth) => {
+      if (depth > 32) return false;
+      return candidate.interfaces.some(face => {
+        const faceProto = face.getMember("prototype");
+        return faceProto === prototype || (faceProto instanceof AVM1Object && implementsPrototype(faceProto, depth + 1));
+      });
+    };
+
+    let current = object.proto;
+    let depth = 0;
+    while (current && depth++ < 256) {
+      if (current === prototype || implementsPrototype(current, 0)) {
+        return true;
+      }
+      current = current.proto;
+    }
+    return false;
+  }
+
+  // ==================== VARIABLES AND PATHS ====================
+
+  getVariable(ctx, name) {
+    const path = this.splitVariablePath(name);
+    if (path) {
+      const holder = this.resolvePath(ctx, path.target);
+      if (path.variable === null) {
+        return holder || undefined;
+      }
+      return holder ? this.getMemberOf(holder, path.variable) : undefined;
+    }
+
+    return this.lookupName(ctx, name);
+  }
+
+  setVariable(ctx, name, value) {
+    const path = this.splitVariablePath(name);
+    if (path) {
+      const holder = this.resolvePath(ctx, path.target);
+      if (holder instanceof AVM1Object && path.variable !== null) {
+        holder.setMember(path.variable, value);
+      }
+      return;
+    }
+
+    // Existing variables are updated where they live (never on _global); new ones go on the timeline
+    for (let index = ctx.scope.length - 1; index > 0; index--) {
+      const holder = ctx.scope[index];
+      if (holder.className === "Activation" ? holder.hasOwnMember(name) : holder.hasMember(name)) {
+        holder.setMember(name, value);
+        return;
+      }
+    }
+
+    if (ctx.target) {
+      ctx.target.setMember(name, value);
+    }
+  }
+
+  lookupName(ctx, name) {
+    const special = this.getSpecialName(ctx, name);
+    if (special !== null) {
+      return special.value;
+    }
+
+    for (let index = ctx.scope.length - 1; index >= 0; index--) {
+      const holder = ctx.scope[index];
+      if (holder.hasMember(name)) {
+        return holder.getMember(name);
+      }
+    }
+
+    return undefined;
+  }
+
+  getSpecialName(ctx, name) {
+    const key = name.toLowerCase();
+
+    if (key === "this") {
+      return { value: ctx.thisObject !== undefined ? ctx.thisObject : ctx.target };
+    }
+    if (key === "_global") {
+      return { value: this.globalObject };
+    }
+    if (key === "_root") {
+      return { value: ctx.target ? ctx.target.getRoot() : this.root };
+    }
+    if (key === "_parent") {
+      return { value: ctx.target && ctx.target.parent ? ctx.target.parent : undefined };
+    }
+    const level = /^_level(\d+)$/.exec(key);
+    if (level) {
+      return { value: this.levels.get(parseInt(level[1], 10)) };
+    }
+    return null;
+  }
+
+  // "clip:var", "/a/b:var" and "a.b.var" name a member of another clip; "/a/b" names the clip itself
+  splitVariablePath(name) {
+    const colon = name.lastIndexOf(":");
+    if (colon >= 0) {
+      return { target: name.substring(0, colon), variable: name.substring(colon + 1) };
+    }
+
+    const dot = name.lastIndexOf(".");
+    if (dot > 0 && dot < name.length - 1 && !/^[\d.]+$/.test(name)) {
+      return { target: name.substring(0, dot), variable: name.substring(dot + 1) };
+    }
+
+    if (name.includes("/")) {
+      return { target: name, variable: null };
+    }
+    return null;
+  }
+
+  resolvePath(ctx, path) {
+    let current = ctx.target || this.root;
+    let rest = path;
+
+    if (rest === "") {
+      return current;
+    }
+    if (rest.startsWith("/")) {
+      current = current.getRoot();
+      rest = rest.substring(1);
+    }
+
+    const segments = rest.split(/[/.]/).filter(segment => segment !== "");
+    segments.forEach((segment, index) => {
+      if (!current) return;
+
+      if (segment === "..") {
+        current = current instanceof MovieClip ? current.parent : undefined;
+      } else if (index === 0 && !path.startsWith("/")) {
+        const special = this.getSpecialName(ctx, segment);
+        if (special !== null) {
+          current = special.value;
+        } else {
+          const child = current instanceof MovieClip ? current.getChildByName(segment) : null;
+          current = child || this.lookupName(ctx, segment);
+        }
+      } else {
+        current = this.getMemberOf(current, segment);
+      }
+    });
+
+    return current instanceof AVM1Object ? current : null;
+  }
+
+  // Clip operand of GetProperty, SetProperty, RemoveSprite and friends: "" is the current target
+  resolveTarget(ctx, value) {
+    if (value instanceof MovieClip) {
+      return value;
+    }
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const path = this.toString(value);
+    if (path === "") {
+      return ctx.target;
+    }
+    const clip = this.resolvePath(ctx, path);
+    return clip instanceof MovieClip ? clip : null;
+  }
+
+  // Variables created with "var" live in the function activation, or on the timeline
+  getLocalScope(ctx) {
+    return ctx.activation || ctx.target || this.root;
+  }
+
+  findScopeHolder(ctx, name) {
+    for (let index = ctx.scope.length - 1; index >= 0; index--) {
+      if (ctx.scope[index].hasOwnMember(name)) {
+        return ctx.scope[index];
+      }
+    }
+    return null;
+  }
+
+  // tellTarget: "" restores the clip the script started on
+  setTarget(ctx, value) {
+    const clip = value === "" || value === undefined ? ctx.originalTarget : this.resolveTarget(ctx, value);
+    ctx.target = clip;
+
+    if (clip && ctx.scope.length > 1 && ctx.scope[1] instanceof MovieClip) {
+      ctx.scope[1] = clip;
+    }
+  }
+
+  // GotoFrame2 accepts a frame number, a label, or "path:frame"
+  gotoFrame2(ctx, frame, play, sceneBias) {
+    let clip = ctx.target;
+    let value = frame;
+
+    if (typeof frame === 'string') {
+      const colon = frame.lastIndexOf(":");
+      if (colon >= 0) {
+        clip = this.resolveTarget(ctx, frame.substring(0, colon));
+        value = frame.substring(colon + 1);
+      }
+      if (/^\s*\d+\s*$/.test(value)) {
+        value = parseInt(value, 10) + sceneBias;
+      }
+    } else {
+      value = this.toNumber(frame) + sceneBias;
+    }
+
+    if (clip) {
+      clip.gotoFrame(value, play);
+    }
+  }
+
+  isFrameLoaded(clip, frame) {
+    if (!clip) {
+      return false;
+    }
+    const resolved = clip.resolveFrame(typeof frame === 'number' ? frame : this.toString(frame));
+    return resolved !== null && resolved <= clip.totalFrames;
+  }
+
+  // Call: runs the frame scripts of another frame without moving the playhead
+  callFrame(ctx, frame) {
+    let clip = ctx.target;
+    let value = typeof frame === 'string' ? frame : this.toNumber(frame);
+
+    if (typeof frame === 'string' && frame.lastIndexOf(":") >= 0) {
+      const colon = frame.lastIndexOf(":");
+      clip = this.resolveTarget(ctx, frame.substring(0, colon));
+      value = frame.substring(colon + 1);
+    }
+
+    const frameNumber = clip ? clip.resolveFrame(value) : null;
+    const frameData = frameNumber !== null ? clip.definition.frames[frameNumber - 1] : null;
+    if (!frameData) {
+      return;
+    }
+
+    for (const entry of frameData.tags) {
+      if (entry.type === 12) {
+        this.executeActions(this.getTagActions(entry), clip);
+      }
+    }
+  }
+
+  getMemberOf(object, name) {
+    const key = this.toString(name);
+
+    if (object instanceof AVM1Object) {
+      if (object.className === "Super") {
+        return object.superHome.proto ? object.superHome.proto.getMember(key) : undefined;
+      }
+      return object.getMember(key);
+    }
+    if (typeof object === 'string') {
+      return key === "length" ? object.length : this.stringPrototype.getMember(key);
+    }
+    if (typeof object === 'number') {
+      return this.numberPrototype.getMember(key);
+    }
+    if (typeof object === 'boolean') {
+      return this.booleanPrototype.getMember(key);
+    }
+    return undefined;
+  }
+
+  // ==================== MOVIE CLIP OPERATIONS ====================
+
+  duplicateMovieClip(source, name, depth) {
+    const parent = source.parent;
+    if (!parent) {
+      return undefined;
+    }
+
+    const clip = this.createMovieClip(source.definition, parent, depth, name);
+    clip.matrix = Object.assign({}, source.matrix);
+    clip.colorTransform = source.colorTransform ? Object.assign({}, source.colorTransform) : null;
+    clip.visible = source.visible;
+    clip.clipActions = source.clipActions;
+    clip.characterId = source.characterId;
+
+    parent.addDynamicClip(clip, depth);
+    this.clipAdded(clip);
+    return clip;
+  }
+
+  attachMovie(parent, linkage, name, depth, initObject) {
+    const characterId = this.getExportedCharacterId(linkage);
+    const character = characterId !== null ? this.getCharacter(characterId) : null;
+    if (!character || character.type !== 'sprite') {
+      return undefined;
+    }
+
+    const clip = this.createMovieClip(character.definition, parent, depth, name);
+    if (initObject instanceof AVM1Object) {
+      initObject.getMemberNames().forEach(member => clip.setMember(member, initObject.getMember(member)));
+    }
+
+    parent.addDynamicClip(clip, depth);
+    this.clipAdded(clip);
+    return clip;
+  }
+
+  createEmptyMovieClip(parent, name, depth) {
+    const clip = this.createMovieClip(MovieClip.createDefinition([], 1, 0), parent, depth, name);
+    parent.addDynamicClip(clip, depth);
+    this.clipAdded(clip);
+    return clip;
+  }
+
+  // Only script-created or depth-swapped clips can be removed by script
+  removeMovieClip(clip) {
+    const record = clip.parent ? clip.parent.displayList.get(clip.depth) : null;
+    if (record && record.instance === clip && record.dynamic) {
+      clip.parent.removeObject(clip.depth);
+    }
+  }
+
+  // ==================== HOST ====================
+
+  trace(value) {
+    const message = value === undefined ? "undefined" : this.toString(value);
+    this.traceOutput.push(message);
+    if (this.onTrace) {
+      this.onTrace(message);
+    }
+  }
+
+  getURL(url, target, method = 0, loadTarget = false, loadVariables = false) {
+    if (/^fscommand:/i.test(url)) {
+      if (this.onFSCommand) {
+        this.onFSCommand(url.substring(10), target);
+      }
+      return;
+    }
+
+    if (this.onGetURL) {
+      this.onGetURL({
+        url: url,
+        target: target,
+        method: ["none", "GET", "POST"][method] || "none",
+        loadTarget: loadTarget,
+        loadVariables: loadVariables
+      });
+    }
+  }
+
+  static createScriptError(value) {
+    const error = new Error("Uncaught AVM1 exception");
+    error.avm1Value = value;
+    return error;
+  }
+
+  // ==================== VALUE CONVERSIONS ====================
+
+  toNumber(value) {
+    switch (typeof value) {
+      case 'number':
+        return value;
+      case 'boolean':
+        return value ? 1 : 0;
+      case 'undefined':
+        return this.version >= 7 ? NaN : 0;
+      case 'string': {
+        const text = value.trim();
+        let number;
+        if (/^[-+]?0x[0-9a-f]+$/i.test(text)) {
+          number = (text.startsWith("-") ? -1 : 1) * parseInt(text.replace(/^[-+]/, ""), 16);
+        } else {
+          number = text === "" ? NaN : Number(text);
+        }
+        return Number.isNaN(number) && this.version < 5 ? 0 : number;
+      }
+      default:
+        if (value === null) {
+          return this.version >= 7 ? NaN : 0;
+        }
+        if (value instanceof AVM1Object) {
+          if (value instanceof MovieClip || value.isFunction()) return NaN;
+          const primitive = this.toPrimitive(value, 'number');
+          return value === primitive || primitive instanceof AVM1Object ? NaN : this.toNumber(primitive);
+        }
+        return NaN;
+    }
+  }
+
+  toString(value) {
+    switch (typeof value) {
+      case 'string':
+        return value;
+      case 'number':
+        return AVM1Interpreter.formatNumber(value);
+      case 'boolean':
+        return value ? "true" : "false";
+      case 'undefined':
+        return this.version >= 7 ? "undefined" : "";
+      default:
+        if (value === null) {
+          return "null";
+        }
+        if (value instanceof MovieClip) {
+          return value.getTargetPath();
+        }
+        if (value instanceof AVM1Object) {
+          const primitive = this.toPrimitive(value, 'string');
+          return primitive instanceof AVM1Object ? "[object Object]" : this.toString(primitive);
+        }
+        return String(value);
+    }
+  }
+
+  toBoolean(value) {
+    switch (typeof value) {
+      case 'boolean':
+        return value;
+      case 'number':
+        return value !== 0 && !Number.isNaN(value);
+      case 'string': {
+        // Before SWF 7 strings convert through their numeric value
+        if (this.version >= 7) return value.length > 0;
+        const number = this.toNumber(value);
+        return number !== 0 && !Number.isNaN(number);
+      }
+      case 'undefined':
+        return false;
+      default:
+        return value !== null;
+    }
+  }
+
+  toInteger(value) {
+    const number = this.toNumber(value);
+    if (Number.isNaN(number)) return 0;
+    return Number.isFinite(number) ? Math.trunc(number) : number;
+  }
+
+  toInt32(value) {
+    return this.toNumber(value) | 0;
+  }
+
+  // valueOf()/toString() of script objects; returns the object itself when neither gives a primitive
+  toPrimitive(value, hint) {
+    if (!(value instanceof AVM1Object)) {
+      return value;
+    }
+    if (value instanceof MovieClip) {
+      return value.getTargetPath();
+    }
+    if (value.primitive !== undefined) {
+      return value.primitive;
+    }
+
+    const order = hint === 'string' ? ["toString", "valueOf"] : ["valueOf", "toString"];
+    for (const name of order) {
+      const method = value.getMember(name);
+      if (method instanceof AVM1Object && method.isFunction()) {
+        const result = this.callFunction(method, value, [], name);
+        if (!(result instanceof AVM1Object)) {
+          return result;
+        }
+      }
+    }
+    return value.isFunction() ? "[type Function]" : value;
+  }
+
+  static formatNumber(number) {
+    if (Number.isNaN(number)) return "NaN";
+    if (number === Infinity) return "Infinity";
+    if (number === -Infinity) return "-Infinity";
+    if (Number.isInteger(number) && Math.abs(number) < 1e15) return String(number);
+    return String(parseFloat(number.toPrecision(15)));
+  }
+
+  typeOf(value) {
+    if (value === null) return "null";
+    if (value instanceof MovieClip) return "movieclip";
+    if (value instanceof AVM1Object) return value.isFunction() ? "function" : "object";
+    return typeof value;
+  }
+
+  add(a, b) {
+    const left = this.toPrimitive(a);
+    const right = this.toPrimitive(b);
+
+    if (typeof left === 'string' || typeof right === 'string' || left instanceof AVM1Object || right instanceof AVM1Object) {
+      return this.toString(left) + this.toString(right);
+    }
+    return this.toNumber(left) + this.toNumber(right);
+  }
+
+  // Less2/Greater push undefined when either side is NaN
+  lessThan(a, b) {
+    const left = this.toPrimitive(a, 'number');
+    const right = this.toPrimitive(b, 'number');
+
+    if (typeof left === 'string' && typeof right === 'string') {
+      return left < right;
+    }
+
+    const x = this.toNumber(left);
+    const y = this.toNumber(right);
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+      return undefined;
+    }
+    return x < y;
+  }
+
+  looseEquals(a, b) {
+    const isNullish = value => value === undefined || value === null;
+
+    if (isNullish(a) || isNullish(b)) {
+      return isNullish(a) && isNullish(b);
+    }
+    if (typeof a === typeof b && !(a instanceof AVM1Object) === !(b instanceof AVM1Object)) {
+      return a === b;
+    }
+    if (a instanceof AVM1Object && b instanceof AVM1Object) {
+      return a === b;
+    }
+    if (typeof a === 'boolean') {
+      return this.looseEquals(a ? 1 : 0, b);
+    }
+    if (typeof b === 'boolean') {
+      return this.looseEquals(a, b ? 1 : 0);
+    }
+    if (a instanceof AVM1Object) {
+      const primitive = this.toPrimitive(a);
+      return primitive instanceof AVM1Object ? false : this.looseEquals(primitive, b);
+    }
+    if (b instanceof AVM1Object) {
+      const primitive = this.toPrimitive(b);
+      return primitive instanceof AVM1Object ? false : this.looseEquals(a, primitive);
+    }
+    return this.toNumber(a) === this.toNumber(b);
+  }
+
+  strictEquals(a, b) {
+    return a === b;
+  }
+
+  // ==================== BUILT-IN OBJECTS ====================
+
+  createFunctionObject(callable = null) {
+    const func = new AVM1Object(this.functionPrototype, "Function");
+    func.callable = callable;
+
+    const prototype = new AVM1Object(this.objectPrototype);
+    prototype.defineMember("constructor", func);
+    func.defineMember("prototype", prototype);
+    return func;
+  }
+
+  createNativeFunction(implementation, construct = null) {
+    const func = this.createFunctionObject((thisObject, args) => implementation(thisObject, args));
+    func.construct = construct;
+    return func;
+  }
+
+  defineMethods(object, methods) {
+    for (const [name, implementation] of Object.entries(methods)) {
+      object.defineMember(name, this.createNativeFunction(implementation));
+    }
+  }
+
+  createObject() {
+    return new AVM1Object(this.objectPrototype);
+  }
+
+  createArray(elements = []) {
+    const array = new AVM1Object(this.arrayPrototype, "Array");
+    array.setArrayElements(elements);
+    return array;
+  }
+
+  createGlobals() {
+    this.objectPrototype = new AVM1Object(null);
+    this.functionPrototype = new AVM1Object(this.objectPrototype, "Function");
+    this.arrayPrototype = new AVM1Object(this.objectPrototype);
+    this.stringPrototype = new AVM1Object(this.objectPrototype);
+    this.numberPrototype = new AVM1Object(this.objectPrototype);
+    this.booleanPrototype = new AVM1Object(this.objectPrototype);
+    this.movieClipPrototype = new AVM1Object(this.objectPrototype);
+    this.globalObject = new AVM1Object(this.objectPrototype, "Global");
+
+    const global = this.globalObject;
+    const defineClass = (name, prototype, call, construct) => {
+      const constructor = this.createNativeFunction(call, construct);
+      constructor.defineMember("prototype", prototype);
+      prototype.defineMember("constructor", constructor);
+      global.defineMember(name, constructor);
+      return constructor;
+    };
+
+    const objectClass = defineClass("Object", this.objectPrototype,
+      (thisObject, args) => args[0] instanceof AVM1Object ? args[0] : this.createObject(),
+      args => args[0] instanceof AVM1Object ? args[0] : this.createObject());
+    defineClass("Function", this.functionPrototype, () => this.createFunctionObject(() => undefined), null);
+    defineClass("Array", this.arrayPrototype, (thisObject, args) => this.constructArray(args), args => this.constructArray(args));
+    defineClass("String", this.stringPrototype,
+      (thisObject, args) => args.length > 0 ? this.toString(args[0]) : "",
+      args => this.boxPrimitive(args.length > 0 ? this.toString(args[0]) : "", this.stringPrototype, "String"));
+    const numberClass = defineClass("Number", this.numberPrototype,
+      (thisObject, args) => args.length > 0 ? this.toNumber(args[0]) : 0,
+      args => this.boxPrimitive(args.length > 0 ? this.toNumber(args[0]) : 0, this.numberPrototype, "Number"));
+    defineClass("Boolean", this.booleanPrototype,
+      (thisObject, args) => this.toBoolean(args[0]),
+      args => this.boxPrimitive(this.toBoolean(args[0]), this.booleanPrototype, "Boolean"));
+    defineClass("MovieClip", this.movieClipPrototype, () => undefined, null);
+
+    this.defineObjectMethods(objectClass);
+    this.defineFunctionMethods();
+    this.defineArrayMethods();
+    this.defineStringMethods();
+    this.defineNumberMethods(numberClass);
+    this.defineMovieClipMethods();
+    this.defineGlobalFunctions();
+  }
+
+  boxPrimitive(value, prototype, className) {
+    const object = new AVM1Object(prototype, className);
+    object.primitive = value;
+    if (typeof value === 'string') {
+      object.defineMember("length", value.length);
+    }
+    return object;
+  }
+
+  constructArray(args) {
+    if (args.length === 1 && typeof args[0] === 'number') {
+      const array = this.createArray();
+      array.setArrayLength(Math.max(0, Math.floor(args[0]) || 0));
+      return array;
+    }
+    return this.createArray(args);
+  }
+
+  defineObjectMethods(objectClass) {
+    this.defineMethods(this.objectPrototype, {
+      toString: thisObject => thisObject instanceof MovieClip ? thisObject.getTargetPath() : "[object Object]",
+      valueOf: thisObject => thisObject,
+      hasOwnProperty: (thisObject, args) => thisObject instanceof AVM1Object && thisObject.hasOwnMember(this.toString(args[0])),
+      isPropertyEnumerable: (thisObject, args) => thisObject instanceof AVM1Object &&
+        thisObject.getOwnMemberNames().some(name => AVM1Object.normalizeName(name) === AVM1Object.normalizeName(this.toString(args[0]))),
+      isPrototypeOf: (thisObject, args) => {
+        let object = args[0] instanceof AVM1Object ? args[0].proto : null;
+        for (let depth = 0; object && depth < 256; depth++, object = object.proto) {
+          if (object === thisObject) return true;
+        }
+        return false;
+      },
+      // Getter/setter pairs, used by compiled AS2 get/set functions
+      addProperty: (thisObject, args) => {
+        const [name, getter, setter] = args;
+        if (!(thisObject instanceof AVM1Object) || !(getter instanceof AVM1Object) || !getter.isFunction()) return false;
+        thisObject.defineAccessor(this.toString(name),
+          receiver => this.callFunction(getter, receiver, []),
+          setter instanceof AVM1Object && setter.isFunction() ? (receiver, value) => this.callFunction(setter, receiver, [value]) : null);
+        return true;
+      }
+    });
+
+    this.defineMethods(objectClass, {
+      registerClass: (thisObject, args) => {
+        if (args[1] instanceof AVM1Object && args[1].isFunction()) {
+          this.registeredClasses.set(this.toString(args[0]).toLowerCase(), args[1]);
+        } else {
+          this.registeredClasses.delete(this.toString(args[0]).toLowerCase());
+        }
+        return true;
+      }
+    });
+  }
+
+  defineFunctionMethods() {
+    this.defineMethods(this.functionPrototype, {
+      call: (thisObject, args) => this.callFunction(thisObject, args[0], args.slice(1)),
+      apply: (thisObject, args) => {
+        const list = args[1] instanceof AVM1Object ? args[1].getArrayElements() : [];
+        return this.callFunction(thisObject, args[0], list);
+      }
+    });
+  }
+
+  defineArrayMethods() {
+    const elementsOf = object => object instanceof AVM1Object ? object.getArrayElements() : [];
+    const update = (object, elements) => {
+      if (object instanceof AVM1Object) object.setArrayElements(elements);
+    };
+    const join = (elements, separator) => elements.map(value => this.toString(value)).join(separator);
+
+    this.defineMethods(this.arrayPrototype, {
+      push: (thisObject, args) => {
+        const elements = elementsOf(thisObject).concat(args);
+        update(thisObject, elements);
+        return elements.length;
+      },
+      pop: thisObject => {
+        const elements = elementsOf(thisObject);
+        const value = elements.pop();
+        update(thisObject, elements);
+        return value;
+      },
+      shift: thisObject => {
+        const elements = elementsOf(thisObject);
+        const value = elements.shift();
+        update(thisObject, elements);
+        return value;
+      },
+      unshift: (thisObject, args) => {
+        const elements = args.concat(elementsOf(thisObject));
+        update(thisObject, elements);
+        return elements.length;
+      },
+      slice: (thisObject, args) => this.createArray(elementsOf(thisObject).slice(
+        args.length > 0 ? this.toInteger(args[0]) : 0, args.length > 1 ? this.toInteger(args[1]) : undefined)),
+      splice: (thisObject, args) => {
+        const elements = elementsOf(thisObject);
+        const start = this.toInteger(args[0]);
+        const count = args.length > 1 ? this.toInteger(args[1]) : elements.length;
+        const removed = elements.splice(start, count, ...args.slice(2));
+        update(thisObject, elements);
+        return this.createArray(removed);
+      },
+      concat: (thisObject, args) => {
+        let elements = elementsOf(thisObject);
+        for (const value of args) {
+          elements = elements.concat(value instanceof AVM1Object && value.isArray() ? value.getArrayElements() : [value]);
+        }
+        return this.createArray(elements);
+      },
+      join: (thisObject, args) => join(elementsOf(thisObject), args.length > 0 && args[0] !== undefined ? this.toString(args[0]) : ","),
+      toString: thisObject => join(elementsOf(thisObject), ","),
+      reverse: thisObject => {
+        update(thisObject, elementsOf(thisObject).reverse());
+        return thisObject;
+      },
+      sort: (thisObject, args) => {
+        const compare = args[0] instanceof AVM1Object && args[0].isFunction() ? args[0] : null;
+        const options = this.toInteger(compare ? args[1] : args[0]);
+        const sorted = this.sortElements(elementsOf(thisObject), compare, options, value => value);
+        if (options & 8) return this.createArray(sorted.indices);
+        update(thisObject, sorted.elements);
+        return thisObject;
+      },
+      sortOn: (thisObject, args) => {
+        const field = this.toString(args[0]);
+        const options = this.toInteger(args[1]);
+        const sorted = this.sortElements(elementsOf(thisObject), null, options, value => this.getMemberOf(value, field));
+        if (options & 8) return this.createArray(sorted.indices);
+        update(thisObject, sorted.elements);
+        return thisObject;
+      }
+    });
+  }
+
+  // Array.sort flags: 1 CASEINSENSITIVE, 2 DESCENDING, 4 UNIQUESORT, 8 RETURNINDEXEDARRAY, 16 NUMERIC
+  sortElements(elements, compareFunction, options, key) {
+    const compare = (a, b) => {
+      if (compareFunction) {
+        return this.toNumber(this.callFunction(compareFunction, undefined, [a, b])) || 0;
+      }
+      const x = key(a);
+      const y = key(b);
+      if (options & 16) {
+        return this.toNumber(x) - this.toNumber(y);
+      }
+      let left = this.toString(x);
+      let right = this.toString(y);
+      if (options & 1) {
+        left = left.toLowerCase();
+        right = right.toLowerCase();
+      }
+      return left < right ? -1 : left > right ? 1 : 0;
+    };
+
+    const order = elements.map((value, index) => index);
+    order.sort((a, b) => {
+      const result = compare(elements[a], elements[b]);
+      return (options & 2 ? -result : result) || a - b;
+    });
+
+    return { elements: order.map(index => elements[index]), indices: order };
+  }
+
+  defineStringMethods() {
+    const text = thisObject => this.toString(thisObject);
+
+    this.defineMethods(this.stringPrototype, {
+      toString: thisObject => text(thisObject),
+      valueOf: thisObject => text(thisObject),
+      charAt: (thisObject, args) => text(thisObject).charAt(this.toInteger(args[0])),
+      charCodeAt: (thisObject, args) => {
+        const code = text(thisObject).charCodeAt(this.toInteger(args[0]));
+        return Number.isNaN(code) ? NaN : code;
+      },
+      concat: (thisObject, args) => text(thisObject) + args.map(value => this.toString(value)).join(""),
+      indexOf: (thisObject, args) => text(thisObject).indexOf(this.toString(args[0]), args.length > 1 ? this.toInteger(args[1]) : 0),
+      lastIndexOf: (thisObject, args) => text(thisObject).lastIndexOf(this.toString(args[0]), args.length > 1 ? this.toInteger(args[1]) : Infinity),
+      slice: (thisObject, args) => text(thisObject).slice(this.toInteger(args[0]), args.length > 1 ? this.toInteger(args[1]) : undefined),
+      substr: (thisObject, args) => text(thisObject).substr(this.toInteger(args[0]), args.length > 1 ? this.toInteger(args[1]) : undefined),
+      substring: (thisObject, args) => text(thisObject).substring(this.toInteger(args[0]), args.length > 1 ? this.toInteger(args[1]) : undefined),
+      split: (thisObject, args) => {
+        const string = text(thisObject);
+        if (args.length === 0 || args[0] === undefined) return this.createArray([string]);
+        const parts = string.split(this.toString(args[0]));
+        return this.createArray(args.length > 1 ? parts.slice(0, Math.max(0, this.toInteger(args[1]))) : parts);
+      },
+      toLowerCase: thisObject => text(thisObject).toLowerCase(),
+      toUpperCase: thisObject => text(thisObject).toUpperCase()
+    });
+
+    this.defineMethods(this.globalObject.getMember("String"), {
+      fromCharCode: (thisObject, args) => String.fromCharCode(...args.map(value => this.toInteger(value) & 0xFFFF))
+    });
+  }
+
+  defineNumberMethods(numberClass) {
+    const value = thisObject => typeof thisObject === 'number' ? thisObject : this.toNumber(thisObject);
+
+    this.defineMethods(this.numberPrototype, {
+      toString: (thisObject, args) => {
+        const radix = args.length > 0 && args[0] !== undefined ? this.toInteger(args[0]) : 10;
+        const number = value(thisObject);
+        return radix === 10 || radix < 2 || radix > 36 || !Number.isFinite(number)
+          ? AVM1Interpreter.formatNumber(number) : Math.trunc(number).toString(radix);
+      },
+      valueOf: thisObject => value(thisObject)
+    });
+    this.defineMethods(this.booleanPrototype, {
+      toString: thisObject => this.toString(this.toBoolean(thisObject instanceof AVM1Object ? thisObject.primitive : thisObject)),
+      valueOf: thisObject => this.toBoolean(thisObject instanceof AVM1Object ? thisObject.primitive : thisObject)
+    });
+
+    numberClass.defineMember("MAX_VALUE", Number.MAX_VALUE);
+    numberClass.defineMember("MIN_VALUE", Number.MIN_VALUE);
+    numberClass.defineMember("NaN", NaN);
+    numberClass.defineMember("POSITIVE_INFINITY", Infinity);
+    numberClass.defineMember("NEGATIVE_INFINITY", -Infinity);
+
+    const math = this.createObject();
+    const numeric = name => (thisObject, args) => Math[name](...args.map(argument => this.toNumber(argument)));
+    const methods = {};
+    ["abs", "acos", "asin", "atan", "atan2", "ceil", "cos", "exp", "floor", "log", "max", "min", "pow", "round", "sin", "sqrt", "tan"]
+      .forEach(name => { methods[name] = numeric(name); });
+    methods.random = () => Math.random();
+    this.defineMethods(math, methods);
+    ["E", "LN10", "LN2", "LOG10E", "LOG2E", "PI", "SQRT1_2", "SQRT2"].forEach(name => math.defineMember(name, Math[name]));
+    this.globalObject.defineMember("Math", math);
+  }
+
+  defineMovieClipMethods() {
+    const clipOf = thisObject => thisObject instanceof MovieClip ? thisObject : null;
+    const withClip = action => (thisObject, args) => {
+      const clip = clipOf(thisObject);
+      return clip ? action(clip, args) : undefined;
+    };
+
+    this.defineMethods(this.movieClipPrototype, {
+      play: withClip(clip => clip.play()),
+      stop: withClip(clip => clip.stop()),
+      nextFrame: withClip(clip => clip.nextFrame()),
+      prevFrame: withClip(clip => clip.prevFrame()),
+      gotoAndPlay: withClip((clip, args) => clip.gotoFrame(this.toFrameArgument(args[0]), true)),
+      gotoAndStop: withClip((clip, args) => clip.gotoFrame(this.toFrameArgument(args[0]), false)),
+      getDepth: withClip(clip => clip.depth),
+      getNextHighestDepth: withClip(clip => {
+        const depths = Array.from(clip.displayList.keys()).filter(depth => depth >= 0);
+        return depths.length > 0 ? Math.max(...depths) + 1 : 0;
+      }),
+      swapDepths: withClip((clip, args) => {
+        const depth = args[0] instanceof MovieClip ? args[0].depth : this.toInteger(args[0]);
+        clip.swapDepths(depth);
+      }),
+      duplicateMovieClip: withClip((clip, args) => {
+        const duplicate = this.duplicateMovieClip(clip, this.toString(args[0]), this.toInteger(args[1]));
+        if (duplicate && args[2] instanceof AVM1Object) {
+          args[2].getMemberNames().forEach(name => duplicate.setMember(name, args[2].getMember(name)));
+        }
+        return duplicate;
+      }),
+      removeMovieClip: withClip(clip => this.removeMovieClip(clip)),
+      createEmptyMovieClip: withClip((clip, args) => this.createEmptyMovieClip(clip, this.toString(args[0]), this.toInteger(args[1]))),
+      attachMovie: withClip((clip, args) => this.attachMovie(clip, this.toString(args[0]), this.toString(args[1]),
+        this.toInteger(args[2]), args[3])),
+      getBytesLoaded: () => this.document ? this.document.header.fileLength : 0,
+      getBytesTotal: () => this.document ? this.document.header.fileLength : 0,
+      hitTest: () => false,
+      startDrag: () => undefined,
+      stopDrag: () => undefined
+    });
+  }
+
+  // gotoAndPlay("5") is frame 5; other strings are labels
+  toFrameArgument(value) {
+    return typeof value === 'string' ? value : this.toNumber(value);
+  }
+
+  defineGlobalFunctions() {
+    const global = this.globalObject;
+
+    this.defineMethods(global, {
+      getTimer: () => Math.floor(this.time),
+      setInterval: (thisObject, args) => this.addInterval(args, true),
+      setTimeout: (thisObject, args) => this.addInterval(args, false),
+      clearInterval: (thisObject, args) => this.intervals.delete(this.toInteger(args[0])),
+      clearTimeout: (thisObject, args) => this.intervals.delete(this.toInteger(args[0])),
+      parseInt: (thisObject, args) => {
+        const text = this.toString(args[0]).trim();
+        const radix = args.length > 1 ? this.toInteger(args[1]) : (/^[-+]?0x/i.test(text) ? 16 : /^[-+]?0\d/.test(text) ? 8 : 10);
+        return parseInt(text, radix);
+      },
+      parseFloat: (thisObject, args) => parseFloat(this.toString(args[0])),
+      isNaN: (thisObject, args) => Number.isNaN(this.toNumber(args[0])),
+      isFinite: (thisObject, args) => Number.isFinite(this.toNumber(args[0])),
+      escape: (thisObject, args) => AVM1Interpreter.escape(this.toString(args[0])),
+      unescape: (thisObject, args) => AVM1Interpreter.unescape(this.toString(args[0])),
+      ASSetPropFlags: (thisObject, args) => this.setPropFlags(args[0], args[1], this.toInteger(args[2]), this.toInteger(args[3]))
+    });
+
+    global.defineMember("NaN", NaN);
+    global.defineMember("Infinity", Infinity);
+
+    const stage = this.createObject();
+    stage.defineAccessor("width", () => this.document ? this.document.header.width : 0, null);
+    stage.defineAccessor("height", () => this.document ? this.document.header.height : 0, null);
+    global.defineMember("Stage", stage);
+  }
+
+  // setInterval(function, ms, ...) or setInterval(object, "method", ms, ...); setTimeout fires once
+  addInterval(args, repeat) {
+    const byMethod = args[0] instanceof AVM1Object && !args[0].isFunction() || typeof args[1] === 'string';
+    const delay = Math.max(1, this.toNumber(byMethod ? args[2] : args[1]) || 0);
+    const id = this.nextIntervalId++;
+
+    const interval = {
+      id: id,
+      delay: delay,
+      next: this.time + delay,
+      target: byMethod ? args[0] : null,
+      method: byMethod ? this.toString(args[1]) : null,
+      callback: byMethod ? null : args[0],
+      args: args.slice(byMethod ? 3 : 2)
+    };
+
+    if (!repeat) {
+      const callback = interval.callback;
+      const method = interval.method;
+      interval.callback = this.createNativeFunction((thisObject, callArgs) => {
+        this.intervals.delete(id);
+        return method !== null
+          ? this.callMethod(interval.target, method, callArgs)
+          : this.callFunction(callback, undefined, callArgs);
+      });
+      interval.method = null;
+    }
+
+    this.intervals.set(id, interval);
+    return id;
+  }
+
+  // ASSetPropFlags flag bits: 1 hidden from for-in, 2 not deletable, 4 read-only
+  setPropFlags(object, names, setFlags, clearFlags) {
+    if (!(object instanceof AVM1Object)) {
+      return;
+    }
+
+    let list;
+    if (names === null || names === undefined) {
+      list = Array.from(object.properties.values()).map(entry => entry.name);
+    } else if (names instanceof AVM1Object && names.isArray()) {
+      list = names.getArrayElements().map(name => this.toString(name));
+    } else {
+      list = this.toString(names).split(",");
+    }
+
+    for (const name of list) {
+      const entry = object.properties.get(AVM1Object.normalizeName(name));
+      if (!entry) continue;
+      const current = (entry.enumerable ? 0 : 1) | (entry.readOnly ? 4 : 0);
+      const flags = (current & ~clearFlags) | setFlags;
+      object.setPropertyFlags(name, (flags & 1) !== 0, (flags & 4) !== 0);
+    }
+  }
+
+  // Flash escape() keeps only letters and digits, encoding UTF-8 bytes as %XX
+  static escape(text) {
+    return Array.from(new TextEncoder().encode(text)).map(byte => {
+      const char = String.fromCharCode(byte);
+      return /[A-Za-z0-9]/.test(char) ? char : "%" + byte.toString(16).toUpperCase().padStart(2, "0");
+    }).join("");
+  }
+
+  static unescape(text) {
+    try {
+      return decodeURIComponent(text.replace(/\+/g, "%2B"));
+    } catch (error) {
+      return text.replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+  }
+}
+
+// GetProperty/SetProperty property indices
+AVM1Interpreter.PROPERTY_NAMES = ["_x", "_y", "_xscale", "_yscale", "_currentframe", "_totalframes", "_alpha",
+  "_visible", "_width", "_height", "_rotation", "_target", "_framesloaded", "_name", "_droptarget", "_url",
+  "_highquality", "_focusrect", "_soundbuftime", "_quality", "_xmouse", "_ymouse"];
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.AVM1Interpreter = AVM1Interpreter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AVM1Interpreter;
+}
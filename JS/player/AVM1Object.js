@@ -0,0 +1,254 @@
+/*
+ * AVM1 Object - v1.0
+ * Script object model shared by the AVM1 interpreter and MovieClip
+ * - Ordered properties with a prototype chain (__proto__) and non-enumerable members
+ * - Arrays keep "length" in step with their numeric members
+ * - Getter/setter members (Object.addProperty) resolved through the prototype chain
+ * - Functions carry a callable (native or compiled by AVM1Interpreter) and an optional
+ *   constructor used by "new"; boxed Number/String/Boolean keep their primitive value
+ * Member names are case-insensitive before SWF 7, like Flash Player; the interpreter sets
+ * AVM1Object.caseSensitive when it loads a document
+ */
+class AVM1Object {
+  constructor(proto = null, className = "Object") {
+    this.proto = proto;
+    this.className = className;
+    this.properties = new Map();
+
+    // Functions: callable(thisObject, args) and construct(args) (null uses the generic "new")
+    this.callable = null;
+    this.construct = null;
+    this.interfaces = [];
+
+    // Boxed primitive for Number, String and Boolean objects
+    this.primitive = undefined;
+  }
+
+  static normalizeName(name) {
+    const key = String(name);
+    return AVM1Object.caseSensitive ? key : key.toLowerCase();
+  }
+
+  // ==================== MEMBERS ====================
+
+  getMember(name) {
+    let object = this;
+    let depth = 0;
+
+    while (object && depth++ < 256) {
+      if (object.hasOwnMember(name)) {
+        return object.getOwnMember(name, this);
+      }
+      object = object.proto;
+    }
+
+    return undefined;
+  }
+
+  hasMember(name) {
+    let object = this;
+    let depth = 0;
+
+    while (object && depth++ < 256) {
+      if (object.hasOwnMember(name)) {
+        return true;
+      }
+      object = object.proto;
+    }
+
+    return false;
+  }
+
+  // Accessors (addProperty) run against the receiver, which may inherit them from a prototype
+  getOwnMember(name, receiver = this) {
+    if (AVM1Object.normalizeName(name) === "__proto__") {
+      return this.proto === null ? undefined : this.proto;
+    }
+    const entry = this.properties.get(AVM1Object.normalizeName(name));
+    if (!entry) {
+      return undefined;
+    }
+    return entry.getter ? entry.getter(receiver) : entry.value;
+  }
+
+  hasOwnMember(name) {
+    const key = AVM1Object.normalizeName(name);
+    return key === "__proto__" ? this.proto !== null : this.properties.has(key);
+  }
+
+  setMember(name, value) {
+    const key = AVM1Object.normalizeName(name);
+
+    if (key === "__proto__") {
+      this.proto = value instanceof AVM1Object ? value : null;
+      return;
+    }
+
+    if (this.className === "Array") {
+      this.setArrayMember(String(name), value);
+      return;
+    }
+
+    const accessor = this.findAccessor(key);
+    if (accessor) {
+      if (accessor.setter) accessor.setter(this, value);
+      return;
+    }
+
+    const entry = this.properties.get(key);
+    if (entry) {
+      if (!entry.readOnly) entry.value = value;
+    } else {
+      this.properties.set(key, { name: String(name), value: value, enumerable: true, readOnly: false });
+    }
+  }
+
+  // Members added by the runtime (prototype methods, __constructor__) are hidden from for-in
+  defineMember(name, value, enumerable = false, readOnly = false) {
+    this.properties.set(AVM1Object.normalizeName(name), { name: String(name), value: value, enumerable: enumerable, readOnly: readOnly });
+  }
+
+  defineAccessor(name, getter, setter) {
+    this.properties.set(AVM1Object.normalizeName(name), {
+      name: String(name), value: undefined, enumerable: false, readOnly: false, getter: getter, setter: setter
+    });
+  }
+
+  findAccessor(key) {
+    let object = this;
+    let depth = 0;
+
+    while (object && depth++ < 256) {
+      const entry = object.properties.get(key);
+      if (entry) {
+        return entry.getter ? entry : null;
+      }
+      object = object.proto;
+    }
+
+    return null;
+  }
+
+  deleteMember(name) {
+    const key = AVM1Object.normalizeName(name);
+    const entry = this.properties.get(key);
+    if (!entry || entry.readOnly) {
+      return false;
+    }
+    this.properties.delete(key);
+    return true;
+  }
+
+  // Enumerable names of this object and its prototypes, most recently added first like for-in in Flash
+  getMemberNames() {
+    const names = [];
+    const seen = new Set();
+    let object = this;
+    let depth = 0;
+
+    while (object && depth++ < 256) {
+      for (const name of object.getOwnMemberNames().reverse()) {
+        const key = AVM1Object.normalizeName(name);
+        if (!seen.has(key)) {
+          seen.add(key);
+          names.push(name);
+        }
+      }
+      object = object.proto;
+    }
+
+    return names;
+  }
+
+  getOwnMemberNames() {
+    const names = [];
+    for (const entry of this.properties.values()) {
+      if (entry.enumerable) names.push(entry.name);
+    }
+    return names;
+  }
+
+  setPropertyFlags(name, hidden, readOnly) {
+    const entry = this.properties.get(AVM1Object.normalizeName(name));
+    if (entry) {
+      entry.enumerable = !hidden;
+      entry.readOnly = readOnly;
+    }
+  }
+
+  // ==================== ARRAYS ====================
+
+  setArrayMember(name, value) {
+    const key = AVM1Object.normalizeName(name);
+
+    if (key === "length") {
+      this.setArrayLength(Math.max(0, Math.floor(Number(value)) || 0));
+      return;
+    }
+
+    const entry = this.properties.get(key);
+    if (entry) {
+      entry.value = value;
+    } else {
+      this.properties.set(key, { name: name, value: value, enumerable: true, readOnly: false });
+    }
+
+    const index = AVM1Object.arrayIndex(name);
+    if (index !== null && index >= this.getArrayLength()) {
+      this.defineMember("length", index + 1);
+    }
+  }
+
+  getArrayLength() {
+    const entry = this.properties.get("length");
+    return entry ? entry.value : 0;
+  }
+
+  setArrayLength(length) {
+    const current = this.getArrayLength();
+    for (let index = length; index < current; index++) {
+      this.properties.delete(String(index));
+    }
+    this.defineMember("length", length);
+  }
+
+  getArrayElements() {
+    const elements = [];
+    const length = this.getArrayLength();
+    for (let index = 0; index < length; index++) {
+      elements.push(this.getOwnMember(String(index)));
+    }
+    return elements;
+  }
+
+  setArrayElements(elements) {
+    this.setArrayLength(0);
+    elements.forEach((value, index) => this.setArrayMember(String(index), value));
+    this.defineMember("length", elements.length);
+  }
+
+  static arrayIndex(name) {
+    return /^(0|[1-9]\d*)$/.test(name) && Number(name) < 4294967295 ? Number(name) : null;
+  }
+
+  // ==================== TYPE CHECKS ====================
+
+  isFunction() {
+    return this.callable !== null;
+  }
+
+  isArray() {
+    return this.className === "Array";
+  }
+}
+
+AVM1Object.caseSensitive = true;
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.AVM1Object = AVM1Object;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AVM1Object;
+}
@@ -0,0 +1,2955 @@
+/*
+ * AVM2 Interpreter - v1.0
+ * Runs ActionScript 3 bytecode from DoABC tags (AS3Parsers.parseABCFile) on top of the
+ * player's MovieClip timelines
+ * - Stack machine over the disassembled method bodies (AVM2Disassembler instructions): locals,
+ *   operand and scope stacks, exception tables, activations, closures and for..in iteration
+ * - Classes built from instance_info/class_info: inherited trait slots, methods and accessors,
+ *   super calls and interfaces; script initializers run on first use of one of their traits
+ * - Built-in Object, Function, Class, Array, Vector, String, Number, int, uint, Boolean, Math
+ *   and Error classes, global functions, and flash.events / flash.display / flash.utils stubs
+ * - SymbolClass links the document class to the root timeline and AS3 classes to sprites;
+ *   addFrameScript, enterFrame listeners and the MovieClip methods drive the timelines
+ * The AVM1Interpreter that owns the timelines is the host: it calls enterFrame, clipCreated and
+ * runFrameScript on its scriptHost
+ */
+class AVM2Interpreter {
+  constructor(options = {}) {
+    this.onTrace = options.onTrace || null;
+    this.maxSteps = options.maxSteps || 1000000;
+    this.maxCallDepth = options.maxCallDepth || 256;
+
+    this.host = null;
+    this.document = null;
+    this.abcFiles = [];
+    this.definitions = new Map();
+    this.localDefinitions = new Map();
+    this.symbolClasses = new Map();
+    this.documentClassName = null;
+    this.documentObject = null;
+
+    this.enterFrameTargets = new Set();
+    this.timers = new Map();
+    this.nextTimerId = 1;
+
+    this.traceOutput = [];
+    this.errors = [];
+    this.steps = 0;
+    this.callDepth = 0;
+
+    this.as3Parser = new AS3Parsers();
+    this.createGlobals();
+  }
+
+  // ==================== DOCUMENT LOADING ====================
+
+  // Loads every DoABC block and the SymbolClass links, then runs the entry scripts.
+  // host is the AVM1Interpreter that owns the timelines (null runs the code without a stage)
+  loadDocument(swfDocument, host = null) {
+    this.document = swfDocument;
+    this.host = host;
+    if (host) {
+      host.scriptHost = this;
+    }
+
+    this.createGlobals();
+    this.abcFiles = [];
+    this.definitions.clear();
+    this.localDefinitions.clear();
+    this.symbolClasses.clear();
+    this.documentObject = null;
+
+    for (const tag of swfDocument.tags) {
+      if (tag.type === 82 || tag.type === 72) {
+        const abcFile = this.readABCTag(tag, swfDocument.getTagContent(tag));
+        if (abcFile) this.loadABC(abcFile);
+      } else if (tag.type === 76) {
+        this.readSymbolClasses(swfDocument.getTagContent(tag));
+      }
+    }
+
+    // The last script of each ABC block is its entry point and runs when the block loads
+    for (const runtime of this.abcFiles) {
+      const entry = runtime.scripts[runtime.scripts.length - 1];
+      if (!entry) continue;
+      try {
+        this.ensureScript(entry);
+      } catch (error) {
+        this.reportError(error);
+      }
+    }
+
+    this.documentClassName = this.symbolClasses.get(0) || null;
+    return this.documentClassName;
+  }
+
+  readABCTag(tag, content) {
+    const parsed = tag.type === 82 && tag.parsed && tag.parsed.data ? tag.parsed.data.abcFile : null;
+    if (parsed && !parsed.parseError) {
+      return parsed;
+    }
+
+    // DoABC carries flags and a name ahead of the ABC data; tag 72 is the bare ABC file
+    let offset = 0;
+    if (tag.type === 82) {
+      offset = 4;
+      while (offset < content.length && content[offset] !== 0) offset++;
+      offset++;
+    }
+
+    const abcFile = this.as3Parser.parseABCFile(new BitReader(content, offset), content.length - offset);
+    if (!abcFile || abcFile.parseError) {
+      this.errors.push(`ABC parse error: ${abcFile ? abcFile.parseError : "no data"}`);
+      return null;
+    }
+    return abcFile;
+  }
+
+  // SymbolClass is read directly: the parsed record is capped at 50 symbols
+  readSymbolClasses(content) {
+    const decoder = new TextDecoder('utf-8');
+    const count = content[0] | (content[1] << 8);
+    let offset = 2;
+
+    for (let index = 0; index < count && offset + 2 <= content.length; index++) {
+      const characterId = content[offset] | (content[offset + 1] << 8);
+      let end = offset + 2;
+      while (end < content.length && content[end] !== 0) end++;
+      this.symbolClasses.set(characterId, decoder.decode(content.subarray(offset + 2, end)));
+      offset = end + 1;
+    }
+  }
+
+  // Registers the scripts of an ABC file; their traits are defined when a script first runs
+  loadABC(abcFile) {
+    const runtime = {
+      file: abcFile,
+      pool: abcFile.constantPool,
+      bodies: new Map(),
+      names: [],
+      classes: new Map(),
+      scripts: []
+    };
+
+    for (const body of abcFile.methodBodies || []) {
+      runtime.bodies.set(body.method, body);
+    }
+
+    (abcFile.scripts || []).forEach((info, index) => {
+      const script = { runtime: runtime, info: info, index: index, state: 'pending', global: null };
+      runtime.scripts.push(script);
+
+      for (const trait of info.traits || []) {
+        const qname = this.getQName(runtime, trait.name);
+        const qualified = AVM2Interpreter.qualify(qname.namespace, qname.name);
+        if (!this.definitions.has(qualified)) this.definitions.set(qualified, script);
+        if (!this.localDefinitions.has(qname.name)) this.localDefinitions.set(qname.name, script);
+      }
+    });
+
+    this.abcFiles.push(runtime);
+    return runtime;
+  }
+
+  // Each script gets its own global object holding its traits; the initializer runs once
+  ensureScript(script) {
+    if (script.state !== 'pending') {
+      return script.global;
+    }
+
+    script.state = 'running';
+    const global = new AVM2Object(this.objectClass, this.objectPrototype);
+    global.traitTable = AVM2Object.createTraitTable();
+    script.global = global;
+
+    this.addTraits(global.traitTable, script.runtime, script.info.traits || [], [global], null);
+    global.initializeSlots();
+
+    try {
+      this.invokeMethod(script.runtime, script.info.init, [global], global, []);
+    } finally {
+      script.state = 'done';
+    }
+    return global;
+  }
+
+  // ==================== NAMES ====================
+
+  static qualify(namespace, name) {
+    return namespace ? `${namespace}.${name}` : name;
+  }
+
+  poolString(pool, index) {
+    return index > 0 && index < pool.strings.length ? pool.strings[index] : null;
+  }
+
+  namespaceName(pool, index) {
+    const namespace = pool.namespaces[index];
+    return namespace ? namespace.nameString : "";
+  }
+
+  namespaceSetNames(pool, index) {
+    const set = pool.namespaceSets[index] || [];
+    return set.map(namespaceIndex => this.namespaceName(pool, namespaceIndex));
+  }
+
+  // { name, namespace } of a QName (trait names, class names)
+  getQName(runtime, index) {
+    const multiname = runtime.pool.multinames[index];
+    if (!multiname) {
+      return { name: "*", namespace: "" };
+    }
+    if (multiname.kind === 0x1D) {
+      return this.getQName(runtime, multiname.typeName);
+    }
+
+    const name = this.poolString(runtime.pool, multiname.name) || "";
+    let namespace = "";
+    if (multiname.namespace !== undefined) {
+      namespace = this.namespaceName(runtime.pool, multiname.namespace);
+    } else if (multiname.namespaceSet !== undefined) {
+      namespace = this.namespaceSetNames(runtime.pool, multiname.namespaceSet)[0] || "";
+    }
+    return { name: name, namespace: namespace };
+  }
+
+  // { name, namespaces } for a multiname operand; runtime name parts are popped off the stack
+  readName(ctx, index) {
+    const runtime = ctx.runtime;
+    const cached = runtime.names[index];
+    if (cached) {
+      return cached;
+    }
+
+    const multiname = runtime.pool.multinames[index];
+    if (!multiname) {
+      return { name: null, namespaces: [""] };
+    }
+
+    switch (multiname.kind) {
+      case 0x0F: case 0x10: // RTQName
+        return { name: this.poolString(runtime.pool, multiname.name), namespaces: [this.namespaceUri(ctx.stack.pop())] };
+      case 0x11: case 0x12: { // RTQNameL
+        const name = this.nameKey(ctx.stack.pop());
+        return { name: name, namespaces: [this.namespaceUri(ctx.stack.pop())] };
+      }
+      case 0x1B: case 0x1C: // MultinameL
+        return { name: this.nameKey(ctx.stack.pop()), namespaces: this.namespaceSetNames(runtime.pool, multiname.namespaceSet) };
+    }
+
+    let name;
+    if (multiname.kind === 0x1D) {
+      const base = this.getQName(runtime, multiname.typeName);
+      name = { name: base.name, namespaces: [base.namespace] };
+    } else if (multiname.kind === 0x09 || multiname.kind === 0x0E) {
+      name = { name: this.poolString(runtime.pool, multiname.name), namespaces: this.namespaceSetNames(runtime.pool, multiname.namespaceSet) };
+    } else {
+      name = { name: this.poolString(runtime.pool, multiname.name), namespaces: [this.namespaceName(runtime.pool, multiname.namespace)] };
+    }
+    runtime.names[index] = name;
+    return name;
+  }
+
+  // Multinames with a runtime part pop it (and nothing else) off the stack
+  static isRuntimeName(runtime, index) {
+    const multiname = runtime.pool.multinames[index];
+    return !!multiname && [0x0F, 0x10, 0x11, 0x12, 0x1B, 0x1C].includes(multiname.kind);
+  }
+
+  nameKey(value) {
+    if (value instanceof AVM2Object && value.classObject === this.qnameClass) {
+      return this.toString(value.getOwnValue("localName"));
+    }
+    return this.toString(value);
+  }
+
+  namespaceUri(value) {
+    if (value instanceof AVM2Object && value.classObject === this.namespaceClass) {
+      return this.toString(value.getOwnValue("uri"));
+    }
+    return value === undefined || value === null ? "" : this.toString(value);
+  }
+
+  // ==================== DEFINITIONS ====================
+
+  // Global object holding a definition: a script global (initialized on demand) or the builtins
+  findDefinition(name) {
+    if (name.name === null) {
+      return null;
+    }
+
+    for (const namespace of name.namespaces) {
+      const script = this.definitions.get(AVM2Interpreter.qualify(namespace, name.name));
+      if (script) {
+        return this.ensureScript(script);
+      }
+    }
+
+    const script = this.localDefinitions.get(name.name);
+    if (script) {
+      return this.ensureScript(script);
+    }
+    return this.builtinGlobal.hasOwnValue(name.name) ? this.builtinGlobal : null;
+  }
+
+  // Class by qualified name (pkg.Name or pkg::Name), as used by SymbolClass and getDefinitionByName
+  getDefinitionByName(qualifiedName) {
+    const text = String(qualifiedName).replace("::", ".");
+    const split = text.lastIndexOf(".");
+    const name = {
+      name: split === -1 ? text : text.substring(split + 1),
+      namespaces: [split === -1 ? "" : text.substring(0, split)]
+    };
+
+    const holder = this.findDefinition(name);
+    return holder ? this.getProperty(holder, name.name) : undefined;
+  }
+
+  resolveClass(runtime, index) {
+    if (!index) {
+      return null;
+    }
+    const cached = runtime.classes.get(index);
+    if (cached) {
+      return cached;
+    }
+
+    const qname = this.getQName(runtime, index);
+    const holder = this.findDefinition({ name: qname.name, namespaces: [qname.namespace] });
+    const value = holder ? this.getProperty(holder, qname.name) : undefined;
+    if (!(value instanceof AVM2Object) || !value.isClass()) {
+      return null;
+    }
+    runtime.classes.set(index, value);
+    return value;
+  }
+
+  // ==================== CLASSES ====================
+
+  // Class object with its definition; the instance trait table starts as a copy of the base's
+  createClassObject(name, packageName, superClass, options = {}) {
+    const baseDefinition = superClass ? superClass.classDefinition : null;
+    const classObject = new AVM2Object(this.classClass || null, this.objectPrototype || null);
+    const prototype = new AVM2Object(null, baseDefinition ? baseDefinition.prototype : this.objectPrototype || null);
+
+    classObject.classDefinition = {
+      name: name,
+      packageName: packageName || "",
+      qualifiedName: packageName ? `${packageName}::${name}` : name,
+      superClass: superClass || null,
+      interfaces: [],
+      isInterface: !!options.isInterface,
+      isSealed: options.isSealed !== undefined ? options.isSealed : true,
+      instanceTable: AVM2Object.createTraitTable(baseDefinition ? baseDefinition.instanceTable : null),
+      prototype: prototype,
+      runtime: null,
+      scope: [],
+      initializer: null,
+      nativeInit: options.init || null,
+      nativeConstruct: options.construct || null,
+      nativeCall: options.call || null
+    };
+    classObject.traitTable = AVM2Object.createTraitTable();
+    classObject.callable = (thisObject, args) => this.callClass(classObject, args);
+    classObject.construct = args => this.constructInstance(classObject, args);
+
+    classObject.defineValue("prototype", prototype);
+    prototype.defineValue("constructor", classObject);
+    return classObject;
+  }
+
+  // newclass: instance_info/class_info traits close over the current scope plus the class
+  createClass(ctx, index, superClass) {
+    const runtime = ctx.runtime;
+    const instance = runtime.file.instances[index];
+    const classInfo = runtime.file.classes[index];
+    const qname = this.getQName(runtime, instance.name);
+
+    const classObject = this.createClassObject(qname.name, qname.namespace, superClass || null, {
+      isInterface: instance.isInterface,
+      isSealed: instance.isSealed
+    });
+    const definition = classObject.classDefinition;
+    definition.runtime = runtime;
+    definition.initializer = instance.isInterface ? null : instance.iinit;
+    definition.scope = this.getScopeChain(ctx).concat([classObject]);
+    definition.interfaces = (instance.interfaces || [])
+      .map(interfaceIndex => this.resolveClass(runtime, interfaceIndex))
+      .filter(Boolean);
+
+    this.addTraits(definition.instanceTable, runtime, instance.traits || [], definition.scope, classObject);
+    this.addTraits(classObject.traitTable, runtime, classInfo.traits || [], definition.scope, classObject);
+    classObject.initializeSlots();
+
+    this.invokeMethod(runtime, classInfo.cinit, definition.scope, classObject, [], classObject);
+    return classObject;
+  }
+
+  // Adds ABC traits to a trait table: slots keep their storage index when redeclared,
+  // accessors merge so an overridden getter keeps the inherited setter
+  addTraits(table, runtime, traits, scope, homeClass) {
+    for (const trait of traits) {
+      const name = this.getQName(runtime, trait.name).name;
+      const existing = table.traits.get(name);
+
+      switch (trait.kind) {
+        case 0: // Slot
+        case 6: // Const
+        case 4: // Class
+        case 5: { // Function
+          const record = {
+            kind: 'slot',
+            name: name,
+            slotId: trait.slotId,
+            index: existing && existing.kind === 'slot' ? existing.index : table.slotCount++,
+            typeName: trait.kind === 0 || trait.kind === 6 ? this.getTypeName(runtime, trait.typeName) : null,
+            isConst: trait.kind === 6 || trait.kind === 4,
+            value: null
+          };
+          if (trait.kind === 5) {
+            record.value = this.createClosure(runtime, trait.function, scope);
+          } else if (trait.kind !== 4) {
+            record.value = trait.vindex
+              ? this.getPoolValue(runtime, trait.vkind, trait.vindex)
+              : AVM2Interpreter.getTypeDefault(record.typeName);
+          }
+          table.traits.set(name, record);
+          if (trait.slotId) table.slotsById.set(trait.slotId, record);
+          break;
+        }
+
+        case 1: // Method
+          table.traits.set(name, {
+            kind: 'method',
+            name: name,
+            func: this.createMethodFunction(runtime, trait.method, scope, homeClass)
+          });
+          break;
+
+        case 2: // Getter
+        case 3: { // Setter
+          const record = {
+            kind: 'accessor',
+            name: name,
+            getter: existing && existing.kind === 'accessor' ? existing.getter : null,
+            setter: existing && existing.kind === 'accessor' ? existing.setter : null
+          };
+          const func = this.createMethodFunction(runtime, trait.method, scope, homeClass);
+          if (trait.kind === 2) record.getter = func;
+          else record.setter = func;
+          table.traits.set(name, record);
+          break;
+        }
+      }
+    }
+  }
+
+  getTypeName(runtime, index) {
+    return index ? this.getQName(runtime, index).name : null;
+  }
+
+  static getTypeDefault(typeName) {
+    switch (typeName) {
+      case "int": case "uint": return 0;
+      case "Number": return NaN;
+      case "Boolean": return false;
+      case null: case "*": return undefined;
+      default: return null;
+    }
+  }
+
+  // Default values of optional parameters and slots (constant kinds from the ABC spec)
+  getPoolValue(runtime, kind, index) {
+    const pool = runtime.pool;
+    switch (kind) {
+      case 0x03: return pool.integers[index];
+      case 0x04: return pool.unsignedIntegers[index];
+      case 0x06: return pool.doubles[index];
+      case 0x01: return pool.strings[index];
+      case 0x0B: return true;
+      case 0x0A: return false;
+      case 0x0C: return null;
+      case 0x00: return undefined;
+      case 0x08: case 0x16: case 0x17: case 0x18: case 0x19: case 0x1A: case 0x05:
+        return this.createNamespace(this.namespaceName(pool, index));
+      default: return undefined;
+    }
+  }
+
+  createInstance(classObject) {
+    const definition = classObject.classDefinition;
+    const object = new AVM2Object(classObject, definition.prototype);
+    object.initializeSlots();
+    return object;
+  }
+
+  constructInstance(classObject, args) {
+    const definition = classObject.classDefinition;
+    if (definition.isInterface) {
+      throw this.createError("TypeError", 1115, `${definition.name} is not a constructor.`);
+    }
+    if (definition.nativeConstruct) {
+      return definition.nativeConstruct(args);
+    }
+
+    const object = this.createInstance(classObject);
+    this.runConstructor(classObject, object, args);
+    return object;
+  }
+
+  // ABC constructors reach their base class through constructsuper; native classes run
+  // their base's initializer first
+  runConstructor(classObject, object, args) {
+    const definition = classObject.classDefinition;
+
+    if (definition.initializer !== null) {
+      this.invokeMethod(definition.runtime, definition.initializer, definition.scope, object, args, classObject);
+      return;
+    }
+    if (definition.superClass) {
+      this.runConstructor(definition.superClass, object, args);
+    }
+    if (definition.nativeInit) {
+      definition.nativeInit(object, args);
+    }
+  }
+
+  // Calling a class is a type conversion: String(x), int(x), MyClass(x)
+  callClass(classObject, args) {
+    const definition = classObject.classDefinition;
+    if (definition.nativeCall) {
+      return definition.nativeCall(args);
+    }
+    return this.coerceToClass(args[0], classObject);
+  }
+
+  // ==================== EXECUTION ====================
+
+  // Runs a method body; parameters are coerced to their declared types and missing optional
+  // ones take their default values
+  invokeMethod(runtime, methodIndex, scope, thisObject, args, homeClass = null, functionObject = null) {
+    const info = runtime.file.methods[methodIndex];
+    const body = runtime.bodies.get(methodIndex);
+    if (!info || !body) {
+      return undefined;
+    }
+    if (this.callDepth >= this.maxCallDepth) {
+      throw this.createError("Error", 1023, "Stack overflow occurred.");
+    }
+
+    const paramCount = info.paramCount;
+    const optional = info.optionalParams || [];
+    const required = paramCount - optional.length;
+    const hasRest = (info.flags & 0x04) !== 0;
+    const needsArguments = (info.flags & 0x01) !== 0;
+
+    if (args.length < required || (args.length > paramCount && !hasRest && !needsArguments)) {
+      const name = info.nameString || "function";
+      throw this.createError("ArgumentError", 1063,
+        `Argument count mismatch on ${name}. Expected ${required === paramCount ? paramCount : `${required}-${paramCount}`}, got ${args.length}.`);
+    }
+
+    const locals = new Array(Math.max(body.localCount, paramCount + 2)).fill(undefined);
+    locals[0] = thisObject;
+    for (let index = 0; index < paramCount; index++) {
+      const value = index < args.length
+        ? args[index]
+        : this.getPoolValue(runtime, optional[index - required].kind, optional[index - required].value);
+      locals[index + 1] = this.coerceToType(value, this.getTypeName(runtime, info.params[index]), runtime, info.params[index]);
+    }
+    if (hasRest) {
+      locals[paramCount + 1] = this.createArray(args.slice(paramCount));
+    } else if (needsArguments) {
+      const argumentsObject = this.createArray(args.slice());
+      argumentsObject.defineValue("callee", functionObject || null);
+      locals[paramCount + 1] = argumentsObject;
+    }
+
+    const ctx = {
+      runtime: runtime,
+      body: body,
+      info: info,
+      locals: locals,
+      stack: [],
+      scopeStack: [],
+      savedScope: scope,
+      thisObject: thisObject,
+      homeClass: homeClass,
+      returnValue: undefined
+    };
+
+    this.callDepth++;
+    try {
+      const result = this.run(ctx);
+      return this.coerceToType(result, this.getTypeName(runtime, info.returnType), runtime, info.returnType);
+    } finally {
+      this.callDepth--;
+    }
+  }
+
+  getOffsetIndex(body) {
+    if (!this.offsetIndexCache) {
+      this.offsetIndexCache = new WeakMap();
+    }
+
+    let index = this.offsetIndexCache.get(body);
+    if (!index) {
+      index = new Map();
+      body.instructions.forEach((instruction, position) => index.set(instruction.offset, position));
+      this.offsetIndexCache.set(body, index);
+    }
+    return index;
+  }
+
+  findInstructionIndex(ctx, offset) {
+    const index = this.getOffsetIndex(ctx.body).get(offset);
+    if (index === undefined) {
+      if (offset >= ctx.body.codeLength) return ctx.body.instructions.length;
+      throw new Error(`Branch to offset ${offset} is not an instruction boundary`);
+    }
+    return index;
+  }
+
+  // step() returns undefined to continue, a byte offset to branch, or RETURN
+  run(ctx) {
+    const instructions = ctx.body.instructions;
+    let index = 0;
+
+    while (index < instructions.length) {
+      if (++this.steps > this.maxSteps) {
+        throw new Error("Script step limit exceeded");
+      }
+
+      const instruction = instructions[index];
+      let next;
+      try {
+        next = this.step(ctx, instruction);
+      } catch (error) {
+        const handler = this.findHandler(ctx, instruction.offset, error);
+        if (!handler) {
+          throw error;
+        }
+        ctx.stack.length = 0;
+        ctx.scopeStack.length = 0;
+        ctx.stack.push(error.avm2Value);
+        index = this.findInstructionIndex(ctx, handler.target);
+        continue;
+      }
+
+      if (next === undefined) {
+        index++;
+      } else if (next === AVM2Interpreter.RETURN) {
+        return ctx.returnValue;
+      } else {
+        index = this.findInstructionIndex(ctx, next);
+      }
+    }
+    return undefined;
+  }
+
+  // Exception table entry covering the offset whose type matches the thrown value
+  findHandler(ctx, offset, error) {
+    if (!error || !('avm2Value' in error)) {
+      return null;
+    }
+
+    for (const handler of ctx.body.exceptions || []) {
+      if (offset < handler.from || offset >= handler.to) continue;
+      if (!handler.excType) return handler;
+
+      const type = this.resolveClass(ctx.runtime, handler.excType);
+      if (!type || this.isType(error.avm2Value, type)) {
+        return handler;
+      }
+    }
+    return null;
+  }
+
+  getScopeChain(ctx) {
+    return ctx.scopeStack.length > 0 ? ctx.savedScope.concat(ctx.scopeStack) : ctx.savedScope;
+  }
+
+  popArguments(ctx, count) {
+    return count > 0 ? ctx.stack.splice(ctx.stack.length - count, count) : [];
+  }
+
+  // Receiver of a property opcode, after the runtime name parts
+  popReceiver(ctx, opcodeName) {
+    const object = ctx.stack.pop();
+    if (object === null || object === undefined) {
+      throw this.createError("TypeError", object === null ? 1009 : 1010,
+        object === null
+          ? "Cannot access a property or method of a null object reference."
+          : `A term is undefined and has no properties (${opcodeName}).`);
+    }
+    return object;
+  }
+
+  step(ctx, instruction) {
+    const stack = ctx.stack;
+    const locals = ctx.locals;
+    const operands = instruction.operands;
+
+    switch (instruction.opcode) {
+      case 0x01: case 0x02: case 0x09: case 0xEF: case 0xF0: case 0xF1: case 0xF2: case 0xF3:
+        // bkpt, nop, label, debug, debugline, debugfile, bkptline, timestamp
+        break;
+
+      case 0x03: // throw
+        throw AVM2Interpreter.createScriptError(stack.pop());
+
+      case 0x06: // dxns
+        break;
+      case 0x07: // dxnslate
+        stack.pop();
+        break;
+
+      case 0x08: // kill
+        locals[operands[0]] = undefined;
+        break;
+
+      // Branches
+      case 0x0C: return !this.lessThanResult(stack, false) ? instruction.targets[0] : undefined; // ifnlt
+      case 0x0D: return !this.lessEqualsResult(stack, false) ? instruction.targets[0] : undefined; // ifnle
+      case 0x0E: return !this.lessThanResult(stack, true) ? instruction.targets[0] : undefined; // ifngt
+      case 0x0F: return !this.lessEqualsResult(stack, true) ? instruction.targets[0] : undefined; // ifnge
+      case 0x10: return instruction.targets[0]; // jump
+      case 0x11: return this.toBoolean(stack.pop()) ? instruction.targets[0] : undefined; // iftrue
+      case 0x12: return !this.toBoolean(stack.pop()) ? instruction.targets[0] : undefined; // iffalse
+      case 0x13: case 0x14: { // ifeq, ifne
+        const right = stack.pop();
+        const equal = this.looseEquals(stack.pop(), right);
+        return equal === (instruction.opcode === 0x13) ? instruction.targets[0] : undefined;
+      }
+      case 0x15: return this.lessThanResult(stack, false) ? instruction.targets[0] : undefined; // iflt
+      case 0x16: return this.lessEqualsResult(stack, false) ? instruction.targets[0] : undefined; // ifle
+      case 0x17: return this.lessThanResult(stack, true) ? instruction.targets[0] : undefined; // ifgt
+      case 0x18: return this.lessEqualsResult(stack, true) ? instruction.targets[0] : undefined; // ifge
+      case 0x19: case 0x1A: { // ifstricteq, ifstrictne
+        const right = stack.pop();
+        const equal = this.strictEquals(stack.pop(), right);
+        return equal === (instruction.opcode === 0x19) ? instruction.targets[0] : undefined;
+      }
+
+      case 0x1B: { // lookupswitch: targets are [default, case 0, ..., case n]
+        const caseIndex = stack.pop();
+        const cases = instruction.targets.length - 1;
+        return Number.isInteger(caseIndex) && caseIndex >= 0 && caseIndex < cases
+          ? instruction.targets[caseIndex + 1]
+          : instruction.targets[0];
+      }
+
+      // Scope stack
+      case 0x1C: // pushwith
+      case 0x30: { // pushscope
+        const object = stack.pop();
+        if (object === null || object === undefined) {
+          throw this.createError("TypeError", 1009, "Cannot access a property or method of a null object reference.");
+        }
+        ctx.scopeStack.push(this.toObject(object));
+        break;
+      }
+      case 0x1D: // popscope
+        ctx.scopeStack.pop();
+        break;
+      case 0x64: // getglobalscope
+        stack.push(ctx.savedScope.length > 0 ? ctx.savedScope[0] : ctx.scopeStack[0]);
+        break;
+      case 0x65: // getscopeobject
+        stack.push(ctx.scopeStack[operands[0]]);
+        break;
+      case 0x67: // getouterscope
+        stack.push(ctx.savedScope[operands[0]]);
+        break;
+
+      // Iteration
+      case 0x1E: { // nextname
+        const index = this.toInteger(stack.pop());
+        const object = stack.pop();
+        stack.push(this.getEnumerableNames(object)[index - 1]);
+        break;
+      }
+      case 0x23: { // nextvalue
+        const index = this.toInteger(stack.pop());
+        const object = stack.pop();
+        const name = this.getEnumerableNames(object)[index - 1];
+        stack.push(name === undefined ? undefined : this.getProperty(object, name));
+        break;
+      }
+      case 0x1F: { // hasnext
+        const index = this.toInteger(stack.pop());
+        const object = stack.pop();
+        stack.push(index < this.getEnumerableNames(object).length ? index + 1 : 0);
+        break;
+      }
+      case 0x32: { // hasnext2
+        const object = locals[operands[0]];
+        const index = this.toInteger(locals[operands[1]]);
+        const hasNext = object !== null && object !== undefined && index < this.getEnumerableNames(object).length;
+        locals[operands[1]] = hasNext ? index + 1 : 0;
+        if (!hasNext) locals[operands[0]] = null;
+        stack.push(hasNext);
+        break;
+      }
+
+      // Constants
+      case 0x20: stack.push(null); break;
+      case 0x21: stack.push(undefined); break;
+      case 0x24: case 0x25: stack.push(operands[0]); break; // pushbyte, pushshort
+      case 0x26: stack.push(true); break;
+      case 0x27: stack.push(false); break;
+      case 0x28: stack.push(NaN); break;
+      case 0x2C: stack.push(ctx.runtime.pool.strings[operands[0]]); break;
+      case 0x2D: stack.push(ctx.runtime.pool.integers[operands[0]]); break;
+      case 0x2E: stack.push(ctx.runtime.pool.unsignedIntegers[operands[0]]); break;
+      case 0x2F: stack.push(ctx.runtime.pool.doubles[operands[0]]); break;
+      case 0x31: stack.push(this.createNamespace(this.namespaceName(ctx.runtime.pool, operands[0]))); break;
+
+      // Stack
+      case 0x29: stack.pop(); break;
+      case 0x2A: stack.push(stack[stack.length - 1]); break;
+      case 0x2B: { // swap
+        const top = stack.pop();
+        const below = stack.pop();
+        stack.push(top, below);
+        break;
+      }
+
+      // Locals
+      case 0x62: stack.push(locals[operands[0]]); break;
+      case 0x63: locals[operands[0]] = stack.pop(); break;
+      case 0xD0: case 0xD1: case 0xD2: case 0xD3:
+        stack.push(locals[instruction.opcode - 0xD0]);
+        break;
+      case 0xD4: case 0xD5: case 0xD6: case 0xD7:
+        locals[instruction.opcode - 0xD4] = stack.pop();
+        break;
+
+      // Functions, calls and construction
+      case 0x40: // newfunction
+        stack.push(this.createClosure(ctx.runtime, operands[0], this.getScopeChain(ctx).slice()));
+        break;
+
+      case 0x41: { // call
+        const args = this.popArguments(ctx, operands[0]);
+        const receiver = stack.pop();
+        stack.push(this.callFunction(stack.pop(), receiver, args));
+        break;
+      }
+
+      case 0x42: { // construct
+        const args = this.popArguments(ctx, operands[0]);
+        stack.push(this.construct(stack.pop(), args));
+        break;
+      }
+
+      case 0x43: // callmethod (dispatch ids are not assigned by this interpreter)
+        throw this.createError("VerifyError", 1051, "callmethod is not supported.");
+
+      case 0x44: { // callstatic
+        const args = this.popArguments(ctx, operands[1]);
+        const receiver = stack.pop();
+        stack.push(this.invokeMethod(ctx.runtime, operands[0], ctx.savedScope, receiver, args));
+        break;
+      }
+
+      case 0x45: case 0x4E: { // callsuper, callsupervoid
+        const args = this.popArguments(ctx, operands[1]);
+        const name = this.readName(ctx, operands[0]);
+        const receiver = this.popReceiver(ctx, instruction.name);
+        const result = this.callSuper(ctx, receiver, name.name, args);
+        if (instruction.opcode === 0x45) stack.push(result);
+        break;
+      }
+
+      case 0x46: case 0x4C: case 0x4F: { // callproperty, callproplex, callpropvoid
+        const args = this.popArguments(ctx, operands[1]);
+        const name = this.readName(ctx, operands[0]);
+        const receiver = this.popReceiver(ctx, instruction.name);
+        const func = this.getProperty(receiver, name.name);
+        if (!this.isCallable(func)) {
+          throw this.createError("TypeError", 1006, `${name.name} is not a function.`);
+        }
+        const result = this.callFunction(func, instruction.opcode === 0x4C ? null : receiver, args);
+        if (instruction.opcode !== 0x4F) stack.push(result);
+        break;
+      }
+
+      case 0x47: // returnvoid
+        ctx.returnValue = undefined;
+        return AVM2Interpreter.RETURN;
+      case 0x48: // returnvalue
+        ctx.returnValue = stack.pop();
+        return AVM2Interpreter.RETURN;
+
+      case 0x49: { // constructsuper
+        const args = this.popArguments(ctx, operands[0]);
+        const receiver = this.popReceiver(ctx, instruction.name);
+        const superClass = ctx.homeClass ? ctx.homeClass.classDefinition.superClass : null;
+        if (superClass) {
+          this.runConstructor(superClass, receiver, args);
+        }
+        break;
+      }
+
+      case 0x4A: { // constructprop
+        const args = this.popArguments(ctx, operands[1]);
+        const name = this.readName(ctx, operands[0]);
+        const receiver = this.popReceiver(ctx, instruction.name);
+        const constructor = this.getProperty(receiver, name.name);
+        if (!(constructor instanceof AVM2Object) || !constructor.construct) {
+          throw this.createError("TypeError", 1007, `Instantiation attempted on a non-constructor (${name.name}).`);
+        }
+        stack.push(constructor.construct(args));
+        break;
+      }
+
+      case 0x53: { // applytype
+        const types = this.popArguments(ctx, operands[0]);
+        stack.push(this.specializeVector(stack.pop(), types));
+        break;
+      }
+
+      // Sign extension
+      case 0x50: stack.push((stack.pop() & 1) ? -1 : 0); break;
+      case 0x51: stack.push((this.toInt32(stack.pop()) << 24) >> 24); break;
+      case 0x52: stack.push((this.toInt32(stack.pop()) << 16) >> 16); break;
+
+      // Object creation
+      case 0x55: { // newobject
+        const values = this.popArguments(ctx, operands[0] * 2);
+        const object = this.createObject();
+        for (let index = 0; index < values.length; index += 2) {
+          object.setOwnValue(this.toString(values[index]), values[index + 1]);
+        }
+        stack.push(object);
+        break;
+      }
+      case 0x56: // newarray
+        stack.push(this.createArray(this.popArguments(ctx, operands[0])));
+        break;
+      case 0x57: // newactivation
+        stack.push(this.createActivation(ctx.runtime, ctx.body));
+        break;
+      case 0x58: { // newclass
+        const superClass = stack.pop();
+        stack.push(this.createClass(ctx, operands[0], superClass instanceof AVM2Object ? superClass : null));
+        break;
+      }
+      case 0x5A: // newcatch
+        stack.push(this.createCatchScope(ctx.runtime, ctx.body.exceptions[operands[0]]));
+        break;
+
+      case 0x59: // getdescendants
+      case 0x71: case 0x72: case 0x78: // esc_xelem, esc_xattr, checkfilter
+        throw this.createError("VerifyError", 1051, `${instruction.name} (E4X) is not supported.`);
+
+      case 0x35: case 0x36: case 0x37: case 0x38: case 0x39:
+      case 0x3A: case 0x3B: case 0x3C: case 0x3D: case 0x3E:
+        throw this.createError("VerifyError", 1051, `${instruction.name} (domain memory) is not supported.`);
+
+      // Property lookup
+      case 0x5B: case 0x5C: case 0x5D: case 0x5E: { // findpropglobal(strict), findpropstrict, findproperty
+        const name = this.readName(ctx, operands[0]);
+        stack.push(this.findProperty(ctx, name, instruction.opcode === 0x5D || instruction.opcode === 0x5B));
+        break;
+      }
+      case 0x5F: { // finddef
+        const name = this.readName(ctx, operands[0]);
+        stack.push(this.findDefinition(name) || this.builtinGlobal);
+        break;
+      }
+      case 0x60: { // getlex
+        const name = this.readName(ctx, operands[0]);
+        stack.push(this.getProperty(this.findProperty(ctx, name, true), name.name));
+        break;
+      }
+
+      case 0x66: { // getproperty
+        const name = this.readName(ctx, operands[0]);
+        stack.push(this.getProperty(this.popReceiver(ctx, instruction.name), name.name));
+        break;
+      }
+      case 0x61: case 0x68: { // setproperty, initproperty
+        const value = stack.pop();
+        const name = this.readName(ctx, operands[0]);
+        this.setProperty(this.popReceiver(ctx, instruction.name), name.name, value, instruction.opcode === 0x68);
+        break;
+      }
+      case 0x6A: { // deleteproperty
+        const name = this.readName(ctx, operands[0]);
+        stack.push(this.deleteProperty(this.popReceiver(ctx, instruction.name), name.name));
+        break;
+      }
+      case 0x04: { // getsuper
+        const name = this.readName(ctx, operands[0]);
+        stack.push(this.getSuper(ctx, this.popReceiver(ctx, instruction.name), name.name));
+        break;
+      }
+      case 0x05: { // setsuper
+        const value = stack.pop();
+        const name = this.readName(ctx, operands[0]);
+        this.setSuper(ctx, this.popReceiver(ctx, instruction.name), name.name, value);
+        break;
+      }
+      case 0xB4: { // in
+        const object = stack.pop();
+        stack.push(this.hasProperty(this.toObject(object), this.toString(stack.pop())));
+        break;
+      }
+
+      // Slots
+      case 0x6C: // getslot
+        stack.push(this.toObject(this.popReceiver(ctx, instruction.name)).getSlot(operands[0]));
+        break;
+      case 0x6D: { // setslot
+        const value = stack.pop();
+        this.setSlotValue(this.popReceiver(ctx, instruction.name), operands[0], value);
+        break;
+      }
+      case 0x6E: // getglobalslot
+        stack.push(ctx.savedScope[0].getSlot(operands[0]));
+        break;
+      case 0x6F: // setglobalslot
+        this.setSlotValue(ctx.savedScope[0], operands[0], stack.pop());
+        break;
+
+      // Conversions
+      case 0x70: stack.push(this.toString(stack.pop())); break; // convert_s
+      case 0x85: { // coerce_s
+        const value = stack.pop();
+        stack.push(value === null || value === undefined ? null : this.toString(value));
+        break;
+      }
+      case 0x73: case 0x83: stack.push(this.toInt32(stack.pop())); break; // convert_i, coerce_i
+      case 0x74: case 0x88: stack.push(this.toUint32(stack.pop())); break; // convert_u, coerce_u
+      case 0x75: case 0x84: stack.push(this.toNumber(stack.pop())); break; // convert_d, coerce_d
+      case 0x76: case 0x81: stack.push(this.toBoolean(stack.pop())); break; // convert_b, coerce_b
+      case 0x77: { // convert_o
+        const value = stack[stack.length - 1];
+        if (value === null || value === undefined) {
+          throw this.createError("TypeError", 1009, "Cannot access a property or method of a null object reference.");
+        }
+        break;
+      }
+      case 0x89: { // coerce_o
+        const value = stack.pop();
+        stack.push(value === undefined ? null : value);
+        break;
+      }
+      case 0x82: // coerce_a
+        break;
+      case 0x80: { // coerce
+        const value = stack.pop();
+        stack.push(this.coerceToType(value, this.getTypeName(ctx.runtime, operands[0]), ctx.runtime, operands[0]));
+        break;
+      }
+
+      // Type checks
+      case 0x86: { // astype
+        const value = stack.pop();
+        const type = this.resolveClass(ctx.runtime, operands[0]);
+        stack.push(type && this.isType(value, type) ? value : null);
+        break;
+      }
+      case 0x87: { // astypelate
+        const type = stack.pop();
+        const value = stack.pop();
+        stack.push(this.isType(value, this.checkClass(type)) ? value : null);
+        break;
+      }
+      case 0xB2: { // istype
+        const value = stack.pop();
+        const type = this.resolveClass(ctx.runtime, operands[0]);
+        stack.push(!!type && this.isType(value, type));
+        break;
+      }
+      case 0xB3: { // istypelate
+        const type = stack.pop();
+        stack.push(this.isType(stack.pop(), this.checkClass(type)));
+        break;
+      }
+      case 0xB1: { // instanceof
+        const type = stack.pop();
+        stack.push(this.instanceOf(stack.pop(), type));
+        break;
+      }
+      case 0x95: // typeof
+        stack.push(this.typeOf(stack.pop()));
+        break;
+
+      // Arithmetic
+      case 0x90: stack.push(-this.toNumber(stack.pop())); break;
+      case 0x91: stack.push(this.toNumber(stack.pop()) + 1); break;
+      case 0x93: stack.push(this.toNumber(stack.pop()) - 1); break;
+      case 0x92: locals[operands[0]] = this.toNumber(locals[operands[0]]) + 1; break;
+      case 0x94: locals[operands[0]] = this.toNumber(locals[operands[0]]) - 1; break;
+      case 0xC0: stack.push((this.toInt32(stack.pop()) + 1) | 0); break;
+      case 0xC1: stack.push((this.toInt32(stack.pop()) - 1) | 0); break;
+      case 0xC2: locals[operands[0]] = (this.toInt32(locals[operands[0]]) + 1) | 0; break;
+      case 0xC3: locals[operands[0]] = (this.toInt32(locals[operands[0]]) - 1) | 0; break;
+      case 0xC4: stack.push(-this.toInt32(stack.pop()) | 0); break;
+      case 0x96: stack.push(!this.toBoolean(stack.pop())); break;
+      case 0x97: stack.push(~this.toInt32(stack.pop())); break;
+
+      case 0xA0: { // add
+        const right = stack.pop();
+        stack.push(this.add(stack.pop(), right));
+        break;
+      }
+      case 0xA1: case 0xA2: case 0xA3: case 0xA4:
+      case 0xA5: case 0xA6: case 0xA7: case 0xA8: case 0xA9: case 0xAA:
+      case 0xC5: case 0xC6: case 0xC7: {
+        const right = stack.pop();
+        stack.push(this.arithmetic(instruction.opcode, stack.pop(), right));
+        break;
+      }
+
+      // Comparison
+      case 0xAB: { // equals
+        const right = stack.pop();
+        stack.push(this.looseEquals(stack.pop(), right));
+        break;
+      }
+      case 0xAC: { // strictequals
+        const right = stack.pop();
+        stack.push(this.strictEquals(stack.pop(), right));
+        break;
+      }
+      case 0xAD: stack.push(this.lessThanResult(stack, false) === true); break; // lessthan
+      case 0xAE: stack.push(this.lessEqualsResult(stack, false)); break; // lessequals
+      case 0xAF: stack.push(this.lessThanResult(stack, true) === true); break; // greaterthan
+      case 0xB0: stack.push(this.lessEqualsResult(stack, true)); break; // greaterequals
+
+      default:
+        throw this.createError("VerifyError", 1011, `Method contained illegal opcode ${instruction.name} at offset ${instruction.offset}.`);
+    }
+
+    return undefined;
+  }
+
+  // a < b (swapped: b < a); undefined when either side is NaN
+  lessThanResult(stack, swapped) {
+    const right = stack.pop();
+    const left = stack.pop();
+    return swapped ? this.lessThan(right, left) : this.lessThan(left, right);
+  }
+
+  // a <= b is !(b < a), false when either side is NaN
+  lessEqualsResult(stack, swapped) {
+    const right = stack.pop();
+    const left = stack.pop();
+    const result = swapped ? this.lessThan(left, right) : this.lessThan(right, left);
+    return result === undefined ? false : !result;
+  }
+
+  arithmetic(opcode, left, right) {
+    switch (opcode) {
+      case 0xA1: return this.toNumber(left) - this.toNumber(right);
+      case 0xA2: return this.toNumber(left) * this.toNumber(right);
+      case 0xA3: return this.toNumber(left) / this.toNumber(right);
+      case 0xA4: return this.toNumber(left) % this.toNumber(right);
+      case 0xA5: return this.toInt32(left) << (this.toUint32(right) & 0x1F);
+      case 0xA6: return this.toInt32(left) >> (this.toUint32(right) & 0x1F);
+      case 0xA7: return this.toUint32(left) >>> (this.toUint32(right) & 0x1F);
+      case 0xA8: return this.toInt32(left) & this.toInt32(right);
+      case 0xA9: return this.toInt32(left) | this.toInt32(right);
+      case 0xAA: return this.toInt32(left) ^ this.toInt32(right);
+      case 0xC5: return (this.toInt32(left) + this.toInt32(right)) | 0;
+      case 0xC6: return (this.toInt32(left) - this.toInt32(right)) | 0;
+      case 0xC7: return Math.imul(this.toInt32(left), this.toInt32(right));
+      default: return NaN;
+    }
+  }
+
+  findProperty(ctx, name, strict) {
+    const scopes = this.getScopeChain(ctx);
+    for (let index = scopes.length - 1; index >= 0; index--) {
+      if (name.name !== null && this.hasProperty(scopes[index], name.name)) {
+        return scopes[index];
+      }
+    }
+
+    const holder = this.findDefinition(name);
+    if (holder) {
+      return holder;
+    }
+    if (strict) {
+      throw this.createError("ReferenceError", 1065, `Variable ${name.name} is not defined.`);
+    }
+    return scopes[0] || this.builtinGlobal;
+  }
+
+  // Activation objects hold the method body's traits (closure-captured locals)
+  createActivation(runtime, body) {
+    const activation = new AVM2Object(null, null);
+    activation.traitTable = AVM2Object.createTraitTable();
+    this.addTraits(activation.traitTable, runtime, body.traits || [], [], null);
+    activation.initializeSlots();
+    return activation;
+  }
+
+  // Catch scopes have a single slot named after the exception variable
+  createCatchScope(runtime, handler) {
+    const scope = new AVM2Object(null, null);
+    scope.traitTable = AVM2Object.createTraitTable();
+    if (handler && handler.varName) {
+      const name = this.getQName(runtime, handler.varName).name;
+      const record = { kind: 'slot', name: name, slotId: 1, index: 0, typeName: null, isConst: false, value: undefined };
+      scope.traitTable.traits.set(name, record);
+      scope.traitTable.slotsById.set(1, record);
+      scope.traitTable.slotCount = 1;
+    }
+    return scope;
+  }
+
+  setSlotValue(object, slotId, value) {
+    const target = this.toObject(object);
+    const trait = target.findSlotTrait(slotId);
+    target.setSlot(slotId, trait ? this.coerceToType(value, trait.typeName) : value);
+  }
+
+  // ==================== PROPERTIES ====================
+
+  // Traits first (slots, bound methods, getters), then dynamic properties up the prototype chain
+  getProperty(object, name) {
+    if (object === null || object === undefined) {
+      throw this.createError("TypeError", 1009, "Cannot access a property or method of a null object reference.");
+    }
+    if (!(object instanceof AVM2Object)) {
+      return this.getPrimitiveProperty(object, name);
+    }
+
+    const trait = object.findTrait(name);
+    if (trait) {
+      switch (trait.kind) {
+        case 'slot':
+          return object.slots[trait.index];
+        case 'method':
+          return this.bindMethod(object, trait);
+        case 'accessor':
+          if (!trait.getter) {
+            throw this.createError("ReferenceError", 1077, `Illegal read of write-only property ${name} on ${this.getClassName(object)}.`);
+          }
+          return this.callFunction(trait.getter, object, []);
+      }
+    }
+
+    const holder = object.findValueHolder(name);
+    if (holder) {
+      return holder.getOwnValue(name);
+    }
+
+    const definition = object.definition;
+    if (definition && definition.isSealed && !object.isClass()) {
+      throw this.createError("ReferenceError", 1069, `Property ${name} not found on ${definition.qualifiedName} and there is no default value.`);
+    }
+    return undefined;
+  }
+
+  // Methods and accessors of String, Number and Boolean run with the primitive as "this"
+  getPrimitiveProperty(value, name) {
+    const classObject = this.getPrimitiveClass(value);
+    const trait = classObject.classDefinition.instanceTable.traits.get(name);
+
+    if (trait && trait.kind === 'method') {
+      return this.createFunctionObject((thisObject, args) => this.callFunction(trait.func, value, args));
+    }
+    if (trait && trait.kind === 'accessor' && trait.getter) {
+      return this.callFunction(trait.getter, value, []);
+    }
+
+    const holder = classObject.classDefinition.prototype.findValueHolder(name);
+    return holder ? holder.getOwnValue(name) : undefined;
+  }
+
+  getPrimitiveClass(value) {
+    switch (typeof value) {
+      case 'string': return this.stringClass;
+      case 'boolean': return this.booleanClass;
+      default: return this.numberClass;
+    }
+  }
+
+  // Bound methods are cached so listener removal can compare them
+  bindMethod(object, trait) {
+    if (!object.boundMethods) {
+      object.boundMethods = new Map();
+    }
+
+    let bound = object.boundMethods.get(trait);
+    if (!bound) {
+      bound = this.createFunctionObject((thisObject, args) => this.callFunction(trait.func, object, args));
+      object.boundMethods.set(trait, bound);
+    }
+    return bound;
+  }
+
+  // initproperty may write const slots (class and instance initializers)
+  setProperty(object, name, value, initialize = false) {
+    if (object === null || object === undefined) {
+      throw this.createError("TypeError", 1009, "Cannot access a property or method of a null object reference.");
+    }
+    if (!(object instanceof AVM2Object)) {
+      return;
+    }
+
+    const trait = object.findTrait(name);
+    if (trait) {
+      switch (trait.kind) {
+        case 'slot':
+          if (trait.isConst && !initialize) {
+            throw this.createError("ReferenceError", 1074, `Illegal write to read-only property ${name} on ${this.getClassName(object)}.`);
+          }
+          object.slots[trait.index] = this.coerceToType(value, trait.typeName);
+          return;
+        case 'method':
+          throw this.createError("ReferenceError", 1037, `Cannot assign to a method ${name} on ${this.getClassName(object)}.`);
+        case 'accessor':
+          if (!trait.setter) {
+            throw this.createError("ReferenceError", 1074, `Illegal write to read-only property ${name} on ${this.getClassName(object)}.`);
+          }
+          this.callFunction(trait.setter, object, [value]);
+          return;
+      }
+    }
+
+    const definition = object.definition;
+    if (definition && definition.isSealed && !object.isClass() && !(object.array && AVM2Object.arrayIndex(name) !== null)) {
+      throw this.createError("ReferenceError", 1056, `Cannot create property ${name} on ${definition.qualifiedName}.`);
+    }
+    object.setOwnValue(name, value);
+  }
+
+  hasProperty(object, name) {
+    if (object === null || object === undefined) {
+      return false;
+    }
+    if (!(object instanceof AVM2Object)) {
+      const classObject = this.getPrimitiveClass(object);
+      return classObject.classDefinition.instanceTable.traits.has(name) ||
+        classObject.classDefinition.prototype.findValueHolder(name) !== null;
+    }
+    return object.findTrait(name) !== null || object.findValueHolder(name) !== null;
+  }
+
+  // Fixed traits cannot be deleted
+  deleteProperty(object, name) {
+    if (!(object instanceof AVM2Object) || object.findTrait(name)) {
+      return false;
+    }
+    object.deleteOwnValue(name);
+    return true;
+  }
+
+  getEnumerableNames(object) {
+    return object instanceof AVM2Object ? object.getEnumerableNames() : [];
+  }
+
+  // Trait of the home class's base class, for getsuper/setsuper/callsuper
+  findSuperTrait(ctx, name) {
+    const superClass = ctx.homeClass ? ctx.homeClass.classDefinition.superClass : null;
+    return superClass ? superClass.classDefinition.instanceTable.traits.get(name) || null : null;
+  }
+
+  getSuper(ctx, receiver, name) {
+    const trait = this.findSuperTrait(ctx, name);
+    if (!trait) {
+      return this.getProperty(receiver, name);
+    }
+    switch (trait.kind) {
+      case 'method':
+        return this.createFunctionObject((thisObject, args) => this.callFunction(trait.func, receiver, args));
+      case 'accessor':
+        return trait.getter ? this.callFunction(trait.getter, receiver, []) : undefined;
+      default:
+        return receiver.slots[trait.index];
+    }
+  }
+
+  setSuper(ctx, receiver, name, value) {
+    const trait = this.findSuperTrait(ctx, name);
+    if (trait && trait.kind === 'accessor' && trait.setter) {
+      this.callFunction(trait.setter, receiver, [value]);
+    } else {
+      this.setProperty(receiver, name, value);
+    }
+  }
+
+  callSuper(ctx, receiver, name, args) {
+    const trait = this.findSuperTrait(ctx, name);
+    const func = trait && trait.kind === 'method' ? trait.func : this.getSuper(ctx, receiver, name);
+    if (!this.isCallable(func)) {
+      throw this.createError("TypeError", 1006, `${name} is not a function.`);
+    }
+    return this.callFunction(func, receiver, args);
+  }
+
+  // ==================== FUNCTIONS ====================
+
+  createFunctionObject(callable, length = 0) {
+    const func = new AVM2Object(this.functionClass || null, this.functionPrototype || null);
+    func.callable = callable;
+    func.defineValue("length", length);
+    return func;
+  }
+
+  // Methods keep their class for super calls; "this" is always the receiver
+  createMethodFunction(runtime, methodIndex, scope, homeClass) {
+    const info = runtime.file.methods[methodIndex];
+    const func = this.createFunctionObject(null, info ? info.paramCount : 0);
+    func.callable = (thisObject, args) => this.invokeMethod(runtime, methodIndex, scope, thisObject, args, homeClass, func);
+    return func;
+  }
+
+  // newfunction closures: "this" defaults to the global object and "new" uses their prototype
+  createClosure(runtime, methodIndex, scope) {
+    const info = runtime.file.methods[methodIndex];
+    const func = this.createFunctionObject(null, info ? info.paramCount : 0);
+    const global = scope[0] || null;
+
+    func.callable = (thisObject, args) => this.invokeMethod(runtime, methodIndex, scope,
+      thisObject === null || thisObject === undefined ? global : thisObject, args, null, func);
+    func.construct = args => {
+      const prototype = func.getOwnValue("prototype");
+      const object = new AVM2Object(this.objectClass, prototype instanceof AVM2Object ? prototype : this.objectPrototype);
+      const result = func.callable(object, args);
+      return result instanceof AVM2Object ? result : object;
+    };
+
+    const prototype = this.createObject();
+    prototype.defineValue("constructor", func);
+    func.defineValue("prototype", prototype);
+    return func;
+  }
+
+  isCallable(value) {
+    return value instanceof AVM2Object && value.callable !== null;
+  }
+
+  callFunction(func, thisObject, args) {
+    if (!this.isCallable(func)) {
+      throw this.createError("TypeError", 1006, "value is not a function.");
+    }
+    return func.callable(thisObject, args);
+  }
+
+  callMethod(object, name, args) {
+    return this.callFunction(this.getProperty(object, name), object, args);
+  }
+
+  construct(constructor, args) {
+    if (!(constructor instanceof AVM2Object) || !constructor.construct) {
+      throw this.createError("TypeError", 1007, "Instantiation attempted on a non-constructor.");
+    }
+    return constructor.construct(args);
+  }
+
+  // ==================== TYPES ====================
+
+  isType(value, type) {
+    if (!(type instanceof AVM2Object) || value === null || value === undefined) {
+      return false;
+    }
+
+    switch (type) {
+      case this.objectClass:
+        return true;
+      case this.numberClass:
+        return typeof value === 'number';
+      case this.intClass:
+        return typeof value === 'number' && (value | 0) === value;
+      case this.uintClass:
+        return typeof value === 'number' && (value >>> 0) === value;
+      case this.stringClass:
+        return typeof value === 'string';
+      case this.booleanClass:
+        return typeof value === 'boolean';
+      case this.classClass:
+        return value instanceof AVM2Object && value.isClass();
+      case this.functionClass:
+        return value instanceof AVM2Object && value.isFunction();
+    }
+
+    return value instanceof AVM2Object && value.isInstanceOf(type);
+  }
+
+  checkClass(type) {
+    if (!(type instanceof AVM2Object) || !type.isClass()) {
+      throw this.createError("TypeError", 1041, "The right-hand side of operator must be a class.");
+    }
+    return type;
+  }
+
+  coerceToClass(value, type) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (!this.isType(value, type)) {
+      throw this.createError("TypeError", 1034,
+        `Type Coercion failed: cannot convert ${this.describe(value)} to ${type.classDefinition.qualifiedName}.`);
+    }
+    return value;
+  }
+
+  // Declared parameter, slot and return types; class types are checked when the ABC names them
+  coerceToType(value, typeName, runtime = null, index = 0) {
+    switch (typeName) {
+      case null: case undefined: case "*": return value;
+      case "void": return undefined;
+      case "int": return this.toInt32(value);
+      case "uint": return this.toUint32(value);
+      case "Number": return this.toNumber(value);
+      case "String": return value === null || value === undefined ? null : this.toString(value);
+      case "Boolean": return this.toBoolean(value);
+      case "Object": return value === undefined ? null : value;
+    }
+
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const type = runtime && index ? this.resolveClass(runtime, index) : null;
+    return type && !type.classDefinition.isInterface ? this.coerceToClass(value, type) : value;
+  }
+
+  instanceOf(value, type) {
+    if (!(type instanceof AVM2Object)) {
+      throw this.createError("TypeError", 1040, "The right-hand side of instanceof must be a class or function.");
+    }
+    if (value === null || value === undefined) {
+      return false;
+    }
+
+    const prototype = this.getProperty(type, "prototype");
+    let object = this.toObject(value).proto;
+    let depth = 0;
+    while (object && depth++ < 256) {
+      if (object === prototype) return true;
+      object = object.proto;
+    }
+    return false;
+  }
+
+  typeOf(value) {
+    if (value === null) return "object";
+    if (value instanceof AVM2Object) return value.isFunction() ? "function" : "object";
+    return typeof value;
+  }
+
+  getClassName(object) {
+    const definition = object instanceof AVM2Object ? object.definition : this.getPrimitiveClass(object).classDefinition;
+    return definition ? definition.qualifiedName : "Object";
+  }
+
+  // Short value description for error messages: the class name, or the primitive itself
+  describe(value) {
+    if (value instanceof AVM2Object) {
+      return value.isClass() ? `${value.classDefinition.qualifiedName}$` : this.getClassName(value);
+    }
+    return typeof value === 'string' ? `"${value}"` : this.toString(value);
+  }
+
+  // ==================== VALUE CONVERSIONS ====================
+
+  toNumber(value) {
+    switch (typeof value) {
+      case 'number': return value;
+      case 'boolean': return value ? 1 : 0;
+      case 'string': return value.trim() === "" ? 0 : Number(value.trim());
+      case 'undefined': return NaN;
+    }
+    if (value === null) {
+      return 0;
+    }
+    return this.toNumber(this.toPrimitive(value, 'number'));
+  }
+
+  toString(value) {
+    switch (typeof value) {
+      case 'string': return value;
+      case 'number': return String(value);
+      case 'boolean': return value ? "true" : "false";
+      case 'undefined': return "undefined";
+    }
+    if (value === null) {
+      return "null";
+    }
+    return this.toString(this.toPrimitive(value, 'string'));
+  }
+
+  toBoolean(value) {
+    return value instanceof AVM2Object ? true : !!value;
+  }
+
+  toInt32(value) {
+    return this.toNumber(value) | 0;
+  }
+
+  toUint32(value) {
+    return this.toNumber(value) >>> 0;
+  }
+
+  toInteger(value) {
+    const number = this.toNumber(value);
+    return Number.isFinite(number) ? Math.trunc(number) : 0;
+  }
+
+  // valueOf/toString as defined by the object (string hint tries toString first)
+  toPrimitive(value, hint = 'number') {
+    if (!(value instanceof AVM2Object)) {
+      return value;
+    }
+    if (value.primitive !== undefined) {
+      return value.primitive;
+    }
+
+    const order = hint === 'string' ? ["toString", "valueOf"] : ["valueOf", "toString"];
+    for (const name of order) {
+      const method = this.hasProperty(value, name) ? this.getProperty(value, name) : undefined;
+      if (this.isCallable(method)) {
+        const result = this.callFunction(method, value, []);
+        if (!(result instanceof AVM2Object)) {
+          return result;
+        }
+      }
+    }
+    return this.defaultToString(value);
+  }
+
+  defaultToString(object) {
+    if (object.isClass()) return `[class ${object.classDefinition.name}]`;
+    if (object.isFunction()) return "function Function() {}";
+    const definition = object.definition;
+    return `[object ${definition ? definition.name : "Object"}]`;
+  }
+
+  toObject(value) {
+    if (value instanceof AVM2Object) {
+      return value;
+    }
+    if (value === null || value === undefined) {
+      throw this.createError("TypeError", 1009, "Cannot access a property or method of a null object reference.");
+    }
+
+    const classObject = this.getPrimitiveClass(value);
+    const box = new AVM2Object(classObject, classObject.classDefinition.prototype);
+    box.primitive = value;
+    return box;
+  }
+
+  add(left, right) {
+    if (typeof left === 'number' && typeof right === 'number') {
+      return left + right;
+    }
+
+    const a = this.toPrimitive(left);
+    const b = this.toPrimitive(right);
+    if (typeof a === 'string' || typeof b === 'string') {
+      return this.toString(a) + this.toString(b);
+    }
+    return this.toNumber(a) + this.toNumber(b);
+  }
+
+  // undefined when either operand is NaN
+  lessThan(left, right) {
+    const a = this.toPrimitive(left);
+    const b = this.toPrimitive(right);
+    if (typeof a === 'string' && typeof b === 'string') {
+      return a < b;
+    }
+
+    const x = this.toNumber(a);
+    const y = this.toNumber(b);
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+      return undefined;
+    }
+    return x < y;
+  }
+
+  looseEquals(left, right) {
+    if ((left === null || left === undefined) && (right === null || right === undefined)) {
+      return true;
+    }
+    if (left === null || left === undefined || right === null || right === undefined) {
+      return false;
+    }
+
+    const leftObject = left instanceof AVM2Object;
+    const rightObject = right instanceof AVM2Object;
+    if (leftObject && rightObject) {
+      return left === right;
+    }
+    if (leftObject || rightObject) {
+      return this.looseEquals(leftObject ? this.toPrimitive(left) : left, rightObject ? this.toPrimitive(right) : right);
+    }
+    if (typeof left === typeof right) {
+      return left === right;
+    }
+    return this.toNumber(left) === this.toNumber(right);
+  }
+
+  strictEquals(left, right) {
+    return left === right;
+  }
+
+  // ==================== ERRORS AND HOST ====================
+
+  // Runtime errors are instances of the built-in error classes, so scripts can catch them
+  createError(className, errorId, message) {
+    const classObject = this.builtinGlobal.getOwnValue(className) || this.builtinGlobal.getOwnValue("Error");
+    const error = this.constructInstance(classObject, [`Error #${errorId}: ${message}`, errorId]);
+    return AVM2Interpreter.createScriptError(error);
+  }
+
+  static createScriptError(value) {
+    const error = new Error("Uncaught AVM2 exception");
+    error.avm2Value = value;
+    return error;
+  }
+
+  reportError(error) {
+    const message = error && 'avm2Value' in error
+      ? `Uncaught exception: ${this.toString(error.avm2Value)}`
+      : `Script error: ${error && error.message ? error.message : error}`;
+    this.errors.push(message);
+  }
+
+  trace(args) {
+    const message = args.map(value => this.toString(value)).join(" ");
+    this.traceOutput.push(message);
+    if (this.onTrace) {
+      this.onTrace(message);
+    }
+  }
+
+  // ==================== BUILT-IN LIBRARY ====================
+
+  createObject() {
+    return new AVM2Object(this.objectClass, this.objectPrototype);
+  }
+
+  createArray(elements) {
+    const array = new AVM2Object(this.arrayClass, this.arrayClass.classDefinition.prototype);
+    array.array = elements;
+    return array;
+  }
+
+  createNamespace(uri) {
+    const namespace = new AVM2Object(this.namespaceClass, this.namespaceClass.classDefinition.prototype);
+    namespace.defineValue("uri", uri);
+    namespace.defineValue("prefix", undefined);
+    return namespace;
+  }
+
+  defineMethods(target, methods) {
+    for (const [name, impl] of Object.entries(methods)) {
+      target.defineValue(name, this.createFunctionObject(impl, impl.length));
+    }
+  }
+
+  // Native class: methods and properties ([getter, setter]) become instance traits, statics and
+  // constants become class traits; the class is registered by its local name in the builtins
+  defineNativeClass(qualifiedName, superClass, spec = {}) {
+    const split = qualifiedName.lastIndexOf(".");
+    const name = split === -1 ? qualifiedName : qualifiedName.substring(split + 1);
+    const classObject = this.createClassObject(name, split === -1 ? "" : qualifiedName.substring(0, split), superClass, {
+      isSealed: !spec.dynamic,
+      init: spec.init,
+      construct: spec.construct,
+      call: spec.call
+    });
+
+    this.defineNativeTraits(classObject.classDefinition.instanceTable, spec.methods, spec.properties, null);
+    this.defineNativeTraits(classObject.traitTable, spec.statics, spec.staticProperties, spec.constants);
+    classObject.initializeSlots();
+
+    this.builtinGlobal.defineValue(name, classObject);
+    return classObject;
+  }
+
+  defineNativeTraits(table, methods = {}, properties = {}, constants = {}) {
+    for (const [name, impl] of Object.entries(methods || {})) {
+      table.traits.set(name, { kind: 'method', name: name, func: this.createFunctionObject(impl, impl.length) });
+    }
+
+    for (const [name, [getter, setter]] of Object.entries(properties || {})) {
+      table.traits.set(name, {
+        kind: 'accessor',
+        name: name,
+        getter: getter ? this.createFunctionObject(thisObject => getter(thisObject)) : null,
+        setter: setter ? this.createFunctionObject((thisObject, args) => { setter(thisObject, args[0]); }) : null
+      });
+    }
+
+    for (const [name, value] of Object.entries(constants || {})) {
+      table.traits.set(name, { kind: 'slot', name: name, slotId: 0, index: table.slotCount++, typeName: null, isConst: true, value: value });
+    }
+  }
+
+  defineGlobalFunctions(functions) {
+    for (const [name, impl] of Object.entries(functions)) {
+      this.builtinGlobal.defineValue(name, this.createFunctionObject(impl, impl.length));
+    }
+  }
+
+  createGlobals() {
+    this.objectPrototype = null;
+    this.functionPrototype = null;
+    this.classClass = null;
+    this.functionClass = null;
+    this.builtinGlobal = new AVM2Object(null, null);
+    this.vectorClasses = new Map();
+
+    // Object, Class and Function refer to each other, so their links are filled in afterwards
+    this.objectClass = this.defineNativeClass("Object", null, {
+      dynamic: true,
+      construct: args => args[0] instanceof AVM2Object ? args[0] : this.createObject(),
+      call: args => args[0] === null || args[0] === undefined ? this.createObject() : args[0]
+    });
+    this.objectPrototype = this.objectClass.classDefinition.prototype;
+    this.classClass = this.defineNativeClass("Class", this.objectClass);
+    this.functionClass = this.defineNativeClass("Function", this.objectClass, {
+      dynamic: true,
+      construct: () => this.createFunctionObject(() => undefined),
+      call: () => this.createFunctionObject(() => undefined)
+    });
+    this.functionPrototype = this.functionClass.classDefinition.prototype;
+    for (const classObject of [this.objectClass, this.classClass, this.functionClass]) {
+      classObject.classObject = this.classClass;
+      classObject.proto = this.objectPrototype;
+    }
+
+    this.defineObjectMethods();
+    this.defineFunctionMethods();
+    this.namespaceClass = this.defineNativeClass("Namespace", this.objectClass, {
+      construct: args => this.createNamespace(args.length > 0 ? this.namespaceUri(args[args.length - 1]) : ""),
+      call: args => this.createNamespace(args.length > 0 ? this.namespaceUri(args[args.length - 1]) : ""),
+      methods: { toString: thisObject => this.toString(thisObject.getOwnValue("uri")) },
+      properties: { uri: [thisObject => thisObject.getOwnValue("uri")] }
+    });
+    this.qnameClass = this.defineNativeClass("QName", this.objectClass, {
+      init: (object, args) => {
+        object.defineValue("uri", args.length > 1 ? this.namespaceUri(args[0]) : "");
+        object.defineValue("localName", args.length > 0 ? this.toString(args[args.length - 1]) : "");
+      },
+      methods: {
+        toString: thisObject => {
+          const uri = thisObject.getOwnValue("uri");
+          return uri ? `${uri}::${thisObject.getOwnValue("localName")}` : thisObject.getOwnValue("localName");
+        }
+      }
+    });
+
+    this.defineArrayClasses();
+    this.defineStringClass();
+    this.defineNumberClasses();
+    this.defineMathClass();
+    this.defineErrorClasses();
+    this.defineGlobalFunctionSet();
+    this.defineEventClasses();
+    this.defineDisplayClasses();
+  }
+
+  defineObjectMethods() {
+    this.defineMethods(this.objectPrototype, {
+      hasOwnProperty: (thisObject, args) => {
+        const name = this.toString(args[0]);
+        if (!(thisObject instanceof AVM2Object)) return this.hasProperty(thisObject, name);
+        return thisObject.findTrait(name) !== null || thisObject.hasOwnValue(name);
+      },
+      isPrototypeOf: (thisObject, args) => {
+        let object = args[0] instanceof AVM2Object ? args[0].proto : null;
+        while (object) {
+          if (object === thisObject) return true;
+          object = object.proto;
+        }
+        return false;
+      },
+      propertyIsEnumerable: (thisObject, args) => thisObject instanceof AVM2Object &&
+        thisObject.getEnumerableNames().includes(this.toString(args[0])),
+      setPropertyIsEnumerable: (thisObject, args) => {
+        const name = this.toString(args[0]);
+        if (thisObject instanceof AVM2Object && thisObject.values.has(name)) {
+          thisObject.defineValue(name, thisObject.values.get(name), this.toBoolean(args[1]));
+        }
+      },
+      toString: thisObject => thisObject instanceof AVM2Object ? this.defaultToString(thisObject) : this.toString(thisObject),
+      toLocaleString: thisObject => this.toString(thisObject),
+      valueOf: thisObject => thisObject
+    });
+  }
+
+  defineFunctionMethods() {
+    this.defineMethods(this.functionPrototype, {
+      call: (thisObject, args) => this.callFunction(thisObject, args[0], args.slice(1)),
+      apply: (thisObject, args) => {
+        const list = args[1] instanceof AVM2Object && args[1].array ? args[1].array.slice() : [];
+        return this.callFunction(thisObject, args[0], list);
+      },
+      toString: () => "function Function() {}"
+    });
+  }
+
+  // ==================== ARRAY AND VECTOR ====================
+
+  elementsOf(object) {
+    return object instanceof AVM2Object && object.array ? object.array : [];
+  }
+
+  constructArrayElements(args) {
+    if (args.length === 1 && typeof args[0] === 'number') {
+      const length = args[0];
+      if ((length >>> 0) !== length) {
+        throw this.createError("RangeError", 1005, `Array index is not a positive integer (${length}).`);
+      }
+      return new Array(length).fill(undefined);
+    }
+    return args.slice();
+  }
+
+  getArrayMethods(createResult) {
+    const elements = thisObject => this.elementsOf(thisObject);
+
+    return {
+      push: (thisObject, args) => elements(thisObject).push(...args),
+      pop: thisObject => elements(thisObject).pop(),
+      shift: thisObject => elements(thisObject).shift(),
+      unshift: (thisObject, args) => elements(thisObject).unshift(...args),
+      slice: (thisObject, args) => createResult(thisObject, elements(thisObject).slice(
+        args.length > 0 ? this.toInteger(args[0]) : 0,
+        args.length > 1 ? this.toInteger(args[1]) : undefined)),
+      splice: (thisObject, args) => {
+        if (args.length === 0) return createResult(thisObject, []);
+        const list = elements(thisObject);
+        const start = this.toInteger(args[0]);
+        const count = args.length > 1 ? this.toInteger(args[1]) : list.length;
+        return createResult(thisObject, list.splice(start, count, ...args.slice(2)));
+      },
+      concat: (thisObject, args) => {
+        const result = elements(thisObject).slice();
+        for (const value of args) {
+          if (value instanceof AVM2Object && value.array) result.push(...value.array);
+          else result.push(value);
+        }
+        return createResult(thisObject, result);
+      },
+      join: (thisObject, args) => {
+        const separator = args.length > 0 && args[0] !== undefined ? this.toString(args[0]) : ",";
+        return elements(thisObject).map(value => value === null || value === undefined ? "" : this.toString(value)).join(separator);
+      },
+      reverse: thisObject => {
+        elements(thisObject).reverse();
+        return thisObject;
+      },
+      indexOf: (thisObject, args) => elements(thisObject).indexOf(args[0], args.length > 1 ? this.toInteger(args[1]) : 0),
+      lastIndexOf: (thisObject, args) => {
+        const list = elements(thisObject);
+        return list.lastIndexOf(args[0], args.length > 1 ? this.toInteger(args[1]) : list.length - 1);
+      },
+      forEach: (thisObject, args) => {
+        elements(thisObject).slice().forEach((value, index) =>
+          this.callFunction(args[0], args.length > 1 ? args[1] : null, [value, index, thisObject]));
+      },
+      map: (thisObject, args) => createResult(thisObject, elements(thisObject).map((value, index) =>
+        this.callFunction(args[0], args.length > 1 ? args[1] : null, [value, index, thisObject]))),
+      filter: (thisObject, args) => createResult(thisObject, elements(thisObject).filter((value, index) =>
+        this.toBoolean(this.callFunction(args[0], args.length > 1 ? args[1] : null, [value, index, thisObject])))),
+      some: (thisObject, args) => elements(thisObject).some((value, index) =>
+        this.toBoolean(this.callFunction(args[0], args.length > 1 ? args[1] : null, [value, index, thisObject]))),
+      every: (thisObject, args) => elements(thisObject).every((value, index) =>
+        this.toBoolean(this.callFunction(args[0], args.length > 1 ? args[1] : null, [value, index, thisObject]))),
+      sort: (thisObject, args) => {
+        const compareFunction = this.isCallable(args[0]) ? args[0] : null;
+        const options = this.toInteger(compareFunction ? args[1] : args[0]);
+        return this.sortArray(thisObject, compareFunction, options, value => value);
+      },
+      toString: thisObject => elements(thisObject).map(value => value === null || value === undefined ? "" : this.toString(value)).join(",")
+    };
+  }
+
+  // Array.sort/sortOn options: 1 CASEINSENSITIVE, 2 DESCENDING, 4 UNIQUESORT,
+  // 8 RETURNINDEXEDARRAY, 16 NUMERIC
+  sortArray(object, compareFunction, options, key) {
+    const elements = this.elementsOf(object);
+    const compare = (a, b) => {
+      if (compareFunction) {
+        return this.toNumber(this.callFunction(compareFunction, null, [a, b])) || 0;
+      }
+      const x = key(a);
+      const y = key(b);
+      if (options & 16) {
+        return this.toNumber(x) - this.toNumber(y);
+      }
+      let left = this.toString(x);
+      let right = this.toString(y);
+      if (options & 1) {
+        left = left.toLowerCase();
+        right = right.toLowerCase();
+      }
+      return left < right ? -1 : left > right ? 1 : 0;
+    };
+
+    let duplicate = false;
+    const order = elements.map((value, index) => index);
+    order.sort((a, b) => {
+      const result = compare(elements[a], elements[b]);
+      if (result === 0) duplicate = true;
+      return (options & 2 ? -result : result) || a - b;
+    });
+
+    if ((options & 4) && duplicate) {
+      return 0;
+    }
+    if (options & 8) {
+      return this.createArray(order);
+    }
+    const sorted = order.map(index => elements[index]);
+    elements.length = 0;
+    elements.push(...sorted);
+    return object;
+  }
+
+  defineArrayClasses() {
+    const lengthProperty = [
+      thisObject => this.elementsOf(thisObject).length,
+      (thisObject, value) => {
+        const list = this.elementsOf(thisObject);
+        const length = this.toUint32(value);
+        if (length < list.length) list.length = length;
+        while (list.length < length) list.push(undefined);
+      }
+    ];
+
+    const arrayMethods = this.getArrayMethods((source, elements) => this.createArray(elements));
+    arrayMethods.sortOn = (thisObject, args) => {
+      const names = args[0] instanceof AVM2Object && args[0].array ? args[0].array.map(name => this.toString(name)) : [this.toString(args[0])];
+      const options = this.toInteger(args[1]);
+      return this.sortArray(thisObject, null, options, value => value instanceof AVM2Object ? this.getProperty(value, names[0]) : undefined);
+    };
+
+    this.arrayClass = this.defineNativeClass("Array", this.objectClass, {
+      dynamic: true,
+      init: (object, args) => { object.array = this.constructArrayElements(args); },
+      call: args => this.createArray(this.constructArrayElements(args)),
+      methods: arrayMethods,
+      properties: { length: lengthProperty },
+      constants: { CASEINSENSITIVE: 1, DESCENDING: 2, UNIQUESORT: 4, RETURNINDEXEDARRAY: 8, NUMERIC: 16 }
+    });
+
+    // Vector.<T> results keep the receiver's specialized class
+    const vectorMethods = this.getArrayMethods((source, elements) => this.createVector(source.classObject, elements));
+    vectorMethods.sort = (thisObject, args) => this.sortArray(thisObject, this.isCallable(args[0]) ? args[0] : null,
+      this.isCallable(args[0]) ? 0 : this.toInteger(args[0]), value => value);
+
+    this.vectorClass = this.defineNativeClass("__AS3__.vec.Vector", this.objectClass, {
+      init: (object, args) => {
+        const length = args.length > 0 ? this.toUint32(args[0]) : 0;
+        const elementType = object.classObject.classDefinition.elementType || null;
+        object.array = new Array(length).fill(AVM2Interpreter.getTypeDefault(elementType));
+      },
+      methods: vectorMethods,
+      properties: {
+        length: lengthProperty,
+        fixed: [thisObject => false, () => {}]
+      }
+    });
+  }
+
+  // applytype: Vector.<T> is a subclass of the untyped Vector that remembers its element type
+  specializeVector(factory, types) {
+    if (factory !== this.vectorClass) {
+      return factory;
+    }
+
+    const type = types[0] instanceof AVM2Object && types[0].isClass() ? types[0] : null;
+    const elementType = type ? type.classDefinition.name : "*";
+    let specialized = this.vectorClasses.get(elementType);
+    if (!specialized) {
+      specialized = this.createClassObject(`Vector.<${elementType}>`, "__AS3__.vec", this.vectorClass);
+      specialized.classDefinition.elementType = elementType;
+      this.vectorClasses.set(elementType, specialized);
+    }
+    return specialized;
+  }
+
+  createVector(classObject, elements) {
+    const vector = new AVM2Object(classObject, classObject.classDefinition.prototype);
+    vector.array = elements;
+    return vector;
+  }
+
+  // ==================== STRING, NUMBER, BOOLEAN, MATH ====================
+
+  defineStringClass() {
+    const text = thisObject => this.toString(thisObject);
+
+    this.stringClass = this.defineNativeClass("String", this.objectClass, {
+      construct: args => args.length > 0 ? this.toString(args[0]) : "",
+      call: args => args.length > 0 ? this.toString(args[0]) : "",
+      methods: {
+        charAt: (thisObject, args) => text(thisObject).charAt(this.toInteger(args[0])),
+        charCodeAt: (thisObject, args) => text(thisObject).charCodeAt(this.toInteger(args[0])),
+        concat: (thisObject, args) => text(thisObject) + args.map(value => this.toString(value)).join(""),
+        indexOf: (thisObject, args) => text(thisObject).indexOf(this.toString(args[0]), this.toInteger(args[1])),
+        lastIndexOf: (thisObject, args) => text(thisObject).lastIndexOf(this.toString(args[0]),
+          args.length > 1 ? this.toInteger(args[1]) : Infinity),
+        localeCompare: (thisObject, args) => text(thisObject).localeCompare(this.toString(args[0])),
+        replace: (thisObject, args) => {
+          const source = text(thisObject);
+          const pattern = this.toString(args[0]);
+          const index = source.indexOf(pattern);
+          if (index === -1) return source;
+          const replacement = this.isCallable(args[1])
+            ? this.toString(this.callFunction(args[1], null, [pattern, index, source]))
+            : this.toString(args[1]);
+          return source.substring(0, index) + replacement + source.substring(index + pattern.length);
+        },
+        slice: (thisObject, args) => text(thisObject).slice(this.toInteger(args[0]),
+          args.length > 1 ? this.toInteger(args[1]) : undefined),
+        split: (thisObject, args) => {
+          if (args[0] === undefined) return this.createArray([text(thisObject)]);
+          const limit = args.length > 1 && args[1] !== undefined ? this.toUint32(args[1]) : undefined;
+          return this.createArray(text(thisObject).split(this.toString(args[0]), limit));
+        },
+        substr: (thisObject, args) => text(thisObject).substr(this.toInteger(args[0]),
+          args.length > 1 ? this.toInteger(args[1]) : undefined),
+        substring: (thisObject, args) => text(thisObject).substring(this.toInteger(args[0]),
+          args.length > 1 ? this.toInteger(args[1]) : undefined),
+        toLowerCase: thisObject => text(thisObject).toLowerCase(),
+        toUpperCase: thisObject => text(thisObject).toUpperCase(),
+        toLocaleLowerCase: thisObject => text(thisObject).toLowerCase(),
+        toLocaleUpperCase: thisObject => text(thisObject).toUpperCase(),
+        toString: thisObject => text(thisObject),
+        valueOf: thisObject => text(thisObject)
+      },
+      properties: { length: [thisObject => text(thisObject).length] },
+      statics: {
+        fromCharCode: (thisObject, args) => String.fromCharCode(...args.map(value => this.toUint32(value) & 0xFFFF))
+      }
+    });
+  }
+
+  defineNumberClasses() {
+    const number = thisObject => this.toNumber(thisObject);
+    const numberMethods = {
+      toString: (thisObject, args) => {
+        const radix = args.length > 0 && args[0] !== undefined ? this.toInteger(args[0]) : 10;
+        if (radix < 2 || radix > 36) {
+          throw this.createError("RangeError", 1003, `The radix argument must be between 2 and 36; got ${radix}.`);
+        }
+        return number(thisObject).toString(radix);
+      },
+      toFixed: (thisObject, args) => number(thisObject).toFixed(Math.min(Math.max(this.toInteger(args[0]), 0), 20)),
+      toExponential: (thisObject, args) => number(thisObject).toExponential(Math.min(Math.max(this.toInteger(args[0]), 0), 20)),
+      toPrecision: (thisObject, args) => args[0] === undefined
+        ? this.toString(number(thisObject))
+        : number(thisObject).toPrecision(Math.min(Math.max(this.toInteger(args[0]), 1), 21)),
+      valueOf: thisObject => number(thisObject)
+    };
+
+    this.numberClass = this.defineNativeClass("Number", this.objectClass, {
+      construct: args => args.length > 0 ? this.toNumber(args[0]) : 0,
+      call: args => args.length > 0 ? this.toNumber(args[0]) : 0,
+      methods: numberMethods,
+      constants: {
+        MAX_VALUE: Number.MAX_VALUE,
+        MIN_VALUE: Number.MIN_VALUE,
+        NaN: NaN,
+        NEGATIVE_INFINITY: -Infinity,
+        POSITIVE_INFINITY: Infinity
+      }
+    });
+
+    this.intClass = this.defineNativeClass("int", this.objectClass, {
+      construct: args => this.toInt32(args[0]),
+      call: args => this.toInt32(args[0]),
+      methods: numberMethods,
+      constants: { MAX_VALUE: 2147483647, MIN_VALUE: -2147483648 }
+    });
+
+    this.uintClass = this.defineNativeClass("uint", this.objectClass, {
+      construct: args => this.toUint32(args[0]),
+      call: args => this.toUint32(args[0]),
+      methods: numberMethods,
+      constants: { MAX_VALUE: 4294967295, MIN_VALUE: 0 }
+    });
+
+    this.booleanClass = this.defineNativeClass("Boolean", this.objectClass, {
+      construct: args => this.toBoolean(args[0]),
+      call: args => this.toBoolean(args[0]),
+      methods: {
+        toString: thisObject => this.toString(this.toBoolean(thisObject)),
+        valueOf: thisObject => this.toBoolean(thisObject)
+      }
+    });
+  }
+
+  defineMathClass() {
+    const unary = name => (thisObject, args) => Math[name](this.toNumber(args[0]));
+    const statics = {};
+    ["abs", "acos", "asin", "atan", "ceil", "cos", "exp", "floor", "log", "round", "sin", "sqrt", "tan"]
+      .forEach(name => { statics[name] = unary(name); });
+
+    Object.assign(statics, {
+      atan2: (thisObject, args) => Math.atan2(this.toNumber(args[0]), this.toNumber(args[1])),
+      pow: (thisObject, args) => Math.pow(this.toNumber(args[0]), this.toNumber(args[1])),
+      max: (thisObject, args) => Math.max(...args.map(value => this.toNumber(value))),
+      min: (thisObject, args) => Math.min(...args.map(value => this.toNumber(value))),
+      random: () => Math.random()
+    });
+
+    this.defineNativeClass("Math", this.objectClass, {
+      construct: () => {
+        throw this.createError("TypeError", 1076, "Math is not a constructor.");
+      },
+      statics: statics,
+      constants: {
+        E: Math.E, LN10: Math.LN10, LN2: Math.LN2, LOG10E: Math.LOG10E, LOG2E: Math.LOG2E,
+        PI: Math.PI, SQRT1_2: Math.SQRT1_2, SQRT2: Math.SQRT2
+      }
+    });
+  }
+
+  // ==================== ERRORS ====================
+
+  defineErrorClasses() {
+    const errorClass = this.defineNativeClass("Error", this.objectClass, {
+      dynamic: true,
+      init: (object, args) => {
+        object.setOwnValue("message", args.length > 0 && args[0] !== undefined ? this.toString(args[0]) : "");
+        object.defineValue("errorID", args.length > 1 ? this.toInt32(args[1]) : 0);
+      },
+      methods: {
+        getStackTrace: () => null,
+        toString: thisObject => {
+          const name = this.toString(this.getProperty(thisObject, "name"));
+          const message = this.getProperty(thisObject, "message");
+          return message ? `${name}: ${this.toString(message)}` : name;
+        }
+      }
+    });
+    errorClass.classDefinition.prototype.defineValue("name", "Error");
+
+    ["ArgumentError", "DefinitionError", "EvalError", "RangeError", "ReferenceError", "SecurityError",
+      "SyntaxError", "TypeError", "URIError", "VerifyError"].forEach(name => {
+      const classObject = this.defineNativeClass(name, errorClass, { dynamic: true });
+      classObject.classDefinition.prototype.defineValue("name", name);
+    });
+  }
+
+  // ==================== GLOBAL FUNCTIONS ====================
+
+  defineGlobalFunctionSet() {
+    this.builtinGlobal.defineValue("NaN", NaN);
+    this.builtinGlobal.defineValue("Infinity", Infinity);
+    this.builtinGlobal.defineValue("undefined", undefined);
+
+    this.defineGlobalFunctions({
+      trace: (thisObject, args) => this.trace(args),
+      isNaN: (thisObject, args) => Number.isNaN(this.toNumber(args[0])),
+      isFinite: (thisObject, args) => Number.isFinite(this.toNumber(args[0])),
+      parseInt: (thisObject, args) => {
+        const radix = args.length > 1 ? this.toInteger(args[1]) : 0;
+        return parseInt(this.toString(args[0]), radix || undefined);
+      },
+      parseFloat: (thisObject, args) => parseFloat(this.toString(args[0])),
+      escape: (thisObject, args) => escape(this.toString(args[0])),
+      unescape: (thisObject, args) => unescape(this.toString(args[0])),
+      encodeURI: (thisObject, args) => encodeURI(this.toString(args[0])),
+      encodeURIComponent: (thisObject, args) => encodeURIComponent(this.toString(args[0])),
+      decodeURI: (thisObject, args) => this.decodeURI(args[0], decodeURI),
+      decodeURIComponent: (thisObject, args) => this.decodeURI(args[0], decodeURIComponent),
+
+      // flash.utils
+      getTimer: () => Math.floor(this.getTime()),
+      getQualifiedClassName: (thisObject, args) => this.getQualifiedClassName(args[0]),
+      getQualifiedSuperclassName: (thisObject, args) => {
+        const classObject = args[0] instanceof AVM2Object && args[0].isClass() ? args[0] : this.getClassOf(args[0]);
+        const superClass = classObject ? classObject.classDefinition.superClass : null;
+        return superClass ? superClass.classDefinition.qualifiedName : null;
+      },
+      getDefinitionByName: (thisObject, args) => {
+        const definition = this.getDefinitionByName(this.toString(args[0]));
+        if (definition === undefined) {
+          throw this.createError("ReferenceError", 1065, `Variable ${this.toString(args[0])} is not defined.`);
+        }
+        return definition;
+      },
+      setTimeout: (thisObject, args) => this.addTimer(args, false),
+      setInterval: (thisObject, args) => this.addTimer(args, true),
+      clearTimeout: (thisObject, args) => { this.timers.delete(this.toInteger(args[0])); },
+      clearInterval: (thisObject, args) => { this.timers.delete(this.toInteger(args[0])); }
+    });
+  }
+
+  decodeURI(value, decode) {
+    try {
+      return decode(this.toString(value));
+    } catch (error) {
+      throw this.createError("URIError", 1052, `Invalid URI passed to ${decode.name} function.`);
+    }
+  }
+
+  getClassOf(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (value instanceof AVM2Object) {
+      return value.classObject;
+    }
+    if (typeof value === 'number' && (value | 0) === value) {
+      return this.intClass;
+    }
+    return this.getPrimitiveClass(value);
+  }
+
+  getQualifiedClassName(value) {
+    if (value === null) return "null";
+    if (value === undefined) return "void";
+    if (value instanceof AVM2Object && value.isClass()) return value.classDefinition.qualifiedName;
+    const classObject = this.getClassOf(value);
+    return classObject ? classObject.classDefinition.qualifiedName : "Object";
+  }
+
+  // Simulated milliseconds from the host's clock; without a stage time stands still
+  getTime() {
+    return this.host ? this.host.time : 0;
+  }
+
+  // ==================== TIMERS ====================
+
+  // flash.utils.setTimeout / setInterval: (closure, delay, ...args)
+  addTimer(args, repeat) {
+    const id = this.nextTimerId++;
+    const delay = Math.max(1, this.toNumber(args[1]) || 0);
+    this.timers.set(id, {
+      id: id,
+      delay: delay,
+      next: this.getTime() + delay,
+      callback: args[0],
+      args: args.slice(2),
+      repeat: repeat,
+      owner: null
+    });
+    return id;
+  }
+
+  runTimers() {
+    const now = this.getTime();
+    for (const timer of Array.from(this.timers.values())) {
+      let guard = 0;
+      while (this.timers.has(timer.id) && timer.next <= now && guard++ < 100) {
+        timer.next += timer.delay;
+        if (!timer.repeat) {
+          this.timers.delete(timer.id);
+        }
+        try {
+          if (timer.owner) {
+            this.fireTimer(timer);
+          } else {
+            this.callFunction(timer.callback, null, timer.args);
+          }
+        } catch (error) {
+          this.reportError(error);
+        }
+      }
+    }
+  }
+
+  // ==================== EVENTS ====================
+
+  defineEventClasses() {
+    const field = name => [thisObject => thisObject.getOwnValue(name)];
+
+    this.eventClass = this.defineNativeClass("flash.events.Event", this.objectClass, {
+      init: (object, args) => {
+        object.defineValue("type", this.toString(args[0]));
+        object.defineValue("bubbles", this.toBoolean(args[1]));
+        object.defineValue("cancelable", this.toBoolean(args[2]));
+        object.defineValue("target", null);
+        object.defineValue("currentTarget", null);
+        object.defineValue("eventPhase", 2);
+        object.defineValue("defaultPrevented", false);
+        object.defineValue("stopped", 0);
+      },
+      methods: {
+        clone: thisObject => this.constructInstance(thisObject.classObject, [
+          thisObject.getOwnValue("type"), thisObject.getOwnValue("bubbles"), thisObject.getOwnValue("cancelable")]),
+        preventDefault: thisObject => {
+          if (thisObject.getOwnValue("cancelable")) thisObject.defineValue("defaultPrevented", true);
+        },
+        isDefaultPrevented: thisObject => thisObject.getOwnValue("defaultPrevented"),
+        stopPropagation: thisObject => {
+          thisObject.defineValue("stopped", Math.max(thisObject.getOwnValue("stopped"), 1));
+        },
+        stopImmediatePropagation: thisObject => {
+          thisObject.defineValue("stopped", 2);
+        },
+        toString: thisObject => `[${thisObject.classObject.classDefinition.name} type="${thisObject.getOwnValue("type")}" ` +
+          `bubbles=${thisObject.getOwnValue("bubbles")} cancelable=${thisObject.getOwnValue("cancelable")} ` +
+          `eventPhase=${thisObject.getOwnValue("eventPhase")}]`
+      },
+      properties: {
+        type: field("type"),
+        bubbles: field("bubbles"),
+        cancelable: field("cancelable"),
+        target: field("target"),
+        currentTarget: field("currentTarget"),
+        eventPhase: field("eventPhase")
+      },
+      constants: {
+        ACTIVATE: "activate", ADDED: "added", ADDED_TO_STAGE: "addedToStage", CANCEL: "cancel",
+        CHANGE: "change", CLOSE: "close", COMPLETE: "complete", DEACTIVATE: "deactivate",
+        ENTER_FRAME: "enterFrame", EXIT_FRAME: "exitFrame", FRAME_CONSTRUCTED: "frameConstructed",
+        INIT: "init", OPEN: "open", REMOVED: "removed", REMOVED_FROM_STAGE: "removedFromStage",
+        RENDER: "render", RESIZE: "resize", SELECT: "select", UNLOAD: "unload"
+      }
+    });
+
+    this.defineNativeClass("flash.events.MouseEvent", this.eventClass, {
+      properties: {
+        localX: [() => 0], localY: [() => 0], stageX: [() => 0], stageY: [() => 0],
+        altKey: [() => false], ctrlKey: [() => false], shiftKey: [() => false], buttonDown: [() => false]
+      },
+      constants: {
+        CLICK: "click", DOUBLE_CLICK: "doubleClick", MOUSE_DOWN: "mouseDown", MOUSE_MOVE: "mouseMove",
+        MOUSE_OUT: "mouseOut", MOUSE_OVER: "mouseOver", MOUSE_UP: "mouseUp", MOUSE_WHEEL: "mouseWheel",
+        ROLL_OUT: "rollOut", ROLL_OVER: "rollOver"
+      }
+    });
+
+    this.defineNativeClass("flash.events.KeyboardEvent", this.eventClass, {
+      init: (object, args) => {
+        object.defineValue("charCode", this.toUint32(args[3]));
+        object.defineValue("keyCode", this.toUint32(args[4]));
+      },
+      properties: { charCode: field("charCode"), keyCode: field("keyCode") },
+      constants: { KEY_DOWN: "keyDown", KEY_UP: "keyUp" }
+    });
+
+    this.timerEventClass = this.defineNativeClass("flash.events.TimerEvent", this.eventClass, {
+      methods: { updateAfterEvent: () => {} },
+      constants: { TIMER: "timer", TIMER_COMPLETE: "timerComplete" }
+    });
+
+    this.eventDispatcherClass = this.defineNativeClass("flash.events.EventDispatcher", this.objectClass, {
+      methods: {
+        addEventListener: (thisObject, args) => this.addEventListener(thisObject, this.toString(args[0]), args[1],
+          this.toBoolean(args[2]), this.toInt32(args[3])),
+        removeEventListener: (thisObject, args) => this.removeEventListener(thisObject, this.toString(args[0]), args[1],
+          this.toBoolean(args[2])),
+        hasEventListener: (thisObject, args) => this.getListeners(thisObject, this.toString(args[0])).length > 0,
+        willTrigger: (thisObject, args) => this.getListeners(thisObject, this.toString(args[0])).length > 0,
+        dispatchEvent: (thisObject, args) => this.dispatchEvent(thisObject, args[0])
+      }
+    });
+
+    this.defineTimerClass();
+  }
+
+  getListeners(object, type) {
+    return object instanceof AVM2Object && object.listeners ? object.listeners.get(type) || [] : [];
+  }
+
+  // Listeners run by descending priority, then in the order they were added
+  addEventListener(object, type, listener, useCapture, priority) {
+    if (!this.isCallable(listener)) {
+      throw this.createError("TypeError", 2007, "Parameter listener must be non-null.");
+    }
+    if (!object.listeners) {
+      object.listeners = new Map();
+    }
+
+    const list = object.listeners.get(type) || [];
+    if (list.some(entry => entry.listener === listener && entry.useCapture === useCapture)) {
+      return;
+    }
+
+    let index = list.length;
+    while (index > 0 && list[index - 1].priority < priority) index--;
+    list.splice(index, 0, { listener: listener, useCapture: useCapture, priority: priority });
+    object.listeners.set(type, list);
+
+    if (type === "enterFrame") {
+      this.enterFrameTargets.add(object);
+    }
+  }
+
+  removeEventListener(object, type, listener, useCapture) {
+    const list = this.getListeners(object, type);
+    const index = list.findIndex(entry => entry.listener === listener && entry.useCapture === useCapture);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  }
+
+  // Target phase, then the bubbling phase up the display list for bubbling events
+  dispatchEvent(target, event) {
+    if (!this.isType(event, this.eventClass)) {
+      throw this.createError("TypeError", 2007, "Parameter event must be non-null.");
+    }
+    if (event.getOwnValue("target") !== null) {
+      event = this.callMethod(event, "clone", []);
+    }
+
+    const path = [target];
+    if (event.getOwnValue("bubbles")) {
+      let clip = target.timeline ? target.timeline.parent : null;
+      while (clip) {
+        if (clip.avm2Object) path.push(clip.avm2Object);
+        clip = clip.parent;
+      }
+    }
+
+    event.defineValue("target", target);
+    for (const current of path) {
+      event.defineValue("currentTarget", current);
+      event.defineValue("eventPhase", current === target ? 2 : 3);
+
+      for (const entry of this.getListeners(current, event.getOwnValue("type")).slice()) {
+        if (entry.useCapture) continue;
+        this.callFunction(entry.listener, null, [event]);
+        if (event.getOwnValue("stopped") === 2) break;
+      }
+      if (event.getOwnValue("stopped") > 0) break;
+    }
+
+    return !event.getOwnValue("defaultPrevented");
+  }
+
+  createEvent(type, classObject = this.eventClass) {
+    return this.constructInstance(classObject, [type]);
+  }
+
+  defineTimerClass() {
+    const field = name => [thisObject => thisObject.getOwnValue(name)];
+    const stop = object => {
+      this.timers.delete(object.getOwnValue("timerId"));
+      object.defineValue("timerId", null);
+    };
+
+    this.defineNativeClass("flash.utils.Timer", this.eventDispatcherClass, {
+      init: (object, args) => {
+        object.defineValue("delay", this.toNumber(args[0]));
+        object.defineValue("repeatCount", this.toInt32(args[1]));
+        object.defineValue("currentCount", 0);
+        object.defineValue("timerId", null);
+      },
+      methods: {
+        start: thisObject => {
+          if (thisObject.getOwnValue("timerId") !== null) return;
+          const id = this.nextTimerId++;
+          const delay = Math.max(1, thisObject.getOwnValue("delay") || 0);
+          this.timers.set(id, { id: id, delay: delay, next: this.getTime() + delay, callback: null, args: [], repeat: true, owner: thisObject });
+          thisObject.defineValue("timerId", id);
+        },
+        stop: thisObject => stop(thisObject),
+        reset: thisObject => {
+          stop(thisObject);
+          thisObject.defineValue("currentCount", 0);
+        }
+      },
+      properties: {
+        delay: [thisObject => thisObject.getOwnValue("delay"), (thisObject, value) => thisObject.defineValue("delay", this.toNumber(value))],
+        repeatCount: [thisObject => thisObject.getOwnValue("repeatCount"), (thisObject, value) => thisObject.defineValue("repeatCount", this.toInt32(value))],
+        currentCount: field("currentCount"),
+        running: [thisObject => thisObject.getOwnValue("timerId") !== null]
+      }
+    });
+  }
+
+  fireTimer(timer) {
+    const object = timer.owner;
+    const count = object.getOwnValue("currentCount") + 1;
+    const repeatCount = object.getOwnValue("repeatCount");
+    object.defineValue("currentCount", count);
+
+    this.dispatchEvent(object, this.createEvent("timer", this.timerEventClass));
+    if (repeatCount > 0 && count >= repeatCount) {
+      this.timers.delete(timer.id);
+      object.defineValue("timerId", null);
+      this.dispatchEvent(object, this.createEvent("timerComplete", this.timerEventClass));
+    }
+  }
+
+  // ==================== DISPLAY ====================
+
+  defineDisplayClasses() {
+    const clipProperty = (name, scale = 1) => [
+      thisObject => thisObject.timeline ? thisObject.timeline.getDisplayProperty(name) / scale : (name === "_visible" ? true : 0),
+      (thisObject, value) => {
+        if (thisObject.timeline) thisObject.timeline.setDisplayProperty(name, name === "_visible" ? this.toBoolean(value) : this.toNumber(value) * scale);
+      }
+    ];
+    const stored = (name, initial) => [
+      thisObject => thisObject.hasOwnValue(name) ? thisObject.getOwnValue(name) : initial,
+      (thisObject, value) => thisObject.defineValue(name, value)
+    ];
+    const timeline = thisObject => thisObject.timeline;
+
+    this.displayObjectClass = this.defineNativeClass("flash.display.DisplayObject", this.eventDispatcherClass, {
+      dynamic: true,
+      init: object => this.attachTimeline(object),
+      properties: {
+        x: clipProperty("_x"),
+        y: clipProperty("_y"),
+        scaleX: clipProperty("_xscale", 100),
+        scaleY: clipProperty("_yscale", 100),
+        rotation: clipProperty("_rotation"),
+        alpha: clipProperty("_alpha", 100),
+        visible: clipProperty("_visible"),
+        width: [thisObject => timeline(thisObject) ? timeline(thisObject).getDisplayProperty("_width") : 0, () => {}],
+        height: [thisObject => timeline(thisObject) ? timeline(thisObject).getDisplayProperty("_height") : 0, () => {}],
+        name: [
+          thisObject => timeline(thisObject) ? timeline(thisObject).name : null,
+          (thisObject, value) => { if (timeline(thisObject)) timeline(thisObject).name = this.toString(value); }
+        ],
+        parent: [thisObject => {
+          const clip = timeline(thisObject);
+          return clip && clip.parent ? clip.parent.avm2Object || null : null;
+        }],
+        root: [thisObject => {
+          const clip = timeline(thisObject);
+          return clip && this.host && clip.getRoot() === this.host.root ? clip.getRoot().avm2Object || null : null;
+        }],
+        stage: [thisObject => {
+          const clip = timeline(thisObject);
+          return clip && this.host && clip.getRoot() === this.host.root ? this.getStage() : null;
+        }],
+        mouseX: [() => 0],
+        mouseY: [() => 0],
+        cacheAsBitmap: stored("cacheAsBitmap", false),
+        filters: stored("filters", null),
+        mask: stored("mask", null)
+      }
+    });
+
+    const graphicsMethods = {};
+    ["beginBitmapFill", "beginFill", "beginGradientFill", "clear", "curveTo", "drawCircle", "drawEllipse",
+      "drawRect", "drawRoundRect", "endFill", "lineGradientStyle", "lineStyle", "lineTo", "moveTo"]
+      .forEach(name => { graphicsMethods[name] = () => undefined; });
+    this.graphicsClass = this.defineNativeClass("flash.display.Graphics", this.objectClass, { methods: graphicsMethods });
+    const graphics = [thisObject => {
+      if (!thisObject.hasOwnValue("graphics")) thisObject.defineValue("graphics", this.createInstance(this.graphicsClass));
+      return thisObject.getOwnValue("graphics");
+    }];
+
+    this.defineNativeClass("flash.display.Shape", this.displayObjectClass, { properties: { graphics: graphics } });
+
+    this.interactiveObjectClass = this.defineNativeClass("flash.display.InteractiveObject", this.displayObjectClass, {
+      dynamic: true,
+      properties: {
+        mouseEnabled: stored("mouseEnabled", true),
+        doubleClickEnabled: stored("doubleClickEnabled", false),
+        tabEnabled: stored("tabEnabled", false)
+      }
+    });
+
+    this.containerClass = this.defineNativeClass("flash.display.DisplayObjectContainer", this.interactiveObjectClass, {
+      dynamic: true,
+      methods: {
+        addChild: (thisObject, args) => this.addChild(thisObject, args[0], null),
+        addChildAt: (thisObject, args) => this.addChild(thisObject, args[0], this.toInteger(args[1])),
+        removeChild: (thisObject, args) => this.removeChild(thisObject, args[0]),
+        removeChildAt: (thisObject, args) => this.removeChild(thisObject, this.getChildAt(thisObject, this.toInteger(args[0]))),
+        getChildAt: (thisObject, args) => this.getChildAt(thisObject, this.toInteger(args[0])),
+        getChildByName: (thisObject, args) => {
+          const clip = timeline(thisObject) ? timeline(thisObject).getChildByName(this.toString(args[0])) : null;
+          return clip ? clip.avm2Object || null : null;
+        },
+        getChildIndex: (thisObject, args) => this.getChildren(thisObject).indexOf(args[0]),
+        contains: (thisObject, args) => {
+          let clip = args[0] instanceof AVM2Object ? args[0].timeline : null;
+          while (clip) {
+            if (clip === timeline(thisObject)) return true;
+            clip = clip.parent;
+          }
+          return false;
+        }
+      },
+      properties: {
+        numChildren: [thisObject => this.getChildren(thisObject).length],
+        mouseChildren: stored("mouseChildren", true)
+      }
+    });
+
+    this.spriteClass = this.defineNativeClass("flash.display.Sprite", this.containerClass, {
+      dynamic: true,
+      methods: { startDrag: () => undefined, stopDrag: () => undefined },
+      properties: {
+        graphics: graphics,
+        buttonMode: stored("buttonMode", false),
+        useHandCursor: stored("useHandCursor", true)
+      }
+    });
+
+    this.movieClipClass = this.defineNativeClass("flash.display.MovieClip", this.spriteClass, {
+      dynamic: true,
+      methods: {
+        play: thisObject => { if (timeline(thisObject)) timeline(thisObject).play(); },
+        stop: thisObject => { if (timeline(thisObject)) timeline(thisObject).stop(); },
+        gotoAndPlay: (thisObject, args) => this.gotoFrame(thisObject, args[0], true),
+        gotoAndStop: (thisObject, args) => this.gotoFrame(thisObject, args[0], false),
+        nextFrame: thisObject => { if (timeline(thisObject)) timeline(thisObject).nextFrame(); },
+        prevFrame: thisObject => { if (timeline(thisObject)) timeline(thisObject).prevFrame(); },
+        addFrameScript: (thisObject, args) => {
+          if (!thisObject.frameScripts) thisObject.frameScripts = new Map();
+          for (let index = 0; index + 1 < args.length; index += 2) {
+            const frame = this.toInteger(args[index]) + 1;
+            if (this.isCallable(args[index + 1])) thisObject.frameScripts.set(frame, args[index + 1]);
+            else thisObject.frameScripts.delete(frame);
+          }
+        }
+      },
+      properties: {
+        currentFrame: [thisObject => timeline(thisObject) ? timeline(thisObject).currentFrame : 1],
+        totalFrames: [thisObject => timeline(thisObject) ? timeline(thisObject).totalFrames : 1],
+        framesLoaded: [thisObject => timeline(thisObject) ? timeline(thisObject).totalFrames : 1],
+        currentLabel: [thisObject => this.getFrameLabel(thisObject, false)],
+        currentFrameLabel: [thisObject => this.getFrameLabel(thisObject, true)],
+        isPlaying: [thisObject => timeline(thisObject) ? timeline(thisObject).playing : false],
+        enabled: stored("enabled", true)
+      }
+    });
+
+    this.stageClass = this.defineNativeClass("flash.display.Stage", this.containerClass, {
+      dynamic: true,
+      properties: {
+        stageWidth: [() => this.document ? this.document.header.width : 550],
+        stageHeight: [() => this.document ? this.document.header.height : 400],
+        frameRate: [() => this.document ? this.document.header.frameRate : 24, () => {}],
+        scaleMode: stored("scaleMode", "showAll"),
+        align: stored("align", ""),
+        quality: stored("quality", "HIGH"),
+        focus: stored("focus", null)
+      }
+    });
+    this.stageObject = null;
+  }
+
+  // The stage has no timeline of its own; its only child is the root
+  getStage() {
+    if (!this.stageObject) {
+      this.stageObject = this.createInstance(this.stageClass);
+    }
+    return this.stageObject;
+  }
+
+  // Script-created display objects get a detached clip (the linked symbol's timeline when the
+  // class is bound through SymbolClass); timeline instances are bound by bindTimeline instead
+  attachTimeline(object) {
+    if (object.timeline || !this.host) {
+      return;
+    }
+
+    const characterId = this.getSymbolCharacterId(object.classObject);
+    const character = characterId !== null ? this.host.getCharacter(characterId) : null;
+    const definition = character && character.type === 'sprite' ? character.definition : MovieClip.createDefinition([], 1, 0);
+
+    const clip = this.host.createMovieClip(definition, null, 0, `instance${++this.host.instanceCounter}`);
+    clip.avm2Object = object;
+    object.timeline = clip;
+    this.host.clipAdded(clip);
+  }
+
+  getSymbolCharacterId(classObject) {
+    for (let current = classObject; current; current = current.classDefinition.superClass) {
+      const name = current.classDefinition.qualifiedName.replace("::", ".");
+      for (const [characterId, className] of this.symbolClasses) {
+        if (characterId !== 0 && className === name) return characterId;
+      }
+      if (current.classDefinition.runtime === null) break;
+    }
+    return null;
+  }
+
+  getChildren(container) {
+    const clip = container.timeline;
+    return clip ? clip.getChildClips().map(child => child.avm2Object).filter(Boolean) : [];
+  }
+
+  getChildAt(container, index) {
+    const child = this.getChildren(container)[index];
+    if (!child) {
+      throw this.createError("RangeError", 2006, "The supplied index is out of bounds.");
+    }
+    return child;
+  }
+
+  // Display list order maps to depths; inserting shifts the depths above the index
+  addChild(container, child, index) {
+    if (!this.isType(child, this.displayObjectClass)) {
+      throw this.createError("TypeError", 2007, "Parameter child must be non-null.");
+    }
+    const parentClip = container.timeline;
+    const clip = child.timeline;
+    if (!parentClip || !clip) {
+      return child;
+    }
+    if (clip.parent) {
+      this.detachClip(clip);
+    }
+
+    const records = parentClip.getSortedRecords();
+    let depth;
+    if (index === null || index >= records.length) {
+      depth = records.length > 0 ? records[records.length - 1].depth + 1 : 1;
+    } else {
+      depth = records[Math.max(index, 0)].depth;
+      for (let position = records.length - 1; position >= Math.max(index, 0); position--) {
+        const record = records[position];
+        parentClip.displayList.delete(record.depth);
+        record.depth++;
+        if (record.instance) record.instance.depth = record.depth;
+        parentClip.displayList.set(record.depth, record);
+      }
+    }
+
+    clip.parent = parentClip;
+    clip.depth = depth;
+    parentClip.addDynamicClip(clip, depth);
+    return child;
+  }
+
+  removeChild(container, child) {
+    const clip = child instanceof AVM2Object ? child.timeline : null;
+    if (!clip || !container.timeline || clip.parent !== container.timeline) {
+      throw this.createError("ArgumentError", 2025, "The supplied DisplayObject must be a child of the caller.");
+    }
+    this.detachClip(clip);
+    return child;
+  }
+
+  // Removed display objects keep their clip so they can be added again
+  detachClip(clip) {
+    const record = clip.parent.displayList.get(clip.depth);
+    if (record && record.instance === clip) {
+      clip.parent.displayList.delete(clip.depth);
+    }
+    clip.parent = null;
+  }
+
+  gotoFrame(object, frame, playing) {
+    const clip = object.timeline;
+    if (!clip) {
+      return;
+    }
+    if (clip.resolveFrame(typeof frame === 'number' ? frame : this.toString(frame)) === null) {
+      throw this.createError("ArgumentError", 2109, `Frame label ${this.toString(frame)} not found in scene.`);
+    }
+    clip.gotoFrame(typeof frame === 'number' ? frame : this.toString(frame), playing);
+  }
+
+  // currentLabel is the latest label at or before the playhead, currentFrameLabel only its own
+  getFrameLabel(object, exact) {
+    const clip = object.timeline;
+    if (!clip) {
+      return null;
+    }
+    for (let frame = clip.currentFrame; frame >= 1; frame--) {
+      const label = clip.definition.frames[frame - 1] ? clip.definition.frames[frame - 1].label : null;
+      if (label !== null || exact) return label;
+    }
+    return null;
+  }
+
+  // ==================== TIMELINE HOST ====================
+
+  // Host hook: a clip was created on a timeline (or the root is about to enter frame 1).
+  // Its first frame is built before the constructor runs, as with AS3 timeline instances
+  clipCreated(clip) {
+    if (clip.avm2Object) {
+      return;
+    }
+
+    const className = this.symbolClasses.get(clip.characterId);
+    let classObject = null;
+    try {
+      classObject = className ? this.getDefinitionByName(className) : null;
+    } catch (error) {
+      this.reportError(error);
+    }
+    if (!(classObject instanceof AVM2Object) || !classObject.isClass()) {
+      classObject = this.movieClipClass;
+    }
+
+    clip.seek(1);
+    const object = this.bindTimeline(clip, classObject);
+    if (clip === this.host.root) {
+      this.documentObject = object;
+    }
+  }
+
+  bindTimeline(clip, classObject) {
+    const object = this.createInstance(classObject);
+    object.timeline = clip;
+    clip.avm2Object = object;
+
+    if (clip.parent && clip.parent.avm2Object && clip.name) {
+      this.assignChild(clip.parent.avm2Object, clip.name, object);
+    }
+    for (const child of clip.getChildClips()) {
+      if (child.avm2Object && child.name) this.assignChild(object, child.name, child.avm2Object);
+    }
+
+    try {
+      this.runConstructor(classObject, object, []);
+    } catch (error) {
+      this.reportError(error);
+    }
+    return object;
+  }
+
+  // Named timeline instances fill the matching declared variable (or a dynamic property)
+  assignChild(parentObject, name, child) {
+    const trait = parentObject.findTrait(name);
+    if (trait && trait.kind === 'slot') {
+      parentObject.slots[trait.index] = child;
+    } else if (!trait && !(parentObject.definition && parentObject.definition.isSealed)) {
+      parentObject.setOwnValue(name, child);
+    }
+  }
+
+  // Host hook: the playhead reached a frame, run its addFrameScript function
+  runFrameScript(clip) {
+    const object = clip.avm2Object;
+    const script = object && object.frameScripts ? object.frameScripts.get(clip.currentFrame) : null;
+    if (!script) {
+      return;
+    }
+
+    try {
+      this.callFunction(script, object, []);
+    } catch (error) {
+      this.reportError(error);
+    }
+  }
+
+  // Host hook, once per tick before the timelines advance: timers, then enterFrame listeners
+  enterFrame() {
+    this.runTimers();
+
+    for (const target of Array.from(this.enterFrameTargets)) {
+      if (this.getListeners(target, "enterFrame").length === 0) {
+        this.enterFrameTargets.delete(target);
+        continue;
+      }
+      try {
+        this.dispatchEvent(target, this.createEvent("enterFrame"));
+      } catch (error) {
+        this.reportError(error);
+      }
+    }
+  }
+}
+
+AVM2Interpreter.RETURN = -1;
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.AVM2Interpreter = AVM2Interpreter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AVM2Interpreter;
+}
@@ -0,0 +1,225 @@
+/*
+ * AVM2 Object - v1.0
+ * Script object model for the AVM2 interpreter: class instances, classes, functions,
+ * activations and the global object
+ * - Traits come from a trait table ({ traits, slotsById, slotCount }): the class definition
+ *   holds the instance table, classes/activations/catch scopes/the global object own one
+ * - Slot values live in a per-object array indexed by the trait's storage index, so getslot
+ *   and named access see the same value
+ * - Dynamic properties keep insertion order for for..in and for each..in
+ * - Arrays and Vectors keep their elements in a dense JS array
+ * Property access that can run script code (getters, setters, bound methods) goes through
+ * AVM2Interpreter.getProperty / setProperty; names are local names, namespaces are ignored
+ */
+class AVM2Object {
+  constructor(classObject = null, proto = null) {
+    this.classObject = classObject;
+    this.proto = proto;
+    this.values = new Map();
+    this.hidden = null;
+
+    // Trait slots: own table for classes, activations, catch scopes and the global object
+    this.traitTable = null;
+    this.slots = [];
+    this.boundMethods = null;
+
+    // Functions: callable(thisObject, args); classes and functions also construct(args)
+    this.callable = null;
+    this.construct = null;
+    this.classDefinition = null;
+
+    // Array/Vector elements, boxed primitive, linked MovieClip, frame scripts and event listeners
+    this.array = null;
+    this.primitive = undefined;
+    this.timeline = null;
+    this.frameScripts = null;
+    this.listeners = null;
+  }
+
+  static createTraitTable(base = null) {
+    return {
+      traits: new Map(base ? base.traits : []),
+      slotsById: new Map(base ? base.slotsById : []),
+      slotCount: base ? base.slotCount : 0
+    };
+  }
+
+  get definition() {
+    return this.classObject ? this.classObject.classDefinition : null;
+  }
+
+  // ==================== TRAITS ====================
+
+  findTrait(name) {
+    const own = this.traitTable ? this.traitTable.traits.get(name) : null;
+    if (own) {
+      return own;
+    }
+    const definition = this.definition;
+    return definition ? definition.instanceTable.traits.get(name) || null : null;
+  }
+
+  findSlotTrait(slotId) {
+    const own = this.traitTable ? this.traitTable.slotsById.get(slotId) : null;
+    if (own) {
+      return own;
+    }
+    const definition = this.definition;
+    return definition ? definition.instanceTable.slotsById.get(slotId) || null : null;
+  }
+
+  // Default slot values for the instance table and the object's own table
+  initializeSlots() {
+    const definition = this.definition;
+    const tables = [definition ? definition.instanceTable : null, this.traitTable];
+
+    for (const table of tables) {
+      if (!table) continue;
+      for (const trait of table.traits.values()) {
+        if (trait.kind === 'slot') {
+          this.slots[trait.index] = trait.value;
+        }
+      }
+    }
+  }
+
+  getSlot(slotId) {
+    const trait = this.findSlotTrait(slotId);
+    return trait ? this.slots[trait.index] : undefined;
+  }
+
+  setSlot(slotId, value) {
+    const trait = this.findSlotTrait(slotId);
+    if (trait) {
+      this.slots[trait.index] = value;
+    }
+  }
+
+  // ==================== DYNAMIC PROPERTIES ====================
+
+  hasOwnValue(name) {
+    const index = this.array ? AVM2Object.arrayIndex(name) : null;
+    if (index !== null) {
+      return index < this.array.length && this.array[index] !== undefined;
+    }
+    return this.values.has(name);
+  }
+
+  getOwnValue(name) {
+    const index = this.array ? AVM2Object.arrayIndex(name) : null;
+    if (index !== null) {
+      return this.array[index];
+    }
+    return this.values.get(name);
+  }
+
+  setOwnValue(name, value) {
+    const index = this.array ? AVM2Object.arrayIndex(name) : null;
+    if (index !== null) {
+      this.array[index] = value;
+      return;
+    }
+    this.values.set(name, value);
+  }
+
+  defineValue(name, value, enumerable = false) {
+    this.values.set(name, value);
+    if (!enumerable) {
+      if (!this.hidden) this.hidden = new Set();
+      this.hidden.add(name);
+    } else if (this.hidden) {
+      this.hidden.delete(name);
+    }
+  }
+
+  deleteOwnValue(name) {
+    const index = this.array ? AVM2Object.arrayIndex(name) : null;
+    if (index !== null) {
+      if (index < this.array.length) this.array[index] = undefined;
+      return true;
+    }
+    if (this.hidden) this.hidden.delete(name);
+    return this.values.delete(name);
+  }
+
+  // Prototype chain lookup for dynamic properties, starting with the object itself
+  findValueHolder(name) {
+    let object = this;
+    let depth = 0;
+    while (object && depth++ < 256) {
+      if (object.hasOwnValue(name)) {
+        return object;
+      }
+      object = object.proto;
+    }
+    return null;
+  }
+
+  // for..in order: array indices, then dynamic properties in insertion order
+  getEnumerableNames() {
+    const names = [];
+    if (this.array) {
+      this.array.forEach((value, index) => {
+        if (value !== undefined) names.push(String(index));
+      });
+    }
+    for (const name of this.values.keys()) {
+      if (!this.hidden || !this.hidden.has(name)) {
+        names.push(name);
+      }
+    }
+    return names;
+  }
+
+  static arrayIndex(name) {
+    if (typeof name === 'number') {
+      return Number.isInteger(name) && name >= 0 && name < 4294967295 ? name : null;
+    }
+    return /^(0|[1-9]\d*)$/.test(name) && Number(name) < 4294967295 ? Number(name) : null;
+  }
+
+  // ==================== TYPE CHECKS ====================
+
+  isFunction() {
+    return this.callable !== null && this.classDefinition === null;
+  }
+
+  isClass() {
+    return this.classDefinition !== null;
+  }
+
+  // Class chain and implemented interfaces of the object's class
+  isInstanceOf(classObject) {
+    let current = this.classObject;
+    let depth = 0;
+
+    while (current && depth++ < 256) {
+      if (current === classObject) {
+        return true;
+      }
+      const definition = current.classDefinition;
+      if (definition.interfaces.some(item => AVM2Object.extendsInterface(item, classObject))) {
+        return true;
+      }
+      current = definition.superClass;
+    }
+    return false;
+  }
+
+  static extendsInterface(interfaceObject, classObject) {
+    if (interfaceObject === classObject) {
+      return true;
+    }
+    const definition = interfaceObject.classDefinition;
+    return definition ? definition.interfaces.some(item => AVM2Object.extendsInterface(item, classObject)) : false;
+  }
+}
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.AVM2Object = AVM2Object;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AVM2Object;
+}
@@ -0,0 +1,564 @@
+/*
+ * MovieClip - v1.1
+ * Movie clip instance for the AVM1 player: the root timeline and every placed DefineSprite
+ * - Timeline definition split at ShowFrame, with FrameLabel names per frame
+ * - Playhead (play/stop/goto) and frame advance; going backwards rebuilds the display list
+ *   from frame 1 and keeps instances that are still placed at the same depth
+ * - Depth-sorted display list built from PlaceObject/PlaceObject2/PlaceObject3/RemoveObject;
+ *   sprites become child MovieClips, other characters stay plain records
+ * - Script members: _x, _y, _xscale, _yscale, _rotation, _alpha, _visible, _currentframe,
+ *   _totalframes, _name, _target, _parent, ... plus timeline variables and named children
+ * Frame scripts, init actions and clip events are handed to the owning AVM1Interpreter (vm)
+ * ADDED: avm2Object links AS3 display objects; entering a frame notifies vm.frameConstructed
+ */
+class MovieClip extends AVM1Object {
+  constructor(vm, definition, parent = null, depth = 0, name = "") {
+    super(vm ? vm.movieClipPrototype : null, "MovieClip");
+    this.vm = vm;
+    this.definition = definition;
+    this.parent = parent;
+    this.depth = depth;
+    this.name = name;
+
+    this.currentFrame = 0;
+    this.playing = true;
+    this.removed = false;
+    this.displayList = new Map();
+
+    // Placement state from the parent timeline (DataTypes MATRIX / CXFORMA layout)
+    this.matrix = MovieClip.createIdentityMatrix();
+    this.colorTransform = null;
+    this.visible = true;
+    this.clipActions = null;
+    this.characterId = definition ? definition.characterId : 0;
+
+    // Set once a script moves the clip, so later timeline placements no longer move it
+    this.scriptTransformed = false;
+    this.skipNextAdvance = false;
+
+    // AS3 display object bound by the AVM2 interpreter (SymbolClass or script-created)
+    this.avm2Object = null;
+  }
+
+  // ==================== TIMELINE DEFINITION ====================
+
+  // Splits control tags ({ type, content } entries) into frames at ShowFrame
+  static createDefinition(entries, frameCount = 0, characterId = 0) {
+    const frames = [];
+    const labels = new Map();
+    let current = { tags: [], label: null };
+
+    for (const entry of entries) {
+      if (entry.type === 0) {
+        break;
+      }
+      if (entry.type === 1) {
+        frames.push(current);
+        current = { tags: [], label: null };
+        continue;
+      }
+      if (entry.type === 43) {
+        current.label = MovieClip.readLabel(entry.content);
+        labels.set(current.label.toLowerCase(), frames.length + 1);
+      }
+      current.tags.push(entry);
+    }
+
+    if (current.tags.length > 0) {
+      frames.push(current);
+    }
+    while (frames.length < frameCount) {
+      frames.push({ tags: [], label: null });
+    }
+
+    return { characterId: characterId, frameCount: Math.max(1, frames.length), frames: frames, labels: labels };
+  }
+
+  static readLabel(content) {
+    let end = 0;
+    while (end < content.length && content[end] !== 0) end++;
+    return new TextDecoder('utf-8').decode(content.subarray(0, end));
+  }
+
+  static createIdentityMatrix() {
+    return { scaleX: 1, scaleY: 1, rotateSkew0: 0, rotateSkew1: 0, translateX: 0, translateY: 0 };
+  }
+
+  get totalFrames() {
+    return this.definition.frameCount;
+  }
+
+  // ==================== PLAYHEAD ====================
+
+  play() {
+    this.playing = true;
+  }
+
+  stop() {
+    this.playing = false;
+  }
+
+  // Frame numbers are 1-based; strings are frame labels or numeric strings
+  resolveFrame(frame) {
+    if (typeof frame === 'number') {
+      return Number.isFinite(frame) ? Math.floor(frame) : null;
+    }
+
+    const text = String(frame);
+    if (/^\s*\d+\s*$/.test(text)) {
+      return parseInt(text, 10);
+    }
+    const labelled = this.definition.labels.get(text.toLowerCase());
+    return labelled === undefined ? null : labelled;
+  }
+
+  gotoFrame(frame, playing) {
+    const target = this.resolveFrame(frame);
+    this.playing = playing;
+
+    if (target !== null) {
+      this.seek(Math.min(Math.max(target, 1), this.totalFrames));
+    }
+  }
+
+  nextFrame() {
+    this.playing = false;
+    if (this.currentFrame < this.totalFrames) {
+      this.seek(this.currentFrame + 1);
+    }
+  }
+
+  prevFrame() {
+    this.playing = false;
+    if (this.currentFrame > 1) {
+      this.seek(this.currentFrame - 1);
+    }
+  }
+
+  // Called once per tick by the interpreter, parents before children
+  advance() {
+    if (this.removed) {
+      return;
+    }
+    if (this.skipNextAdvance) {
+      this.skipNextAdvance = false;
+      return;
+    }
+
+    if (this.playing && this.totalFrames > 1) {
+      this.seek(this.currentFrame >= this.totalFrames ? 1 : this.currentFrame + 1);
+    }
+
+    for (const child of this.getChildClips()) {
+      child.advance();
+    }
+  }
+
+  // Applies frames up to the target; only the target frame queues its frame scripts
+  seek(frame) {
+    if (frame === this.currentFrame) {
+      return;
+    }
+
+    let reusable = null;
+    if (frame < this.currentFrame) {
+      reusable = this.rewind();
+    }
+
+    while (this.currentFrame < frame) {
+      this.currentFrame++;
+      this.applyFrame(this.currentFrame, this.currentFrame === frame, reusable);
+    }
+
+    if (reusable) {
+      for (const record of reusable.values()) {
+        this.vm.clipRemoved(record.instance);
+      }
+    }
+
+    this.vm.frameConstructed(this);
+  }
+
+  // Clears the timeline-placed objects; instances are kept aside so the replay can reuse them
+  rewind() {
+    const reusable = new Map();
+
+    for (const [depth, record] of this.displayList) {
+      if (record.dynamic) continue;
+      if (record.instance) {
+        reusable.set(depth, record);
+      }
+      this.displayList.delete(depth);
+    }
+
+    this.currentFrame = 0;
+    return reusable;
+  }
+
+  applyFrame(frameNumber, runActions, reusable = null) {
+    const frame = this.definition.frames[frameNumber - 1];
+    if (!frame) {
+      return;
+    }
+
+    for (const entry of frame.tags) {
+      switch (entry.type) {
+        case 4: // PlaceObject
+        case 26: // PlaceObject2
+        case 70: { // PlaceObject3
+          const data = this.vm.parseDisplayTag(entry);
+          if (data) this.placeObject(data, entry.type, reusable);
+          break;
+        }
+
+        case 5: // RemoveObject
+        case 28: // RemoveObject2
+          this.removeObject(entry.type === 5 ? entry.content[2] | (entry.content[3] << 8) : entry.content[0] | (entry.content[1] << 8));
+          break;
+
+        case 59: // DoInitAction runs once per sprite, even when the frame is skipped over
+          this.vm.queueInitAction(this, entry);
+          break;
+
+        case 12: // DoAction
+          if (runActions) {
+            this.vm.queueActions(this, this.vm.getTagActions(entry));
+          }
+          break;
+      }
+    }
+  }
+
+  // ==================== DISPLAY LIST ====================
+
+  placeObject(data, tagType, reusable = null) {
+    const depth = data.depth;
+    const hasCharacter = data.characterId !== null && data.characterId !== undefined;
+    const isMove = tagType !== 4 && data.isMove;
+    const existing = this.displayList.get(depth);
+
+    if (!hasCharacter) {
+      if (existing && isMove) {
+        this.updateRecord(existing, data);
+      }
+      return;
+    }
+
+    if (existing && isMove) {
+      // Replacing the character keeps the old placement unless the tag provides a new one
+      if (existing.characterId !== data.characterId) {
+        if (existing.instance) this.vm.clipRemoved(existing.instance);
+        existing.characterId = data.characterId;
+        existing.instance = this.createInstance(existing, data, null);
+      }
+      this.updateRecord(existing, data);
+      return;
+    }
+
+    if (existing) {
+      this.removeObject(depth);
+    }
+
+    const record = {
+      depth: depth,
+      characterId: data.characterId,
+      name: data.name || null,
+      matrix: data.matrix || MovieClip.createIdentityMatrix(),
+      colorTransform: data.colorTransform || null,
+      ratio: data.ratio !== undefined ? data.ratio : null,
+      clipDepth: data.clipDepth || null,
+      blendMode: data.blendMode || null,
+      filters: data.filters || null,
+      visible: data.visible !== undefined && data.visible !== null ? !!data.visible : true,
+      instance: null,
+      dynamic: false
+    };
+
+    this.displayList.set(depth, record);
+    record.instance = this.createInstance(record, data, reusable);
+  }
+
+  createInstance(record, data, reusable) {
+    const character = this.vm.getCharacter(record.characterId);
+    if (!character || character.type !== 'sprite') {
+      return null;
+    }
+
+    // Going back in time keeps clips that are still on the timeline at the same depth
+    const previous = reusable ? reusable.get(record.depth) : null;
+    if (previous && previous.characterId === record.characterId) {
+      reusable.delete(record.depth);
+      this.applyPlacement(previous.instance, record);
+      return previous.instance;
+    }
+
+    const name = record.name || `instance${++this.vm.instanceCounter}`;
+    const instance = this.vm.createMovieClip(character.definition, this, record.depth, name);
+    instance.clipActions = data.clipActions || null;
+    this.applyPlacement(instance, record);
+
+    // A clip placed while the timelines advance shows its first frame this tick
+    instance.skipNextAdvance = this.vm.advancing;
+    this.vm.clipAdded(instance);
+    return instance;
+  }
+
+  updateRecord(record, data) {
+    if (data.matrix) record.matrix = data.matrix;
+    if (data.colorTransform) record.colorTransform = data.colorTransform;
+    if (data.ratio !== null && data.ratio !== undefined) record.ratio = data.ratio;
+    if (data.name) record.name = data.name;
+    if (data.clipDepth) record.clipDepth = data.clipDepth;
+    if (data.blendMode) record.blendMode = data.blendMode;
+    if (data.filters) record.filters = data.filters;
+    if (data.visible !== undefined && data.visible !== null) record.visible = !!data.visible;
+
+    if (record.instance) {
+      this.applyPlacement(record.instance, record);
+    }
+  }
+
+  applyPlacement(instance, record) {
+    if (record.name) {
+      instance.name = record.name;
+    }
+    if (!instance.scriptTransformed) {
+      instance.matrix = Object.assign({}, record.matrix);
+      instance.colorTransform = record.colorTransform ? Object.assign({}, record.colorTransform) : null;
+    }
+  }
+
+  removeObject(depth) {
+    const record = this.displayList.get(depth);
+    if (!record) {
+      return;
+    }
+
+    this.displayList.delete(depth);
+    if (record.instance) {
+      this.vm.clipRemoved(record.instance);
+    }
+  }
+
+  // Script-created clips (duplicateMovieClip, attachMovie, createEmptyMovieClip) survive rewinds
+  addDynamicClip(instance, depth) {
+    this.removeObject(depth);
+    this.displayList.set(depth, {
+      depth: depth,
+      characterId: instance.characterId,
+      name: instance.name,
+      matrix: instance.matrix,
+      colorTransform: instance.colorTransform,
+      ratio: null,
+      clipDepth: null,
+      blendMode: null,
+      filters: null,
+      visible: true,
+      instance: instance,
+      dynamic: true
+    });
+  }
+
+  swapDepths(depth) {
+    if (!this.parent || depth === this.depth) {
+      return;
+    }
+
+    const siblings = this.parent.displayList;
+    const own = siblings.get(this.depth);
+    const other = siblings.get(depth);
+
+    siblings.delete(this.depth);
+    if (other) {
+      other.depth = this.depth;
+      siblings.set(this.depth, other);
+      if (other.instance) other.instance.depth = this.depth;
+    }
+    if (own) {
+      own.depth = depth;
+      own.dynamic = true;
+      siblings.set(depth, own);
+    }
+    this.depth = depth;
+  }
+
+  getSortedRecords() {
+    return Array.from(this.displayList.values()).sort((a, b) => a.depth - b.depth);
+  }
+
+  getChildClips() {
+    return this.getSortedRecords().filter(record => record.instance).map(record => record.instance);
+  }
+
+  getChildByName(name) {
+    const key = AVM1Object.normalizeName(name);
+    for (const record of this.getSortedRecords()) {
+      if (record.instance && AVM1Object.normalizeName(record.instance.name) === key) {
+        return record.instance;
+      }
+    }
+    return null;
+  }
+
+  // ==================== PATHS ====================
+
+  getRoot() {
+    let clip = this;
+    while (clip.parent) clip = clip.parent;
+    return clip;
+  }
+
+  // Dot syntax path (targetPath, String(clip)): _level0.menu.button
+  getTargetPath() {
+    if (!this.parent) {
+      return this.name || "_level0";
+    }
+    return `${this.parent.getTargetPath()}.${this.name}`;
+  }
+
+  // Slash syntax path (_target): /menu/button
+  getSlashPath() {
+    if (!this.parent) {
+      return "/";
+    }
+    const parentPath = this.parent.getSlashPath();
+    return `${parentPath === "/" ? "" : parentPath}/${this.name}`;
+  }
+
+  // ==================== SCRIPT MEMBERS ====================
+
+  static getPropertyNames() {
+    return ["_x", "_y", "_xscale", "_yscale", "_currentframe", "_totalframes", "_alpha", "_visible",
+      "_width", "_height", "_rotation", "_target", "_framesloaded", "_name", "_droptarget", "_url",
+      "_highquality", "_focusrect", "_soundbuftime", "_quality", "_xmouse", "_ymouse"];
+  }
+
+  isDisplayProperty(name) {
+    const key = String(name).toLowerCase();
+    return key === "_parent" || key === "_root" || key === "_lockroot" || MovieClip.getPropertyNames().includes(key);
+  }
+
+  getDisplayProperty(name) {
+    const matrix = this.matrix;
+
+    switch (String(name).toLowerCase()) {
+      case "_x": return matrix.translateX / 20;
+      case "_y": return matrix.translateY / 20;
+      case "_xscale": return Math.sqrt(matrix.scaleX * matrix.scaleX + matrix.rotateSkew0 * matrix.rotateSkew0) * 100;
+      case "_yscale": return Math.sqrt(matrix.scaleY * matrix.scaleY + matrix.rotateSkew1 * matrix.rotateSkew1) * 100;
+      case "_rotation": return Math.atan2(matrix.rotateSkew0, matrix.scaleX) * 180 / Math.PI;
+      case "_alpha": return this.colorTransform ? this.colorTransform.alphaMultTerm / 256 * 100 : 100;
+      case "_visible": return this.visible;
+      case "_currentframe": return this.currentFrame;
+      case "_totalframes": return this.totalFrames;
+      case "_framesloaded": return this.totalFrames;
+      case "_name": return this.name;
+      case "_target": return this.getSlashPath();
+      case "_parent": return this.parent || undefined;
+      case "_root": return this.getRoot();
+      case "_url": return this.vm ? this.vm.url : "";
+      case "_width": return this.vm ? this.vm.getClipSize(this).width : 0;
+      case "_height": return this.vm ? this.vm.getClipSize(this).height : 0;
+      case "_xmouse": case "_ymouse": return 0;
+      case "_droptarget": return "";
+      case "_highquality": return 1;
+      case "_quality": return "HIGH";
+      case "_focusrect": return true;
+      case "_soundbuftime": return 5;
+      default: return undefined;
+    }
+  }
+
+  setDisplayProperty(name, value) {
+    const number = Number(value);
+    const matrix = this.matrix;
+
+    switch (String(name).toLowerCase()) {
+      case "_x":
+        if (Number.isFinite(number)) matrix.translateX = Math.round(number * 20);
+        break;
+      case "_y":
+        if (Number.isFinite(number)) matrix.translateY = Math.round(number * 20);
+        break;
+      case "_xscale":
+      case "_yscale":
+      case "_rotation": {
+        if (!Number.isFinite(number)) break;
+        let xScale = this.getDisplayProperty("_xscale") / 100;
+        let yScale = this.getDisplayProperty("_yscale") / 100;
+        let rotation = this.getDisplayProperty("_rotation") * Math.PI / 180;
+        const key = String(name).toLowerCase();
+        if (key === "_xscale") xScale = number / 100;
+        if (key === "_yscale") yScale = number / 100;
+        if (key === "_rotation") rotation = number * Math.PI / 180;
+        matrix.scaleX = xScale * Math.cos(rotation);
+        matrix.rotateSkew0 = xScale * Math.sin(rotation);
+        matrix.rotateSkew1 = -yScale * Math.sin(rotation);
+        matrix.scaleY = yScale * Math.cos(rotation);
+        break;
+      }
+      case "_alpha":
+        if (!Number.isFinite(number)) break;
+        this.colorTransform = Object.assign({
+          redMultTerm: 256, greenMultTerm: 256, blueMultTerm: 256, alphaMultTerm: 256,
+          redAddTerm: 0, greenAddTerm: 0, blueAddTerm: 0, alphaAddTerm: 0
+        }, this.colorTransform, { alphaMultTerm: Math.round(number * 2.56) });
+        break;
+      case "_visible":
+        this.visible = typeof value === 'boolean' ? value : number !== 0;
+        break;
+      case "_name":
+        this.name = String(value);
+        break;
+      default:
+        // Read-only properties ignore assignments
+        return;
+    }
+
+    this.scriptTransformed = true;
+  }
+
+  getMember(name) {
+    if (this.isDisplayProperty(name)) {
+      return this.getDisplayProperty(name);
+    }
+    if (this.hasOwnMember(name)) {
+      return this.getOwnMember(name);
+    }
+    const child = this.getChildByName(name);
+    if (child) {
+      return child;
+    }
+    return super.getMember(name);
+  }
+
+  hasMember(name) {
+    return this.isDisplayProperty(name) || this.getChildByName(name) !== null || super.hasMember(name);
+  }
+
+  setMember(name, value) {
+    if (this.isDisplayProperty(name)) {
+      this.setDisplayProperty(name, value);
+      return;
+    }
+    super.setMember(name, value);
+  }
+
+  // Variables first, then named child clips, like for-in over a movie clip in Flash
+  getMemberNames() {
+    const names = super.getMemberNames();
+    for (const child of this.getChildClips()) {
+      if (!names.includes(child.name)) names.push(child.name);
+    }
+    return names;
+  }
+}
+
+// Export for use by other modules
+if (typeof window !== 'undefined') {
+  window.MovieClip = MovieClip;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MovieClip;
+}
@@ -0,0 +1,104 @@
+/*
+ * Bitmap Decoder - v1.0
+ * Turns the encoded image streams BitmapParsers.js assembles for DefineBits, DefineBitsJPEG2 and
+ * DefineBitsJPEG3 (JPEG, PNG or GIF89a) into straight RGBA pixels like the lossless tags have
+ * - Decoding uses the browser's image decoders (createImageBitmap + a 2D canvas), so it is
+ *   asynchronous and needs a browser; elsewhere decode() rejects and the image stays encoded
+ * - DefineBitsJPEG3's alpha plane is merged after decoding. Flash treats the JPEG colors as
+ *   premultiplied by that alpha, so they are divided back out (and clamped to the alpha first,
+ *   as the Flash Player does for colors JPEG compression pushed past it)
+ * - toDataURL() gives exporters the image as a data: URL without decoding it
+ */
+class BitmapDecoder {
+  static isSupported() {
+    return typeof createImageBitmap === 'function' && typeof Blob !== 'undefined' &&
+      (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+  }
+
+  // bitmap: { width, height, mimeType, imageData, alphaData } -> { width, height, rgba, hasAlpha }
+  static async decode(bitmap) {
+    if (!bitmap || !bitmap.imageData) {
+      throw new Error("Bitmap has no image data");
+    }
+    if (!BitmapDecoder.isSupported()) {
+      throw new Error("Image decoding requires createImageBitmap and a canvas");
+    }
+
+    const blob = new Blob([bitmap.imageData], { type: bitmap.mimeType || "image/jpeg" });
+    const image = await createImageBitmap(blob, { premultiplyAlpha: "none", colorSpaceConversion: "none" });
+
+    try {
+      const width = image.width;
+      const height = image.height;
+      const canvas = BitmapDecoder.createCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0);
+      const rgba = ctx.getImageData(0, 0, width, height).data;
+
+      const hasAlpha = !!bitmap.alphaData || bitmap.mimeType !== "image/jpeg";
+      if (bitmap.alphaData) {
+        BitmapDecoder.mergeAlpha(rgba, bitmap.alphaData);
+      }
+
+      return { width: width, height: height, rgba: rgba, hasAlpha: hasAlpha };
+    } finally {
+      if (image.close) image.close();
+    }
+  }
+
+  // In place: alphaData holds one byte per pixel; the colors in rgba are premultiplied by it
+  static mergeAlpha(rgba, alphaData) {
+    const pixelCount = Math.min(rgba.length >> 2, alphaData.length);
+
+    for (let i = 0; i < pixelCount; i++) {
+      const alpha = alphaData[i];
+      const offset = i * 4;
+
+      for (let c = 0; c < 3; c++) {
+        rgba[offset + c] = alpha === 0 ? 0 : Math.round(Math.min(rgba[offset + c], alpha) * 255 / alpha);
+      }
+      rgba[offset + 3] = alpha;
+    }
+    return rgba;
+  }
+
+  // The encoded stream as a data: URL (the JPEG3 alpha plane is not part of it)
+  static toDataURL(bitmap) {
+    if (!bitmap || !bitmap.imageData) {
+      return null;
+    }
+    return `data:${bitmap.mimeType || "image/jpeg"};base64,${BitmapDecoder.toBase64(bitmap.imageData)}`;
+  }
+
+  static toBase64(bytes) {
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString('base64');
+    }
+
+    // btoa takes a binary string; build it in chunks to stay under argument limits
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+}
+
+// Export for use by rendering pipeline
+if (typeof window !== 'undefined') {
+  window.BitmapDecoder = BitmapDecoder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BitmapDecoder;
+}
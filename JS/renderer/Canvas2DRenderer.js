@@ -0,0 +1,987 @@
+/*
+ * Canvas 2D SWF Renderer - v1.5
+ * Fallback for WebGLRenderer.js with the same interface (processSWFTranslatedData,
+ * renderSWFFirstFrame, resize, clear, timeline playback, SVG export), drawn with the 2D canvas API
+ * - Shapes go through ShapePathBuilder.js and are cached as Path2D objects with native quadratic
+ *   curves; contexts without Path2D (node-canvas) get the same commands replayed on the context
+ * - Solid, linear/radial/focal gradient (pad, reflect, repeat) and bitmap pattern fills; strokes
+ *   with caps, joins, miter limits and hairline / non-scaling widths
+ * - Placement matrices become the context transform; CXFORM color transforms are applied to fill,
+ *   stroke and gradient stop colors (bitmap fills only take the alpha terms)
+ * - Clip layers (clipDepth) clip the depths above them to the clip shape's fills
+ * Needs only a canvas whose getContext('2d') returns a 2D context, so it also runs headless;
+ * bitmaps are only drawn when options.getBitmap returns an image the context can draw
+ * ADDED: Decoded bitmaps stored per character ID (getBitmapRGBA)
+ * ADDED: JPEG/PNG/GIF bitmaps decoded asynchronously through BitmapDecoder.js (storeBitmap)
+ * ADDED: Bitmap fills draw the stored bitmaps when no options.getBitmap is given; fills naming
+ *   bitmap 0xFFFF ("no bitmap") are not drawn
+ * FIXED: Display list entries built without the timeline keep their PlaceObject matrix, color
+ *   transform and moves
+ * FIXED: Clip layers placed without the timeline keep their clip depth
+ */
+class Canvas2DRenderer {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = null;
+    this.isInitialized = false;
+    this.output = [];
+    this.rendererType = "Canvas 2D";
+
+    this.totalTranslatedItems = 0;
+    this.pendingUIUpdates = [];
+    this.uiUpdateCallback = null;
+
+    // (bitmapId) => CanvasImageSource or null; defaults to the stored bitmaps (getBitmapImage)
+    this.getBitmap = options.getBitmap || (bitmapId => this.getBitmapImage(bitmapId));
+    this.bitmapImages = new Map();
+    this.missingBitmapColor = "#b3b3b3";
+
+    // Gradients are defined on a 32768 x 32768 square centred on the origin (SWF spec)
+    this.gradientHalfSize = 16384;
+    this.maxSpreadRepeats = 64;
+
+    // Prepared paths per shape ID (and per ratio for morph shapes)
+    this.pathBuilder = new ShapePathBuilder();
+    this.pathCache = new Map();
+    this.maxMorphCacheEntries = 256;
+    this.morphCacheEntries = 0;
+
+    // Actual SWF rendering data
+    this.swfShapes = new Map();
+    this.swfMorphShapes = new Map();
+    this.swfBitmaps = new Map();
+    this.swfDisplayList = new Map();
+    this.backgroundColor = [1.0, 1.0, 1.0, 1.0]; // Default white
+
+    // Frame-accurate display list and playback (SWFTimeline.js)
+    this.timeline = typeof SWFTimeline !== 'undefined' ? new SWFTimeline() : null;
+    if (this.timeline) {
+      this.timeline.onFrame = () => this.renderTimelineFrame();
+    }
+    this.maxOutputLines = 5000;
+
+    this.init();
+  }
+
+  // ==================== INITIALIZATION ====================
+
+  init() {
+    try {
+      this.output.push("Canvas 2D Renderer Initialization:");
+      this.output.push("==================================");
+
+      this.ctx = this.canvas.getContext('2d');
+      if (!this.ctx) {
+        throw new Error("Canvas 2D not supported");
+      }
+
+      this.usePath2D = typeof Path2D !== 'undefined';
+      this.output.push(`Canvas 2D context created (${this.usePath2D ? "Path2D" : "context path replay"})`);
+
+      this.clear();
+
+      this.isInitialized = true;
+      this.output.push("Canvas 2D renderer ready for SWF content");
+
+    } catch (error) {
+      this.output.push(`Initialization failed: ${error.message}`);
+      this.isInitialized = false;
+    }
+  }
+
+  // ==================== SWF CONTENT PROCESSING ====================
+
+  processSWFTranslatedData(translatedData) {
+    try {
+      this.totalTranslatedItems++;
+
+      // Shape definitions (from ShapeParserTranslator)
+      if (translatedData.translatedShape) {
+        const shape = translatedData.translatedShape;
+        this.swfShapes.set(shape.shapeId, shape);
+        this.pathCache.delete(`shape:${shape.shapeId}`);
+        this.output.push(`Stored shape ${shape.shapeId}: ${shape.bounds ? `${shape.bounds.width}×${shape.bounds.height}px` : "no bounds"}`);
+      }
+
+      // Morph shape definitions (parsed data, interpolated by the placement ratio)
+      if (translatedData.isMorphShapeDefinition && translatedData.morphShape) {
+        this.swfMorphShapes.set(translatedData.morphShape.characterId, translatedData.morphShape);
+        this.output.push(`Stored morph shape ${translatedData.morphShape.characterId}`);
+      }
+
+      // Bitmap definitions (straight RGBA from BitmapParsers, or an image stream to decode)
+      if (translatedData.isBitmapDefinition && translatedData.bitmap) {
+        this.storeBitmap(translatedData.characterId, translatedData.bitmap);
+        this.output.push(`Stored bitmap ${translatedData.characterId}: ${translatedData.bitmap.width}×${translatedData.bitmap.height}px`);
+      }
+
+      // Display commands and ShowFrame markers (from TagParse.js) build the frame-accurate timeline
+      if (this.timeline && this.timeline.addTranslatedData(translatedData)) {
+        if (translatedData.isSpriteDefinition) {
+          this.output.push(`Timeline: sprite ${translatedData.spriteId} (${translatedData.frameCount} frames)`);
+        }
+      } else if (translatedData.isDisplayCommand && translatedData.characterId !== undefined && translatedData.depth !== undefined) {
+        // Without a timeline every placement lands in one display list
+        const placement = translatedData.translatedData || {};
+        this.swfDisplayList.set(translatedData.depth, {
+          characterId: translatedData.characterId,
+          depth: translatedData.depth,
+          matrix: placement.matrix || null,
+          colorTransform: placement.colorTransform || null,
+          clipDepth: placement.clipDepth || 0
+        });
+      } else if (translatedData.isDisplayCommand && translatedData.translatedData && translatedData.translatedData.isMove &&
+        this.swfDisplayList.has(translatedData.depth)) {
+        // A move without a character keeps the character and replaces what the tag carries
+        const placement = translatedData.translatedData;
+        const entry = this.swfDisplayList.get(translatedData.depth);
+        if (placement.matrix) entry.matrix = placement.matrix;
+        if (placement.colorTransform) entry.colorTransform = placement.colorTransform;
+      }
+
+      // Legacy display list state (from DisplayParserTranslator)
+      if (!this.timeline && Array.isArray(translatedData.displayListState)) {
+        translatedData.displayListState.forEach(displayObj => this.swfDisplayList.set(displayObj.depth, displayObj));
+      }
+
+      this.updateButtonState();
+      this.requestUIUpdate();
+
+    } catch (error) {
+      this.output.push(`Error processing SWF data: ${error.message}`);
+      console.error("SWF processing error:", error, translatedData);
+    }
+  }
+
+  // Replays translated data that was stored before the renderer existed (stored in tag order)
+  processStoredTranslatedData() {
+    if (typeof window === 'undefined' || !window.translatedDataStorage) return 0;
+
+    const items = Object.values(window.translatedDataStorage);
+    items.forEach(translatedData => this.processSWFTranslatedData(translatedData));
+    return items.length;
+  }
+
+  // ==================== UI HANDLING ====================
+
+  requestUIUpdate() {
+    const callback = this.uiUpdateCallback ||
+      (typeof window !== 'undefined' && typeof window.updateCanvasInfo === 'function' ? window.updateCanvasInfo : null);
+
+    if (!callback) {
+      this.pendingUIUpdates.push(Date.now());
+      return;
+    }
+
+    try {
+      callback();
+    } catch (error) {
+      this.output.push(`UI update error: ${error.message}`);
+    }
+  }
+
+  setUIUpdateCallback(callback) {
+    this.uiUpdateCallback = callback;
+
+    if (this.pendingUIUpdates.length > 0) {
+      this.pendingUIUpdates = [];
+      try {
+        callback();
+      } catch (error) {
+        this.output.push(`UI callback error: ${error.message}`);
+      }
+    }
+    this.updateButtonState();
+  }
+
+  updateButtonState() {
+    const renderButton = typeof document !== 'undefined' ? document.getElementById('renderButton') : null;
+    if (!renderButton) return;
+
+    const hasContent = this.swfShapes.size > 0 || this.hasTimeline();
+    renderButton.disabled = !hasContent;
+    renderButton.textContent = hasContent ? 'Render SWF Frame' : 'No SWF Content';
+    renderButton.style.backgroundColor = hasContent ? '#28a745' : '#6c757d';
+  }
+
+  // Called when new SWF is uploaded
+  resetForNewSWF() {
+    this.totalTranslatedItems = 0;
+    this.pathCache.clear();
+    this.morphCacheEntries = 0;
+    this.swfShapes.clear();
+    this.swfMorphShapes.clear();
+    this.swfBitmaps.clear();
+    this.bitmapImages.clear();
+    this.swfDisplayList.clear();
+    if (this.timeline) {
+      this.timeline.reset();
+    }
+
+    this.updateButtonState();
+    this.output.push("Renderer reset for new SWF file");
+    this.clear();
+  }
+
+  onSWFUploaded() {
+    this.output.push("SWF file uploaded - waiting for content translation...");
+  }
+
+  // ==================== MAIN RENDERING ENTRY POINT ====================
+
+  startRendering() {
+    this.output.push("SWF Frame Rendering Started:");
+    this.output.push("=============================");
+
+    if (!this.isInitialized) {
+      this.output.push("Error: Renderer not initialized");
+      return false;
+    }
+
+    if (this.swfShapes.size === 0 && this.swfMorphShapes.size === 0 && !this.hasTimeline()) {
+      this.output.push("Error: No SWF content available");
+      return false;
+    }
+
+    const success = this.renderSWFFirstFrame();
+    this.output.push(success ? "SWF first frame rendered successfully" : "Failed to render SWF first frame");
+    return success;
+  }
+
+  renderSWFFirstFrame() {
+    if (this.hasTimeline()) {
+      this.syncTimelineHeader();
+      this.timeline.seek(1);
+    }
+    return this.renderSWFFrame();
+  }
+
+  // Renders the timeline's current frame (or the legacy display list when there is no timeline)
+  renderSWFFrame() {
+    if (!this.isInitialized) return false;
+
+    try {
+      const counts = { shapes: 0, objects: 0 };
+      const displayList = this.getFrameDisplayList();
+
+      this.clearWithBackground();
+      if (this.hasTimeline()) {
+        this.output.push(`Frame ${this.timeline.currentFrame}/${this.timeline.totalFrames}`);
+      }
+
+      this.ctx.save();
+      this.renderDisplayList(displayList, null, null, counts);
+
+      // Without a display list every shape is drawn where it was defined (an empty timeline frame stays empty)
+      if (counts.shapes === 0 && !this.hasTimeline()) {
+        for (const shapeId of this.swfShapes.keys()) {
+          if (this.renderEntry({ characterId: shapeId, depth: 0 }, null, null, counts)) {
+            counts.objects++;
+          }
+        }
+      }
+      this.ctx.restore();
+
+      this.output.push(`Frame complete: ${counts.shapes} shapes, ${counts.objects} display objects`);
+      return counts.shapes > 0 || counts.objects > 0;
+
+    } catch (error) {
+      this.ctx.restore();
+      this.output.push(`Error rendering SWF frame: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Draws entries back to front; a sprite entry draws its clip's current frame with the placement
+  // composed onto its parent's. A clip layer clips the entries above it up to its clip depth
+  renderDisplayList(entries, parentMatrix, parentColorTransform, counts) {
+    let index = 0;
+
+    while (index < entries.length) {
+      const entry = entries[index++];
+      if (entry.visible === false) continue;
+
+      const matrix = SWFTimeline.multiplyMatrix(parentMatrix, entry.matrix);
+
+      if (!entry.clipDepth) {
+        const colorTransform = SWFTimeline.concatColorTransform(parentColorTransform, entry.colorTransform);
+        if (this.renderEntry(entry, matrix, colorTransform, counts)) {
+          counts.objects++;
+        }
+        continue;
+      }
+
+      const clipped = [];
+      while (index < entries.length && entries[index].depth <= entry.clipDepth) {
+        clipped.push(entries[index++]);
+      }
+
+      this.ctx.save();
+      if (this.clipToEntry(entry, matrix)) {
+        this.renderDisplayList(clipped, parentMatrix, parentColorTransform, counts);
+      }
+      this.ctx.restore();
+    }
+  }
+
+  renderEntry(entry, matrix, colorTransform, counts) {
+    if (entry.clip && this.timeline) {
+      this.renderDisplayList(this.timeline.getDisplayList(entry.clip), matrix, colorTransform, counts);
+      return true;
+    }
+
+    const prepared = this.getCharacterPaths(entry);
+    if (!prepared) {
+      this.output.push(`Warning: Shape ${entry.characterId} not found for depth ${entry.depth}`);
+      return false;
+    }
+
+    this.setPlacementTransform(matrix);
+    const scale = Canvas2DRenderer.getMatrixScale(matrix);
+
+    for (const path of prepared.paths) {
+      if (path.type === "fill") {
+        this.fillPath(path, prepared, matrix, colorTransform);
+      } else {
+        this.strokePath(path, colorTransform, scale);
+      }
+    }
+
+    counts.shapes++;
+    return true;
+  }
+
+  // The clip shape's fill paths become the clipping region (sprites and missing shapes do not clip)
+  clipToEntry(entry, matrix) {
+    const prepared = entry.clip ? null : this.getCharacterPaths(entry);
+    if (!prepared) {
+      this.output.push(`Warning: clip layer ${entry.characterId} at depth ${entry.depth} is not a shape; drawing unclipped`);
+      return true;
+    }
+
+    const fills = prepared.paths.filter(path => path.type === "fill");
+    this.setPlacementTransform(matrix);
+
+    if (this.usePath2D) {
+      const region = new Path2D();
+      fills.forEach(path => region.addPath(path.path2D));
+      this.ctx.clip(region, prepared.fillRule);
+    } else {
+      this.ctx.beginPath();
+      fills.forEach(path => this.tracePath(path.subpaths));
+      this.ctx.clip(prepared.fillRule);
+    }
+    return true;
+  }
+
+  getFrameDisplayList() {
+    if (this.hasTimeline()) {
+      return this.timeline.getDisplayList();
+    }
+    return Array.from(this.swfDisplayList.values()).sort((a, b) => a.depth - b.depth);
+  }
+
+  // ==================== PATH PREPARATION ====================
+
+  // Shape paths are built once per shape ID, morph shapes once per ratio (ShapePathBuilder.js)
+  getCharacterPaths(entry) {
+    const characterId = entry.characterId;
+
+    if (this.swfShapes.has(characterId)) {
+      const key = `shape:${characterId}`;
+      if (!this.pathCache.has(key)) {
+        this.pathCache.set(key, this.preparePaths(this.swfShapes.get(characterId)));
+      }
+      return this.pathCache.get(key);
+    }
+
+    if (this.swfMorphShapes.has(characterId)) {
+      const ratio = entry.ratio || 0;
+      const key = `morph:${characterId}:${ratio}`;
+      if (!this.pathCache.has(key)) {
+        if (this.morphCacheEntries >= this.maxMorphCacheEntries) {
+          this.clearMorphCache();
+        }
+        const shape = this.pathBuilder.createMorphShape(this.swfMorphShapes.get(characterId), ratio / 65535);
+        this.pathCache.set(key, this.preparePaths(shape));
+        this.morphCacheEntries++;
+      }
+      return this.pathCache.get(key);
+    }
+
+    return null;
+  }
+
+  clearMorphCache() {
+    for (const key of Array.from(this.pathCache.keys())) {
+      if (key.startsWith("morph:")) {
+        this.pathCache.delete(key);
+      }
+    }
+    this.morphCacheEntries = 0;
+  }
+
+  // Fill contours are always closed; stroke subpaths close when they end where they start
+  // (unless the line style says NoClose)
+  preparePaths(shape) {
+    const shapePaths = this.pathBuilder.build(shape);
+    const paths = shapePaths.paths.map(path => {
+      const closable = path.type === "fill" || !(path.style && path.style.flags && path.style.flags.noClose);
+      const subpaths = (path.type === "fill" ? path.contours : path.subpaths).map(commands => ({
+        commands: commands,
+        close: path.type === "fill" || (closable && Canvas2DRenderer.isClosed(commands))
+      }));
+
+      return {
+        type: path.type,
+        style: path.style,
+        subpaths: subpaths,
+        path2D: this.usePath2D ? this.createPath2D(subpaths) : null
+      };
+    });
+
+    return {
+      shapeId: shapePaths.shapeId,
+      fillRule: shapePaths.fillRule,
+      paths: paths,
+      bounds: Canvas2DRenderer.getPathBounds(paths)
+    };
+  }
+
+  createPath2D(subpaths) {
+    const path2D = new Path2D();
+    Canvas2DRenderer.appendCommands(path2D, subpaths);
+    return path2D;
+  }
+
+  // Current path replay for contexts without Path2D (the caller begins the path)
+  tracePath(subpaths) {
+    Canvas2DRenderer.appendCommands(this.ctx, subpaths);
+  }
+
+  // Renderer path commands (move_to / line_to / curve_to, pixels) onto a Path2D or a context
+  static appendCommands(target, subpaths) {
+    for (const subpath of subpaths) {
+      for (const command of subpath.commands) {
+        if (command.type === "move_to") {
+          target.moveTo(command.position.x, command.position.y);
+        } else if (command.type === "line_to") {
+          target.lineTo(command.endPosition.x, command.endPosition.y);
+        } else if (command.type === "curve_to") {
+          target.quadraticCurveTo(command.controlPoint.x, command.controlPoint.y, command.endPosition.x, command.endPosition.y);
+        }
+      }
+      if (subpath.close) {
+        target.closePath();
+      }
+    }
+  }
+
+  static isClosed(commands) {
+    const first = commands[0];
+    const last = commands[commands.length - 1];
+    return commands.length > 2 && first.type === "move_to" && last.endPosition &&
+      last.endPosition.x === first.position.x && last.endPosition.y === first.position.y;
+  }
+
+  // Bounds of every point and control point; gradient and bitmap fills cover at least this area
+  static getPathBounds(paths) {
+    const bounds = { xMin: Infinity, yMin: Infinity, xMax: -Infinity, yMax: -Infinity };
+    const include = point => {
+      if (!point) return;
+      bounds.xMin = Math.min(bounds.xMin, point.x);
+      bounds.yMin = Math.min(bounds.yMin, point.y);
+      bounds.xMax = Math.max(bounds.xMax, point.x);
+      bounds.yMax = Math.max(bounds.yMax, point.y);
+    };
+
+    for (const path of paths) {
+      for (const subpath of path.subpaths) {
+        for (const command of subpath.commands) {
+          include(command.position);
+          include(command.controlPoint);
+          include(command.endPosition);
+        }
+      }
+    }
+    return Number.isFinite(bounds.xMin) ? bounds : { xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+  }
+
+  // ==================== FILLS AND STROKES ====================
+
+  fillPath(path, prepared, matrix, colorTransform) {
+    const style = path.style;
+    const ctx = this.ctx;
+
+    if (!style || style.type === "solid") {
+      ctx.fillStyle = Canvas2DRenderer.cssColor(style ? style.color : null, colorTransform);
+      this.fillSubpaths(path, prepared.fillRule);
+      return;
+    }
+
+    const isGradient = style.type === "linear_gradient" || style.type === "radial_gradient" ||
+      style.type === "focal_radial_gradient";
+    if (style.type === "bitmap" && style.bitmapId === 0xFFFF) {
+      return;
+    }
+    const image = style.type === "bitmap" && this.getBitmap ? this.getBitmap(style.bitmapId) : null;
+    const fillMatrix = Canvas2DRenderer.getFillMatrix(style.matrix);
+    const inverse = Canvas2DRenderer.invertMatrix(fillMatrix);
+
+    if ((!isGradient && !image) || !inverse) {
+      ctx.fillStyle = this.missingBitmapColor;
+      this.fillSubpaths(path, prepared.fillRule);
+      return;
+    }
+
+    // Gradient and bitmap space is mapped into the shape by the fill MATRIX: clip to the fill,
+    // switch to that space and cover the shape's bounds there
+    const area = Canvas2DRenderer.transformBounds(inverse, prepared.bounds);
+    ctx.save();
+    this.clipSubpaths(path, prepared.fillRule);
+    ctx.transform(fillMatrix[0], fillMatrix[1], fillMatrix[2], fillMatrix[3], fillMatrix[4], fillMatrix[5]);
+
+    if (isGradient) {
+      ctx.fillStyle = this.createGradient(style, colorTransform, area);
+      ctx.fillRect(area.xMin, area.yMin, area.xMax - area.xMin, area.yMax - area.yMin);
+    } else {
+      ctx.globalAlpha = Canvas2DRenderer.getAlphaMultiplier(colorTransform);
+      ctx.imageSmoothingEnabled = style.smoothed !== false;
+      if (style.repeat) {
+        ctx.fillStyle = ctx.createPattern(image, 'repeat');
+        ctx.fillRect(area.xMin, area.yMin, area.xMax - area.xMin, area.yMax - area.yMin);
+      } else {
+        ctx.drawImage(image, 0, 0);
+      }
+    }
+    ctx.restore();
+  }
+
+  // LINESTYLE widths are twips; a zero width is a one pixel hairline at any scale and
+  // non-scaling strokes keep their width whatever the placement scale
+  strokePath(path, colorTransform, scale) {
+    const style = path.style || {};
+    const ctx = this.ctx;
+    const enhanced = style.type === "enhanced";
+    const flags = style.flags || {};
+    const caps = { round: "round", none: "butt", square: "square" };
+    const joins = { round: "round", bevel: "bevel", miter: "miter" };
+    const paint = enhanced ? style.fillType : { type: "solid", color: style.color };
+
+    const width = (style.width || 0) / 20;
+    const nonScaling = !width || flags.noHScale || flags.noVScale;
+    ctx.lineWidth = Math.max(nonScaling ? width / scale : width, 1 / scale);
+    ctx.lineCap = enhanced ? caps[style.startCap] || "round" : "round";
+    ctx.lineJoin = enhanced ? joins[style.join] || "round" : "round";
+    ctx.miterLimit = enhanced && style.join === "miter" && style.miterLimitFactor ?
+      Math.max(1, style.miterLimitFactor / 256) : 10;
+    ctx.strokeStyle = paint && paint.type !== "solid" && paint.gradient ?
+      this.createShapeSpaceGradient(paint, colorTransform) :
+      (paint && paint.type === "solid" ? Canvas2DRenderer.cssColor(paint.color, colorTransform) : this.missingBitmapColor);
+
+    if (this.usePath2D) {
+      ctx.stroke(path.path2D);
+    } else {
+      ctx.beginPath();
+      this.tracePath(path.subpaths);
+      ctx.stroke();
+    }
+  }
+
+  fillSubpaths(path, fillRule) {
+    if (this.usePath2D) {
+      this.ctx.fill(path.path2D, fillRule);
+    } else {
+      this.ctx.beginPath();
+      this.tracePath(path.subpaths);
+      this.ctx.fill(fillRule);
+    }
+  }
+
+  clipSubpaths(path, fillRule) {
+    if (this.usePath2D) {
+      this.ctx.clip(path.path2D, fillRule);
+    } else {
+      this.ctx.beginPath();
+      this.tracePath(path.subpaths);
+      this.ctx.clip(fillRule);
+    }
+  }
+
+  // Gradient in gradient space (the fill MATRIX is on the context). Canvas gradients only pad, so
+  // reflect and repeat spreads lay the stops out once per period across the covered area
+  createGradient(style, colorTransform, area) {
+    const gradient = style.gradient || { gradientRecords: [] };
+    const size = this.gradientHalfSize;
+    const linear = style.type === "linear_gradient";
+    const focalX = style.type === "focal_radial_gradient" && style.focalPoint ? style.focalPoint * size : 0;
+
+    // Gradient position (0 to 1 inside the square) covered by the area
+    let start = 0;
+    let end = 1;
+    if (linear) {
+      start = (area.xMin + size) / (2 * size);
+      end = (area.xMax + size) / (2 * size);
+    } else {
+      end = Math.max(...[[area.xMin, area.yMin], [area.xMax, area.yMin], [area.xMin, area.yMax], [area.xMax, area.yMax]]
+        .map(([x, y]) => Math.hypot(x, y))) / size;
+    }
+
+    const firstPeriod = Math.floor(start);
+    const lastPeriod = Math.max(firstPeriod + 1, Math.ceil(end));
+    const spread = (gradient.spreadMode === "reflect" || gradient.spreadMode === "repeat") &&
+      lastPeriod - firstPeriod <= this.maxSpreadRepeats ? gradient.spreadMode : "pad";
+    const from = spread === "pad" ? 0 : firstPeriod;
+    const periods = spread === "pad" ? 1 : lastPeriod - firstPeriod;
+
+    const canvasGradient = linear ?
+      this.ctx.createLinearGradient(-size + from * 2 * size, 0, -size + (from + periods) * 2 * size, 0) :
+      this.ctx.createRadialGradient(focalX, 0, 0, 0, 0, size * (from + periods));
+
+    const records = gradient.gradientRecords || [];
+    const span = from + periods;
+    for (let period = from; period < span; period++) {
+      const reversed = spread === "reflect" && Math.abs(period % 2) === 1;
+      const ordered = reversed ? records.slice().reverse() : records;
+
+      for (const record of ordered) {
+        const ratio = reversed ? 1 - record.ratio / 255 : record.ratio / 255;
+        const offset = linear ? (period - from + ratio) / periods : (period + ratio) / span;
+        canvasGradient.addColorStop(Math.max(0, Math.min(1, offset)), Canvas2DRenderer.cssColor(record.color, colorTransform));
+      }
+    }
+    return canvasGradient;
+  }
+
+  // Strokes cannot be clipped to their own outline, so stroke gradients are placed in shape space
+  // through the fill MATRIX's image of the gradient axis (exact without skew, padded)
+  createShapeSpaceGradient(style, colorTransform) {
+    const m = Canvas2DRenderer.getFillMatrix(style.matrix);
+    const size = this.gradientHalfSize;
+    const map = (x, y) => ({ x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] });
+
+    let canvasGradient;
+    if (style.type === "linear_gradient") {
+      const from = map(-size, 0);
+      const to = map(size, 0);
+      canvasGradient = this.ctx.createLinearGradient(from.x, from.y, to.x, to.y);
+    } else {
+      const center = map(0, 0);
+      const edge = map(size, 0);
+      const focus = map(style.type === "focal_radial_gradient" && style.focalPoint ? style.focalPoint * size : 0, 0);
+      canvasGradient = this.ctx.createRadialGradient(focus.x, focus.y, 0, center.x, center.y,
+        Math.hypot(edge.x - center.x, edge.y - center.y));
+    }
+
+    for (const record of style.gradient.gradientRecords || []) {
+      canvasGradient.addColorStop(record.ratio / 255, Canvas2DRenderer.cssColor(record.color, colorTransform));
+    }
+    return canvasGradient;
+  }
+
+  // ==================== TRANSFORMATION MANAGEMENT ====================
+
+  // MATRIX (translation in twips) onto the context, in stage pixels; null is the identity
+  setPlacementTransform(matrix) {
+    if (!matrix) {
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      return;
+    }
+    this.ctx.setTransform(matrix.scaleX, matrix.rotateSkew0, matrix.rotateSkew1, matrix.scaleY,
+      matrix.translateX / 20, matrix.translateY / 20);
+  }
+
+  // Fill matrices map gradient/bitmap space into twips, so all their terms scale by 1/20 in pixels
+  static getFillMatrix(matrix) {
+    if (!matrix) {
+      return [1 / 20, 0, 0, 1 / 20, 0, 0];
+    }
+    return [
+      matrix.scaleX / 20, matrix.rotateSkew0 / 20, matrix.rotateSkew1 / 20, matrix.scaleY / 20,
+      matrix.translateX / 20, matrix.translateY / 20
+    ];
+  }
+
+  // [a, b, c, d, e, f] canvas layout; null when singular
+  static invertMatrix(m) {
+    const determinant = m[0] * m[3] - m[1] * m[2];
+    if (!determinant || !Number.isFinite(determinant)) return null;
+
+    return [
+      m[3] / determinant, -m[1] / determinant, -m[2] / determinant, m[0] / determinant,
+      (m[2] * m[5] - m[3] * m[4]) / determinant, (m[1] * m[4] - m[0] * m[5]) / determinant
+    ];
+  }
+
+  static transformBounds(m, bounds) {
+    const xs = [];
+    const ys = [];
+    for (const [x, y] of [[bounds.xMin, bounds.yMin], [bounds.xMax, bounds.yMin], [bounds.xMin, bounds.yMax], [bounds.xMax, bounds.yMax]]) {
+      xs.push(m[0] * x + m[2] * y + m[4]);
+      ys.push(m[1] * x + m[3] * y + m[5]);
+    }
+    return { xMin: Math.min(...xs), yMin: Math.min(...ys), xMax: Math.max(...xs), yMax: Math.max(...ys) };
+  }
+
+  // Screen pixels per shape pixel under a placement (largest axis scale)
+  static getMatrixScale(matrix) {
+    if (!matrix) return 1;
+    const scale = Math.max(Math.hypot(matrix.scaleX, matrix.rotateSkew0), Math.hypot(matrix.rotateSkew1, matrix.scaleY));
+    return scale > 0 && Number.isFinite(scale) ? scale : 1;
+  }
+
+  // ==================== COLOR ====================
+
+  // RGB/RGBA color through a CXFORM/CXFORMA (mult 8.8 fixed point, add 0-255) to a CSS color
+  static cssColor(color, colorTransform = null) {
+    const channels = ['red', 'green', 'blue', 'alpha'].map(channel => {
+      let value = color && color[channel] !== undefined ? color[channel] : (channel === 'alpha' ? 255 : 0);
+      if (colorTransform) {
+        value = value * SWFTimeline.getColorTerm(colorTransform, `${channel}MultTerm`, 256) / 256 +
+          SWFTimeline.getColorTerm(colorTransform, `${channel}AddTerm`, 0);
+      }
+      return Math.max(0, Math.min(255, Math.round(value)));
+    });
+    return `rgba(${channels[0]}, ${channels[1]}, ${channels[2]}, ${channels[3] / 255})`;
+  }
+
+  static getAlphaMultiplier(colorTransform) {
+    if (!colorTransform) return 1;
+    const alpha = SWFTimeline.getColorTerm(colorTransform, 'alphaMultTerm', 256) / 256 +
+      SWFTimeline.getColorTerm(colorTransform, 'alphaAddTerm', 0) / 255;
+    return Math.max(0, Math.min(1, alpha));
+  }
+
+  // ==================== TIMELINE PLAYBACK ====================
+
+  hasTimeline() {
+    return this.timeline !== null && this.timeline.hasContent();
+  }
+
+  // Frame rate and frame count come from parseSWFSignature's header analysis
+  syncTimelineHeader() {
+    if (this.timeline && typeof window !== 'undefined' && window.swfHeaderInfo) {
+      this.timeline.setHeader(window.swfHeaderInfo);
+    }
+  }
+
+  play() {
+    if (!this.isInitialized || !this.hasTimeline()) return false;
+
+    this.syncTimelineHeader();
+    const starting = this.timeline.currentFrame === 0;
+    this.timeline.play();
+    if (starting) {
+      this.renderTimelineFrame();
+    }
+    this.output.push(`Playback started at ${this.timeline.frameRate} fps`);
+    return true;
+  }
+
+  pause() {
+    if (!this.timeline) return false;
+
+    this.timeline.pause();
+    this.output.push(`Playback paused at frame ${this.timeline.currentFrame}`);
+    return true;
+  }
+
+  stepFrame() {
+    if (!this.isInitialized || !this.hasTimeline()) return false;
+
+    this.syncTimelineHeader();
+    this.timeline.pause();
+    this.timeline.step();
+    this.renderTimelineFrame();
+    return true;
+  }
+
+  seekFrame(frame) {
+    if (!this.isInitialized || !this.hasTimeline()) return false;
+
+    this.syncTimelineHeader();
+    this.timeline.seek(frame);
+    this.renderTimelineFrame();
+    return true;
+  }
+
+  renderTimelineFrame() {
+    const success = this.renderSWFFrame();
+
+    // Playback logs every frame, so only the most recent lines are kept
+    if (this.output.length > this.maxOutputLines) {
+      this.output.splice(0, this.output.length - this.maxOutputLines);
+    }
+
+    this.requestUIUpdate();
+    return success;
+  }
+
+  getTimelineState() {
+    return this.hasTimeline() ? this.timeline.getState() : null;
+  }
+
+  // ==================== BITMAPS ====================
+
+  // Lossless bitmaps arrive decoded; JPEG, PNG and GIF streams are decoded in the background
+  // (BitmapDecoder.js) and fill in the stored record's pixels when done
+  storeBitmap(characterId, bitmap) {
+    this.swfBitmaps.set(characterId, bitmap);
+    if (bitmap.rgba || !bitmap.imageData || typeof BitmapDecoder === 'undefined' || !BitmapDecoder.isSupported()) {
+      return;
+    }
+
+    BitmapDecoder.decode(bitmap).then(decoded => {
+      Object.assign(bitmap, decoded);
+
+      // Fills drawn before the pixels arrived used the placeholder color
+      if (this.hasTimeline() && this.timeline.currentFrame > 0) {
+        this.renderTimelineFrame();
+      } else {
+        this.requestUIUpdate();
+      }
+    }).catch(error => {
+      bitmap.decodeError = error.message;
+    });
+  }
+
+  // { width, height, rgba, hasAlpha } for a decoded bitmap character, or null
+  getBitmapRGBA(characterId) {
+    const bitmap = this.swfBitmaps.get(characterId);
+    return bitmap && bitmap.rgba ? bitmap : null;
+  }
+
+  // Stored bitmap as a canvas the context can draw (built once per bitmap), or null when it is
+  // not decoded or there is no canvas to put it on
+  getBitmapImage(characterId) {
+    const bitmap = this.getBitmapRGBA(characterId);
+    if (!bitmap || typeof ImageData === 'undefined') {
+      return null;
+    }
+
+    const cached = this.bitmapImages.get(characterId);
+    if (cached && cached.bitmap === bitmap) {
+      return cached.image;
+    }
+
+    let image = null;
+    if (typeof OffscreenCanvas !== 'undefined') {
+      image = new OffscreenCanvas(bitmap.width, bitmap.height);
+    } else if (typeof document !== 'undefined' && document.createElement) {
+      image = document.createElement('canvas');
+      image.width = bitmap.width;
+      image.height = bitmap.height;
+    }
+    if (!image) {
+      return null;
+    }
+
+    const pixels = new Uint8ClampedArray(bitmap.rgba.buffer, bitmap.rgba.byteOffset, bitmap.width * bitmap.height * 4);
+    image.getContext('2d').putImageData(new ImageData(pixels, bitmap.width, bitmap.height), 0, 0);
+    this.bitmapImages.set(characterId, { bitmap: bitmap, image: image });
+    return image;
+  }
+
+  // ==================== SVG EXPORT ====================
+
+  exportShapeSVG(shapeId) {
+    const shape = this.swfShapes.get(shapeId);
+    return shape && typeof SVGExporter !== 'undefined' ? new SVGExporter().exportShape(shape) : null;
+  }
+
+  // The frame currently shown (stage size from the SWF header, when there is one)
+  exportFrameSVG() {
+    if (typeof SVGExporter === 'undefined') return null;
+
+    const header = typeof window !== 'undefined' ? window.swfHeaderInfo : null;
+    return new SVGExporter().exportFrame(this.getFrameDisplayList(), {
+      width: header ? header.stageWidth : this.canvas.width,
+      height: header ? header.stageHeight : this.canvas.height,
+      backgroundColor: {
+        red: this.backgroundColor[0] * 255,
+        green: this.backgroundColor[1] * 255,
+        blue: this.backgroundColor[2] * 255
+      },
+      shapes: this.swfShapes,
+      morphShapes: this.swfMorphShapes,
+      timeline: this.hasTimeline() ? this.timeline : null
+    });
+  }
+
+  // ==================== UTILITY METHODS ====================
+
+  clearWithBackground() {
+    const [red, green, blue, alpha] = this.backgroundColor;
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.fillStyle = `rgba(${Math.round(red * 255)}, ${Math.round(green * 255)}, ${Math.round(blue * 255)}, ${alpha})`;
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  clear() {
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.output.push(`Canvas resized to ${width}×${height}`);
+  }
+
+  // ==================== DEBUG AND OUTPUT ====================
+
+  getDebugOutput() {
+    return this.output.join('\n');
+  }
+
+  getPerformanceStats() {
+    return {
+      rendererType: this.rendererType,
+      isInitialized: this.isInitialized,
+      usePath2D: this.usePath2D,
+      pathCacheSize: this.pathCache.size,
+      canvasSize: `${this.canvas.width}×${this.canvas.height}`,
+      totalTranslatedItems: this.totalTranslatedItems,
+      pendingUIUpdates: this.pendingUIUpdates.length,
+      uiCallbackReady: this.uiUpdateCallback !== null,
+      swfShapesCount: this.swfShapes.size,
+      swfMorphShapesCount: this.swfMorphShapes.size,
+      swfBitmapsCount: this.swfBitmaps.size,
+      swfDisplayListSize: this.swfDisplayList.size,
+      timeline: this.getTimelineState()
+    };
+  }
+
+  // ==================== PUBLIC API ====================
+
+  render() {
+    return this.startRendering();
+  }
+
+  isReady() {
+    return this.isInitialized;
+  }
+
+  getOutput() {
+    return this.getDebugOutput();
+  }
+
+  getStats() {
+    return this.getPerformanceStats();
+  }
+
+  reset() {
+    this.resetForNewSWF();
+  }
+}
+
+// Export for use by rendering pipeline
+if (typeof window !== 'undefined') {
+  window.Canvas2DRenderer = Canvas2DRenderer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Canvas2DRenderer;
+}
@@ -0,0 +1,248 @@
+/*
+ * Path Stroker - v1.0
+ * Stroke outlines for the WebGL renderer's line styles
+ * - Every piece of a stroke (one quad per segment, a wedge per join, a shape per cap) is emitted
+ *   as a positively wound contour and all pieces of a line style are tessellated together with
+ *   the non-zero rule, so the stroke is the union of its pieces: watertight, and translucent
+ *   strokes are never blended twice where pieces overlap
+ * - Caps: round, square or none (LINESTYLE2 start and end caps separately; LINESTYLE is round)
+ * - Joins: round, bevel or miter; miters longer than the miter limit (miter length over stroke
+ *   width, as in the Flash Player) are cut off at the limit rather than bevelled
+ * - A subpath that ends where it starts is closed (joined all round, no caps) unless NoClose is set
+ * Input subpaths are flat [x0, y0, x1, y1, ...] point lists (see PathTessellator.flattenCommands);
+ * output is a flat triangle list in the same space
+ */
+class PathStroker {
+  constructor(options = {}) {
+    this.tessellator = options.tessellator || new PathTessellator();
+    this.tolerance = options.tolerance || 0.25;
+    this.maxArcSegments = options.maxArcSegments || 64;
+    this.epsilon = 1e-6;
+  }
+
+  // style: { halfWidth, startCap, endCap, join, miterLimit, noClose } with halfWidth in path units;
+  // scale is the screen pixels per path unit, for the number of segments in round caps and joins
+  stroke(subpaths, style, scale = 1) {
+    const contours = [];
+    for (const points of subpaths) {
+      this.strokeSubpath(points, style, scale, contours);
+    }
+    return contours.length > 0 ? this.tessellator.tessellate(contours, "nonzero") : [];
+  }
+
+  strokeSubpath(rawPoints, style, scale, contours) {
+    const points = this.removeDuplicatePoints(rawPoints);
+    const halfWidth = style.halfWidth;
+    const count = points.length / 2;
+    if (!(halfWidth > 0) || count === 0) {
+      return;
+    }
+
+    // A lone point (zero-length subpath) only shows as its caps
+    if (count === 1) {
+      this.addDot(points[0], points[1], style.startCap, halfWidth, scale, contours);
+      return;
+    }
+
+    const closed = count > 2 && !style.noClose &&
+      Math.abs(points[0] - points[points.length - 2]) <= this.epsilon &&
+      Math.abs(points[1] - points[points.length - 1]) <= this.epsilon;
+    const vertexCount = closed ? count - 1 : count;
+    const segmentCount = closed ? vertexCount : vertexCount - 1;
+
+    const directions = [];
+    for (let i = 0; i < segmentCount; i++) {
+      const j = (i + 1) % vertexCount;
+      const dx = points[j * 2] - points[i * 2];
+      const dy = points[j * 2 + 1] - points[i * 2 + 1];
+      const length = Math.hypot(dx, dy);
+      directions.push({ x: dx / length, y: dy / length });
+
+      const nx = -directions[i].y * halfWidth;
+      const ny = directions[i].x * halfWidth;
+      this.addContour(contours, [
+        points[i * 2] + nx, points[i * 2 + 1] + ny,
+        points[j * 2] + nx, points[j * 2 + 1] + ny,
+        points[j * 2] - nx, points[j * 2 + 1] - ny,
+        points[i * 2] - nx, points[i * 2 + 1] - ny
+      ]);
+    }
+
+    const firstJoin = closed ? 0 : 1;
+    const lastJoin = closed ? vertexCount - 1 : vertexCount - 2;
+    for (let i = firstJoin; i <= lastJoin; i++) {
+      const incoming = directions[(i - 1 + segmentCount) % segmentCount];
+      this.addJoin(points[i * 2], points[i * 2 + 1], incoming, directions[i], style, scale, contours);
+    }
+
+    if (!closed) {
+      const last = vertexCount - 1;
+      const startDirection = directions[0];
+      const endDirection = directions[segmentCount - 1];
+      this.addCap(points[0], points[1], -startDirection.x, -startDirection.y, style.startCap, halfWidth, scale, contours);
+      this.addCap(points[last * 2], points[last * 2 + 1], endDirection.x, endDirection.y, style.endCap, halfWidth, scale, contours);
+    }
+  }
+
+  // ==================== JOINS ====================
+
+  // The inner side of a join is already covered by the two segment quads; the outer side gets
+  // a wedge between the quads' corners
+  addJoin(x, y, incoming, outgoing, style, scale, contours) {
+    const cross = incoming.x * outgoing.y - incoming.y * outgoing.x;
+    const dot = incoming.x * outgoing.x + incoming.y * outgoing.y;
+    if (Math.abs(cross) <= this.epsilon && dot > 0) {
+      return;
+    }
+
+    const halfWidth = style.halfWidth;
+    const side = cross > 0 ? -1 : 1;
+    const ax = x - incoming.y * halfWidth * side;
+    const ay = y + incoming.x * halfWidth * side;
+    const bx = x - outgoing.y * halfWidth * side;
+    const by = y + outgoing.x * halfWidth * side;
+
+    if (style.join === "bevel") {
+      this.addContour(contours, [x, y, ax, ay, bx, by]);
+      return;
+    }
+
+    if (style.join === "miter") {
+      this.addMiter(x, y, ax, ay, bx, by, incoming, outgoing, dot, style, contours);
+      return;
+    }
+
+    // The outer arc turns through the angle between the segments, so it is the short way round
+    const startAngle = Math.atan2(ay - y, ax - x);
+    let sweep = Math.atan2(by - y, bx - x) - startAngle;
+    if (sweep > Math.PI) sweep -= 2 * Math.PI;
+    if (sweep < -Math.PI) sweep += 2 * Math.PI;
+    this.addContour(contours, [x, y, ax, ay].concat(this.arcPoints(x, y, halfWidth, startAngle, sweep, scale)));
+  }
+
+  // Miter length over stroke width is 1 / sin(theta / 2) for the angle theta between the segments
+  addMiter(x, y, ax, ay, bx, by, incoming, outgoing, dot, style, contours) {
+    const halfWidth = style.halfWidth;
+    const limit = Math.max(1, style.miterLimit || 3);
+    if (dot <= -1 + this.epsilon) {
+      this.addContour(contours, [x, y, ax, ay, bx, by]);
+      return;
+    }
+
+    // Bisector of the outer corner, pointing at the miter tip
+    const ux = (ax - x) + (bx - x);
+    const uy = (ay - y) + (by - y);
+    const length = Math.hypot(ux, uy);
+    if (length <= this.epsilon) {
+      this.addContour(contours, [x, y, ax, ay, bx, by]);
+      return;
+    }
+
+    const miterRatio = Math.sqrt(2 / (1 + dot));
+    if (miterRatio <= limit) {
+      const tip = halfWidth * miterRatio / length;
+      this.addContour(contours, [x, y, ax, ay, x + ux * tip, y + uy * tip, bx, by]);
+      return;
+    }
+
+    // Cut the miter off where it is limit half-widths from the vertex
+    const nx = ux / length;
+    const ny = uy / length;
+    const cutDistance = limit * halfWidth;
+    const along = (px, py, dx, dy) => (cutDistance - ((px - x) * nx + (py - y) * ny)) / (dx * nx + dy * ny);
+    const t0 = along(ax, ay, incoming.x, incoming.y);
+    const t1 = along(bx, by, -outgoing.x, -outgoing.y);
+    this.addContour(contours, [
+      x, y, ax, ay,
+      ax + incoming.x * t0, ay + incoming.y * t0,
+      bx - outgoing.x * t1, by - outgoing.y * t1,
+      bx, by
+    ]);
+  }
+
+  // ==================== CAPS ====================
+
+  // (dx, dy) points away from the stroke
+  addCap(x, y, dx, dy, cap, halfWidth, scale, contours) {
+    const nx = -dy * halfWidth;
+    const ny = dx * halfWidth;
+
+    if (cap === "square") {
+      const ex = dx * halfWidth;
+      const ey = dy * halfWidth;
+      this.addContour(contours, [x + nx, y + ny, x + nx + ex, y + ny + ey, x - nx + ex, y - ny + ey, x - nx, y - ny]);
+    } else if (cap !== "none") {
+      const startAngle = Math.atan2(ny, nx);
+      this.addContour(contours, [x + nx, y + ny].concat(this.arcPoints(x, y, halfWidth, startAngle, -Math.PI, scale)));
+    }
+  }
+
+  addDot(x, y, cap, halfWidth, scale, contours) {
+    if (cap === "square") {
+      this.addContour(contours, [x - halfWidth, y - halfWidth, x + halfWidth, y - halfWidth, x + halfWidth, y + halfWidth, x - halfWidth, y + halfWidth]);
+    } else if (cap !== "none") {
+      this.addContour(contours, this.arcPoints(x, y, halfWidth, 0, 2 * Math.PI, scale));
+    }
+  }
+
+  // ==================== GEOMETRY ====================
+
+  // Points along an arc after its start point; the step keeps the chord within the tolerance
+  arcPoints(x, y, radius, startAngle, sweep, scale) {
+    const screenRadius = radius * scale;
+    const step = screenRadius > this.tolerance ? 2 * Math.acos(1 - this.tolerance / screenRadius) : Math.PI / 2;
+    const segments = Math.max(2, Math.min(this.maxArcSegments, Math.ceil(Math.abs(sweep) / step)));
+    const points = [];
+
+    for (let i = 1; i <= segments; i++) {
+      const angle = startAngle + sweep * i / segments;
+      points.push(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+    }
+    return points;
+  }
+
+  // Contours all wind the same way, so overlapping pieces add up instead of cancelling
+  addContour(contours, points) {
+    let area = 0;
+    const count = points.length / 2;
+    for (let i = 0; i < count; i++) {
+      const j = (i + 1) % count;
+      area += points[i * 2] * points[j * 2 + 1] - points[j * 2] * points[i * 2 + 1];
+    }
+    if (Math.abs(area) <= this.epsilon * this.epsilon) {
+      return;
+    }
+
+    if (area < 0) {
+      const reversed = [];
+      for (let i = count - 1; i >= 0; i--) {
+        reversed.push(points[i * 2], points[i * 2 + 1]);
+      }
+      contours.push(reversed);
+    } else {
+      contours.push(points);
+    }
+  }
+
+  removeDuplicatePoints(points) {
+    const result = [];
+    for (let i = 0; i + 1 < points.length; i += 2) {
+      const length = result.length;
+      if (length >= 2 && Math.abs(result[length - 2] - points[i]) <= this.epsilon &&
+        Math.abs(result[length - 1] - points[i + 1]) <= this.epsilon) {
+        continue;
+      }
+      result.push(points[i], points[i + 1]);
+    }
+    return result;
+  }
+}
+
+// Export for use by rendering pipeline
+if (typeof window !== 'undefined') {
+  window.PathStroker = PathStroker;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PathStroker;
+}
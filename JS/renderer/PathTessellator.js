@@ -0,0 +1,202 @@
+/*
+ * Path Tessellator - v1.0
+ * Curve flattening and fill tessellation for the WebGL renderer
+ * - Quadratic curves are split into as many segments as it takes to stay within a screen-space
+ *   tolerance (default 0.25px) at the scale they are drawn at
+ * - Fills are tessellated with a scanline sweep: the plane is cut into horizontal slabs at every
+ *   vertex and every edge crossing, so no two edges cross inside a slab; each slab's spans are
+ *   classified by winding number and emitted as trapezoids (two triangles each)
+ * - All contours of a fill are swept together, so holes, overlapping contours and
+ *   self-intersecting contours come out right under both fill rules: "evenodd" (DefineShape
+ *   to DefineShape3, DefineShape4 by default) and "nonzero" (DefineShape4 UsesFillWindingRule)
+ * Input contours are flat [x0, y0, x1, y1, ...] point lists (implicitly closed); output is a flat
+ * triangle list in the same space
+ */
+class PathTessellator {
+  constructor(options = {}) {
+    this.tolerance = options.tolerance || 0.25;
+    this.maxCurveSegments = options.maxCurveSegments || 64;
+    this.epsilon = 1e-7;
+    this.gridSize = 1 / 1024; // Vertex y values snap to this grid so nearly equal scanlines merge
+  }
+
+  // ==================== CURVE FLATTENING ====================
+
+  // Path commands (move_to / line_to / curve_to) to one point list; scale is the screen pixels per
+  // path unit the path will be drawn at
+  flattenCommands(pathCommands, scale = 1) {
+    const points = [];
+    let currentX = 0;
+    let currentY = 0;
+
+    for (const command of pathCommands) {
+      if (command.type === "move_to") {
+        const position = command.position || command.moveTo;
+        currentX = position.x;
+        currentY = position.y;
+        points.push(currentX, currentY);
+      } else if (command.type === "line_to" && command.endPosition) {
+        currentX = command.endPosition.x;
+        currentY = command.endPosition.y;
+        points.push(currentX, currentY);
+      } else if (command.type === "curve_to" && command.controlPoint && command.endPosition) {
+        this.flattenQuadratic(currentX, currentY, command.controlPoint.x, command.controlPoint.y,
+          command.endPosition.x, command.endPosition.y, scale, points);
+        currentX = command.endPosition.x;
+        currentY = command.endPosition.y;
+      }
+    }
+
+    return points;
+  }
+
+  // Appends the curve's points after its start point. A quadratic's chord error over a parameter
+  // step h is at most |P0 - 2P1 + P2| * h^2 / 4, which gives the segment count for the tolerance
+  flattenQuadratic(x0, y0, cx, cy, x1, y1, scale, points) {
+    const ddx = x0 - 2 * cx + x1;
+    const ddy = y0 - 2 * cy + y1;
+    const deviation = Math.sqrt(ddx * ddx + ddy * ddy) * scale;
+    const segments = Math.max(1, Math.min(this.maxCurveSegments,
+      Math.ceil(Math.sqrt(deviation / (4 * this.tolerance)))));
+
+    for (let i = 1; i <= segments; i++) {
+      const t = i / segments;
+      const invT = 1 - t;
+      points.push(
+        invT * invT * x0 + 2 * invT * t * cx + t * t * x1,
+        invT * invT * y0 + 2 * invT * t * cy + t * t * y1
+      );
+    }
+    return segments;
+  }
+
+  // ==================== TESSELLATION ====================
+
+  tessellate(contours, fillRule = "evenodd") {
+    const edges = this.collectEdges(contours);
+    const triangles = [];
+    if (edges.length < 2) {
+      return triangles;
+    }
+
+    const isInside = fillRule === "nonzero" ?
+      winding => winding !== 0 :
+      winding => (winding & 1) !== 0;
+
+    edges.sort((a, b) => a.yTop - b.yTop);
+    const scanlines = Array.from(new Set(edges.flatMap(edge => [edge.yTop, edge.yBottom]))).sort((a, b) => a - b);
+
+    let active = [];
+    let nextEdge = 0;
+
+    for (let i = 0; i < scanlines.length - 1; i++) {
+      const sliceTop = scanlines[i];
+      const sliceBottom = scanlines[i + 1];
+
+      active = active.filter(edge => edge.yBottom > sliceTop);
+      while (nextEdge < edges.length && edges[nextEdge].yTop <= sliceTop) {
+        if (edges[nextEdge].yBottom > sliceTop) {
+          active.push(edges[nextEdge]);
+        }
+        nextEdge++;
+      }
+      if (active.length < 2) continue;
+
+      this.sweepSlab(active, sliceTop, sliceBottom, isInside, triangles);
+    }
+
+    return triangles;
+  }
+
+  // Non-horizontal edges, oriented top to bottom; winding is +1 for edges drawn downwards
+  collectEdges(contours) {
+    const edges = [];
+    const snap = y => Math.round(y / this.gridSize) * this.gridSize;
+
+    for (const points of contours) {
+      const count = Math.floor(points.length / 2);
+      if (count < 3) continue;
+
+      for (let i = 0; i < count; i++) {
+        const j = (i + 1) % count;
+        const x0 = points[i * 2];
+        const y0 = snap(points[i * 2 + 1]);
+        const x1 = points[j * 2];
+        const y1 = snap(points[j * 2 + 1]);
+        if (y0 === y1 || !Number.isFinite(x0 + y0 + x1 + y1)) continue;
+
+        const down = y1 > y0;
+        const xTop = down ? x0 : x1;
+        const yTop = down ? y0 : y1;
+        const yBottom = down ? y1 : y0;
+        const slope = ((down ? x1 : x0) - xTop) / (yBottom - yTop);
+        edges.push({ xTop: xTop, yTop: yTop, yBottom: yBottom, slope: slope, winding: down ? 1 : -1 });
+      }
+    }
+
+    return edges;
+  }
+
+  // Emits the slab between two scanlines, first splitting it wherever two active edges cross:
+  // the first crossing below the top is always between edges that are neighbours at the top.
+  // Edges meeting at the top (within epsilon) are ordered by where they go next
+  sweepSlab(active, sliceTop, sliceBottom, isInside, triangles) {
+    let top = sliceTop;
+    let guard = active.length * active.length + 1;
+
+    while (top < sliceBottom && guard-- > 0) {
+      const ordered = active
+        .map(edge => ({ edge: edge, x: PathTessellator.edgeX(edge, top) }))
+        .sort((a, b) => Math.abs(a.x - b.x) > this.epsilon ? a.x - b.x : a.edge.slope - b.edge.slope);
+
+      let bottom = sliceBottom;
+      for (let i = 0; i < ordered.length - 1; i++) {
+        const left = ordered[i];
+        const right = ordered[i + 1];
+        const closing = left.edge.slope - right.edge.slope;
+        if (closing <= 0) continue;
+
+        const crossing = top + (right.x - left.x) / closing;
+        if (crossing > top + this.epsilon && crossing < bottom) {
+          bottom = crossing;
+        }
+      }
+
+      this.emitSpans(ordered, top, bottom, isInside, triangles);
+      top = bottom;
+    }
+  }
+
+  emitSpans(ordered, top, bottom, isInside, triangles) {
+    let winding = 0;
+
+    for (let i = 0; i < ordered.length - 1; i++) {
+      winding += ordered[i].edge.winding;
+      if (!isInside(winding)) continue;
+
+      const left = ordered[i];
+      const right = ordered[i + 1];
+      const leftBottom = PathTessellator.edgeX(left.edge, bottom);
+      const rightBottom = PathTessellator.edgeX(right.edge, bottom);
+      if (right.x - left.x <= 0 && rightBottom - leftBottom <= 0) continue;
+
+      triangles.push(
+        left.x, top, right.x, top, rightBottom, bottom,
+        left.x, top, rightBottom, bottom, leftBottom, bottom
+      );
+    }
+  }
+
+  static edgeX(edge, y) {
+    return edge.xTop + (y - edge.yTop) * edge.slope;
+  }
+}
+
+// Export for use by rendering pipeline
+if (typeof window !== 'undefined') {
+  window.PathTessellator = PathTessellator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PathTessellator;
+}
@@ -0,0 +1,433 @@
+/*
+ * SVG Exporter - v1.2
+ * Vector export of translated shapes, morph shape frames and whole timeline frames
+ * - Shapes go through ShapePathBuilder.js, so fills are the same closed contours the WebGL
+ *   renderer tessellates; curves stay quadratic (Q commands)
+ * - Solid, linear/radial/focal gradient and bitmap fills; strokes with caps, joins, miter limits
+ *   and non-scaling (hairline) widths
+ * - Frames compose the display list as nested groups: the placement MATRIX becomes a transform and
+ *   the CXFORM an feColorMatrix filter, sprites recurse into their clip's display list and clip
+ *   layers become alpha masks over the depths they clip
+ * - Every shape is defined once in <defs> and drawn with <use>; ids are numbered per document, so
+ *   the same input always gives the same SVG text
+ * No DOM or WebGL access; bitmaps are only embedded when options.getBitmap returns an image
+ * FIXED: Gradient and bitmap fill matrices map twips, not pixels (fills were drawn 20x too large)
+ * FIXED: Bitmap fills naming bitmap 0xFFFF ("no bitmap") are left unpainted, as in the renderers
+ */
+class SVGExporter {
+  constructor(options = {}) {
+    this.pathBuilder = new ShapePathBuilder();
+
+    // (bitmapId) => { url, width, height } or null
+    this.getBitmap = options.getBitmap || null;
+    this.missingBitmapColor = "#b3b3b3";
+
+    // Gradients are defined on a 32768 x 32768 square centred on the origin (SWF spec)
+    this.gradientHalfSize = 16384;
+    this.maskExtent = 100000;
+
+    this.resetDocument();
+  }
+
+  resetDocument() {
+    this.definitions = [];
+    this.definedShapes = new Map();
+    this.definedFilters = new Map();
+    this.idCounters = new Map();
+  }
+
+  nextId(prefix) {
+    const count = (this.idCounters.get(prefix) || 0) + 1;
+    this.idCounters.set(prefix, count);
+    return `${prefix}${count}`;
+  }
+
+  // ==================== SHAPE EXPORT ====================
+
+  // shape: translated shape (ShapeParserTranslator.js); bounds are pixels
+  exportShape(shape) {
+    this.resetDocument();
+    const id = this.defineShape(shape, `shape${shape.shapeId}`);
+    return this.createDocument(shape.bounds, [`  <use ${SVGExporter.href(id)}/>`]);
+  }
+
+  // morphData: parsed DefineMorphShape/DefineMorphShape2 data; ratio 0 (start) to 1 (end)
+  exportMorphShape(morphData, ratio) {
+    this.resetDocument();
+    const shape = this.pathBuilder.createMorphShape(morphData, ratio);
+    const id = this.defineShape(shape, `morph${morphData.characterId}`);
+    return this.createDocument(shape.bounds, [`  <use ${SVGExporter.href(id)}/>`]);
+  }
+
+  createDocument(bounds, body) {
+    const box = bounds && bounds.width > 0 && bounds.height > 0 ? bounds :
+      { xMin: 0, yMin: 0, width: 1, height: 1 };
+    const format = SVGExporter.formatNumber;
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${format(box.width)}" height="${format(box.height)}" ` +
+        `viewBox="${format(box.xMin)} ${format(box.yMin)} ${format(box.width)} ${format(box.height)}">`,
+      ...this.getDefinitionLines(),
+      ...body,
+      "</svg>"
+    ].join('\n');
+  }
+
+  getDefinitionLines() {
+    if (this.definitions.length === 0) {
+      return [];
+    }
+    return ["  <defs>", ...this.definitions.map(line => `    ${line}`), "  </defs>"];
+  }
+
+  // Adds the shape's paths to <defs> as a group (once per key) and returns the group id
+  defineShape(shape, key) {
+    if (this.definedShapes.has(key)) {
+      return this.definedShapes.get(key);
+    }
+
+    const shapePaths = this.pathBuilder.build(shape);
+    const elements = [];
+
+    for (const path of shapePaths.paths) {
+      if (path.type === "fill") {
+        const data = path.contours.map(contour => SVGExporter.pathData(contour) + "Z").join("");
+        elements.push(`<path d="${data}" ${this.getFillAttributes(path.style)} fill-rule="${shapePaths.fillRule}"/>`);
+      } else {
+        const closable = !(path.style && path.style.flags && path.style.flags.noClose);
+        const data = path.subpaths.map(subpath =>
+          SVGExporter.pathData(subpath) + (closable && SVGExporter.isClosed(subpath) ? "Z" : "")).join("");
+        elements.push(`<path d="${data}" fill="none" ${this.getStrokeAttributes(path.style)}/>`);
+      }
+    }
+
+    const id = key;
+    this.definedShapes.set(key, id);
+    this.definitions.push(`<g id="${id}">`, ...elements.map(element => `  ${element}`), "</g>");
+    return id;
+  }
+
+  // ==================== FRAME EXPORT ====================
+
+  // displayList: SWFTimeline display entries (depth order). options: { width, height,
+  // backgroundColor ({ red, green, blue } or null), shapes (Map of translated shapes),
+  // morphShapes (Map of morph data), timeline (SWFTimeline, for sprite clips) }
+  exportFrame(displayList, options = {}) {
+    this.resetDocument();
+    this.frameOptions = options;
+
+    const width = options.width || 550;
+    const height = options.height || 400;
+    const body = [];
+
+    if (options.backgroundColor) {
+      body.push(`  <rect width="${SVGExporter.formatNumber(width)}" height="${SVGExporter.formatNumber(height)}" ` +
+        `fill="${SVGExporter.formatColor(options.backgroundColor)}"/>`);
+    }
+    this.renderEntries(displayList, body, "  ");
+
+    this.frameOptions = null;
+    return this.createDocument({ xMin: 0, yMin: 0, width: width, height: height }, body);
+  }
+
+  // A clip layer (clipDepth) masks the entries above it up to and including its clip depth
+  renderEntries(entries, lines, indent) {
+    let index = 0;
+
+    while (index < entries.length) {
+      const entry = entries[index++];
+      if (entry.visible === false) continue;
+
+      if (!entry.clipDepth) {
+        this.renderEntry(entry, lines, indent);
+        continue;
+      }
+
+      const clipped = [];
+      while (index < entries.length && entries[index].depth <= entry.clipDepth) {
+        clipped.push(entries[index++]);
+      }
+
+      const maskId = this.nextId("mask");
+      const maskLines = [];
+      this.renderEntry(entry, maskLines, "  ");
+      const extent = this.maskExtent;
+      this.definitions.push(
+        `<mask id="${maskId}" mask-type="alpha" maskUnits="userSpaceOnUse" x="${-extent}" y="${-extent}" width="${extent * 2}" height="${extent * 2}">`,
+        ...maskLines,
+        "</mask>"
+      );
+
+      lines.push(`${indent}<g mask="url(#${maskId})">`);
+      this.renderEntries(clipped, lines, indent + "  ");
+      lines.push(`${indent}</g>`);
+    }
+  }
+
+  renderEntry(entry, lines, indent) {
+    const options = this.frameOptions;
+    const attributes = this.getPlacementAttributes(entry);
+
+    if (entry.clip && options.timeline) {
+      lines.push(`${indent}<g${attributes}>`);
+      this.renderEntries(options.timeline.getDisplayList(entry.clip), lines, indent + "  ");
+      lines.push(`${indent}</g>`);
+      return;
+    }
+
+    const characterId = entry.characterId;
+    let id = null;
+
+    if (options.shapes && options.shapes.has(characterId)) {
+      id = this.defineShape(options.shapes.get(characterId), `shape${characterId}`);
+    } else if (options.morphShapes && options.morphShapes.has(characterId)) {
+      const ratio = (entry.ratio || 0) / 65535;
+      const shape = this.pathBuilder.createMorphShape(options.morphShapes.get(characterId), ratio);
+      id = this.defineShape(shape, `morph${characterId}_${entry.ratio || 0}`);
+    }
+
+    if (id) {
+      lines.push(`${indent}<use ${SVGExporter.href(id)}${attributes}/>`);
+    } else {
+      lines.push(`${indent}<!-- character ${characterId} at depth ${entry.depth} has no vector definition -->`);
+    }
+  }
+
+  getPlacementAttributes(entry) {
+    let attributes = "";
+
+    const transform = SVGExporter.formatMatrix(entry.matrix);
+    if (transform) {
+      attributes += ` transform="${transform}"`;
+    }
+
+    const filterId = this.defineColorTransform(entry.colorTransform);
+    if (filterId) {
+      attributes += ` filter="url(#${filterId})"`;
+    }
+    return attributes;
+  }
+
+  // CXFORM/CXFORMA -> feColorMatrix (multipliers are 8.8 fixed point, add terms 0-255)
+  defineColorTransform(colorTransform) {
+    if (!colorTransform) return null;
+
+    const term = (name, defaultValue) => colorTransform[name] !== undefined && colorTransform[name] !== null ?
+      colorTransform[name] : defaultValue;
+    const mult = ["red", "green", "blue", "alpha"].map(channel => term(`${channel}MultTerm`, 256) / 256);
+    const add = ["red", "green", "blue", "alpha"].map(channel => term(`${channel}AddTerm`, 0) / 255);
+
+    if (mult.every(value => value === 1) && add.every(value => value === 0)) {
+      return null;
+    }
+
+    const format = SVGExporter.formatNumber;
+    const values = mult.map((value, row) =>
+      [0, 1, 2, 3].map(column => column === row ? format(value, 4) : "0").join(" ") + ` ${format(add[row], 4)}`
+    ).join("  ");
+
+    if (!this.definedFilters.has(values)) {
+      const id = this.nextId("cx");
+      this.definedFilters.set(values, id);
+      this.definitions.push(
+        `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">`,
+        `  <feColorMatrix type="matrix" values="${values}"/>`,
+        "</filter>"
+      );
+    }
+    return this.definedFilters.get(values);
+  }
+
+  // ==================== FILLS AND STROKES ====================
+
+  getFillAttributes(style) {
+    const paint = this.getPaint(style);
+    return `fill="${paint.value}"${paint.opacity < 1 ? ` fill-opacity="${SVGExporter.formatNumber(paint.opacity, 4)}"` : ""}`;
+  }
+
+  // LINESTYLE widths are twips; a zero width is a one pixel hairline at any scale
+  getStrokeAttributes(style) {
+    if (!style) {
+      return 'stroke="#000000"';
+    }
+
+    const enhanced = style.type === "enhanced";
+    const paint = this.getPaint(enhanced ? style.fillType : { type: "solid", color: style.color });
+    const flags = style.flags || {};
+    const hairline = !style.width;
+    const caps = { round: "round", none: "butt", square: "square" };
+    const joins = { round: "round", bevel: "bevel", miter: "miter" };
+
+    let attributes = `stroke="${paint.value}"`;
+    if (paint.opacity < 1) {
+      attributes += ` stroke-opacity="${SVGExporter.formatNumber(paint.opacity, 4)}"`;
+    }
+    attributes += ` stroke-width="${hairline ? 1 : SVGExporter.formatNumber(style.width / 20)}"`;
+    attributes += ` stroke-linecap="${enhanced ? caps[style.startCap] || "round" : "round"}"`;
+    attributes += ` stroke-linejoin="${enhanced ? joins[style.join] || "round" : "round"}"`;
+
+    if (enhanced && style.join === "miter" && style.miterLimitFactor) {
+      attributes += ` stroke-miterlimit="${SVGExporter.formatNumber(Math.max(1, style.miterLimitFactor / 256))}"`;
+    }
+    if (hairline || flags.noHScale || flags.noVScale) {
+      attributes += ' vector-effect="non-scaling-stroke"';
+    }
+    return attributes;
+  }
+
+  // Paint for a FILLSTYLE: a color, or a url() to a gradient or bitmap pattern definition
+  getPaint(style) {
+    if (!style) {
+      return { value: "#000000", opacity: 1 };
+    }
+
+    switch (style.type) {
+      case "solid":
+        return { value: SVGExporter.formatColor(style.color), opacity: SVGExporter.getAlpha(style.color) };
+
+      case "linear_gradient":
+      case "radial_gradient":
+      case "focal_radial_gradient":
+        return { value: `url(#${this.defineGradient(style)})`, opacity: 1 };
+
+      case "bitmap": {
+        if (style.bitmapId === 0xFFFF) {
+          return { value: "none", opacity: 1 };
+        }
+        const patternId = this.defineBitmapPattern(style);
+        return patternId ? { value: `url(#${patternId})`, opacity: 1 } : { value: this.missingBitmapColor, opacity: 1 };
+      }
+
+      default:
+        return { value: this.missingBitmapColor, opacity: 1 };
+    }
+  }
+
+  defineGradient(style) {
+    const id = this.nextId("gradient");
+    const gradient = style.gradient || { gradientRecords: [] };
+    const size = this.gradientHalfSize;
+    const spreadMethods = { pad: "pad", reflect: "reflect", repeat: "repeat" };
+
+    let attributes = `id="${id}" gradientUnits="userSpaceOnUse"`;
+    const transform = SVGExporter.formatMatrix(style.matrix, 1 / 20);
+    if (transform) {
+      attributes += ` gradientTransform="${transform}"`;
+    }
+    attributes += ` spreadMethod="${spreadMethods[gradient.spreadMode] || "pad"}"`;
+    if (gradient.interpolationMode === "linear_RGB") {
+      attributes += ' color-interpolation="linearRGB"';
+    }
+
+    const stops = (gradient.gradientRecords || []).map(record =>
+      `  <stop offset="${SVGExporter.formatNumber(record.ratio / 255, 4)}" stop-color="${SVGExporter.formatColor(record.color)}"` +
+      `${SVGExporter.getAlpha(record.color) < 1 ? ` stop-opacity="${SVGExporter.formatNumber(SVGExporter.getAlpha(record.color), 4)}"` : ""}/>`
+    );
+
+    if (style.type === "linear_gradient") {
+      this.definitions.push(`<linearGradient ${attributes} x1="${-size}" y1="0" x2="${size}" y2="0">`, ...stops, "</linearGradient>");
+    } else {
+      const focus = style.type === "focal_radial_gradient" && style.focalPoint ?
+        ` fx="${SVGExporter.formatNumber(style.focalPoint * size)}" fy="0"` : "";
+      this.definitions.push(`<radialGradient ${attributes} cx="0" cy="0" r="${size}"${focus}>`, ...stops, "</radialGradient>");
+    }
+    return id;
+  }
+
+  // Bitmap fills map bitmap pixels into the shape with their MATRIX; SVG patterns always tile,
+  // so a clipped bitmap is drawn once on an oversized tile (outside it is left empty)
+  defineBitmapPattern(style) {
+    const bitmap = this.getBitmap ? this.getBitmap(style.bitmapId) : null;
+    if (!bitmap || !bitmap.url) {
+      return null;
+    }
+
+    const id = this.nextId("bitmap");
+    const format = SVGExporter.formatNumber;
+    const tileWidth = style.repeat ? bitmap.width : this.maskExtent;
+    const tileHeight = style.repeat ? bitmap.height : this.maskExtent;
+    const transform = SVGExporter.formatMatrix(style.matrix, 1 / 20);
+
+    this.definitions.push(
+      `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${format(tileWidth)}" height="${format(tileHeight)}"` +
+        `${transform ? ` patternTransform="${transform}"` : ""}>`,
+      `  <image width="${format(bitmap.width)}" height="${format(bitmap.height)}" ${SVGExporter.href(bitmap.url)}` +
+        `${style.smoothed === false ? ' image-rendering="pixelated"' : ""}/>`,
+      "</pattern>"
+    );
+    return id;
+  }
+
+  // ==================== FORMATTING ====================
+
+  // Renderer path commands (move_to / line_to / curve_to) to SVG path data
+  static pathData(commands) {
+    const format = SVGExporter.formatNumber;
+    let data = "";
+
+    for (const command of commands) {
+      if (command.type === "move_to") {
+        data += `M${format(command.position.x)} ${format(command.position.y)}`;
+      } else if (command.type === "line_to") {
+        data += `L${format(command.endPosition.x)} ${format(command.endPosition.y)}`;
+      } else if (command.type === "curve_to") {
+        data += `Q${format(command.controlPoint.x)} ${format(command.controlPoint.y)} ` +
+          `${format(command.endPosition.x)} ${format(command.endPosition.y)}`;
+      }
+    }
+    return data;
+  }
+
+  static isClosed(commands) {
+    const first = commands[0];
+    const last = commands[commands.length - 1];
+    return commands.length > 2 && first.type === "move_to" && last.endPosition &&
+      last.endPosition.x === first.position.x && last.endPosition.y === first.position.y;
+  }
+
+  // MATRIX (translation in twips) -> SVG matrix(a b c d e f) in pixels; null for the identity.
+  // Fill matrices map gradient/bitmap space into twips, so their scale terms take linearScale 1/20
+  static formatMatrix(matrix, linearScale = 1) {
+    if (!matrix) return null;
+
+    const values = [
+      matrix.scaleX * linearScale, matrix.rotateSkew0 * linearScale,
+      matrix.rotateSkew1 * linearScale, matrix.scaleY * linearScale,
+      matrix.translateX / 20, matrix.translateY / 20
+    ];
+    if (values.every((value, index) => value === [1, 0, 0, 1, 0, 0][index])) {
+      return null;
+    }
+    return `matrix(${values.map(value => SVGExporter.formatNumber(value, 7)).join(" ")})`;
+  }
+
+  static formatColor(color) {
+    const hex = value => Math.max(0, Math.min(255, Math.round(value || 0))).toString(16).padStart(2, '0');
+    return `#${hex(color.red)}${hex(color.green)}${hex(color.blue)}`;
+  }
+
+  static getAlpha(color) {
+    return color && color.alpha !== undefined ? color.alpha / 255 : 1;
+  }
+
+  static formatNumber(value, digits = 2) {
+    const scale = Math.pow(10, digits);
+    const rounded = Math.round(value * scale) / scale;
+    return String(rounded === 0 ? 0 : rounded);
+  }
+
+  static href(target) {
+    const value = target.startsWith("data:") || target.includes(":") ? target : `#${target}`;
+    return `href="${value}" xlink:href="${value}"`;
+  }
+}
+
+// Export for use by rendering pipeline
+if (typeof window !== 'undefined') {
+  window.SVGExporter = SVGExporter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SVGExporter;
+}
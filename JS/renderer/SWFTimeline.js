@@ -0,0 +1,468 @@
+/*
+ * SWF Timeline - v1.1
+ * Frame-accurate display list for the renderers
+ * - Takes the translated display commands (PlaceObject/PlaceObject2/PlaceObject3/RemoveObject/
+ *   RemoveObject2) and ShowFrame markers that TagParse.js stores, keyed by tag index, so the
+ *   order they arrive in and repeated deliveries do not matter
+ * - Root tags are split into frames at ShowFrame and each frame's commands are applied in
+ *   tag order, so frame N shows exactly what the movie shows at frame N
+ * - Playhead: play, pause, step and seek; playback runs at the header frame rate and loops
+ *   like the root timeline in Flash Player
+ * - Seeking backwards rebuilds the display list from frame 1
+ * No WebGL or DOM access: the owner draws getDisplayList() and is told about playback frames
+ * through onFrame
+ * ADDED: Nested DefineSprite timelines - every placed sprite is a clip with its own playhead and
+ *   display list that advances once per tick, like MovieClip in the player; going backwards keeps
+ *   clips that are still placed at the same depth
+ * ADDED: multiplyMatrix / concatColorTransform compose placements down the clip tree
+ */
+class SWFTimeline {
+  constructor() {
+    // Timeline definitions: the root and every translated DefineSprite by sprite ID
+    this.rootDefinition = SWFTimeline.createDefinition(0);
+    this.spriteDefinitions = new Map();
+    this.dirty = false;
+    this.frameRate = 12;
+
+    // Clip tree: sprites placed on a timeline become child clips (display entry .clip)
+    this.root = SWFTimeline.createClip(this.rootDefinition);
+    this.maxNestingLevel = 32;
+    this.advancing = false;
+
+    this.playing = false;
+    this.timer = null;
+    this.nextFrameTime = 0;
+
+    // Called with (frameNumber, timeline) after playback moves the playhead
+    this.onFrame = null;
+  }
+
+  // ==================== TIMELINE DEFINITIONS ====================
+
+  static createDefinition(characterId, frameCount = 0) {
+    return {
+      characterId: characterId,
+      commands: new Map(),
+      frameMarkers: new Set(),
+      frames: [],
+      framesDirty: false,
+      declaredFrameCount: frameCount
+    };
+  }
+
+  // Header values from parseSWFSignature (window.swfHeaderInfo); a frame rate of 0 plays at 12 fps
+  setHeader(headerInfo) {
+    if (!headerInfo) return;
+
+    if (headerInfo.frameRate > 0) {
+      this.frameRate = headerInfo.frameRate;
+    }
+    if (headerInfo.frameCount !== undefined && headerInfo.frameCount !== this.rootDefinition.declaredFrameCount) {
+      this.rootDefinition.declaredFrameCount = headerInfo.frameCount;
+      this.rootDefinition.framesDirty = true;
+      this.dirty = true;
+    }
+  }
+
+  // Accepts the enhanced translation records from TagParse.js; returns false for anything else
+  addTranslatedData(translatedData) {
+    if (!translatedData || translatedData.tagIndex === undefined) {
+      return false;
+    }
+
+    if (translatedData.isSpriteDefinition) {
+      const definition = SWFTimeline.createDefinition(translatedData.spriteId, translatedData.frameCount || 0);
+      for (const item of translatedData.timelineCommands || []) {
+        this.addToDefinition(definition, item);
+      }
+      definition.framesDirty = true;
+      this.spriteDefinitions.set(translatedData.spriteId, definition);
+    } else if (!this.addToDefinition(this.rootDefinition, translatedData)) {
+      return false;
+    }
+
+    this.dirty = true;
+    return true;
+  }
+
+  addToDefinition(definition, translatedData) {
+    if (translatedData.tagIndex === undefined) {
+      return false;
+    }
+
+    if (translatedData.isFrameBoundary) {
+      definition.frameMarkers.add(translatedData.tagIndex);
+    } else if (translatedData.isDisplayCommand) {
+      definition.commands.set(translatedData.tagIndex, SWFTimeline.createCommand(translatedData));
+    } else {
+      return false;
+    }
+
+    definition.framesDirty = true;
+    return true;
+  }
+
+  static createCommand(translatedData) {
+    const isRemove = translatedData.tagType === "RemoveObject" || translatedData.tagType === "RemoveObject2";
+    const characterId = translatedData.characterId;
+
+    return {
+      tagIndex: translatedData.tagIndex,
+      tagType: translatedData.tagType,
+      isRemove: isRemove,
+      depth: translatedData.depth,
+      characterId: !isRemove && characterId !== null && characterId !== undefined ? characterId : null,
+      data: translatedData.translatedData || {}
+    };
+  }
+
+  hasContent() {
+    const root = this.rootDefinition;
+    return root.commands.size > 0 || root.frameMarkers.size > 0;
+  }
+
+  // Splits the commands at ShowFrame; commands after the last ShowFrame still form a frame
+  static buildFrames(definition) {
+    const tagIndices = [...definition.commands.keys(), ...definition.frameMarkers].sort((a, b) => a - b);
+    const frames = [];
+    let current = [];
+
+    for (const tagIndex of tagIndices) {
+      if (definition.frameMarkers.has(tagIndex)) {
+        frames.push(current);
+        current = [];
+      } else {
+        current.push(definition.commands.get(tagIndex));
+      }
+    }
+
+    if (current.length > 0) {
+      frames.push(current);
+    }
+    while (frames.length < definition.declaredFrameCount) {
+      frames.push([]);
+    }
+
+    definition.frames = frames;
+    definition.framesDirty = false;
+  }
+
+  static getFrameCount(definition) {
+    return Math.max(1, definition.frames.length);
+  }
+
+  // Rebuilds the frames after new data arrived and replays the root up to its current frame
+  ensureFrames() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    for (const definition of [this.rootDefinition, ...this.spriteDefinitions.values()]) {
+      if (definition.framesDirty) {
+        SWFTimeline.buildFrames(definition);
+      }
+    }
+
+    const frame = this.root.currentFrame;
+    if (frame > 0) {
+      this.root = SWFTimeline.createClip(this.rootDefinition);
+      this.seekClip(this.root, Math.min(frame, SWFTimeline.getFrameCount(this.rootDefinition)));
+    }
+  }
+
+  get totalFrames() {
+    this.ensureFrames();
+    return SWFTimeline.getFrameCount(this.rootDefinition);
+  }
+
+  get currentFrame() {
+    return this.root.currentFrame;
+  }
+
+  // ==================== PLAYHEAD ====================
+
+  // Moves the root playhead to a 1-based frame; going backwards replays the root from frame 1
+  seek(frame) {
+    this.ensureFrames();
+    const target = Math.max(1, Math.min(Math.floor(frame) || 1, this.totalFrames));
+
+    this.seekClip(this.root, target);
+    return this.root.currentFrame;
+  }
+
+  // One tick: the root moves to its next frame (wrapping to frame 1), then every clip advances
+  step() {
+    this.ensureFrames();
+
+    this.advancing = true;
+    try {
+      this.advanceClip(this.root);
+    } finally {
+      this.advancing = false;
+    }
+    return this.root.currentFrame;
+  }
+
+  play() {
+    if (this.playing) return;
+
+    this.playing = true;
+    if (this.root.currentFrame === 0) {
+      this.seek(1);
+    }
+    this.nextFrameTime = Date.now();
+    this.scheduleNextFrame();
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Frame deadlines advance by a fixed interval so timer jitter does not drift the frame rate
+  scheduleNextFrame() {
+    this.nextFrameTime += 1000 / this.frameRate;
+    const delay = Math.max(0, this.nextFrameTime - Date.now());
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (!this.playing) return;
+
+      this.step();
+      if (this.onFrame) {
+        this.onFrame(this.root.currentFrame, this);
+      }
+      if (this.playing) {
+        this.scheduleNextFrame();
+      }
+    }, delay);
+  }
+
+  reset() {
+    this.pause();
+    this.rootDefinition = SWFTimeline.createDefinition(0);
+    this.spriteDefinitions.clear();
+    this.dirty = false;
+    this.root = SWFTimeline.createClip(this.rootDefinition);
+  }
+
+  getState() {
+    return {
+      currentFrame: this.root.currentFrame,
+      totalFrames: this.totalFrames,
+      frameRate: this.frameRate,
+      playing: this.playing
+    };
+  }
+
+  // ==================== CLIPS ====================
+
+  static createClip(definition, depth = 0, level = 0) {
+    return {
+      definition: definition,
+      characterId: definition.characterId,
+      depth: depth,
+      level: level,
+      currentFrame: 0,
+      displayList: new Map(),
+      skipNextAdvance: false
+    };
+  }
+
+  // Sprites loop through their frames; a clip placed during this tick shows its first frame
+  advanceClip(clip) {
+    if (clip.skipNextAdvance) {
+      clip.skipNextAdvance = false;
+      return;
+    }
+
+    const totalFrames = SWFTimeline.getFrameCount(clip.definition);
+    if (clip.currentFrame === 0 || totalFrames > 1) {
+      this.seekClip(clip, clip.currentFrame >= totalFrames ? 1 : clip.currentFrame + 1);
+    }
+
+    for (const entry of clip.displayList.values()) {
+      if (entry.clip) {
+        this.advanceClip(entry.clip);
+      }
+    }
+  }
+
+  seekClip(clip, frame) {
+    if (frame === clip.currentFrame) {
+      return;
+    }
+
+    let reusable = null;
+    if (frame < clip.currentFrame) {
+      reusable = this.rewindClip(clip);
+    }
+
+    while (clip.currentFrame < frame) {
+      clip.currentFrame++;
+      this.applyFrame(clip, clip.currentFrame, reusable);
+    }
+  }
+
+  // Clears the display list; child clips are kept aside so the replay can reuse them
+  rewindClip(clip) {
+    const reusable = new Map();
+
+    for (const [depth, entry] of clip.displayList) {
+      if (entry.clip) {
+        reusable.set(depth, entry);
+      }
+    }
+
+    clip.displayList.clear();
+    clip.currentFrame = 0;
+    return reusable;
+  }
+
+  // ==================== DISPLAY LIST ====================
+
+  applyFrame(clip, frameNumber, reusable = null) {
+    const commands = clip.definition.frames[frameNumber - 1] || [];
+
+    for (const command of commands) {
+      if (command.isRemove) {
+        clip.displayList.delete(command.depth);
+      } else {
+        this.placeObject(clip, command, reusable);
+      }
+    }
+  }
+
+  // PlaceObject always places a new character; PlaceObject2/3 move or replace with the Move flag
+  placeObject(clip, command, reusable = null) {
+    const data = command.data;
+    const existing = clip.displayList.get(command.depth);
+    const hasCharacter = command.characterId !== null;
+    const isMove = command.tagType !== "PlaceObject" && !!data.isMove;
+
+    if (existing && isMove) {
+      if (hasCharacter && existing.characterId !== command.characterId) {
+        existing.characterId = command.characterId;
+        existing.clip = this.createChildClip(clip, existing, null);
+      }
+      this.updateEntry(existing, data);
+      return;
+    }
+
+    if (!hasCharacter) {
+      return;
+    }
+
+    const entry = {
+      depth: command.depth,
+      characterId: command.characterId,
+      tagType: command.tagType,
+      matrix: data.matrix || null,
+      colorTransform: data.colorTransform || null,
+      ratio: data.ratio !== undefined && data.ratio !== null ? data.ratio : null,
+      name: data.name || null,
+      clipDepth: data.clipDepth || null,
+      blendMode: data.blendMode || null,
+      filterList: data.filterList || null,
+      visible: data.visible !== undefined && data.visible !== null ? !!data.visible : true,
+      placedFrame: clip.currentFrame,
+      clip: null
+    };
+
+    clip.displayList.set(command.depth, entry);
+    entry.clip = this.createChildClip(clip, entry, reusable);
+  }
+
+  // Sprite characters get a clip; going back in time keeps the clip still placed at the same depth
+  createChildClip(parent, entry, reusable) {
+    const definition = this.spriteDefinitions.get(entry.characterId);
+    if (!definition || parent.level >= this.maxNestingLevel) {
+      return null;
+    }
+
+    const previous = reusable ? reusable.get(entry.depth) : null;
+    if (previous && previous.characterId === entry.characterId) {
+      reusable.delete(entry.depth);
+      return previous.clip;
+    }
+
+    const child = SWFTimeline.createClip(definition, entry.depth, parent.level + 1);
+    child.skipNextAdvance = this.advancing;
+    this.seekClip(child, 1);
+    return child;
+  }
+
+  updateEntry(entry, data) {
+    if (data.matrix) entry.matrix = data.matrix;
+    if (data.colorTransform) entry.colorTransform = data.colorTransform;
+    if (data.ratio !== undefined && data.ratio !== null) entry.ratio = data.ratio;
+    if (data.name) entry.name = data.name;
+    if (data.clipDepth) entry.clipDepth = data.clipDepth;
+    if (data.blendMode) entry.blendMode = data.blendMode;
+    if (data.filterList) entry.filterList = data.filterList;
+    if (data.visible !== undefined && data.visible !== null) entry.visible = !!data.visible;
+  }
+
+  // Entries of a clip's current frame (the root by default), back to front
+  getDisplayList(clip = null) {
+    this.ensureFrames();
+    const source = clip || this.root;
+    return Array.from(source.displayList.values()).sort((a, b) => a.depth - b.depth);
+  }
+
+  // ==================== COMPOSITION ====================
+
+  static createIdentityMatrix() {
+    return { scaleX: 1, scaleY: 1, rotateSkew0: 0, rotateSkew1: 0, translateX: 0, translateY: 0 };
+  }
+
+  // parent * child in the DataTypes MATRIX layout (translation in twips); null is the identity
+  static multiplyMatrix(parent, child) {
+    if (!parent) return child || SWFTimeline.createIdentityMatrix();
+    if (!child) return parent;
+
+    return {
+      scaleX: parent.scaleX * child.scaleX + parent.rotateSkew1 * child.rotateSkew0,
+      rotateSkew0: parent.rotateSkew0 * child.scaleX + parent.scaleY * child.rotateSkew0,
+      rotateSkew1: parent.scaleX * child.rotateSkew1 + parent.rotateSkew1 * child.scaleY,
+      scaleY: parent.rotateSkew0 * child.rotateSkew1 + parent.scaleY * child.scaleY,
+      translateX: parent.scaleX * child.translateX + parent.rotateSkew1 * child.translateY + parent.translateX,
+      translateY: parent.rotateSkew0 * child.translateX + parent.scaleY * child.translateY + parent.translateY
+    };
+  }
+
+  // The child's CXFORM/CXFORMA applies first, then the parent's (mult terms are 8.8 fixed point)
+  static concatColorTransform(parent, child) {
+    if (!parent) return child || null;
+    if (!child) return parent;
+
+    const result = {};
+    for (const channel of ['red', 'green', 'blue', 'alpha']) {
+      const parentMult = SWFTimeline.getColorTerm(parent, channel + 'MultTerm', 256);
+      const childMult = SWFTimeline.getColorTerm(child, channel + 'MultTerm', 256);
+      const parentAdd = SWFTimeline.getColorTerm(parent, channel + 'AddTerm', 0);
+      const childAdd = SWFTimeline.getColorTerm(child, channel + 'AddTerm', 0);
+
+      result[channel + 'MultTerm'] = childMult * parentMult / 256;
+      result[channel + 'AddTerm'] = childAdd * parentMult / 256 + parentAdd;
+    }
+    return result;
+  }
+
+  // CXFORM (no alpha terms) leaves alpha unchanged
+  static getColorTerm(colorTransform, name, defaultValue) {
+    const value = colorTransform[name];
+    return value === undefined || value === null ? defaultValue : value;
+  }
+}
+
+// Export for use by rendering pipeline
+if (typeof window !== 'undefined') {
+  window.SWFTimeline = SWFTimeline;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SWFTimeline;
+}
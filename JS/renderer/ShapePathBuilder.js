@@ -0,0 +1,492 @@
+/*
+ * Shape Path Builder - v1.1
+ * Turns SHAPERECORD lists (ShapeParsers.js parseShapeRecords) into closed fill contours and
+ * stroke subpaths for the renderers
+ * - Every edge is filed under the fill styles on either side of it: FillStyle1 (fill on the
+ *   right of the drawing direction) keeps the edge as drawn, FillStyle0 (fill on the left) gets
+ *   a reversed copy, so all edges of one fill style wind the same way
+ * - Each style's edges are joined end to start into closed contours; holes come out with the
+ *   opposite winding of the outline around them
+ * - Line style edges stay in record order and are split into subpaths where they stop touching
+ * - NewStyles (DefineShape2 and later) starts a new style group: style indices refer to the new
+ *   arrays, and each group draws its fills (in style order) before its strokes
+ * Curves stay quadratic (control point + anchor); flattening and tessellation are up to the
+ * renderer. Output coordinates are pixels in the shape's own space.
+ * ADDED: createMorphShape interpolates a DefineMorphShape/DefineMorphShape2 (MorphParsers.js) at a
+ *   ratio into an ordinary shape that build() accepts
+ */
+class ShapePathBuilder {
+  constructor() {
+    this.twipsToPixels = 1 / 20; // SWF uses twips (1/20th pixel)
+  }
+
+  // ==================== PATH ASSEMBLY ====================
+
+  // shape: translated shape ({ shapeId, version, fillStyles, lineStyles, shapeRecords, usesFillWindingRule })
+  build(shape) {
+    const result = {
+      shapeId: shape.shapeId,
+      fillRule: shape.usesFillWindingRule ? "nonzero" : "evenodd",
+      fillStyles: [],
+      lineStyles: [],
+      paths: [],
+      edgeCount: 0
+    };
+
+    const records = shape.shapeRecords && shape.shapeRecords.records ? shape.shapeRecords.records : [];
+    const version = shape.version || 1;
+
+    let group = this.startGroup(result, shape.fillStyles, shape.lineStyles);
+    let x = 0;
+    let y = 0;
+    let fillStyle0 = 0;
+    let fillStyle1 = 0;
+    let lineStyle = 0;
+
+    for (const record of records) {
+      if (record.type === "style_change") {
+        if (record.parseError) break;
+
+        if (record.flags.newStyles && version >= 2) {
+          this.finishGroup(result, group);
+          group = this.startGroup(result, record.newFillStyles, record.newLineStyles);
+          fillStyle0 = 0;
+          fillStyle1 = 0;
+          lineStyle = 0;
+        }
+        if (record.flags.moveTo) {
+          x = record.moveToX;
+          y = record.moveToY;
+        }
+        if (record.flags.fillStyle0) fillStyle0 = record.fillStyle0;
+        if (record.flags.fillStyle1) fillStyle1 = record.fillStyle1;
+        if (record.flags.lineStyle) lineStyle = record.lineStyle;
+
+      } else if (record.type === "straight_edge" || record.type === "curved_edge") {
+        const edge = { x0: x, y0: y, cx: null, cy: null, x1: 0, y1: 0 };
+
+        if (record.type === "straight_edge") {
+          edge.x1 = x + record.deltaX;
+          edge.y1 = y + record.deltaY;
+        } else {
+          edge.cx = x + record.controlDeltaX;
+          edge.cy = y + record.controlDeltaY;
+          edge.x1 = edge.cx + record.anchorDeltaX;
+          edge.y1 = edge.cy + record.anchorDeltaY;
+        }
+        x = edge.x1;
+        y = edge.y1;
+
+        this.addEdge(group.fillEdges, fillStyle1, edge);
+        this.addEdge(group.fillEdges, fillStyle0, ShapePathBuilder.reverseEdge(edge));
+        this.addEdge(group.lineEdges, lineStyle, edge);
+        result.edgeCount++;
+
+      } else if (record.type === "end" || record.type === "parse_error") {
+        break;
+      }
+    }
+
+    this.finishGroup(result, group);
+    return result;
+  }
+
+  // Style indices in a group are 1-based into that group's arrays; results use global indices
+  startGroup(result, fillStyles, lineStyles) {
+    const group = {
+      fillOffset: result.fillStyles.length,
+      lineOffset: result.lineStyles.length,
+      fillEdges: new Map(),
+      lineEdges: new Map()
+    };
+    result.fillStyles.push(...ShapePathBuilder.getStyles(fillStyles));
+    result.lineStyles.push(...ShapePathBuilder.getStyles(lineStyles));
+    group.fillCount = result.fillStyles.length - group.fillOffset;
+    group.lineCount = result.lineStyles.length - group.lineOffset;
+    return group;
+  }
+
+  finishGroup(result, group) {
+    const fillIndices = Array.from(group.fillEdges.keys()).sort((a, b) => a - b);
+    for (const index of fillIndices) {
+      if (index > group.fillCount) continue;
+      const contours = this.joinContours(group.fillEdges.get(index));
+      if (contours.length === 0) continue;
+
+      result.paths.push({
+        type: "fill",
+        styleIndex: group.fillOffset + index,
+        style: result.fillStyles[group.fillOffset + index - 1],
+        contours: contours
+      });
+    }
+
+    const lineIndices = Array.from(group.lineEdges.keys()).sort((a, b) => a - b);
+    for (const index of lineIndices) {
+      if (index > group.lineCount) continue;
+      result.paths.push({
+        type: "stroke",
+        styleIndex: group.lineOffset + index,
+        style: result.lineStyles[group.lineOffset + index - 1],
+        subpaths: this.joinSubpaths(group.lineEdges.get(index))
+      });
+    }
+  }
+
+  addEdge(edgeMap, styleIndex, edge) {
+    if (!styleIndex) return;
+    if (!edgeMap.has(styleIndex)) {
+      edgeMap.set(styleIndex, []);
+    }
+    edgeMap.get(styleIndex).push(edge);
+  }
+
+  static reverseEdge(edge) {
+    return { x0: edge.x1, y0: edge.y1, cx: edge.cx, cy: edge.cy, x1: edge.x0, y1: edge.y0 };
+  }
+
+  static getStyles(styleArray) {
+    return styleArray && Array.isArray(styleArray.styles) ? styleArray.styles : [];
+  }
+
+  // ==================== CONTOUR JOINING ====================
+
+  // Follows edges end to start until the contour returns to where it began; a contour that runs
+  // out of edges is closed with a straight line, which is how Flash Player fills it
+  joinContours(edges) {
+    const byStart = new Map();
+    edges.forEach((edge, index) => {
+      const key = ShapePathBuilder.pointKey(edge.x0, edge.y0);
+      if (!byStart.has(key)) {
+        byStart.set(key, []);
+      }
+      byStart.get(key).push(index);
+    });
+
+    const used = new Array(edges.length).fill(false);
+    const contours = [];
+
+    for (let first = 0; first < edges.length; first++) {
+      if (used[first]) continue;
+
+      const chain = [];
+      let edge = edges[first];
+      used[first] = true;
+
+      while (edge) {
+        chain.push(edge);
+        if (edge.x1 === chain[0].x0 && edge.y1 === chain[0].y0) {
+          break;
+        }
+        edge = this.takeNextEdge(byStart, used, edges, edge.x1, edge.y1);
+      }
+
+      const last = chain[chain.length - 1];
+      if (last.x1 !== chain[0].x0 || last.y1 !== chain[0].y0) {
+        chain.push({ x0: last.x1, y0: last.y1, cx: null, cy: null, x1: chain[0].x0, y1: chain[0].y0 });
+      }
+      if (ShapePathBuilder.isDegenerate(chain)) continue;
+
+      contours.push(this.toCommands(chain));
+    }
+
+    return contours;
+  }
+
+  takeNextEdge(byStart, used, edges, x, y) {
+    const candidates = byStart.get(ShapePathBuilder.pointKey(x, y));
+    if (!candidates) return null;
+
+    while (candidates.length > 0) {
+      const index = candidates.shift();
+      if (!used[index]) {
+        used[index] = true;
+        return edges[index];
+      }
+    }
+    return null;
+  }
+
+  // Strokes keep the drawing order; a gap between edges starts a new subpath
+  joinSubpaths(edges) {
+    const subpaths = [];
+    let chain = [];
+
+    for (const edge of edges) {
+      const previous = chain[chain.length - 1];
+      if (previous && (previous.x1 !== edge.x0 || previous.y1 !== edge.y0)) {
+        subpaths.push(this.toCommands(chain));
+        chain = [];
+      }
+      chain.push(edge);
+    }
+    if (chain.length > 0) {
+      subpaths.push(this.toCommands(chain));
+    }
+    return subpaths;
+  }
+
+  // A contour with fewer than two distinct edges encloses no area
+  static isDegenerate(chain) {
+    return chain.length < 2 || (chain.length === 2 && chain.every(edge => edge.cx === null));
+  }
+
+  static pointKey(x, y) {
+    return `${x},${y}`;
+  }
+
+  // ==================== MORPH SHAPES ====================
+
+  // ratio: 0 (start shape) to 1 (end shape); PlaceObject ratios are 0-65535. Edges pair up in order
+  // (a straight edge against a curve becomes a curve through its midpoint); the end edges' style
+  // changes only move the pen
+  createMorphShape(morphData, ratio) {
+    const t = Math.max(0, Math.min(1, ratio));
+    const lerp = (a, b) => a + (b - a) * t;
+    // Positions snap to 1/64 twip so deltas add up exactly and contours still join
+    const lerpPoint = (a, b) => Math.round(lerp(a, b) * 64) / 64;
+    const startRecords = morphData.edges && morphData.edges.start ? morphData.edges.start.records || [] : [];
+    const endRecords = morphData.edges && morphData.edges.end ? morphData.edges.end.records || [] : [];
+    const records = [];
+
+    const start = { x: 0, y: 0 };
+    const end = { x: 0, y: 0 };
+    const pen = { x: 0, y: 0 };
+    let endIndex = 0;
+
+    const nextEndRecord = () => {
+      while (endIndex < endRecords.length) {
+        const record = endRecords[endIndex++];
+        if (record.type === "style_change") {
+          if (record.flags && record.flags.moveTo) {
+            end.x = record.moveToX;
+            end.y = record.moveToY;
+          }
+          continue;
+        }
+        return record.type === "straight_edge" || record.type === "curved_edge" ? record : null;
+      }
+      return null;
+    };
+
+    for (const record of startRecords) {
+      if (record.type === "style_change") {
+        const endRecord = endRecords[endIndex];
+        if (endRecord && endRecord.type === "style_change") {
+          endIndex++;
+          if (endRecord.flags && endRecord.flags.moveTo) {
+            end.x = endRecord.moveToX;
+            end.y = endRecord.moveToY;
+          }
+        }
+
+        const styleChange = { ...record, flags: { ...record.flags } };
+        if (record.flags.moveTo) {
+          start.x = record.moveToX;
+          start.y = record.moveToY;
+        }
+        if (record.flags.moveTo || (endRecord && endRecord.type === "style_change" && endRecord.flags.moveTo)) {
+          styleChange.flags.moveTo = true;
+          styleChange.moveToX = lerpPoint(start.x, end.x);
+          styleChange.moveToY = lerpPoint(start.y, end.y);
+          pen.x = styleChange.moveToX;
+          pen.y = styleChange.moveToY;
+        }
+        records.push(styleChange);
+
+      } else if (record.type === "straight_edge" || record.type === "curved_edge") {
+        const endRecord = nextEndRecord();
+        if (!endRecord) break;
+
+        const startEdge = ShapePathBuilder.edgeToCurve(start, record);
+        const endEdge = ShapePathBuilder.edgeToCurve(end, endRecord);
+        const controlX = lerpPoint(startEdge.cx, endEdge.cx);
+        const controlY = lerpPoint(startEdge.cy, endEdge.cy);
+        const anchorX = lerpPoint(startEdge.x1, endEdge.x1);
+        const anchorY = lerpPoint(startEdge.y1, endEdge.y1);
+
+        if (record.type === "straight_edge" && endRecord.type === "straight_edge") {
+          records.push({ type: "straight_edge", deltaX: anchorX - pen.x, deltaY: anchorY - pen.y });
+        } else {
+          records.push({
+            type: "curved_edge",
+            controlDeltaX: controlX - pen.x,
+            controlDeltaY: controlY - pen.y,
+            anchorDeltaX: anchorX - controlX,
+            anchorDeltaY: anchorY - controlY
+          });
+        }
+        pen.x = anchorX;
+        pen.y = anchorY;
+
+      } else if (record.type === "end" || record.type === "parse_error") {
+        break;
+      }
+    }
+    records.push({ type: "end" });
+
+    const startBounds = morphData.startBounds;
+    const endBounds = morphData.endBounds;
+    const bounds = startBounds && endBounds ? {
+      xMin: lerp(startBounds.xMin, endBounds.xMin) * this.twipsToPixels,
+      yMin: lerp(startBounds.yMin, endBounds.yMin) * this.twipsToPixels,
+      xMax: lerp(startBounds.xMax, endBounds.xMax) * this.twipsToPixels,
+      yMax: lerp(startBounds.yMax, endBounds.yMax) * this.twipsToPixels
+    } : null;
+    if (bounds) {
+      bounds.width = bounds.xMax - bounds.xMin;
+      bounds.height = bounds.yMax - bounds.yMin;
+    }
+
+    return {
+      shapeId: morphData.characterId,
+      version: morphData.version === 2 ? 4 : 3,
+      bounds: bounds,
+      ratio: t,
+      fillStyles: { styles: ShapePathBuilder.getStyles(morphData.fillStyles).map(style => ShapePathBuilder.interpolateFillStyle(style, t)) },
+      lineStyles: { styles: ShapePathBuilder.getStyles(morphData.lineStyles).map(style => ShapePathBuilder.interpolateLineStyle(style, t)) },
+      shapeRecords: { records: records }
+    };
+  }
+
+  // Absolute control point and anchor of an edge record; advances the position
+  static edgeToCurve(position, record) {
+    const x0 = position.x;
+    const y0 = position.y;
+    let cx;
+    let cy;
+
+    if (record.type === "straight_edge") {
+      position.x += record.deltaX;
+      position.y += record.deltaY;
+      cx = (x0 + position.x) / 2;
+      cy = (y0 + position.y) / 2;
+    } else {
+      cx = x0 + record.controlDeltaX;
+      cy = y0 + record.controlDeltaY;
+      position.x = cx + record.anchorDeltaX;
+      position.y = cy + record.anchorDeltaY;
+    }
+    return { cx: cx, cy: cy, x1: position.x, y1: position.y };
+  }
+
+  // MORPHFILLSTYLE -> FILLSTYLE (ShapeParsers.js format) at t
+  static interpolateFillStyle(style, t) {
+    if (!style) return null;
+
+    switch (style.type) {
+      case "solid":
+        return { type: "solid", color: ShapePathBuilder.interpolateColor(style.startColor, style.endColor, t) };
+
+      case "linear_gradient":
+      case "radial_gradient":
+      case "focal_radial_gradient": {
+        const gradient = style.gradient || { gradientRecords: [] };
+        return {
+          type: style.type,
+          matrix: ShapePathBuilder.interpolateMatrix(style.startMatrix, style.endMatrix, t),
+          gradient: {
+            spreadMode: gradient.spreadMode,
+            interpolationMode: gradient.interpolationMode,
+            numGradients: gradient.numGradients,
+            gradientRecords: gradient.gradientRecords.map(record => ({
+              ratio: Math.round(record.startRatio + (record.endRatio - record.startRatio) * t),
+              color: ShapePathBuilder.interpolateColor(record.startColor, record.endColor, t)
+            }))
+          },
+          focalPoint: style.startFocalPoint !== null && style.startFocalPoint !== undefined ?
+            style.startFocalPoint + (style.endFocalPoint - style.startFocalPoint) * t : null
+        };
+      }
+
+      case "bitmap":
+        return {
+          type: "bitmap",
+          bitmapId: style.bitmapId,
+          matrix: ShapePathBuilder.interpolateMatrix(style.startMatrix, style.endMatrix, t),
+          repeat: style.repeat,
+          smoothed: style.smoothed
+        };
+
+      default:
+        return { ...style };
+    }
+  }
+
+  // MORPHLINESTYLE/MORPHLINESTYLE2 -> LINESTYLE/LINESTYLE2 at t
+  static interpolateLineStyle(style, t) {
+    if (!style) return null;
+
+    const width = Math.round(style.startWidth + (style.endWidth - style.startWidth) * t);
+    if (!style.enhanced) {
+      return { width: width, color: ShapePathBuilder.interpolateColor(style.startColor, style.endColor, t), type: "basic" };
+    }
+
+    return {
+      width: width,
+      startCap: style.caps ? style.caps.start : "round",
+      endCap: style.caps ? style.caps.end : "round",
+      join: style.join,
+      miterLimitFactor: style.miterLimitFactor,
+      fillType: ShapePathBuilder.interpolateFillStyle(style.fillType, t),
+      flags: style.flags,
+      type: "enhanced"
+    };
+  }
+
+  static interpolateColor(start, end, t) {
+    const channel = name => Math.round(ShapePathBuilder.colorChannel(start, name) +
+      (ShapePathBuilder.colorChannel(end, name) - ShapePathBuilder.colorChannel(start, name)) * t);
+    return { red: channel("red"), green: channel("green"), blue: channel("blue"), alpha: channel("alpha") };
+  }
+
+  static colorChannel(color, name) {
+    if (!color) return name === "alpha" ? 255 : 0;
+    return color[name] !== undefined ? color[name] : (name === "alpha" ? 255 : 0);
+  }
+
+  static interpolateMatrix(start, end, t) {
+    const identity = { scaleX: 1, scaleY: 1, rotateSkew0: 0, rotateSkew1: 0, translateX: 0, translateY: 0 };
+    const a = start || identity;
+    const b = end || a;
+    const result = {};
+    for (const key of Object.keys(identity)) {
+      result[key] = a[key] + (b[key] - a[key]) * t;
+    }
+    return result;
+  }
+
+  // ==================== OUTPUT ====================
+
+  // Same command vocabulary as the renderer's path commands: move_to, line_to, curve_to
+  toCommands(chain) {
+    const scale = this.twipsToPixels;
+    const commands = [{
+      type: "move_to",
+      position: { x: chain[0].x0 * scale, y: chain[0].y0 * scale }
+    }];
+
+    for (const edge of chain) {
+      const endPosition = { x: edge.x1 * scale, y: edge.y1 * scale };
+      if (edge.cx === null) {
+        commands.push({ type: "line_to", endPosition: endPosition });
+      } else {
+        commands.push({
+          type: "curve_to",
+          controlPoint: { x: edge.cx * scale, y: edge.cy * scale },
+          endPosition: endPosition
+        });
+      }
+    }
+    return commands;
+  }
+}
+
+// Export for use by rendering pipeline
+if (typeof window !== 'undefined') {
+  window.ShapePathBuilder = ShapePathBuilder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShapePathBuilder;
+}
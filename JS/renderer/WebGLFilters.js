@@ -0,0 +1,461 @@
+/*
+ * WebGL Filters - v1.0
+ * The eight SWF bitmap filters (PlaceObject3 FILTERLIST) as shader passes for WebGLRenderer.js
+ * - Filters run in a chain on canvas-sized offscreen targets holding the object's premultiplied
+ *   pixels; every pass is a full-target quad drawn without blending
+ * - Blur is a box blur, horizontal then vertical, repeated once per pass (the filter's quality);
+ *   a blur of N pixels averages N pixels, with the two outermost taps weighted by the fraction
+ * - Drop shadow, glow, bevel, gradient glow and gradient bevel blur the object's alpha, offset it
+ *   by distance along angle and scale it by strength; inner, knockout, onTop and compositeSource
+ *   decide whether the effect lands inside, outside or over the object and whether it stays
+ * - Color matrix works on straight colors (offsets in 0-255); convolution on premultiplied ones
+ *   unless preserveAlpha is set, with clamped edges or the default color outside the object
+ */
+class WebGLFilters {
+  constructor(gl) {
+    this.gl = gl;
+    this.programs = null;
+    this.quadBuffer = null;
+
+    this.maxBlur = 255;
+    this.maxPasses = 15;
+    this.maxGradientStops = 15;
+    this.maxKernelSize = 25;
+    this.shadowTypes = { drop_shadow: true, glow: true, bevel: true, gradient_glow: true, gradient_bevel: true };
+  }
+
+  supports(filter) {
+    if (!filter) {
+      return false;
+    }
+    if (filter.type === "convolution") {
+      const size = filter.matrixX * filter.matrixY;
+      return size > 0 && size <= this.maxKernelSize && filter.matrix.length === size;
+    }
+    return filter.type === "blur" || filter.type === "color_matrix" || !!this.shadowTypes[filter.type];
+  }
+
+  // targets: four render targets ({ framebuffer, texture, width, height }) of the same size, the
+  // first holding the object; returns the one holding the filtered object. Leaves blending on and
+  // the stencil test as it was; the caller rebinds its framebuffer and program
+  apply(filters, targets) {
+    const gl = this.gl;
+    this.init();
+
+    const stencilTest = gl.isEnabled(gl.STENCIL_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.STENCIL_TEST);
+
+    let source = targets[0];
+    try {
+      for (const filter of filters) {
+        const result = this.applyFilter(filter, source, targets.filter(target => target !== source));
+        if (result) {
+          source = result;
+        }
+      }
+    } finally {
+      gl.enable(gl.BLEND);
+      if (stencilTest) {
+        gl.enable(gl.STENCIL_TEST);
+      }
+
+      // Target textures left bound would be feedback loops once their targets are drawn into
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    return source;
+  }
+
+  // free: three targets other than source; returns the result's target (null to skip the filter)
+  applyFilter(filter, source, free) {
+    if (filter.type === "blur") {
+      return this.blur(source, free[0], free[1], filter.blurX, filter.blurY, filter.passes);
+    }
+    if (filter.type === "color_matrix") {
+      return this.applyColorMatrix(filter, source, free[0]);
+    }
+    if (filter.type === "convolution") {
+      return this.applyConvolution(filter, source, free[0]);
+    }
+    if (this.shadowTypes[filter.type]) {
+      return this.applyShadow(filter, source, free);
+    }
+    return null;
+  }
+
+  // ==================== BLUR ====================
+
+  // Ping-pongs between a and b; returns source untouched when there is nothing to blur
+  blur(source, a, b, blurX, blurY, passes) {
+    const gl = this.gl;
+    const program = this.programs.blur;
+    const sizeX = Math.min(this.maxBlur, blurX || 0);
+    const sizeY = Math.min(this.maxBlur, blurY || 0);
+    const spare = [a, b];
+    let current = source;
+    let count = 0;
+
+    const step = (dx, dy, size) => {
+      const output = spare[count++ % 2];
+      this.beginPass(program, output, [current]);
+      gl.uniform2f(this.location(program, 'u_step'), dx / current.width, dy / current.height);
+      gl.uniform1f(this.location(program, 'u_radius'), (size - 1) / 2);
+      this.drawQuad(program);
+      current = output;
+    };
+
+    for (let pass = 0; pass < Math.min(this.maxPasses, passes || 0); pass++) {
+      if (sizeX > 1) step(1, 0, sizeX);
+      if (sizeY > 1) step(0, 1, sizeY);
+    }
+    return current;
+  }
+
+  // ==================== COLOR MATRIX AND CONVOLUTION ====================
+
+  // The 4x5 matrix is row-major (R' = m0 R + m1 G + m2 B + m3 A + m4); mat4 uniforms are column-major
+  applyColorMatrix(filter, source, output) {
+    const gl = this.gl;
+    const program = this.programs.colorMatrix;
+    const m = filter.matrix;
+    const matrix = new Float32Array(16);
+    for (let column = 0; column < 4; column++) {
+      for (let row = 0; row < 4; row++) {
+        matrix[column * 4 + row] = m[row * 5 + column];
+      }
+    }
+
+    this.beginPass(program, output, [source]);
+    gl.uniformMatrix4fv(this.location(program, 'u_matrix'), false, matrix);
+    gl.uniform4f(this.location(program, 'u_offset'), m[4] / 255, m[9] / 255, m[14] / 255, m[19] / 255);
+    this.drawQuad(program);
+    return output;
+  }
+
+  applyConvolution(filter, source, output) {
+    const gl = this.gl;
+    const program = this.programs.convolution;
+    const kernel = new Float32Array(this.maxKernelSize);
+    kernel.set(filter.matrix);
+    const color = WebGLFilters.colorToArray(filter.defaultColor);
+
+    this.beginPass(program, output, [source]);
+    gl.uniform1fv(this.location(program, 'u_kernel'), kernel);
+    gl.uniform2f(this.location(program, 'u_size'), filter.matrixX, filter.matrixY);
+    gl.uniform2f(this.location(program, 'u_texel'), 1 / source.width, 1 / source.height);
+    gl.uniform1f(this.location(program, 'u_divisor'), filter.divisor || 1);
+    gl.uniform1f(this.location(program, 'u_bias'), (filter.bias || 0) / 255);
+    gl.uniform1i(this.location(program, 'u_clamp'), !!filter.clamp);
+    gl.uniform1i(this.location(program, 'u_preserveAlpha'), !!filter.preserveAlpha);
+    gl.uniform4f(this.location(program, 'u_defaultColor'), color[0] * color[3], color[1] * color[3], color[2] * color[3], color[3]);
+    this.drawQuad(program);
+    return output;
+  }
+
+  // ==================== SHADOWS, GLOWS AND BEVELS ====================
+
+  // Glows are drop shadows without an offset; bevels read the blurred alpha on both sides
+  applyShadow(filter, source, free) {
+    const gl = this.gl;
+    const program = this.programs.shadow;
+    const blurred = this.blur(source, free[0], free[1], filter.blurX, filter.blurY, filter.passes);
+    const output = free.find(target => target !== blurred);
+
+    const isGlow = filter.type === "glow" || filter.type === "gradient_glow";
+    const isBevel = filter.type === "bevel" || filter.type === "gradient_bevel";
+    const distance = isGlow ? 0 : filter.distance || 0;
+    const angle = filter.angle || 0;
+    const inner = isGlow ? !!filter.innerGlow : !!filter.innerShadow;
+
+    this.beginPass(program, output, [source, blurred]);
+    gl.uniform1i(this.location(program, 'u_blurred'), 1);
+    gl.uniform1i(this.location(program, 'u_bevel'), isBevel);
+    // Texture rows run bottom to top, stage y runs down
+    gl.uniform2f(this.location(program, 'u_offset'),
+      Math.cos(angle) * distance / source.width, -Math.sin(angle) * distance / source.height);
+    gl.uniform1f(this.location(program, 'u_strength'), filter.strength);
+    gl.uniform1i(this.location(program, 'u_inner'), inner);
+    gl.uniform1i(this.location(program, 'u_onTop'), !!filter.onTop);
+    gl.uniform1i(this.location(program, 'u_knockout'), !!filter.knockout);
+    gl.uniform1i(this.location(program, 'u_compositeSource'), filter.compositeSource !== false);
+
+    if (filter.gradientColors) {
+      const count = Math.min(this.maxGradientStops, filter.gradientColors.length);
+      const colors = new Float32Array(this.maxGradientStops * 4);
+      const ratios = new Float32Array(this.maxGradientStops);
+      for (let i = 0; i < count; i++) {
+        colors.set(WebGLFilters.colorToArray(filter.gradientColors[i]), i * 4);
+        ratios[i] = filter.gradientRatios[i] / 255;
+      }
+      gl.uniform1i(this.location(program, 'u_gradientCount'), count);
+      gl.uniform4fv(this.location(program, 'u_gradientColors'), colors);
+      gl.uniform1fv(this.location(program, 'u_gradientRatios'), ratios);
+    } else {
+      gl.uniform1i(this.location(program, 'u_gradientCount'), 0);
+      gl.uniform4fv(this.location(program, 'u_color'), WebGLFilters.colorToArray(isBevel ? filter.shadowColor : filter.color));
+      gl.uniform4fv(this.location(program, 'u_highlightColor'), WebGLFilters.colorToArray(filter.highlightColor));
+    }
+
+    this.drawQuad(program);
+    return output;
+  }
+
+  // ==================== PASSES ====================
+
+  beginPass(program, output, inputs) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, output.framebuffer);
+    gl.useProgram(program.program);
+    inputs.forEach((input, unit) => {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, input.texture);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(this.location(program, 'u_source'), 0);
+  }
+
+  drawQuad(program) {
+    const gl = this.gl;
+    const position = program.position;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
+  location(program, name) {
+    if (!(name in program.locations)) {
+      program.locations[name] = this.gl.getUniformLocation(program.program, name);
+    }
+    return program.locations[name];
+  }
+
+  // RGBA (0-255 channels) to straight 0-1 floats
+  static colorToArray(color) {
+    if (!color) {
+      return [0, 0, 0, 0];
+    }
+    return [color.red / 255, color.green / 255, color.blue / 255, color.alpha !== undefined ? color.alpha / 255 : 1];
+  }
+
+  // ==================== SHADERS ====================
+
+  init() {
+    if (this.programs) {
+      return;
+    }
+
+    const gl = this.gl;
+    this.quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+    const header = `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+      precision highp float;
+      #else
+      precision mediump float;
+      #endif
+
+      uniform sampler2D u_source;
+      varying vec2 v_texCoord;
+
+      bool inside(vec2 p) {
+        return p.x >= 0.0 && p.x <= 1.0 && p.y >= 0.0 && p.y <= 1.0;
+      }
+    `;
+
+    this.programs = {
+      blur: this.createProgram(header + `
+        uniform vec2 u_step;
+        uniform float u_radius;
+
+        void main() {
+          float extent = ceil(u_radius);
+          vec4 sum = vec4(0.0);
+          for (int i = 0; i <= 256; i++) {
+            float offset = float(i) - extent;
+            if (offset > extent) break;
+            vec2 p = v_texCoord + u_step * offset;
+            if (inside(p)) {
+              sum += texture2D(u_source, p) * (abs(offset) > u_radius ? u_radius - floor(u_radius) : 1.0);
+            }
+          }
+          gl_FragColor = sum / (2.0 * u_radius + 1.0);
+        }
+      `),
+
+      colorMatrix: this.createProgram(header + `
+        uniform mat4 u_matrix;
+        uniform vec4 u_offset;
+
+        void main() {
+          vec4 color = texture2D(u_source, v_texCoord);
+          vec4 straight = color.a > 0.0 ? vec4(color.rgb / color.a, color.a) : vec4(0.0);
+          vec4 result = clamp(u_matrix * straight + u_offset, 0.0, 1.0);
+          gl_FragColor = vec4(result.rgb * result.a, result.a);
+        }
+      `),
+
+      convolution: this.createProgram(header + `
+        uniform float u_kernel[25];
+        uniform vec2 u_size;
+        uniform vec2 u_texel;
+        uniform float u_divisor;
+        uniform float u_bias;
+        uniform bool u_clamp;
+        uniform bool u_preserveAlpha;
+        uniform vec4 u_defaultColor;
+
+        vec4 sampleAt(vec2 p) {
+          if (inside(p)) return texture2D(u_source, p);
+          return u_clamp ? texture2D(u_source, clamp(p, 0.0, 1.0)) : u_defaultColor;
+        }
+
+        void main() {
+          vec2 center = floor(u_size / 2.0);
+          vec4 sum = vec4(0.0);
+          for (int i = 0; i < 25; i++) {
+            if (float(i) >= u_size.x * u_size.y) break;
+            float row = floor(float(i) / u_size.x);
+            float column = float(i) - row * u_size.x;
+            // Kernel rows run down the stage, texture rows up
+            vec4 color = sampleAt(v_texCoord + vec2(column - center.x, center.y - row) * u_texel);
+            if (u_preserveAlpha) {
+              color = color.a > 0.0 ? vec4(color.rgb / color.a, color.a) : vec4(0.0);
+            }
+            sum += color * u_kernel[i];
+          }
+
+          if (u_preserveAlpha) {
+            float alpha = texture2D(u_source, v_texCoord).a;
+            gl_FragColor = vec4(clamp(sum.rgb / u_divisor + u_bias, 0.0, 1.0) * alpha, alpha);
+          } else {
+            vec4 result = clamp(sum / u_divisor + u_bias, 0.0, 1.0);
+            gl_FragColor = vec4(min(result.rgb, result.a), result.a);
+          }
+        }
+      `),
+
+      // Gradient glows map the effect's strength through the gradient; gradient bevels map
+      // highlight to ratio 0 and shadow to ratio 255
+      shadow: this.createProgram(header + `
+        uniform sampler2D u_blurred;
+        uniform bool u_bevel;
+        uniform vec2 u_offset;
+        uniform float u_strength;
+        uniform bool u_inner;
+        uniform bool u_onTop;
+        uniform bool u_knockout;
+        uniform bool u_compositeSource;
+        uniform vec4 u_color;
+        uniform vec4 u_highlightColor;
+        uniform vec4 u_gradientColors[15];
+        uniform float u_gradientRatios[15];
+        uniform int u_gradientCount;
+
+        float alphaAt(vec2 p) {
+          return inside(p) ? texture2D(u_blurred, p).a : 0.0;
+        }
+
+        vec4 premultiply(vec4 color) {
+          return vec4(color.rgb * color.a, color.a);
+        }
+
+        vec4 gradientColor(float t) {
+          vec4 color = u_gradientColors[0];
+          for (int i = 1; i < 15; i++) {
+            if (i >= u_gradientCount) break;
+            float from = u_gradientRatios[i - 1];
+            float to = u_gradientRatios[i];
+            if (t > from) {
+              color = mix(u_gradientColors[i - 1], u_gradientColors[i], to > from ? clamp((t - from) / (to - from), 0.0, 1.0) : 1.0);
+            }
+          }
+          return premultiply(color);
+        }
+
+        void main() {
+          vec4 object = texture2D(u_source, v_texCoord);
+          vec4 effect;
+
+          if (u_bevel) {
+            float lit = alphaAt(v_texCoord + u_offset);
+            float shaded = alphaAt(v_texCoord - u_offset);
+            float highlight = clamp((lit - shaded) * u_strength, 0.0, 1.0);
+            float shadow = clamp((shaded - lit) * u_strength, 0.0, 1.0);
+            effect = u_gradientCount > 0 ?
+              gradientColor(clamp(0.5 + (shadow - highlight) * 0.5, 0.0, 1.0)) :
+              premultiply(u_highlightColor) * highlight + premultiply(u_color) * shadow;
+          } else {
+            float alpha = alphaAt(v_texCoord - u_offset);
+            if (u_inner) alpha = 1.0 - alpha;
+            alpha = clamp(alpha * u_strength, 0.0, 1.0);
+            effect = u_gradientCount > 0 ? gradientColor(alpha) : premultiply(u_color) * alpha;
+          }
+
+          vec4 source = u_compositeSource && !u_knockout ? object : vec4(0.0);
+          if (u_onTop) {
+            gl_FragColor = effect + source * (1.0 - effect.a);
+          } else if (u_inner) {
+            effect *= object.a;
+            gl_FragColor = effect + source * (1.0 - effect.a);
+          } else if (u_knockout) {
+            gl_FragColor = effect * (1.0 - object.a);
+          } else {
+            gl_FragColor = source + effect * (1.0 - source.a);
+          }
+        }
+      `)
+    };
+  }
+
+  createProgram(fragmentShaderSource) {
+    const gl = this.gl;
+    const vertexShaderSource = `
+      attribute vec2 a_position;
+      varying vec2 v_texCoord;
+
+      void main() {
+        v_texCoord = (a_position + 1.0) * 0.5;
+        gl_Position = vec4(a_position, 0, 1);
+      }
+    `;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, this.compileShader(vertexShaderSource, gl.VERTEX_SHADER));
+    gl.attachShader(program, this.compileShader(fragmentShaderSource, gl.FRAGMENT_SHADER));
+    gl.linkProgram(program);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error('Filter program linking failed: ' + gl.getProgramInfoLog(program));
+    }
+    return { program: program, position: gl.getAttribLocation(program, 'a_position'), locations: {} };
+  }
+
+  compileShader(source, type) {
+    const gl = this.gl;
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      const error = gl.getShaderInfoLog(shader);
+      gl.deleteShader(shader);
+      throw new Error('Filter shader compilation failed: ' + error);
+    }
+    return shader;
+  }
+}
+
+// Export for use by rendering pipeline
+if (typeof window !== 'undefined') {
+  window.WebGLFilters = WebGLFilters;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebGLFilters;
+}
@@ -1,5 +1,5 @@
 /* 
- * WebGL SWF Renderer - v1.4
+ * WebGL SWF Renderer - v2.9
  * Final stage of the Flash-JS rendering pipeline
  * Takes pre-processed data from translators and renders to WebGL canvas
  * Only works with translated data - no parsing or translation logic
@@ -8,6 +8,36 @@
  * FIXED: Button unlocks when SWF is uploaded and translated data is available
  * FIXED: Now properly renders actual SWF first frame content instead of placeholder shapes
  * FIXED: Enhanced processSWFTranslatedData to handle proper translator format with linking metadata
+ * ADDED: SWFTimeline drives frame-accurate rendering (frame 1 is no longer every placement in the file)
+ *   with play, pause, step and seek at the header frame rate
+ * ADDED: Placed sprites render their own clip's display list with the matrix and color transform
+ *   composed from every parent
+ * ADDED: Shapes draw their real fill contours and stroke subpaths (ShapePathBuilder.js) instead of
+ *   bounding rectangles
+ * ADDED: Fills are tessellated by PathTessellator.js (holes, self-intersections, even-odd and
+ *   non-zero fill rules) and curves are flattened to a screen-space tolerance
+ * ADDED: exportShapeSVG / exportFrameSVG (SVGExporter.js) for the stored shapes and the current frame
+ * ADDED: rendererType in the stats, shared with the Canvas2DRenderer.js fallback
+ * ADDED: Decoded bitmaps stored per character ID (getBitmapRGBA)
+ * ADDED: JPEG/PNG/GIF bitmaps decoded asynchronously through BitmapDecoder.js (storeBitmap)
+ * ADDED: Bitmap fills (repeating/clipped, smoothed/non-smoothed) textured from the stored bitmaps
+ *   through the fill's bitmap matrix; fills naming bitmap 0xFFFF ("no bitmap") are not drawn
+ * ADDED: Gradient fills are evaluated in the fragment shader: gradient matrix, pad/reflect/repeat
+ *   spread, RGB and linear RGB interpolation, focal radial gradients, up to 15 stops
+ *   (replaces the fixed 256x256 gradient textures)
+ * ADDED: Strokes go through PathStroker.js: watertight outlines with LINESTYLE2 start/end caps,
+ *   round/bevel/miter joins (miter limit), NoClose, pixel hinting and gradient/bitmap fill-style
+ *   strokes; zero widths are hairlines and NoHScale/NoVScale widths ignore the placement scale
+ * FIXED: Placement matrices and CXFORMs are composed down the display tree with or without the
+ *   timeline (entries without one keep their PlaceObject matrix, color transform and moves),
+ *   pushTransform composes onto the current transform and transformed colors are clamped
+ * ADDED: Clip layers (PlaceObject2/3 ClipDepth) mask the depths above them through the stencil
+ *   buffer; masks nest, and a mask's fills (not its strokes) make up the masked area
+ * ADDED: PlaceObject3 blend modes: the object is drawn into an offscreen layer that a compositing
+ *   shader blends onto (a copy of) what is below it; alpha and erase apply to the enclosing layer
+ * FIXED: Alpha is blended separately (ONE, ONE_MINUS_SRC_ALPHA) so offscreen layers keep coverage
+ * ADDED: PlaceObject3 filter lists run through WebGLFilters.js on the object's layer before it is
+ *   composited; a layered object's color transform is applied to the whole layer when compositing
  */
 class WebGLRenderer {
   constructor(canvas) {
@@ -21,6 +51,7 @@ class WebGLRenderer {
     this.currentTransform = this.createIdentityMatrix();
     this.isInitialized = false;
     this.output = [];
+    this.rendererType = "WebGL";
     
     // Simplified rendering pipeline
     this.autoRenderEnabled = true;
@@ -43,11 +74,48 @@ class WebGLRenderer {
     // Shape cache for performance
     this.shapeCache = new Map();
     this.pathCache = new Map();
+    this.tessellationCache = new Map();
+    this.tessellator = new PathTessellator();
+    this.stroker = new PathStroker({ tessellator: this.tessellator });
+    this.filterRenderer = null;
     
     // Actual SWF rendering data
     this.swfShapes = new Map();
+    this.swfMorphShapes = new Map();
+    this.swfBitmaps = new Map();
     this.swfDisplayList = new Map();
     this.backgroundColor = [1.0, 1.0, 1.0, 1.0]; // Default white
+    this.missingBitmapColor = [0.7, 0.7, 0.7, 1.0]; // Bitmap fills whose bitmap is missing or still decoding
+    
+    // Gradients are defined on a 32768 x 32768 square centred on the origin (SWF spec); the
+    // shader's uniform arrays hold the 15 stops DefineShape4 allows
+    this.gradientHalfSize = 16384;
+    this.maxGradientStops = 15;
+    this.gradientTypes = { linear_gradient: 1, radial_gradient: 2, focal_radial_gradient: 3 };
+    this.spreadModes = { pad: 0, reflect: 1, repeat: 2 };
+    
+    // Frame-accurate display list and playback (SWFTimeline.js)
+    this.timeline = typeof SWFTimeline !== 'undefined' ? new SWFTimeline() : null;
+    if (this.timeline) {
+      this.timeline.onFrame = () => this.renderTimelineFrame();
+    }
+    this.maxOutputLines = 5000;
+    
+    // Stencil value inside every active clip layer (0 with no mask); maskOperation is set while
+    // a clip layer's shapes are drawn into the stencil buffer ("push" or "pop")
+    this.maskLevel = 0;
+    this.maskOperation = null;
+    this.hasStencil = false;
+    
+    // Offscreen layers for blend modes and filters: render targets are pooled by nesting level and the
+    // compositing shader takes the mode as an index (normal needs no layer)
+    this.renderTargets = [];
+    this.layerStack = [];
+    this.backdropTexture = null;
+    this.blendModes = {
+      layer: 1, multiply: 2, screen: 3, lighten: 4, darken: 5, difference: 6, add: 7,
+      subtract: 8, invert: 9, alpha: 10, erase: 11, overlay: 12, hardlight: 13
+    };
     
     this.init();
   }
@@ -60,7 +128,8 @@ class WebGLRenderer {
       this.output.push("==============================");
       
       // Initialize WebGL context
-      this.gl = this.canvas.getContext('webgl') || this.canvas.getContext('experimental-webgl');
+      // Clip layers need a stencil buffer
+      this.gl = this.canvas.getContext('webgl', { stencil: true }) || this.canvas.getContext('experimental-webgl', { stencil: true });
       
       if (!this.gl) {
         throw new Error("WebGL not supported");
@@ -70,6 +139,10 @@ class WebGLRenderer {
       
       // Initialize shaders
       this.initShaders();
+      this.initCompositeShader();
+      if (typeof WebGLFilters !== 'undefined') {
+        this.filterRenderer = new WebGLFilters(this.gl);
+      }
       this.output.push("Shaders compiled and linked");
       
       // Initialize buffers
@@ -107,8 +180,9 @@ class WebGLRenderer {
           window.translatedDataStorage = {};
         }
         
-        const timestamp = Date.now();
-        window.translatedDataStorage[timestamp] = translatedData;
+        // Sequential keys keep every item (several arrive within the same millisecond) in tag order
+        const key = Object.keys(window.translatedDataStorage).length;
+        window.translatedDataStorage[key] = translatedData;
         
         // Store actual SWF content for proper rendering with enhanced format handling
         this.processSWFTranslatedData(translatedData);
@@ -136,17 +210,53 @@ class WebGLRenderer {
         this.output.push(`Stored shape ${shape.shapeId}: ${shape.bounds.width}×${shape.bounds.height}px`);
       }
       
-      // Handle enhanced display commands (from TagParse.js with proper linking metadata)
-      if (translatedData.isDisplayCommand && translatedData.characterId !== undefined && translatedData.depth !== undefined) {
+      // Morph shape definitions (parsed data, interpolated by ratio when exported)
+      if (translatedData.isMorphShapeDefinition && translatedData.morphShape) {
+        this.swfMorphShapes.set(translatedData.morphShape.characterId, translatedData.morphShape);
+        this.output.push(`Stored morph shape ${translatedData.morphShape.characterId}`);
+      }
+      
+      // Bitmap definitions (straight RGBA from BitmapParsers, or an image stream to decode)
+      if (translatedData.isBitmapDefinition && translatedData.bitmap) {
+        this.storeBitmap(translatedData.characterId, translatedData.bitmap);
+        this.output.push(`Stored bitmap ${translatedData.characterId}: ${translatedData.bitmap.width}×${translatedData.bitmap.height}px`);
+      }
+      
+      // Display commands and ShowFrame markers (from TagParse.js) build the frame-accurate timeline
+      if (this.timeline && this.timeline.addTranslatedData(translatedData)) {
+        if (translatedData.isFrameBoundary) {
+          this.output.push(`Timeline: ShowFrame at tag ${translatedData.tagIndex}`);
+        } else if (translatedData.isSpriteDefinition) {
+          this.output.push(`Timeline: sprite ${translatedData.spriteId} (${translatedData.frameCount} frames, ${translatedData.timelineCommands.length} commands)`);
+        } else {
+          this.output.push(`Timeline: ${translatedData.tagType} at depth ${translatedData.depth} (tag ${translatedData.tagIndex})`);
+        }
+      } else if (translatedData.isDisplayCommand && translatedData.characterId !== undefined && translatedData.depth !== undefined) {
+        // Without a timeline every placement lands in one display list
+        const placement = translatedData.translatedData || {};
         const displayObj = {
           characterId: translatedData.characterId,
           depth: translatedData.depth,
+          matrix: placement.matrix || null,
+          colorTransform: placement.colorTransform || null,
+          clipDepth: placement.clipDepth || 0,
+          blendMode: placement.blendMode || null,
+          filterList: placement.filterList || null,
           hasTransform: translatedData.renderCommands && translatedData.renderCommands.some(cmd => cmd.transform),
           tagType: translatedData.tagType
         };
         
         this.swfDisplayList.set(translatedData.depth, displayObj);
         this.output.push(`Enhanced display command: Character ${translatedData.characterId} at depth ${translatedData.depth}`);
+      } else if (translatedData.isDisplayCommand && translatedData.translatedData && translatedData.translatedData.isMove &&
+        this.swfDisplayList.has(translatedData.depth)) {
+        // A move without a character keeps the character and replaces what the tag carries
+        const placement = translatedData.translatedData;
+        const displayObj = this.swfDisplayList.get(translatedData.depth);
+        if (placement.matrix) displayObj.matrix = placement.matrix;
+        if (placement.colorTransform) displayObj.colorTransform = placement.colorTransform;
+        if (placement.blendMode) displayObj.blendMode = placement.blendMode;
+        if (placement.filterList) displayObj.filterList = placement.filterList;
       }
       
       // Handle legacy display list state (from DisplayParserTranslator)
@@ -206,6 +316,15 @@ class WebGLRenderer {
     }
   }
 
+  // Replays translated data that was stored before the renderer existed (stored in tag order)
+  processStoredTranslatedData() {
+    if (!window.translatedDataStorage) return 0;
+    
+    const items = Object.values(window.translatedDataStorage);
+    items.forEach(translatedData => this.processSWFTranslatedData(translatedData));
+    return items.length;
+  }
+
   // ==================== SIMPLIFIED UI HANDLING ====================
 
   startUIReadyCheck() {
@@ -298,9 +417,16 @@ class WebGLRenderer {
     this.displayList.clear();
     this.shapeCache.clear();
     this.pathCache.clear();
+    this.tessellationCache.clear();
     this.swfShapes.clear();
+    this.swfMorphShapes.clear();
+    this.swfBitmaps.clear();
+    this.deleteBitmapTextures();
     this.swfDisplayList.clear();
     this.renderCommands = [];
+    if (this.timeline) {
+      this.timeline.reset();
+    }
     
     // Reset button to disabled state
     const renderButton = document.getElementById('renderButton');
@@ -345,28 +471,97 @@ class WebGLRenderer {
       }
     `;
 
+    // Gradients get their gradient-square position (-1 to 1 across the 32768 twip square) in
+    // v_texCoord; u_gradientType is 0 for none, 1 linear, 2 radial and 3 focal radial
     const fragmentShaderSource = `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+      precision highp float;
+      #else
       precision mediump float;
+      #endif
       
       uniform sampler2D u_texture;
       uniform bool u_useTexture;
+      uniform bool u_textureRepeat;
       uniform vec4 u_colorMultiplier;
       uniform vec4 u_colorOffset;
       
+      uniform int u_gradientType;
+      uniform vec4 u_gradientColors[15];
+      uniform float u_gradientRatios[15];
+      uniform int u_gradientCount;
+      uniform int u_spreadMode;
+      uniform bool u_linearRGB;
+      uniform float u_focalPoint;
+      
       varying vec4 v_color;
       varying vec2 v_texCoord;
       
+      vec3 linearToSRGB(vec3 c) {
+        return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(vec3(0.0031308), c));
+      }
+      
+      float gradientPosition(vec2 p) {
+        if (u_gradientType == 1) {
+          return (p.x + 1.0) * 0.5;
+        }
+        if (u_gradientType == 2) {
+          return length(p);
+        }
+        
+        // Focal: the ray from the focal point through p leaves the unit circle at
+        // focal + s * (p - focal); p is 1 / s of the way there
+        vec2 focal = vec2(u_focalPoint, 0.0);
+        vec2 d = p - focal;
+        float a = dot(d, d);
+        if (a <= 0.0) {
+          return 0.0;
+        }
+        float b = dot(focal, d);
+        float c = dot(focal, focal) - 1.0;
+        return a / (-b + sqrt(b * b - a * c));
+      }
+      
+      vec4 gradientColor(float t) {
+        if (u_spreadMode == 1) {
+          t = 1.0 - abs(mod(t, 2.0) - 1.0);
+        } else if (u_spreadMode == 2) {
+          t = fract(t);
+        } else {
+          t = clamp(t, 0.0, 1.0);
+        }
+        
+        // Before the first stop its color, past the last stop the last color
+        vec4 color = u_gradientColors[0];
+        for (int i = 1; i < 15; i++) {
+          if (i >= u_gradientCount) break;
+          float from = u_gradientRatios[i - 1];
+          float to = u_gradientRatios[i];
+          if (t > from) {
+            color = mix(u_gradientColors[i - 1], u_gradientColors[i], to > from ? clamp((t - from) / (to - from), 0.0, 1.0) : 1.0);
+          }
+        }
+        
+        if (u_linearRGB) {
+          color.rgb = linearToSRGB(color.rgb);
+        }
+        return color;
+      }
+      
       void main() {
         vec4 color;
         
-        if (u_useTexture) {
-          color = texture2D(u_texture, v_texCoord);
+        if (u_gradientType > 0) {
+          color = gradientColor(gradientPosition(v_texCoord));
+        } else if (u_useTexture) {
+          // Tiling is done here: WebGL 1 cannot REPEAT textures whose sizes are not powers of two
+          color = texture2D(u_texture, u_textureRepeat ? fract(v_texCoord) : v_texCoord);
         } else {
           color = v_color;
         }
         
-        // Apply color transform
-        color = (color * u_colorMultiplier) + u_colorOffset;
+        // Apply color transform (to straight colors, as the Flash Player does)
+        color = clamp((color * u_colorMultiplier) + u_colorOffset, 0.0, 1.0);
         
         gl_FragColor = color;
       }
@@ -393,11 +588,111 @@ class WebGLRenderer {
       resolution: this.gl.getUniformLocation(this.shaderProgram, 'u_resolution'),
       texture: this.gl.getUniformLocation(this.shaderProgram, 'u_texture'),
       useTexture: this.gl.getUniformLocation(this.shaderProgram, 'u_useTexture'),
+      textureRepeat: this.gl.getUniformLocation(this.shaderProgram, 'u_textureRepeat'),
+      gradientType: this.gl.getUniformLocation(this.shaderProgram, 'u_gradientType'),
+      gradientColors: this.gl.getUniformLocation(this.shaderProgram, 'u_gradientColors'),
+      gradientRatios: this.gl.getUniformLocation(this.shaderProgram, 'u_gradientRatios'),
+      gradientCount: this.gl.getUniformLocation(this.shaderProgram, 'u_gradientCount'),
+      spreadMode: this.gl.getUniformLocation(this.shaderProgram, 'u_spreadMode'),
+      linearRGB: this.gl.getUniformLocation(this.shaderProgram, 'u_linearRGB'),
+      focalPoint: this.gl.getUniformLocation(this.shaderProgram, 'u_focalPoint'),
       colorMultiplier: this.gl.getUniformLocation(this.shaderProgram, 'u_colorMultiplier'),
       colorOffset: this.gl.getUniformLocation(this.shaderProgram, 'u_colorOffset')
     };
   }
 
+  // Blends a layer (premultiplied, as blending leaves it) onto a copy of the target below it,
+  // color transforming the layer first.
+  // Separable modes use the W3C compositing formula; add, subtract and invert work on the
+  // premultiplied colors, alpha and erase only change the backdrop's coverage
+  initCompositeShader() {
+    const vertexShaderSource = `
+      attribute vec2 a_position;
+      varying vec2 v_texCoord;
+      
+      void main() {
+        v_texCoord = (a_position + 1.0) * 0.5;
+        gl_Position = vec4(a_position, 0, 1);
+      }
+    `;
+
+    const fragmentShaderSource = `
+      precision mediump float;
+      
+      uniform sampler2D u_layer;
+      uniform sampler2D u_backdrop;
+      uniform int u_blendMode;
+      uniform vec4 u_colorMultiplier;
+      uniform vec4 u_colorOffset;
+      
+      varying vec2 v_texCoord;
+      
+      vec3 hardLight(vec3 cs, vec3 cb) {
+        return mix(2.0 * cs * cb, 1.0 - 2.0 * (1.0 - cs) * (1.0 - cb), step(0.5, cs));
+      }
+      
+      vec3 blend(vec3 cs, vec3 cb) {
+        if (u_blendMode == 2) return cs * cb;
+        if (u_blendMode == 3) return cs + cb - cs * cb;
+        if (u_blendMode == 4) return max(cs, cb);
+        if (u_blendMode == 5) return min(cs, cb);
+        if (u_blendMode == 6) return abs(cs - cb);
+        if (u_blendMode == 12) return hardLight(cb, cs);
+        if (u_blendMode == 13) return hardLight(cs, cb);
+        return cs;
+      }
+      
+      void main() {
+        vec4 source = texture2D(u_layer, v_texCoord);
+        if (source.a > 0.0) {
+          vec4 color = clamp(vec4(source.rgb / source.a, source.a) * u_colorMultiplier + u_colorOffset, 0.0, 1.0);
+          source = vec4(color.rgb * color.a, color.a);
+        }
+        vec4 backdrop = texture2D(u_backdrop, v_texCoord);
+        float alpha = source.a + backdrop.a * (1.0 - source.a);
+        
+        if (u_blendMode == 7) {
+          gl_FragColor = vec4(min(backdrop.rgb + source.rgb, 1.0), alpha);
+        } else if (u_blendMode == 8) {
+          gl_FragColor = vec4(max(backdrop.rgb - source.rgb, 0.0), alpha);
+        } else if (u_blendMode == 9) {
+          gl_FragColor = vec4(backdrop.rgb * (1.0 - source.a) + (backdrop.a - backdrop.rgb) * source.a, backdrop.a);
+        } else if (u_blendMode == 10) {
+          gl_FragColor = backdrop * source.a;
+        } else if (u_blendMode == 11) {
+          gl_FragColor = backdrop * (1.0 - source.a);
+        } else {
+          vec3 cs = source.a > 0.0 ? source.rgb / source.a : vec3(0.0);
+          vec3 cb = backdrop.a > 0.0 ? backdrop.rgb / backdrop.a : vec3(0.0);
+          vec3 color = (1.0 - source.a) * backdrop.rgb + (1.0 - backdrop.a) * source.rgb +
+            source.a * backdrop.a * clamp(blend(cs, cb), 0.0, 1.0);
+          gl_FragColor = vec4(color, alpha);
+        }
+      }
+    `;
+
+    const vertexShader = this.compileShader(vertexShaderSource, this.gl.VERTEX_SHADER);
+    const fragmentShader = this.compileShader(fragmentShaderSource, this.gl.FRAGMENT_SHADER);
+    
+    this.compositeProgram = this.gl.createProgram();
+    this.gl.attachShader(this.compositeProgram, vertexShader);
+    this.gl.attachShader(this.compositeProgram, fragmentShader);
+    this.gl.linkProgram(this.compositeProgram);
+    
+    if (!this.gl.getProgramParameter(this.compositeProgram, this.gl.LINK_STATUS)) {
+      throw new Error('Composite program linking failed: ' + this.gl.getProgramInfoLog(this.compositeProgram));
+    }
+    
+    this.compositeLocations = {
+      position: this.gl.getAttribLocation(this.compositeProgram, 'a_position'),
+      layer: this.gl.getUniformLocation(this.compositeProgram, 'u_layer'),
+      backdrop: this.gl.getUniformLocation(this.compositeProgram, 'u_backdrop'),
+      blendMode: this.gl.getUniformLocation(this.compositeProgram, 'u_blendMode'),
+      colorMultiplier: this.gl.getUniformLocation(this.compositeProgram, 'u_colorMultiplier'),
+      colorOffset: this.gl.getUniformLocation(this.compositeProgram, 'u_colorOffset')
+    };
+  }
+
   compileShader(source, type) {
     const shader = this.gl.createShader(type);
     this.gl.shaderSource(shader, source);
@@ -417,14 +712,20 @@ class WebGLRenderer {
     this.indexBuffer = this.gl.createBuffer();
     this.colorBuffer = this.gl.createBuffer();
     this.textureCoordBuffer = this.gl.createBuffer();
+    
+    // Two triangles covering the viewport, for compositing layers
+    this.layerQuadBuffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.layerQuadBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), this.gl.STATIC_DRAW);
   }
 
   setupWebGLState() {
     this.gl.useProgram(this.shaderProgram);
     
-    // Enable blending for transparency
+    // Enable blending for transparency; alpha adds up as coverage, so a layer cleared to
+    // transparent ends up holding premultiplied colors
     this.gl.enable(this.gl.BLEND);
-    this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+    this.gl.blendFuncSeparate(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA, this.gl.ONE, this.gl.ONE_MINUS_SRC_ALPHA);
     
     // Set viewport
     this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
@@ -435,6 +736,14 @@ class WebGLRenderer {
     // Set default color transform (identity)
     this.gl.uniform4f(this.shaderLocations.colorMultiplier, 1.0, 1.0, 1.0, 1.0);
     this.gl.uniform4f(this.shaderLocations.colorOffset, 0.0, 0.0, 0.0, 0.0);
+    
+    // Everything is drawn with the stencil test on: only where the stencil equals maskLevel
+    const attributes = this.gl.getContextAttributes ? this.gl.getContextAttributes() : null;
+    this.hasStencil = !!(attributes && attributes.stencil);
+    if (this.hasStencil) {
+      this.gl.enable(this.gl.STENCIL_TEST);
+      this.resetMasks();
+    }
   }
 
   // ==================== MAIN RENDERING ENTRY POINT ====================
@@ -477,45 +786,34 @@ class WebGLRenderer {
   }
 
   renderSWFFirstFrame() {
+    if (this.hasTimeline()) {
+      this.syncTimelineHeader();
+      this.timeline.seek(1);
+    }
+    return this.renderSWFFrame();
+  }
+
+  // Renders the timeline's current frame (or the legacy display list when there is no timeline)
+  renderSWFFrame() {
     try {
-      let renderedShapes = 0;
-      let renderedObjects = 0;
+      const counts = { shapes: 0, objects: 0 };
+      this.resetLayers();
+      this.resetMasks();
       
       // First, render all shapes that are placed on the display list
-      const sortedDisplayList = Array.from(this.swfDisplayList.entries())
-        .sort(([depthA], [depthB]) => depthA - depthB);
+      const sortedDisplayList = this.getFrameDisplayList();
       
+      if (this.hasTimeline()) {
+        this.output.push(`Frame ${this.timeline.currentFrame}/${this.timeline.totalFrames}`);
+      }
       this.output.push(`Display list contains ${sortedDisplayList.length} objects`);
       
-      for (const [depth, displayObject] of sortedDisplayList) {
-        if (displayObject.characterId && this.swfShapes.has(displayObject.characterId)) {
-          const shape = this.swfShapes.get(displayObject.characterId);
-          
-          this.output.push(`Rendering shape ${displayObject.characterId} at depth ${depth}`);
-          
-          // Apply display object transform if present
-          if (displayObject.hasTransform && displayObject.transform) {
-            this.pushTransform(displayObject.transform);
-          }
-          
-          // Render the actual shape
-          if (this.renderActualShape(shape)) {
-            renderedShapes++;
-          }
-          
-          // Restore transform
-          if (displayObject.hasTransform && displayObject.transform) {
-            this.popTransform();
-          }
-          
-          renderedObjects++;
-        } else {
-          this.output.push(`Warning: Shape ${displayObject.characterId} not found for depth ${depth}`);
-        }
-      }
+      this.renderDisplayList(sortedDisplayList, null, null, counts);
+      let renderedShapes = counts.shapes;
+      const renderedObjects = counts.objects;
       
-      // If no display list, try to render shapes directly
-      if (renderedShapes === 0 && this.swfShapes.size > 0) {
+      // If no display list, try to render shapes directly (an empty timeline frame stays empty)
+      if (renderedShapes === 0 && !this.hasTimeline() && this.swfShapes.size > 0) {
         this.output.push("No display list found, rendering shapes directly");
         
         for (const [shapeId, shape] of this.swfShapes.entries()) {
@@ -541,6 +839,98 @@ class WebGLRenderer {
     }
   }
 
+  // Draws entries back to front; a sprite entry draws its clip's current frame with the placement
+  // composed onto its parent's (entries carry raw MATRIX/CXFORM placements: translation in twips,
+  // 8.8 fixed point color multipliers). A clip layer masks the entries above it up to its clip depth
+  renderDisplayList(entries, parentMatrix, parentColorTransform, counts) {
+    let index = 0;
+    
+    while (index < entries.length) {
+      const displayObject = entries[index++];
+      if (displayObject.visible === false) {
+        continue;
+      }
+      
+      if (!displayObject.clipDepth) {
+        this.renderDisplayObject(displayObject, parentMatrix, parentColorTransform, counts);
+        continue;
+      }
+      
+      const clipped = [];
+      while (index < entries.length && entries[index].depth <= displayObject.clipDepth) {
+        clipped.push(entries[index++]);
+      }
+      
+      this.output.push(`Clip layer ${displayObject.characterId} at depth ${displayObject.depth} masks ${clipped.length} objects up to depth ${displayObject.clipDepth}`);
+      const masked = this.pushMask(displayObject, parentMatrix);
+      this.renderDisplayList(clipped, parentMatrix, parentColorTransform, counts);
+      if (masked) {
+        this.popMask(displayObject, parentMatrix);
+      }
+    }
+  }
+  
+  renderDisplayObject(displayObject, parentMatrix, parentColorTransform, counts) {
+    const depth = displayObject.depth;
+    const canCompose = typeof SWFTimeline !== 'undefined';
+    const matrix = canCompose ? SWFTimeline.multiplyMatrix(parentMatrix, displayObject.matrix) : displayObject.matrix || null;
+    const colorTransform = canCompose ?
+      SWFTimeline.concatColorTransform(parentColorTransform, displayObject.colorTransform) :
+      displayObject.colorTransform || null;
+    
+    const blendMode = this.getLayerBlendMode(displayObject);
+    const filters = this.getLayerFilters(displayObject);
+    if ((blendMode || filters.length > 0) && !this.maskOperation) {
+      this.renderObjectLayer(displayObject, blendMode, filters, parentMatrix, parentColorTransform, counts);
+      return;
+    }
+    
+    if (displayObject.clip) {
+      const clip = displayObject.clip;
+      this.output.push(`Rendering sprite ${displayObject.characterId} at depth ${depth} (frame ${clip.currentFrame}/${SWFTimeline.getFrameCount(clip.definition)})`);
+      this.renderDisplayList(this.timeline.getDisplayList(clip), matrix, colorTransform, counts);
+      counts.objects++;
+      return;
+    }
+    
+    if (displayObject.characterId && this.swfShapes.has(displayObject.characterId)) {
+      const shape = this.swfShapes.get(displayObject.characterId);
+      
+      this.output.push(`Rendering shape ${displayObject.characterId} at depth ${depth}`);
+      
+      // Apply display object transform if present (translator render commands carry a ready
+      // webglMatrix; everything else has a MATRIX)
+      const transform = matrix ? this.createPlacementTransform(matrix) :
+        (displayObject.hasTransform && displayObject.transform ? displayObject.transform : null);
+      if (transform) {
+        this.pushTransform(transform);
+      }
+      this.setColorTransform(colorTransform);
+      
+      // Render the actual shape
+      if (this.renderActualShape(shape)) {
+        counts.shapes++;
+      }
+      
+      // Restore transform
+      this.setColorTransform(null);
+      if (transform) {
+        this.popTransform();
+      }
+      
+      counts.objects++;
+    } else {
+      this.output.push(`Warning: Shape ${displayObject.characterId} not found for depth ${depth}`);
+    }
+  }
+
+  getFrameDisplayList() {
+    if (this.hasTimeline()) {
+      return this.timeline.getDisplayList();
+    }
+    return Array.from(this.swfDisplayList.values()).sort((a, b) => a.depth - b.depth);
+  }
+
   renderActualShape(shape) {
     try {
       if (!shape || !shape.bounds) {
@@ -557,12 +947,18 @@ class WebGLRenderer {
         this.output.push(`Found ${shapeRenderCommands.length} render commands for shape ${shape.shapeId}`);
         this.processRenderCommands(shapeRenderCommands);
         return true;
-      } else {
-        // Fallback: render a basic shape representation
-        this.output.push(`No render commands found for shape ${shape.shapeId}, using fallback rendering`);
-        return this.renderShapeFallback(shape);
       }
       
+      // Fill contours and stroke subpaths assembled from the shape records
+      const shapePaths = this.getShapePaths(shape);
+      if (shapePaths && shapePaths.paths.length > 0) {
+        return this.renderShapePaths(shapePaths);
+      }
+      
+      // Fallback: render a basic shape representation
+      this.output.push(`No render commands found for shape ${shape.shapeId}, using fallback rendering`);
+      return this.renderShapeFallback(shape);
+      
     } catch (error) {
       this.output.push(`Error rendering shape: ${error.message}`);
       return false;
@@ -584,6 +980,182 @@ class WebGLRenderer {
     return commands;
   }
 
+  // Shape paths are built once per shape ID (ShapePathBuilder.js)
+  getShapePaths(shape) {
+    if (typeof ShapePathBuilder === 'undefined' || !shape.shapeRecords) {
+      return null;
+    }
+    
+    if (!this.pathCache.has(shape.shapeId)) {
+      const shapePaths = new ShapePathBuilder().build(shape);
+      this.pathCache.set(shape.shapeId, shapePaths);
+      this.output.push(`Built ${shapePaths.paths.length} paths from ${shapePaths.edgeCount} edges for shape ${shape.shapeId}`);
+    }
+    return this.pathCache.get(shape.shapeId);
+  }
+
+  // Fill triangles and stroke geometry are cached per shape and scale step, so curves are only
+  // re-flattened when the shape is drawn noticeably larger or smaller. Stroke widths depend on
+  // each axis scale, so shapes with strokes also key on finer per-axis steps
+  renderShapePaths(shapePaths) {
+    const scale = this.getTransformScale();
+    const scaleStep = Math.ceil(Math.log2(scale) * 2);
+    const hasStrokes = shapePaths.paths.some(path => path.type !== "fill");
+    const axisSteps = hasStrokes ? this.getTransformAxisScales().map(axisScale => Math.round(Math.log2(axisScale) * 8)) : [0, 0];
+    const cacheKey = `${shapePaths.shapeId}:${scaleStep}:${axisSteps.join(",")}`;
+    
+    if (!this.tessellationCache.has(cacheKey)) {
+      const axisScales = axisSteps.map(step => Math.pow(2, step / 8));
+      this.tessellationCache.set(cacheKey, this.tessellateShapePaths(shapePaths, Math.pow(2, scaleStep / 2), axisScales));
+    }
+    
+    for (const geometry of this.tessellationCache.get(cacheKey)) {
+      if (this.maskOperation && !geometry.fillStyle) {
+        continue;
+      }
+      if (geometry.fillStyle) {
+        this.drawTriangles(geometry.triangles, geometry.fillStyle);
+      } else if (geometry.lineStyle.fill) {
+        this.drawTriangles(geometry.triangles, geometry.lineStyle.fill);
+      } else {
+        this.drawSolidFill(geometry.triangles, geometry.lineStyle.color);
+      }
+    }
+    
+    this.output.push(`Rendered shape ${shapePaths.shapeId}: ${shapePaths.paths.length} paths (${shapePaths.fillRule})`);
+    return true;
+  }
+
+  tessellateShapePaths(shapePaths, scale, axisScales = [scale, scale]) {
+    const geometries = [];
+    let triangleCount = 0;
+    
+    for (const path of shapePaths.paths) {
+      if (path.type === "fill") {
+        const contours = path.contours.map(contour => this.flattenPathCommands(contour, scale));
+        geometries.push({
+          fillStyle: this.createFillStyle(path.style),
+          triangles: this.tessellator.tessellate(contours, shapePaths.fillRule)
+        });
+      } else {
+        const lineStyle = this.createLineStyle(path.style);
+        const subpaths = path.subpaths.map(subpath => this.flattenPathCommands(subpath, scale));
+        geometries.push({ lineStyle: lineStyle, triangles: this.createStrokeGeometry(subpaths, lineStyle, scale, axisScales) });
+      }
+      triangleCount += geometries[geometries.length - 1].triangles.length / 6;
+    }
+    
+    this.output.push(`Tessellated shape ${shapePaths.shapeId} at ${scale.toFixed(2)}x: ${triangleCount} triangles`);
+    return geometries;
+  }
+
+  // Parsed FILLSTYLE -> drawFill style; bitmap fills look their bitmap up when drawn (JPEG bitmaps
+  // may still be decoding when the shape is tessellated)
+  createFillStyle(style) {
+    if (style && style.type === "solid" && style.color) {
+      return { type: "solid", color: this.colorToArray(style.color) };
+    }
+    if (style && this.gradientTypes[style.type]) {
+      return this.createGradientStyle(style);
+    }
+    if (style && style.type === "bitmap") {
+      return {
+        type: "bitmap",
+        bitmapId: style.bitmapId,
+        inverseMatrix: WebGLRenderer.invertMatrix(WebGLRenderer.getFillMatrix(style.matrix)),
+        repeat: style.repeat,
+        smoothed: style.smoothed
+      };
+    }
+    return { type: "solid", color: this.missingBitmapColor };
+  }
+
+  // Stop colors and ratios are packed for the shader's uniform arrays; with linear RGB
+  // interpolation the stops are converted to linear light here and the result back in the shader
+  createGradientStyle(style) {
+    const gradient = style.gradient || { gradientRecords: [] };
+    const records = (gradient.gradientRecords || []).slice(0, this.maxGradientStops);
+    const linearRGB = gradient.interpolationMode === "linear_RGB";
+    const colors = new Float32Array(this.maxGradientStops * 4);
+    const ratios = new Float32Array(this.maxGradientStops);
+    
+    records.forEach((record, index) => {
+      const color = this.colorToArray(record.color);
+      if (linearRGB) {
+        for (let c = 0; c < 3; c++) {
+          color[c] = WebGLRenderer.sRGBToLinear(color[c]);
+        }
+      }
+      colors.set(color, index * 4);
+      ratios[index] = record.ratio / 255;
+    });
+    
+    // A focal point on the circle itself has no defined gradient; FIXED8 allows -1 to 1
+    const focalPoint = style.type === "focal_radial_gradient" && style.focalPoint ?
+      Math.max(-0.98, Math.min(0.98, style.focalPoint)) : 0;
+    
+    return {
+      type: "gradient",
+      gradientType: this.gradientTypes[style.type],
+      inverseMatrix: WebGLRenderer.invertMatrix(WebGLRenderer.getFillMatrix(style.matrix)),
+      colors: colors,
+      ratios: ratios,
+      count: records.length,
+      spreadMode: this.spreadModes[gradient.spreadMode] || 0,
+      linearRGB: linearRGB,
+      focalPoint: focalPoint
+    };
+  }
+
+  // Parsed LINESTYLE/LINESTYLE2 -> drawStroke style; widths are twips (0 is a hairline), the
+  // miter limit factor is 8.8 fixed point and LINESTYLE strokes have round caps and joins
+  createLineStyle(style) {
+    const enhanced = style && style.type === "enhanced";
+    const flags = enhanced && style.flags ? style.flags : {};
+    const fillType = enhanced ? style.fillType : null;
+    const color = fillType ? fillType.color : (style ? style.color : null);
+    return {
+      width: (style ? style.width || 0 : 0) / 20,
+      color: color ? this.colorToArray(color) : [0, 0, 0, 1],
+      fill: fillType && fillType.type !== "solid" ? this.createFillStyle(fillType) : null,
+      startCap: enhanced ? style.startCap : "round",
+      endCap: enhanced ? style.endCap : "round",
+      join: enhanced ? style.join : "round",
+      miterLimit: enhanced && style.miterLimitFactor ? style.miterLimitFactor / 256 : 3,
+      noHScale: !!flags.noHScale,
+      noVScale: !!flags.noVScale,
+      pixelHinting: !!flags.pixelHinting,
+      noClose: !!flags.noClose
+    };
+  }
+
+  colorToArray(color) {
+    return [
+      color.red / 255,
+      color.green / 255,
+      color.blue / 255,
+      color.alpha !== undefined ? color.alpha / 255 : 1.0
+    ];
+  }
+
+  // One point per path vertex (curves flattened for the given scale), for polygon fills and polyline strokes
+  flattenPathCommands(pathCommands, scale = this.getTransformScale()) {
+    return this.tessellator.flattenCommands(pathCommands, scale);
+  }
+
+  // [x, y] screen pixels per shape-space pixel under the current transform
+  getTransformAxisScales() {
+    const m = this.currentTransform;
+    return [Math.hypot(m[0], m[1]), Math.hypot(m[3], m[4])].map(scale => scale > 0 && Number.isFinite(scale) ? scale : 1);
+  }
+
+  // Screen pixels per shape-space pixel under the current transform (largest axis scale)
+  getTransformScale() {
+    const m = this.currentTransform;
+    const scale = Math.max(Math.hypot(m[0], m[1]), Math.hypot(m[3], m[4]));
+    return scale > 0 && Number.isFinite(scale) ? scale : 1;
+  }
+
   renderShapeFallback(shape) {
     try {
       // Create a simple rectangle representation of the shape
@@ -710,21 +1282,15 @@ class WebGLRenderer {
     this.output.push(`Solid fill ${styleIndex}: rgba(${(color[0]*255).toFixed(0)}, ${(color[1]*255).toFixed(0)}, ${(color[2]*255).toFixed(0)}, ${color[3].toFixed(2)})`);
   }
 
+  // command.style is the parsed gradient or bitmap FILLSTYLE
   setupTexture(command) {
     const styleIndex = command.styleIndex;
     const textureType = command.textureType;
     
-    // Create actual texture based on SWF gradient data
-    const texture = this.createActualTexture(textureType, command.gradient);
-    
     if (!this.fillStyles) this.fillStyles = new Map();
-    this.fillStyles.set(styleIndex, {
-      type: "texture",
-      texture: texture,
-      textureType: textureType
-    });
+    this.fillStyles.set(styleIndex, this.createFillStyle(command.style || { type: textureType }));
     
-    this.output.push(`Texture fill ${styleIndex}: ${textureType} (actual SWF gradient)`);
+    this.output.push(`Texture fill ${styleIndex}: ${textureType}`);
   }
 
   setupLineStyle(command) {
@@ -762,7 +1328,7 @@ class WebGLRenderer {
     const activeFillStyle = fillStyle0 > 0 ? fillStyle0 : fillStyle1;
     if (activeFillStyle > 0 && this.fillStyles && this.fillStyles.has(activeFillStyle)) {
       const fillStyle = this.fillStyles.get(activeFillStyle);
-      this.drawFill(vertices, fillStyle);
+      this.drawFill([vertices], fillStyle);
       this.output.push(`Drew fill with style ${activeFillStyle}`);
     }
     
@@ -806,21 +1372,17 @@ class WebGLRenderer {
           break;
           
         case "curve_to":
-          // Approximate curve with line segments (more accurate than previous version)
+          // Approximate curve with line segments, as many as the screen-space tolerance needs
           if (command.controlPoint && command.endPosition) {
-            const steps = Math.max(5, Math.min(20, Math.floor(command.length || 10)));
-            const startX = currentX;
-            const startY = currentY;
+            const curvePoints = [];
+            this.tessellator.flattenQuadratic(currentX, currentY, command.controlPoint.x, command.controlPoint.y,
+              command.endPosition.x, command.endPosition.y, this.getTransformScale(), curvePoints);
             
-            for (let i = 1; i <= steps; i++) {
-              const t = i / steps;
-              const x = this.quadraticBezier(startX, command.controlPoint.x, command.endPosition.x, t);
-              const y = this.quadraticBezier(startY, command.controlPoint.y, command.endPosition.y, t);
-              
+            for (let i = 0; i < curvePoints.length; i += 2) {
               vertices.push(currentX, currentY);
-              vertices.push(x, y);
-              currentX = x;
-              currentY = y;
+              vertices.push(curvePoints[i], curvePoints[i + 1]);
+              currentX = curvePoints[i];
+              currentY = curvePoints[i + 1];
             }
           }
           break;
@@ -875,7 +1437,7 @@ class WebGLRenderer {
       this.output.push("  • Filters enabled");
     }
     if (features.hasBlending) {
-      this.output.push("  • Custom blending enabled");
+      this.output.push(`  • Blend mode ${command.blendMode || "custom"} (composited through an offscreen layer)`);
     }
     if (features.hasCaching) {
       this.output.push("  • Bitmap caching enabled");
@@ -889,16 +1451,21 @@ class WebGLRenderer {
     return invT * invT * p0 + 2 * invT * t * p1 + t * t * p2;
   }
 
-  drawFill(vertices, fillStyle) {
-    if (vertices.length < 6) return; // Need at least a triangle
-    
-    // Triangulate the vertices for filling
-    const triangulatedVertices = this.triangulateVertices(vertices);
+  // contours: point lists that together make up one fill (holes included)
+  drawFill(contours, fillStyle, fillRule = "evenodd") {
+    const triangulatedVertices = this.tessellator.tessellate(contours, fillRule);
+    this.drawTriangles(triangulatedVertices, fillStyle);
+  }
+
+  drawTriangles(triangulatedVertices, fillStyle) {
+    if (triangulatedVertices.length < 6) return; // Need at least a triangle
     
     if (fillStyle.type === "solid") {
       this.drawSolidFill(triangulatedVertices, fillStyle.color);
-    } else if (fillStyle.type === "texture") {
-      this.drawTextureFill(triangulatedVertices, fillStyle.texture);
+    } else if (fillStyle.type === "gradient") {
+      this.drawGradientFill(triangulatedVertices, fillStyle);
+    } else if (fillStyle.type === "bitmap") {
+      this.drawBitmapFill(triangulatedVertices, fillStyle);
     }
   }
 
@@ -906,65 +1473,38 @@ class WebGLRenderer {
     if (vertices.length < 4) return; // Need at least a line
     
     // Convert path to stroke geometry
-    const strokeVertices = this.createStrokeGeometry(vertices, lineStyle.width);
+    const strokeVertices = this.createStrokeGeometry([vertices], lineStyle, this.getTransformScale(), this.getTransformAxisScales());
     this.drawSolidFill(strokeVertices, lineStyle.color);
   }
 
-  triangulateVertices(vertices) {
-    // Improved triangulation for better shape rendering
-    if (vertices.length < 6) return vertices;
-    
-    const triangulated = [];
-    
-    // Simple fan triangulation from centroid
-    const centerX = vertices.reduce((sum, v, i) => i % 2 === 0 ? sum + v : sum, 0) / (vertices.length / 2);
-    const centerY = vertices.reduce((sum, v, i) => i % 2 === 1 ? sum + v : sum, 0) / (vertices.length / 2);
-    
-    for (let i = 0; i < vertices.length - 2; i += 2) {
-      const nextI = (i + 2) % vertices.length;
-      
-      triangulated.push(
-        centerX, centerY,
-        vertices[i], vertices[i + 1],
-        vertices[nextI], vertices[nextI + 1]
-      );
-    }
-    
-    return triangulated;
+  // Single polygon to triangles (see PathTessellator.js)
+  triangulateVertices(vertices, fillRule = "evenodd") {
+    return this.tessellator.tessellate([vertices], fillRule);
   }
 
-  createStrokeGeometry(vertices, width) {
-    const strokeVertices = [];
-    const halfWidth = width / 2;
-    
-    for (let i = 0; i < vertices.length - 2; i += 2) {
-      const x1 = vertices[i];
-      const y1 = vertices[i + 1];
-      const x2 = vertices[i + 2];
-      const y2 = vertices[i + 3];
-      
-      // Calculate perpendicular vector
-      const dx = x2 - x1;
-      const dy = y2 - y1;
-      const length = Math.sqrt(dx * dx + dy * dy);
-      
-      if (length > 0) {
-        const nx = -dy / length * halfWidth;
-        const ny = dx / length * halfWidth;
-        
-        // Create rectangle for line segment
-        strokeVertices.push(
-          x1 + nx, y1 + ny,
-          x1 - nx, y1 - ny,
-          x2 - nx, y2 - ny,
-          x1 + nx, y1 + ny,
-          x2 - nx, y2 - ny,
-          x2 + nx, y2 + ny
-        );
-      }
+  // Stroke outline triangles for flattened subpaths (see PathStroker.js). Widths scale with the
+  // average of the axis scales; NoHScale / NoVScale take that axis's scale out, and no stroke is
+  // drawn thinner than one screen pixel (so zero-width hairlines are exactly one)
+  createStrokeGeometry(subpaths, lineStyle, scale, axisScales) {
+    const averageScale = (axisScales[0] + axisScales[1]) / 2;
+    const screenScale = ((lineStyle.noHScale ? 1 : axisScales[0]) + (lineStyle.noVScale ? 1 : axisScales[1])) / 2;
+    const halfWidth = Math.max(1, (lineStyle.width || 0) * screenScale) / averageScale / 2;
+    
+    // Pixel hinting puts the points on the pixel grid of shape space, centred in a pixel when
+    // the stroke is an odd number of pixels wide
+    if (lineStyle.pixelHinting) {
+      const offset = Math.round(halfWidth * 2 * averageScale) % 2 === 1 ? 0.5 : 0;
+      subpaths = subpaths.map(points => points.map(value => Math.round(value - offset) + offset));
     }
     
-    return strokeVertices;
+    return this.stroker.stroke(subpaths, {
+      halfWidth: halfWidth,
+      startCap: lineStyle.startCap || lineStyle.caps,
+      endCap: lineStyle.endCap || lineStyle.caps,
+      join: lineStyle.join || lineStyle.joins,
+      miterLimit: lineStyle.miterLimit,
+      noClose: lineStyle.noClose
+    }, scale);
   }
 
   drawSolidFill(vertices, color) {
@@ -992,8 +1532,11 @@ class WebGLRenderer {
     this.gl.enableVertexAttribArray(this.shaderLocations.color);
     this.gl.vertexAttribPointer(this.shaderLocations.color, 4, this.gl.FLOAT, false, 0, 0);
     
-    // Disable texture
+    // Disable texture (and the texture coordinates a bitmap fill left bound)
     this.gl.uniform1i(this.shaderLocations.useTexture, false);
+    if (this.shaderLocations.texCoord >= 0) {
+      this.gl.disableVertexAttribArray(this.shaderLocations.texCoord);
+    }
     
     // Set transformation matrix
     this.gl.uniformMatrix3fv(this.shaderLocations.transform, false, this.currentTransform);
@@ -1002,171 +1545,429 @@ class WebGLRenderer {
     this.gl.drawArrays(this.gl.TRIANGLES, 0, vertices.length / 2);
   }
 
-  drawTextureFill(vertices, texture) {
-    // Improved texture rendering would be implemented here
-    // For now, fall back to a neutral color
-    this.drawSolidFill(vertices, [0.7, 0.7, 0.7, 1.0]);
+  // Vertices go back through the gradient matrix into the gradient square (scaled to -1..1);
+  // the shader does the rest per pixel
+  drawGradientFill(vertices, fillStyle) {
+    const m = fillStyle.inverseMatrix;
+    if (fillStyle.count === 0 || !m) {
+      return;
+    }
+    
+    const size = this.gradientHalfSize;
+    const gradientCoords = new Float32Array(vertices.length);
+    for (let i = 0; i < vertices.length; i += 2) {
+      const x = vertices[i];
+      const y = vertices[i + 1];
+      gradientCoords[i] = (m[0] * x + m[2] * y + m[4]) / size;
+      gradientCoords[i + 1] = (m[1] * x + m[3] * y + m[5]) / size;
+    }
+    
+    this.gl.uniform1i(this.shaderLocations.gradientType, fillStyle.gradientType);
+    this.gl.uniform4fv(this.shaderLocations.gradientColors, fillStyle.colors);
+    this.gl.uniform1fv(this.shaderLocations.gradientRatios, fillStyle.ratios);
+    this.gl.uniform1i(this.shaderLocations.gradientCount, fillStyle.count);
+    this.gl.uniform1i(this.shaderLocations.spreadMode, fillStyle.spreadMode);
+    this.gl.uniform1i(this.shaderLocations.linearRGB, fillStyle.linearRGB);
+    this.gl.uniform1f(this.shaderLocations.focalPoint, fillStyle.focalPoint);
+    
+    this.drawWithTexCoords(vertices, gradientCoords);
+    
+    this.gl.uniform1i(this.shaderLocations.gradientType, 0);
   }
 
-  // ==================== IMPROVED TEXTURE MANAGEMENT ====================
-
-  createActualTexture(textureType, gradientData) {
-    const size = 256;
-    const texture = this.gl.createTexture();
-    const data = new Uint8Array(size * size * 4);
+  // Texture coordinates are the vertices taken back through the bitmap matrix into bitmap pixels,
+  // divided by the bitmap size; clipped fills clamp to the edge pixels like the Flash Player
+  drawBitmapFill(vertices, fillStyle) {
+    if (fillStyle.bitmapId === 0xFFFF) {
+      return;
+    }
+    
+    const bitmap = this.getBitmapRGBA(fillStyle.bitmapId);
+    const texture = bitmap ? this.getBitmapTexture(fillStyle.bitmapId, bitmap) : null;
+    const m = fillStyle.inverseMatrix;
+    if (!texture || !m) {
+      this.drawSolidFill(vertices, this.missingBitmapColor);
+      return;
+    }
     
-    switch (textureType) {
-      case "linear_gradient":
-        this.generateActualLinearGradientTexture(data, size, gradientData);
-        break;
-      case "radial_gradient":
-        this.generateActualRadialGradientTexture(data, size, gradientData);
-        break;
-      default:
-        // Better fallback based on texture type
-        this.generateFallbackTexture(data, size, textureType);
-        break;
+    const texCoords = new Float32Array(vertices.length);
+    for (let i = 0; i < vertices.length; i += 2) {
+      const x = vertices[i];
+      const y = vertices[i + 1];
+      texCoords[i] = (m[0] * x + m[2] * y + m[4]) / bitmap.width;
+      texCoords[i + 1] = (m[1] * x + m[3] * y + m[5]) / bitmap.height;
     }
     
+    // Smoothing is a property of the fill, not the bitmap, so the filter is set per draw
+    const filter = fillStyle.smoothed ? this.gl.LINEAR : this.gl.NEAREST;
+    this.gl.activeTexture(this.gl.TEXTURE0);
     this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
-    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, size, size, 0, this.gl.RGBA, this.gl.UNSIGNED_BYTE, data);
-    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
-    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
-    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
-    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, filter);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, filter);
     
-    return texture;
+    this.gl.uniform1i(this.shaderLocations.texture, 0);
+    this.gl.uniform1i(this.shaderLocations.useTexture, true);
+    this.gl.uniform1i(this.shaderLocations.textureRepeat, !!fillStyle.repeat);
+    
+    this.drawWithTexCoords(vertices, texCoords);
+    
+    this.gl.uniform1i(this.shaderLocations.useTexture, false);
   }
 
-  generateActualLinearGradientTexture(data, size, gradientData) {
-    if (!gradientData || !gradientData.colors || gradientData.colors.length === 0) {
-      return; // Use default fallback
-    }
+  // Triangles whose color comes from v_texCoord (bitmap and gradient fills)
+  drawWithTexCoords(vertices, texCoords) {
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(vertices), this.gl.DYNAMIC_DRAW);
+    this.gl.enableVertexAttribArray(this.shaderLocations.position);
+    this.gl.vertexAttribPointer(this.shaderLocations.position, 2, this.gl.FLOAT, false, 0, 0);
     
-    for (let y = 0; y < size; y++) {
-      for (let x = 0; x < size; x++) {
-        const t = x / (size - 1);
-        const color = this.interpolateActualGradient(t, gradientData);
-        const index = (y * size + x) * 4;
-        
-        data[index] = color[0] * 255;
-        data[index + 1] = color[1] * 255;
-        data[index + 2] = color[2] * 255;
-        data[index + 3] = color[3] * 255;
-      }
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.textureCoordBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, texCoords, this.gl.DYNAMIC_DRAW);
+    this.gl.enableVertexAttribArray(this.shaderLocations.texCoord);
+    this.gl.vertexAttribPointer(this.shaderLocations.texCoord, 2, this.gl.FLOAT, false, 0, 0);
+    
+    // The vertex color is unused here
+    this.gl.disableVertexAttribArray(this.shaderLocations.color);
+    
+    this.gl.uniformMatrix3fv(this.shaderLocations.transform, false, this.currentTransform);
+    this.gl.drawArrays(this.gl.TRIANGLES, 0, vertices.length / 2);
+  }
+
+  // ==================== GRADIENTS ====================
+
+  static sRGBToLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  }
+
+  // Fill matrices map gradient/bitmap space into twips, so all their terms scale by 1/20 in pixels
+  static getFillMatrix(matrix) {
+    if (!matrix) {
+      return [1 / 20, 0, 0, 1 / 20, 0, 0];
     }
+    return [
+      (matrix.scaleX !== undefined ? matrix.scaleX : 1) / 20,
+      (matrix.rotateSkew0 || 0) / 20,
+      (matrix.rotateSkew1 || 0) / 20,
+      (matrix.scaleY !== undefined ? matrix.scaleY : 1) / 20,
+      (matrix.translateX || 0) / 20,
+      (matrix.translateY || 0) / 20
+    ];
+  }
+
+  // [a, b, c, d, tx, ty] (x' = a*x + c*y + tx, y' = b*x + d*y + ty) inverted, or null if singular
+  static invertMatrix(m) {
+    const determinant = m[0] * m[3] - m[1] * m[2];
+    if (!determinant || !Number.isFinite(determinant)) {
+      return null;
+    }
+    return [
+      m[3] / determinant,
+      -m[1] / determinant,
+      -m[2] / determinant,
+      m[0] / determinant,
+      (m[2] * m[5] - m[3] * m[4]) / determinant,
+      (m[1] * m[4] - m[0] * m[5]) / determinant
+    ];
   }
 
-  generateActualRadialGradientTexture(data, size, gradientData) {
-    if (!gradientData || !gradientData.colors || gradientData.colors.length === 0) {
-      return; // Use default fallback
+  // ==================== CLIP LAYER MASKS ====================
+
+  // Draws the clip layer into the stencil buffer: inside the current mask, its fills raise the
+  // stencil from maskLevel to maskLevel + 1 (pixels already raised fail the EQUAL test, so
+  // overlapping fills count once) and the masked depths are drawn where it equals the new level
+  pushMask(displayObject, parentMatrix) {
+    if (!this.hasStencil) {
+      this.output.push("Warning: No stencil buffer, clip layer drawn unmasked");
+      return false;
     }
     
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const maxRadius = size / 2;
+    this.drawMask(displayObject, parentMatrix, "push", this.maskLevel, this.gl.INCR);
+    this.maskLevel++;
+    this.gl.stencilFunc(this.gl.EQUAL, this.maskLevel, 0xFF);
+    return true;
+  }
+  
+  // Draws the clip layer again, lowering its pixels back to the enclosing mask's level
+  popMask(displayObject, parentMatrix) {
+    this.drawMask(displayObject, parentMatrix, "pop", this.maskLevel, this.gl.DECR);
+    this.maskLevel--;
+    this.gl.stencilFunc(this.gl.EQUAL, this.maskLevel, 0xFF);
+  }
+  
+  drawMask(displayObject, parentMatrix, operation, reference, stencilOperation) {
+    const counts = { shapes: 0, objects: 0 };
+    this.maskOperation = operation;
+    this.gl.colorMask(false, false, false, false);
+    this.gl.stencilFunc(this.gl.EQUAL, reference, 0xFF);
+    this.gl.stencilOp(this.gl.KEEP, this.gl.KEEP, stencilOperation);
     
-    for (let y = 0; y < size; y++) {
-      for (let x = 0; x < size; x++) {
-        const dx = x - centerX;
-        const dy = y - centerY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const t = Math.min(distance / maxRadius, 1.0);
-        
-        const color = this.interpolateActualGradient(t, gradientData);
-        const index = (y * size + x) * 4;
-        
-        data[index] = color[0] * 255;
-        data[index + 1] = color[1] * 255;
-        data[index + 2] = color[2] * 255;
-        data[index + 3] = color[3] * 255;
-      }
+    try {
+      this.renderDisplayObject(Object.assign({}, displayObject, { clipDepth: 0 }), parentMatrix, null, counts);
+    } finally {
+      this.gl.stencilOp(this.gl.KEEP, this.gl.KEEP, this.gl.KEEP);
+      this.gl.colorMask(true, true, true, true);
+      this.maskOperation = null;
     }
   }
+  
+  resetMasks() {
+    this.maskLevel = 0;
+    this.maskOperation = null;
+    if (!this.hasStencil) return;
+    
+    this.gl.colorMask(true, true, true, true);
+    this.gl.stencilFunc(this.gl.EQUAL, 0, 0xFF);
+    this.gl.stencilOp(this.gl.KEEP, this.gl.KEEP, this.gl.KEEP);
+    this.gl.clearStencil(0);
+    this.gl.clear(this.gl.STENCIL_BUFFER_BIT);
+  }
 
-  generateFallbackTexture(data, size, textureType) {
-    // Generate pattern based on texture type
-    for (let y = 0; y < size; y++) {
-      for (let x = 0; x < size; x++) {
-        const index = (y * size + x) * 4;
-        
-        switch (textureType) {
-          case "focal_radial_gradient":
-            const dist = Math.sqrt((x - size/2) ** 2 + (y - size/2) ** 2) / (size/2);
-            data[index] = 100 + dist * 155;     // R
-            data[index + 1] = 150 + dist * 105; // G
-            data[index + 2] = 200 - dist * 100; // B
-            data[index + 3] = 255;              // A
-            break;
-          default:
-            data[index] = 150;     // R
-            data[index + 1] = 150; // G
-            data[index + 2] = 150; // B
-            data[index + 3] = 255; // A
-            break;
-        }
-      }
+  // ==================== BLEND MODE AND FILTER LAYERS ====================
+
+  // The blend mode of an entry that needs a layer (null for normal and unknown modes)
+  getLayerBlendMode(displayObject) {
+    const blendMode = displayObject.blendMode;
+    return blendMode && this.blendModes[blendMode] ? blendMode : null;
+  }
+  
+  // The entry's filters the filter passes can draw
+  getLayerFilters(displayObject) {
+    const filterList = displayObject.filterList;
+    if (!filterList || !filterList.filters || !this.filterRenderer) {
+      return [];
     }
+    return filterList.filters.filter(filter => this.filterRenderer.supports(filter));
   }
-
-  interpolateActualGradient(t, gradientData) {
-    if (!gradientData.colors || gradientData.colors.length === 0) {
-      return [0.5, 0.5, 0.5, 1.0];
+  
+  // Draws the entry on its own into a transparent layer, filters it, then blends the layer onto the
+  // target below with its color transform (so shadows and glows fade with the object, as in the
+  // Flash Player). Alpha and erase only change the coverage of the layer they are drawn into,
+  // so they need one
+  renderObjectLayer(displayObject, blendMode, filters, parentMatrix, parentColorTransform, counts) {
+    if ((blendMode === "alpha" || blendMode === "erase") && this.layerStack.length === 0) {
+      this.output.push(`Blend mode ${blendMode} at depth ${displayObject.depth} needs a layer below it, not drawn`);
+      return;
     }
     
-    if (gradientData.colors.length === 1) {
-      return gradientData.colors[0];
+    if (!this.beginLayer()) {
+      this.output.push(`Warning: No offscreen layer for depth ${displayObject.depth}, drawn without blend mode and filters`);
+      const plain = Object.assign({}, displayObject, { blendMode: null, filterList: null });
+      this.renderDisplayObject(plain, parentMatrix, parentColorTransform, counts);
+      return;
     }
     
-    // Use actual ratios if available
-    if (gradientData.ratios && gradientData.ratios.length === gradientData.colors.length) {
-      // Find the correct gradient segment
-      for (let i = 0; i < gradientData.ratios.length - 1; i++) {
-        if (t >= gradientData.ratios[i] && t <= gradientData.ratios[i + 1]) {
-          const localT = (t - gradientData.ratios[i]) / (gradientData.ratios[i + 1] - gradientData.ratios[i]);
-          const color1 = gradientData.colors[i];
-          const color2 = gradientData.colors[i + 1];
-          
-          return [
-            color1[0] * (1 - localT) + color2[0] * localT,
-            color1[1] * (1 - localT) + color2[1] * localT,
-            color1[2] * (1 - localT) + color2[2] * localT,
-            color1[3] * (1 - localT) + color2[3] * localT
-          ];
-        }
+    const content = Object.assign({}, displayObject, { blendMode: null, filterList: null, colorTransform: null });
+    let target;
+    try {
+      this.renderDisplayObject(content, parentMatrix, null, counts);
+    } finally {
+      target = this.endLayer();
+    }
+    
+    if (filters.length > 0) {
+      this.output.push(`Filters at depth ${displayObject.depth}: ${filters.map(filter => filter.type).join(", ")}`);
+      target = this.applyFilters(target, filters);
+    }
+    if (blendMode) {
+      this.output.push(`Blend mode ${blendMode} at depth ${displayObject.depth}`);
+    }
+    
+    const colorTransform = typeof SWFTimeline !== 'undefined' ?
+      SWFTimeline.concatColorTransform(parentColorTransform, displayObject.colorTransform) :
+      displayObject.colorTransform || null;
+    this.compositeLayer(target, this.blendModes[blendMode || "layer"], colorTransform);
+  }
+  
+  // The filter chain ping-pongs between the layer and three targets of the levels above it
+  // (free again once the layer's content is drawn); returns the target holding the result
+  applyFilters(target, filters) {
+    const index = this.layerStack.length;
+    const targets = [target];
+    for (let i = 1; i <= 3; i++) {
+      const scratch = this.getRenderTarget(index + i);
+      if (!scratch) {
+        this.output.push("Warning: No offscreen targets for filters, drawn unfiltered");
+        return target;
       }
+      targets.push(scratch);
+    }
+    
+    this.disableFillAttributes();
+    let result = target;
+    try {
+      result = this.filterRenderer.apply(filters, targets);
+    } catch (error) {
+      this.output.push(`Warning: Filters failed: ${error.message}`);
     }
     
-    // Fall back to even distribution
-    const numColors = gradientData.colors.length;
-    const segment = t * (numColors - 1);
-    const index = Math.floor(segment);
-    const localT = segment - index;
+    const below = this.layerStack[this.layerStack.length - 1];
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, below ? below.target.framebuffer : null);
+    this.gl.useProgram(this.shaderProgram);
+    return result;
+  }
+  
+  // Redirects drawing into a cleared layer with its own (empty) mask stack
+  beginLayer() {
+    const target = this.getRenderTarget(this.layerStack.length);
+    if (!target) {
+      return false;
+    }
+    
+    this.layerStack.push({ target: target, maskLevel: this.maskLevel });
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, target.framebuffer);
+    this.gl.clearColor(0, 0, 0, 0);
+    this.gl.clearStencil(0);
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.STENCIL_BUFFER_BIT);
+    this.maskLevel = 0;
+    if (this.hasStencil) {
+      this.gl.stencilFunc(this.gl.EQUAL, 0, 0xFF);
+    }
+    return true;
+  }
+  
+  // Goes back to the target below and its masks; returns the finished layer's target
+  endLayer() {
+    const layer = this.layerStack.pop();
+    const below = this.layerStack[this.layerStack.length - 1];
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, below ? below.target.framebuffer : null);
+    this.maskLevel = layer.maskLevel;
+    if (this.hasStencil) {
+      this.gl.stencilFunc(this.gl.EQUAL, this.maskLevel, 0xFF);
+    }
+    return layer.target;
+  }
+  
+  // The shader reads the target below from a copy (a framebuffer cannot sample itself); the
+  // quad is drawn without blending but with the stencil test, so enclosing masks still apply
+  compositeLayer(target, blendMode, colorTransform = null) {
+    const gl = this.gl;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.getBackdropTexture(width, height));
+    gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 0, 0, width, height);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    
+    gl.useProgram(this.compositeProgram);
+    gl.uniform1i(this.compositeLocations.layer, 0);
+    gl.uniform1i(this.compositeLocations.backdrop, 1);
+    gl.uniform1i(this.compositeLocations.blendMode, blendMode);
+    const terms = WebGLRenderer.getColorTransformTerms(colorTransform);
+    gl.uniform4fv(this.compositeLocations.colorMultiplier, terms.multiplier);
+    gl.uniform4fv(this.compositeLocations.colorOffset, terms.offset);
+    
+    this.disableFillAttributes();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.layerQuadBuffer);
+    gl.enableVertexAttribArray(this.compositeLocations.position);
+    gl.vertexAttribPointer(this.compositeLocations.position, 2, gl.FLOAT, false, 0, 0);
+    
+    gl.disable(gl.BLEND);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+    gl.enable(gl.BLEND);
+    gl.useProgram(this.shaderProgram);
+    
+    // A layer texture left bound would be a feedback loop once its target is drawn into again
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+  
+  // The main program's color and texture coordinate arrays are re-enabled by the next fill
+  disableFillAttributes() {
+    this.gl.disableVertexAttribArray(this.shaderLocations.color);
+    if (this.shaderLocations.texCoord >= 0) {
+      this.gl.disableVertexAttribArray(this.shaderLocations.texCoord);
+    }
+  }
+  
+  // Canvas-sized color texture plus stencil, recreated when the canvas is resized
+  getRenderTarget(index) {
+    const gl = this.gl;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const existing = this.renderTargets[index];
+    if (existing && existing.width === width && existing.height === height) {
+      return existing;
+    }
+    if (existing) {
+      this.deleteRenderTarget(existing);
+    }
     
-    if (index >= numColors - 1) {
-      return gradientData.colors[numColors - 1];
+    const target = {
+      width: width,
+      height: height,
+      texture: this.createLayerTexture(width, height),
+      framebuffer: gl.createFramebuffer(),
+      stencilBuffer: gl.createRenderbuffer()
+    };
+    gl.bindRenderbuffer(gl.RENDERBUFFER, target.stencilBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.STENCIL_INDEX8, width, height);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.STENCIL_ATTACHMENT, gl.RENDERBUFFER, target.stencilBuffer);
+    
+    const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+    const below = this.layerStack[this.layerStack.length - 1];
+    gl.bindFramebuffer(gl.FRAMEBUFFER, below ? below.target.framebuffer : null);
+    
+    if (!complete) {
+      this.deleteRenderTarget(target);
+      this.renderTargets[index] = null;
+      return null;
     }
     
-    const color1 = gradientData.colors[index];
-    const color2 = gradientData.colors[index + 1];
+    this.renderTargets[index] = target;
+    this.output.push(`Created ${width}×${height} offscreen layer ${index + 1}`);
+    return target;
+  }
+  
+  getBackdropTexture(width, height) {
+    const backdrop = this.backdropTexture;
+    if (backdrop && backdrop.width === width && backdrop.height === height) {
+      return backdrop.texture;
+    }
+    if (backdrop) {
+      this.gl.deleteTexture(backdrop.texture);
+    }
     
-    return [
-      color1[0] * (1 - localT) + color2[0] * localT,
-      color1[1] * (1 - localT) + color2[1] * localT,
-      color1[2] * (1 - localT) + color2[2] * localT,
-      color1[3] * (1 - localT) + color2[3] * localT
-    ];
+    this.backdropTexture = { width: width, height: height, texture: this.createLayerTexture(width, height) };
+    return this.backdropTexture.texture;
+  }
+  
+  createLayerTexture(width, height) {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+  }
+  
+  deleteRenderTarget(target) {
+    this.gl.deleteFramebuffer(target.framebuffer);
+    this.gl.deleteRenderbuffer(target.stencilBuffer);
+    this.gl.deleteTexture(target.texture);
+  }
+  
+  // A frame starts on the canvas, whatever an interrupted frame left bound
+  resetLayers() {
+    this.layerStack = [];
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
   }
 
   // ==================== TRANSFORMATION MANAGEMENT ====================
 
   pushTransform(transform) {
-    // Save current transform and apply new one
+    // Save current transform and compose the new one onto it
     this.transformStack = this.transformStack || [];
     this.transformStack.push([...this.currentTransform]);
     
     if (transform && transform.webglMatrix) {
-      this.currentTransform = [...transform.webglMatrix];
+      this.currentTransform = WebGLRenderer.multiplyMat3(this.currentTransform, transform.webglMatrix);
     }
   }
 
@@ -1177,6 +1978,212 @@ class WebGLRenderer {
     }
   }
 
+  // Column-major 3x3 product: b is applied first, then a
+  static multiplyMat3(a, b) {
+    const result = new Array(9);
+    for (let column = 0; column < 3; column++) {
+      for (let row = 0; row < 3; row++) {
+        result[column * 3 + row] =
+          a[row] * b[column * 3] + a[3 + row] * b[column * 3 + 1] + a[6 + row] * b[column * 3 + 2];
+      }
+    }
+    return result;
+  }
+
+  // MATRIX (translation in twips) to the column-major pixel-space mat3 used by u_transform
+  createPlacementTransform(matrix) {
+    return {
+      webglMatrix: [
+        matrix.scaleX, matrix.rotateSkew0, 0,
+        matrix.rotateSkew1, matrix.scaleY, 0,
+        matrix.translateX / 20, matrix.translateY / 20, 1
+      ]
+    };
+  }
+
+  // CXFORM/CXFORMA terms (mult 8.8 fixed point, add 0-255) to the shader's multiplier and offset
+  setColorTransform(colorTransform) {
+    const terms = WebGLRenderer.getColorTransformTerms(colorTransform);
+    this.gl.uniform4fv(this.shaderLocations.colorMultiplier, terms.multiplier);
+    this.gl.uniform4fv(this.shaderLocations.colorOffset, terms.offset);
+  }
+  
+  static getColorTransformTerms(colorTransform) {
+    if (!colorTransform) {
+      return { multiplier: [1.0, 1.0, 1.0, 1.0], offset: [0.0, 0.0, 0.0, 0.0] };
+    }
+    
+    const term = (name, defaultValue) => colorTransform[name] !== undefined && colorTransform[name] !== null ? colorTransform[name] : defaultValue;
+    return {
+      multiplier: [
+        term('redMultTerm', 256) / 256, term('greenMultTerm', 256) / 256,
+        term('blueMultTerm', 256) / 256, term('alphaMultTerm', 256) / 256
+      ],
+      offset: [
+        term('redAddTerm', 0) / 255, term('greenAddTerm', 0) / 255,
+        term('blueAddTerm', 0) / 255, term('alphaAddTerm', 0) / 255
+      ]
+    };
+  }
+
+  // ==================== TIMELINE PLAYBACK ====================
+
+  hasTimeline() {
+    return this.timeline !== null && this.timeline.hasContent();
+  }
+
+  // Frame rate and frame count come from parseSWFSignature's header analysis
+  syncTimelineHeader() {
+    if (this.timeline && window.swfHeaderInfo) {
+      this.timeline.setHeader(window.swfHeaderInfo);
+    }
+  }
+
+  play() {
+    if (!this.isInitialized || !this.hasTimeline()) return false;
+    
+    this.syncTimelineHeader();
+    const starting = this.timeline.currentFrame === 0;
+    this.timeline.play();
+    if (starting) {
+      this.renderTimelineFrame();
+    }
+    this.output.push(`Playback started at ${this.timeline.frameRate} fps`);
+    return true;
+  }
+
+  pause() {
+    if (!this.timeline) return false;
+    
+    this.timeline.pause();
+    this.output.push(`Playback paused at frame ${this.timeline.currentFrame}`);
+    return true;
+  }
+
+  stepFrame() {
+    if (!this.isInitialized || !this.hasTimeline()) return false;
+    
+    this.syncTimelineHeader();
+    this.timeline.pause();
+    this.timeline.step();
+    this.renderTimelineFrame();
+    return true;
+  }
+
+  seekFrame(frame) {
+    if (!this.isInitialized || !this.hasTimeline()) return false;
+    
+    this.syncTimelineHeader();
+    this.timeline.seek(frame);
+    this.renderTimelineFrame();
+    return true;
+  }
+
+  renderTimelineFrame() {
+    this.clearWithBackground();
+    const success = this.renderSWFFrame();
+    
+    // Playback logs every frame, so only the most recent lines are kept
+    if (this.output.length > this.maxOutputLines) {
+      this.output.splice(0, this.output.length - this.maxOutputLines);
+    }
+    
+    this.requestUIUpdate();
+    return success;
+  }
+
+  getTimelineState() {
+    return this.hasTimeline() ? this.timeline.getState() : null;
+  }
+
+  // ==================== BITMAPS ====================
+
+  // Lossless bitmaps arrive decoded; JPEG, PNG and GIF streams are decoded in the background
+  // (BitmapDecoder.js) and fill in the stored record's pixels when done
+  storeBitmap(characterId, bitmap) {
+    this.swfBitmaps.set(characterId, bitmap);
+    if (bitmap.rgba || !bitmap.imageData || typeof BitmapDecoder === 'undefined' || !BitmapDecoder.isSupported()) {
+      return;
+    }
+
+    BitmapDecoder.decode(bitmap).then(decoded => {
+      Object.assign(bitmap, decoded);
+      
+      // Fills drawn before the pixels arrived used the placeholder color
+      if (this.hasTimeline() && this.timeline.currentFrame > 0) {
+        this.renderTimelineFrame();
+      } else {
+        this.requestUIUpdate();
+      }
+    }).catch(error => {
+      bitmap.decodeError = error.message;
+    });
+  }
+
+  // { width, height, rgba, hasAlpha } for a decoded bitmap character, or null
+  getBitmapRGBA(characterId) {
+    const bitmap = this.swfBitmaps.get(characterId);
+    return bitmap && bitmap.rgba ? bitmap : null;
+  }
+
+  // One texture per bitmap character, uploaded on first use (straight alpha, like the blending)
+  getBitmapTexture(characterId, bitmap) {
+    const cached = this.textures.get(characterId);
+    if (cached && cached.bitmap === bitmap) {
+      return cached.texture;
+    }
+    if (cached) {
+      this.gl.deleteTexture(cached.texture);
+    }
+    
+    const texture = this.gl.createTexture();
+    const pixels = new Uint8Array(bitmap.rgba.buffer, bitmap.rgba.byteOffset, bitmap.width * bitmap.height * 4);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+    this.gl.pixelStorei(this.gl.UNPACK_ALIGNMENT, 1);
+    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, bitmap.width, bitmap.height, 0, this.gl.RGBA, this.gl.UNSIGNED_BYTE, pixels);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+    
+    this.textures.set(characterId, { bitmap: bitmap, texture: texture });
+    this.output.push(`Uploaded bitmap ${characterId} texture: ${bitmap.width}×${bitmap.height}px`);
+    return texture;
+  }
+
+  deleteBitmapTextures() {
+    if (this.gl) {
+      for (const entry of this.textures.values()) {
+        this.gl.deleteTexture(entry.texture);
+      }
+    }
+    this.textures.clear();
+  }
+
+  // ==================== SVG EXPORT ====================
+
+  exportShapeSVG(shapeId) {
+    const shape = this.swfShapes.get(shapeId);
+    return shape && typeof SVGExporter !== 'undefined' ? new SVGExporter().exportShape(shape) : null;
+  }
+
+  // The frame currently shown (stage size from the SWF header, when there is one)
+  exportFrameSVG() {
+    if (typeof SVGExporter === 'undefined') return null;
+    
+    const header = window.swfHeaderInfo;
+    return new SVGExporter().exportFrame(this.getFrameDisplayList(), {
+      width: header ? header.stageWidth : this.canvas.width,
+      height: header ? header.stageHeight : this.canvas.height,
+      backgroundColor: {
+        red: this.backgroundColor[0] * 255,
+        green: this.backgroundColor[1] * 255,
+        blue: this.backgroundColor[2] * 255
+      },
+      shapes: this.swfShapes,
+      morphShapes: this.swfMorphShapes,
+      timeline: this.hasTimeline() ? this.timeline : null
+    });
+  }
+
   // ==================== UTILITY METHODS ====================
 
   clearWithBackground() {
@@ -1222,6 +2229,7 @@ class WebGLRenderer {
 
   getPerformanceStats() {
     return {
+      rendererType: this.rendererType,
       isInitialized: this.isInitialized,
       shapeCacheSize: this.shapeCache.size,
       pathCacheSize: this.pathCache.size,
@@ -1235,8 +2243,10 @@ class WebGLRenderer {
       uiCallbackReady: this.uiUpdateCallback !== null,
       uiReadyCheckCount: this.uiReadyCheckCount,
       swfShapesCount: this.swfShapes.size,
+      swfBitmapsCount: this.swfBitmaps.size,
       swfDisplayListSize: this.swfDisplayList.size,
-      renderCommandsCount: this.renderCommands.length
+      renderCommandsCount: this.renderCommands.length,
+      timeline: this.getTimelineState()
     };
   }
 
@@ -1,9 +1,10 @@
 /* 
- * SWF Display Parser Translator - v1.0
+ * SWF Display Parser Translator - v1.1
  * Converts parsed display list data from DisplayParsers.js into simple raw data for WebGL renderer
  * Just handles basic coordinate transformation and data format conversion
  * Part of the Flash-JS rendering pipeline translation layer
  * SIMPLIFIED: Output raw data only, let renderer handle processing
+ * ADDED: translateSpriteData - DefineSprite control tags as display commands and ShowFrame markers
  */
 class DisplayParserTranslator {
   constructor() {
@@ -86,6 +87,62 @@ class DisplayParserTranslator {
     }
   }
 
+  // ==================== SPRITE TIMELINES ====================
+
+  // Nested display tags use the same record format as root tags; tagIndex is the nested tag index
+  translateSpriteData(parsedSpriteData) {
+    if (!parsedSpriteData || !parsedSpriteData.data || !parsedSpriteData.data.nestedTags) {
+      return {
+        success: false,
+        error: "No sprite data provided",
+        output: "Error: No sprite data provided for translation"
+      };
+    }
+
+    const data = parsedSpriteData.data;
+    const timelineCommands = [];
+    let frames = 0;
+
+    for (const tag of data.nestedTags.tags) {
+      if (tag.type === 1) {
+        frames++;
+        timelineCommands.push({
+          success: true,
+          tagIndex: tag.index,
+          tagType: "ShowFrame",
+          isFrameBoundary: true
+        });
+        continue;
+      }
+
+      const parsedContent = tag.parsedContent;
+      if (![4, 5, 26, 28, 70].includes(tag.type) || !parsedContent || parsedContent.error || !parsedContent.data) {
+        continue;
+      }
+
+      const translationResult = this.translateDisplayData(parsedContent);
+      if (translationResult.success) {
+        timelineCommands.push({ ...translationResult, tagIndex: tag.index });
+      }
+    }
+
+    this.output = [];
+    this.output.push("Sprite Translation Results:");
+    this.output.push("===========================");
+    this.output.push(`Sprite ${data.spriteId}: ${data.frameCount} frames declared, ${frames} ShowFrame tags`);
+    this.output.push(`Timeline commands: ${timelineCommands.length}`);
+
+    return {
+      success: true,
+      tagType: parsedSpriteData.tagType,
+      isSpriteDefinition: true,
+      spriteId: data.spriteId,
+      frameCount: data.frameCount,
+      timelineCommands: timelineCommands,
+      output: this.output.join('\n')
+    };
+  }
+
   // ==================== DEBUG OUTPUT ====================
 
   getDebugOutput() {
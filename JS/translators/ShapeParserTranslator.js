@@ -1,9 +1,10 @@
 /* 
- * SWF Shape Parser Translator - v1.0
+ * SWF Shape Parser Translator - v1.1
  * Converts parsed shape data from ShapeParsers.js into simple raw data for WebGL renderer
  * Just handles basic coordinate transformation and data format conversion
  * Part of the Flash-JS rendering pipeline translation layer
  * SIMPLIFIED: Output raw data only, let renderer handle processing
+ * ADDED: DefineShape4 fill winding rule and stroke scaling flags are passed through
  */
 class ShapeParserTranslator {
   constructor() {
@@ -39,6 +40,9 @@ class ShapeParserTranslator {
         edgeBounds: data.edgeBounds ? this.translateBounds(data.edgeBounds) : null,
         hasTransparency: data.hasTransparency || false,
         complexity: data.complexity || "simple",
+        usesFillWindingRule: data.usesFillWindingRule || false,
+        usesNonScalingStrokes: data.usesNonScalingStrokes || false,
+        usesScalingStrokes: data.usesScalingStrokes || false,
         // Raw data for renderer to process
         fillStyles: data.fillStyles,
         lineStyles: data.lineStyles,